@@ -0,0 +1,131 @@
+'use strict';
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const jsonDiff = require('../../server/lib/json-diff');
+const {actorOf} = require('../../server/lib/actor');
+
+// Values longer than this (as JSON, for objects) are logged as their
+// checksum and size when a record is created or deleted
+const MAX_LOGGED_LENGTH = 1024;
+
+/**
+ * Record every create, update and delete of the model in audit_log, with
+ * who made it and a field-level diff. Creates and deletes log the record's
+ * fields with JSON fields and long values cut down to their checksum and
+ * size, so whole documents aren't copied into the log; updates log every
+ * change.
+ *
+ * Options:
+ *
+ *   json_fields: string properties holding JSON (such as
+ *     converted_fileobject.contents); these are diffed as JSON so the log
+ *     shows which parts of the document changed.
+ *
+ * Usage in a model definition:
+ *
+ *   "mixins": {"Audit": {"json_fields": ["contents"]}}
+ */
+module.exports = function(Model, options) {
+  let jsonFields = (options && options.json_fields) || [];
+
+  function snapshot(instance) {
+    let data = JSON.parse(JSON.stringify(instance.toObject(true)));
+    jsonFields.forEach(field => {
+      if (typeof data[field] === 'string') {
+        try {
+          data[field] = JSON.parse(data[field]);
+        } catch (e) {
+          // Not JSON after all; diff it as a string.
+        }
+      }
+    });
+    return data;
+  }
+
+  // The record as create and delete log it
+  function summary(instance) {
+    let data = JSON.parse(JSON.stringify(instance.toObject(true)));
+    return _.mapValues(data, (value, field) => {
+      if (value === null || value === undefined) return value;
+      let text = typeof value === 'string' ? value : JSON.stringify(value);
+      let large = jsonFields.indexOf(field) !== -1 ||
+        (_.isObject(value) || typeof value === 'string') &&
+        text.length > MAX_LOGGED_LENGTH;
+      if (!large) return value;
+      return {
+        checksum: crypto.createHash('sha256').update(text).digest('hex'),
+        size: Buffer.byteLength(text),
+      };
+    });
+  }
+
+  function record(operation, entries, ctx) {
+    let AuditLog = Model.app.models.audit_log;
+    let actor = actorOf(ctx.options);
+    let date = new Date();
+    let logs = entries
+      .map(entry => ({
+        model: Model.modelName,
+        entity_id: String(entry.id),
+        operation: operation,
+        actor: actor,
+        date: date,
+        changes: jsonDiff.diff(entry.before || {}, entry.after || {}),
+      }))
+      .filter(log => operation !== 'update' || log.changes.length > 0);
+    return Promise.all(logs.map(log => AuditLog.create(log)));
+  }
+
+  // What the affected records look like before a change
+  function findBefore(ctx) {
+    if (ctx.currentInstance) {
+      return Promise.resolve([ctx.currentInstance]);
+    }
+    let where = ctx.instance ? {id: ctx.instance.id} : ctx.where;
+    return Model.find({where: where}, ctx.options);
+  }
+
+  // Hooks return promises, which juggler waits on in place of next().
+  Model.observe('before save', function(ctx) {
+    if (ctx.isNewInstance) return Promise.resolve();
+    return findBefore(ctx).then(instances => {
+      ctx.hookState.auditBefore = instances.map(snapshot);
+    });
+  });
+
+  Model.observe('after save', function(ctx) {
+    if (ctx.isNewInstance) {
+      return record('create', [{
+        id: ctx.instance.id,
+        after: summary(ctx.instance),
+      }], ctx);
+    }
+
+    let before = ctx.hookState.auditBefore || [];
+    let ids = before.map(data => data.id);
+    return Model.find({where: {id: {inq: ids}}}, ctx.options)
+      .then(instances => {
+        let after = _.keyBy(instances.map(snapshot), data => String(data.id));
+        return record('update', before.map(data => ({
+          id: data.id,
+          before: data,
+          after: after[String(data.id)],
+        })), ctx);
+      });
+  });
+
+  Model.observe('before delete', function(ctx) {
+    return Model.find({where: ctx.where}, ctx.options).then(instances => {
+      ctx.hookState.auditBefore = instances.map(summary);
+    });
+  });
+
+  Model.observe('after delete', function(ctx) {
+    let before = ctx.hookState.auditBefore || [];
+    return record('delete', before.map(data => ({
+      id: data.id,
+      before: data,
+    })), ctx);
+  });
+};
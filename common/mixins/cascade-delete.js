@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Delete related records along with the model's own.
+ *
+ * Options:
+ *
+ *   relations: names of the relations whose records go too. Works for
+ *     hasMany, hasOne and belongsTo. The related models' own delete hooks
+ *     run, so cascades chain.
+ *
+ * Usage in a model definition:
+ *
+ *   "mixins": {"CascadeDelete": {"relations": ["converted_fileobject"]}}
+ */
+module.exports = function(Model, options) {
+  let relations = (options && options.relations) || [];
+
+  Model.observe('before delete', function(ctx, next) {
+    if (relations.length === 0) return next();
+
+    // Relations only exist once the model is attached, so check them here
+    // rather than when the mixin is applied.
+    let unknown = relations.filter(name => !Model.relations[name]);
+    if (unknown.length > 0) {
+      return next(new Error(Model.modelName + ' has no relation ' +
+                            unknown.join(', ') + ' to cascade deletes to'));
+    }
+
+    Model.find({where: ctx.where}, ctx.options, (err, instances) => {
+      if (err) return next(err);
+      let deletions = [];
+      instances.forEach(instance => {
+        relations.forEach(name => {
+          let relation = Model.relations[name];
+          let key = instance[relation.keyFrom];
+          if (key === undefined || key === null) return;
+          let where = {};
+          where[relation.keyTo] = key;
+          deletions.push(relation.modelTo.destroyAll(where, ctx.options));
+        });
+      });
+      Promise.all(deletions).then(() => next(), next);
+    });
+  });
+};
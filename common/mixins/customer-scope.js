@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Limit users that belong to a customer (user.customer_id is set) to the
+ * records of that customer: they see only those, and what they create or
+ * change stays with their customer. Everyone else, and the server itself,
+ * sees everything the ACLs let them.
+ *
+ * Options:
+ *
+ *   property: the model's property naming the customer; default
+ *     'customer_id'. Use 'id' on the customer model itself.
+ *
+ * Usage in a model definition:
+ *
+ *   "mixins": {"CustomerScope": {"property": "customer_id"}}
+ */
+module.exports = function(Model, options) {
+  let property = (options && options.property) || 'customer_id';
+
+  Model.observe('access', function(ctx) {
+    return customerOf(Model.app, ctx.options).then(customerId => {
+      if (customerId === null) return;
+      let scope = {};
+      scope[property] = customerId;
+      ctx.query.where = ctx.query.where ?
+        {and: [ctx.query.where, scope]} :
+        scope;
+    });
+  });
+
+  Model.observe('before save', function(ctx) {
+    return customerOf(Model.app, ctx.options).then(customerId => {
+      if (customerId === null) return;
+      let data = ctx.instance || ctx.data;
+      let value = data[property];
+      if (property === 'id' ? ctx.isNewInstance :
+          value !== undefined && String(value) !== customerId) {
+        throw forbidden();
+      }
+      if (!ctx.instance || property === 'id') return;
+      // Whole records, new or replacing one that may not be theirs, are
+      // filed under their customer
+      data[property] = customerId;
+      if (ctx.isNewInstance || data.id === undefined) return;
+      return Model.findById(data.id).then(existing => {
+        if (existing && String(existing[property]) !== customerId) {
+          throw forbidden();
+        }
+      });
+    });
+  });
+};
+
+// The customer_id of the user behind a call, or null if they aren't tied to
+// one. Looked up once per call and kept on the options.
+function customerOf(app, options) {
+  let token = options && options.accessToken;
+  if (!token) {
+    return Promise.resolve(null);
+  }
+  if (options.customerScope === undefined) {
+    options.customerScope = app.models.user.findById(token.userId)
+      .then(user => user && user.customer_id ? String(user.customer_id) : null);
+  }
+  return options.customerScope;
+}
+
+function forbidden() {
+  let err = new Error('Records can only be kept under your own customer');
+  err.statusCode = 403;
+  return err;
+}
@@ -0,0 +1,133 @@
+'use strict';
+
+// Models using the mixin; a stored file is only removed once none of their
+// records refer to it.
+const models = [];
+
+const PROPERTIES = {
+  storage_key: {
+    type: 'string',
+    description: 'Where the file is kept in storage: the SHA-256 of its ' +
+      'contents, shared by records holding the same file',
+  },
+  filename: {type: 'string', description: 'Name the file was given'},
+  content_type: {type: 'string'},
+  size: {type: 'number', description: 'Bytes'},
+  checksum: {type: 'string', description: 'SHA-256 of the file, hex'},
+};
+
+/**
+ * Records that have a file in app.storage (see server/lib/storage.js):
+ * adds the file's properties, a signed download URL and removal of the
+ * file along with the last record that refers to it.
+ *
+ * Options:
+ *
+ *   url_property: filled in with a signed download URL whenever records
+ *     are returned over REST, e.g. "documentfile_url".
+ *
+ * Usage in a model definition:
+ *
+ *   "mixins": {"StoredFile": {"url_property": "documentfile_url"}}
+ */
+module.exports = function(Model, options) {
+  let urlProperty = options && options.url_property;
+  models.push(Model);
+  Object.keys(PROPERTIES).forEach(name => {
+    if (!Model.definition.properties[name]) {
+      Model.defineProperty(name, PROPERTIES[name]);
+    }
+  });
+
+  /**
+   * A signed URL the record's file can be downloaded from, or null if it
+   * has none.
+   *
+   * @returns {Object} {url, expires}
+   */
+  Model.prototype.downloadUrl = function() {
+    if (!this.storage_key) {
+      return null;
+    }
+    return Model.app.storage.downloadUrl(this.storage_key, this.filename);
+  };
+
+  Model.remoteMethod(
+    'downloadUrl', {
+      description: 'Get a signed URL the file can be downloaded from ' +
+        'without further authentication, for a limited time.',
+      accessType: 'READ',
+      http: {
+        path: '/:id/download-url',
+        verb: 'get',
+      },
+      accepts: [
+        {arg: 'id', type: 'any', required: true},
+        {arg: 'options', type: 'object', http: 'optionsFromRequest'},
+      ],
+      returns: {arg: 'data', type: 'object', root: true},
+    }
+  );
+
+  Model.downloadUrl = function(id, options, cb) {
+    Model.findById(id, {}, options, (err, instance) => {
+      if (err) return cb(err);
+      let download = instance && instance.downloadUrl();
+      if (!download) {
+        let notFound = new Error('No file for ' + Model.modelName + ' ' + id);
+        notFound.statusCode = 404;
+        return cb(notFound);
+      }
+      cb(null, download);
+    });
+  };
+
+  if (urlProperty) {
+    ['find', 'findById', 'findOne'].forEach(method => {
+      Model.afterRemote(method, function(ctx, result, next) {
+        [].concat(ctx.result || []).forEach(instance => {
+          let download = instance.downloadUrl && instance.downloadUrl();
+          if (download) {
+            instance[urlProperty] = download.url;
+          }
+        });
+        next();
+      });
+    });
+  }
+
+  Model.observe('before delete', function(ctx) {
+    return Model.find({where: ctx.where}, ctx.options).then(instances => {
+      ctx.hookState.storageKeys = instances
+        .map(instance => instance.storage_key)
+        .filter(key => key);
+    });
+  });
+
+  Model.observe('after delete', function(ctx, next) {
+    // In the background, as a file is kept for a while after its last
+    // record is gone
+    (ctx.hookState.storageKeys || []).forEach(release);
+    next();
+  });
+
+  // Remove a stored file once no record refers to it. The records are
+  // counted twice, releaseGrace apart: an upload of the same contents may
+  // have found the file stored and not saved its record yet.
+  function release(key) {
+    let storage = Model.app.storage;
+    return unreferenced(key)
+      .then(unused => unused && new Promise(resolve => {
+        setTimeout(resolve, storage.releaseGrace * 1000);
+      }).then(() => unreferenced(key)))
+      .then(unused => {
+        if (unused) return storage.remove(key);
+      })
+      .catch(err => console.error('Releasing stored file ' + key + ':', err));
+  }
+
+  function unreferenced(key) {
+    return Promise.all(models.map(m => m.count({storage_key: key})))
+      .then(counts => counts.every(count => count === 0));
+  }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+module.exports = function(AuditLog) {
+  // Written by the Audit mixin only; the REST API can read but not edit.
+  [
+    'create',
+    'upsert',
+    'replaceOrCreate',
+    'upsertWithWhere',
+    'replaceById',
+    'updateAll',
+    'deleteById',
+    'prototype.patchAttributes',
+  ].forEach(name => AuditLog.disableRemoteMethodByName(name));
+
+  AuditLog.remoteMethod(
+    'search', {
+      description: 'List changes to a model or a single record, newest ' +
+        'first, optionally limited to a date range.',
+      accessType: 'READ',
+      http: {
+        path: '/search',
+        verb: 'get',
+      },
+      accepts: [
+        {arg: 'model', type: 'string', required: true},
+        {arg: 'entity_id', type: 'string'},
+        {arg: 'since', type: 'date', description: 'Earliest change date'},
+        {arg: 'until', type: 'date', description: 'Latest change date'},
+      ],
+      returns: {arg: 'data', type: ['audit_log'], root: true},
+    }
+  );
+
+  AuditLog.search = function(model, entityId, since, until, cb) {
+    let where = {model: model};
+    if (entityId) {
+      where.entity_id = entityId;
+    }
+    if (since && until) {
+      where.date = {between: [since, until]};
+    } else if (since) {
+      where.date = {gte: since};
+    } else if (until) {
+      where.date = {lte: until};
+    }
+    AuditLog.find({where: where, order: 'date DESC'}, cb);
+  };
+};
@@ -1,65 +1,174 @@
 'use strict';
 
-var jsonexport = require('jsonexport');
+const orderDiff = require('../../server/lib/order-diff')
+const orderExport = require('../../server/lib/order-export')
+
+// Shapes the diff remote methods can answer in
+const DIFF_FORMATS = ['nested', 'rows']
 
 module.exports = function(Convertedfileobject) {
+	// Counted as the orders are stored, so summaries don't have to parse
+	// every conversion again
+	Convertedfileobject.observe('before save', function(ctx, next){
+		let instance = ctx.instance || ctx.data
+		if(typeof instance.contents !== 'string') return next()
+		try {
+			instance.record_counts = Convertedfileobject.recordCounts(JSON.parse(instance.contents))
+		} catch(e) {
+			// Not ours to validate
+		}
+		next()
+	})
+
+	/**
+	 * How many requests, orders and line_items parsed objects hold.
+	 *
+	 * @returns {Object} {requests, orders, line_items}
+	 */
+	Convertedfileobject.recordCounts = function(objects){
+		let orders = [].concat.apply([], objects.map(o => o.orders || []))
+		return {
+			requests: objects.length,
+			orders: orders.length,
+			line_items: orders.reduce((n, o) => n + (o.line_items || []).length, 0)
+		}
+	}
+
 	Convertedfileobject.remoteMethod(
-		'downloadtocsv', {
+		'diff', {
+			description: 'Compare the orders of two conversions, e.g. of an ' +
+				'order the vendor re-sent: changed OrderOwner fields, added and ' +
+				'removed Orders by sr_no and changed line_items rows.',
+			accessType: 'READ',
 			http: {
-				path: '/downloadtocsv/:id',
+				path: '/diff',
 				verb: 'get'
 			},
-			return: {},
 			accepts: [
-				{arg: 'id', type: 'string', required: true },
-				{arg: 'res', type: 'object', 'http': {source: 'res'}}
+				{arg: 'from', type: 'string', required: true},
+				{arg: 'to', type: 'string', required: true},
+				{arg: 'request_no', type: 'string',
+					description: 'Only compare this request'},
+				{arg: 'format', type: 'string',
+					description: 'nested (the default) or rows, one per change, for exporting'}
 			],
+			returns: {arg: 'data', type: 'object', root: true}
 		}
 	)
 
-	Convertedfileobject.downloadtocsv = function(id, res, cb) {
-		Convertedfileobject.findById(id, {}, function(err, converted_object){
-			if(err){
-				cb(err)
-			}else{
-				jsonexport(JSON.parse(converted_object.contents),function(err, csv){
-					if(err) {
-						cb(err)
-					}else{
-						console.log(csv)
-						var dateTime = new Date()
-						res.set('Cache-Control', 'max-age=0, no-cache, must-revalidate, proxy-revalidate');
-						res.set('Last-Modified', dateTime +'GMT');
-						res.set('Content-Type','application/force-download');
-						res.set('Content-Type','application/octet-stream');
-						res.set('Content-Type','application/download');
-						res.set('Content-Disposition','attachment;filename=Data.csv');
-						res.set('Content-Transfer-Encoding','binary');
-						res.send(csv); //@todo: insert your CSV data here.				
-						// cb(null, contents)						
-					}
-				});
-			}
+	Convertedfileobject.diff = function(from, to, request_no, format, cb) {
+		Convertedfileobject.loadObjects([from, to], function(err, objects){
+			if(err) return cb(err)
+			let diffs = orderDiff.diffConversions(objects[0], objects[1], request_no)
+			Convertedfileobject.formatDiff({from: from, to: to}, diffs, format, cb)
 		})
 	}
-};
-
 
+	/**
+	 * Parse the contents of converted_fileobjects, answering 404 for any
+	 * that don't exist.
+	 */
+	Convertedfileobject.loadObjects = function(ids, cb){
+		Convertedfileobject.find({where: {id: {inq: ids}}}, function(err, found){
+			if(err) return cb(err)
+			let objects = []
+			for(let id of ids){
+				let converted_object = found.find(c => String(c.id) === String(id))
+				if(!converted_object){
+					let notFound = new Error('Unknown converted_fileobject ' + id)
+					notFound.statusCode = 404
+					return cb(notFound)
+				}
+				objects.push(JSON.parse(converted_object.contents))
+			}
+			cb(null, objects)
+		})
+	}
 
-function convertToCSV(objArray) {
-    var array = typeof objArray != 'object' ? JSON.parse(objArray) : objArray;
-    var str = '';
+	/**
+	 * Answer order-diff results in the requested format: nested, as
+	 * {...answer, requests}, or flattened into {...answer, rows}.
+	 */
+	Convertedfileobject.formatDiff = function(answer, diffs, format, cb){
+		format = format || 'nested'
+		if(DIFF_FORMATS.indexOf(format) === -1){
+			let err = new Error('format must be one of ' + DIFF_FORMATS.join(', '))
+			err.statusCode = 422
+			return cb(err)
+		}
+		if(format === 'rows'){
+			answer.rows = orderDiff.toRows(diffs)
+		}else{
+			answer.requests = diffs
+		}
+		cb(null, answer)
+	}
 
-    for (var i = 0; i < array.length; i++) {
-        var line = '';
-        for (var index in array[i]) {
-            if (line != '') line += ','
+	Convertedfileobject.remoteMethod(
+		'export', {
+			description: 'Download the orders of a conversion as csv, xlsx, json ' +
+				'or ndjson, either flat or normalized into owners, orders and ' +
+				'line_items joined by request_no and sr_no.',
+			accessType: 'READ',
+			http: {
+				path: '/:id/export',
+				verb: 'get'
+			},
+			accepts: [
+				{arg: 'id', type: 'string', required: true},
+				{arg: 'format', type: 'string',
+					description: 'csv (the default), xlsx, json or ndjson'},
+				{arg: 'mode', type: 'string',
+					description: 'flat (the default) or normalized; normalized csv is a zip archive of one file per table'},
+				{arg: 'request_no', type: 'string',
+					description: 'Only export this request'},
+				{arg: 'template', type: 'string',
+					description: 'Id of an export_template choosing the columns, for flat csv'},
+				{arg: 'res', type: 'object', http: {source: 'res'}}
+			],
+			returns: {}
+		}
+	)
 
-            line += array[i][index];
-        }
+	Convertedfileobject.export = function(id, format, mode, request_no, template, res, cb) {
+		Convertedfileobject.loadObjects([id], function(err, objects){
+			if(err) return cb(err)
+			objects = objects[0]
+			if(request_no){
+				objects = objects.filter(owner => String(owner.request_no) === String(request_no))
+				if(objects.length === 0){
+					let notFound = new Error('No request ' + request_no + ' in converted_fileobject ' + id)
+					notFound.statusCode = 404
+					return cb(notFound)
+				}
+			}
+			let ExportTemplate = Convertedfileobject.app.models.export_template
+			let loaded = template ? ExportTemplate.load(template) : Promise.resolve(null)
+			loaded
+				.then(template => orderExport.exportOrders(objects, {format: format, mode: mode, template: template}))
+				.then(exported => orderExport.send(res, exported, cb), cb)
+		})
+	}
 
-        str += line + '\r\n';
-    }
+	Convertedfileobject.remoteMethod(
+		'downloadtocsv', {
+			accessType: 'READ',
+			http: {
+				path: '/downloadtocsv/:id',
+				verb: 'get'
+			},
+			return: {},
+			accepts: [
+				{arg: 'id', type: 'string', required: true },
+				{arg: 'template', type: 'string',
+					description: 'Id of an export_template choosing the columns'},
+				{arg: 'res', type: 'object', 'http': {source: 'res'}}
+			],
+		}
+	)
 
-    return str;
-}
\ No newline at end of file
+	// The flat csv export, from before there were others
+	Convertedfileobject.downloadtocsv = function(id, template, res, cb) {
+		Convertedfileobject.export(id, 'csv', 'flat', null, template, res, cb)
+	}
+};
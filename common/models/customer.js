@@ -1,5 +1,24 @@
 'use strict';
 
 module.exports = function(Customer) {
-
+  // A customer's fileobjects carry its orders, so they have to be deleted
+  // deliberately rather than going along with the customer.
+  Customer.observe('before delete', function(ctx, next) {
+    let Fileobject = Customer.app.models.fileobject;
+    Customer.find({where: ctx.where, fields: {id: true}}, (err, customers) => {
+      if (err) return next(err);
+      let ids = customers.map(customer => String(customer.id));
+      if (ids.length === 0) return next();
+      Fileobject.count({customer_id: {inq: ids}}, (err, count) => {
+        if (err) return next(err);
+        if (count > 0) {
+          let inUse = new Error('Customer still has ' + count +
+                                ' fileobject(s); delete those first');
+          inUse.statusCode = 409;
+          return next(inUse);
+        }
+        next();
+      });
+    });
+  });
 };
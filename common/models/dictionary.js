@@ -0,0 +1,377 @@
+'use strict';
+
+const reader = require('order-reader');
+const jsonDiff = require('../../server/lib/json-diff');
+const {actorOf} = require('../../server/lib/actor');
+
+// Fields that may still change once a version has been stored; everything
+// else about a dictionary version is immutable.
+const MUTABLE_FIELDS = [
+  'active',
+  'activated_date',
+  'approved',
+  'approved_by',
+  'approved_date',
+  'dry_run',
+];
+
+const DEFAULT_DRY_RUN_LIMIT = 100;
+
+// A dry run reads uploads of every customer, so its corpus can only be
+// picked by these fields of original_fileobject, compared with plain values
+// using these operators.
+const CORPUS_FIELDS = [
+  'id',
+  'filename',
+  'content_type',
+  'checksum',
+  'parse_mode',
+  'dictionary_version',
+  'created_by',
+  'created_date',
+];
+const CORPUS_OPERATORS = [
+  'inq', 'nin', 'gt', 'gte', 'lt', 'lte', 'between', 'neq',
+];
+
+// Parsers are cheap to keep around and rebuilding the header regex for every
+// upload is wasteful, so cache one per stored version.
+const parsers = {};
+
+module.exports = function(Dictionary) {
+  [
+    'upsert',
+    'replaceOrCreate',
+    'upsertWithWhere',
+    'replaceById',
+    'updateAll',
+    'deleteById',
+    'prototype.patchAttributes',
+  ].forEach(name => Dictionary.disableRemoteMethodByName(name));
+
+  Dictionary.observe('before save', function(ctx, next) {
+    if (ctx.isNewInstance) {
+      return prepareNewVersion(ctx.instance, next);
+    }
+
+    // Full instance saves can't be told apart from edits, so only partial
+    // updates touching the mutable fields are let through.
+    let changed = ctx.instance ? ['*'] : Object.keys(ctx.data || {});
+    let frozen = changed.filter(field =>
+      field !== 'id' && MUTABLE_FIELDS.indexOf(field) === -1);
+    if (frozen.length > 0) {
+      let err = new Error('Dictionary versions are immutable; create a new ' +
+                          'version instead');
+      err.statusCode = 422;
+      return next(err);
+    }
+    next();
+  });
+
+  function prepareNewVersion(instance, next) {
+    try {
+      new reader.OrderParser(instance.data);
+    } catch (e) {
+      let err = new Error('Invalid dictionary: ' + (e.message || e));
+      err.statusCode = 422;
+      return next(err);
+    }
+
+    Dictionary.findOne({order: 'version DESC'}, (err, latest) => {
+      if (err) return next(err);
+      instance.version = latest ? latest.version + 1 : 1;
+      instance.created_date = new Date();
+      instance.active = false;
+      instance.activated_date = undefined;
+      instance.approved = false;
+      instance.approved_by = undefined;
+      instance.approved_date = undefined;
+      instance.dry_run = undefined;
+      next();
+    });
+  }
+
+  Dictionary.remoteMethod(
+    'activate', {
+      description: 'Make the given dictionary version the one used for ' +
+        'new conversions.',
+      http: {
+        path: '/:version/activate',
+        verb: 'post',
+      },
+      accepts: [
+        {arg: 'version', type: 'number', required: true},
+      ],
+      returns: {arg: 'data', type: 'dictionary', root: true},
+    }
+  );
+
+  Dictionary.activate = function(version, cb) {
+    findVersion(version, (err, dictionary) => {
+      if (err) return cb(err);
+      if (!dictionary.approved) {
+        let unapproved = new Error('Dictionary version ' + version +
+                                   ' must be approved before activation');
+        unapproved.statusCode = 422;
+        return cb(unapproved);
+      }
+      Dictionary.updateAll({active: true}, {active: false}, err => {
+        if (err) return cb(err);
+        dictionary.updateAttributes({
+          active: true,
+          activated_date: new Date(),
+        }, cb);
+      });
+    });
+  };
+
+  Dictionary.remoteMethod(
+    'dryRun', {
+      description: 'Convert previously uploaded original_fileobjects with ' +
+        'the given version and diff them against their existing conversions.',
+      http: {
+        path: '/:version/dryrun',
+        verb: 'post',
+      },
+      accepts: [
+        {arg: 'version', type: 'number', required: true},
+        {
+          arg: 'where',
+          type: 'object',
+          description: 'Filter selecting the original_fileobject corpus, ' +
+            'by ' + CORPUS_FIELDS.join(', '),
+        },
+        {
+          arg: 'limit',
+          type: 'number',
+          description: 'Maximum corpus size, defaults to ' +
+            DEFAULT_DRY_RUN_LIMIT,
+        },
+      ],
+      returns: {arg: 'data', type: 'object', root: true},
+    }
+  );
+
+  Dictionary.dryRun = function(version, where, limit, cb) {
+    let models = Dictionary.app.models;
+    let refused = refusedCondition(where || {});
+    if (refused) {
+      let err = new Error('where can only compare ' +
+                          CORPUS_FIELDS.join(', ') + ' with values, not ' +
+                          refused);
+      err.statusCode = 400;
+      return cb(err);
+    }
+    findVersion(version, (err, dictionary) => {
+      if (err) return cb(err);
+      let parser = Dictionary.parserFor(dictionary);
+      let filter = {
+        where: where || {},
+        limit: limit || DEFAULT_DRY_RUN_LIMIT,
+        order: 'id DESC',
+      };
+      models.original_fileobject.find(filter, (err, originals) => {
+        if (err) return cb(err);
+
+        // One record at a time keeps memory flat on large corpora.
+        let results = [];
+        originals.reduce((prev, original) => prev.then(() => {
+          return dryRunOne(parser, original).then(r => results.push(r));
+        }), Promise.resolve())
+          .then(() => {
+            let summary = {
+              run_date: new Date(),
+              total: results.length,
+              unchanged: results.filter(r => r.outcome === 'unchanged').length,
+              changed: results.filter(r => r.outcome === 'changed').length,
+              unconverted: results
+                .filter(r => r.outcome === 'unconverted').length,
+              failed: results.filter(r => r.outcome === 'failed').length,
+              results: results,
+            };
+            dictionary.updateAttributes({dry_run: summary}, err => {
+              cb(err, err ? undefined : summary);
+            });
+          })
+          .catch(cb);
+      });
+    });
+  };
+
+  // The first part of a corpus filter outside CORPUS_FIELDS and
+  // CORPUS_OPERATORS, if any
+  function refusedCondition(where) {
+    if (!isObject(where)) {
+      return JSON.stringify(where);
+    }
+    let refused = Object.keys(where).map(key => {
+      let value = where[key];
+      if (key === 'and' || key === 'or') {
+        return Array.isArray(value) ?
+          value.map(refusedCondition).filter(r => r)[0] :
+          key;
+      }
+      return CORPUS_FIELDS.indexOf(key) !== -1 && isComparison(value) ?
+        null : key;
+    });
+    return refused.filter(r => r)[0] || null;
+  }
+
+  function isComparison(value) {
+    if (!isObject(value)) {
+      return isValue(value);
+    }
+    return Object.keys(value).every(op => CORPUS_OPERATORS.indexOf(op) !== -1 &&
+      [].concat(value[op]).every(isValue));
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' &&
+      !Array.isArray(value) && !(value instanceof Date);
+  }
+
+  function isValue(value) {
+    return value === null || value instanceof Date ||
+      ['string', 'number', 'boolean'].indexOf(typeof value) !== -1;
+  }
+
+  function dryRunOne(parser, original) {
+    let Converted = Dictionary.app.models.converted_fileobject;
+    let entry = {original_fileobject_id: original.id};
+    let options = {
+      mode: original.parse_mode,
+      provenance: original.record_provenance,
+    };
+    return parser.parse(original.openContents(), options)
+      .then(result => {
+        let where = {original_fileobject_id: String(original.id)};
+        return Converted.findOne({where: where})
+          .then(converted => {
+            if (!converted) {
+              entry.outcome = 'unconverted';
+              return entry;
+            }
+            entry.converted_fileobject_id = converted.id;
+            entry.previous_dictionary_version = converted.dictionary_version;
+            entry.changes = jsonDiff.diff(JSON.parse(converted.contents),
+                                          result);
+            entry.outcome = entry.changes.length ? 'changed' : 'unchanged';
+            return entry;
+          });
+      })
+      .catch(e => {
+        entry.outcome = 'failed';
+        entry.error = String(e.message || e);
+        return entry;
+      });
+  }
+
+  Dictionary.remoteMethod(
+    'approve', {
+      description: 'Sign off on a drafted version after reviewing its dry ' +
+        'run. Requires the approver role.',
+      http: {
+        path: '/:version/approve',
+        verb: 'post',
+      },
+      accepts: [
+        {arg: 'version', type: 'number', required: true},
+        {arg: 'options', type: 'object', http: 'optionsFromRequest'},
+      ],
+      returns: {arg: 'data', type: 'dictionary', root: true},
+    }
+  );
+
+  Dictionary.approve = function(version, options, cb) {
+    findVersion(version, (err, dictionary) => {
+      if (err) return cb(err);
+      if (!dictionary.dry_run) {
+        let untested = new Error('Dictionary version ' + version +
+                                 ' needs a dry run before it can be approved');
+        untested.statusCode = 422;
+        return cb(untested);
+      }
+      // Conversions made while this version was a draft keep their
+      // dictionary_approval of false; only later ones are approved.
+      dictionary.updateAttributes({
+        approved: true,
+        approved_by: actorOf(options),
+        approved_date: new Date(),
+      }, cb);
+    });
+  };
+
+  function findVersion(version, cb) {
+    Dictionary.findOne({where: {version: version}}, (err, dictionary) => {
+      if (err) return cb(err);
+      if (!dictionary) {
+        let notFound = new Error('Unknown dictionary version ' + version);
+        notFound.statusCode = 404;
+        return cb(notFound);
+      }
+      cb(null, dictionary);
+    });
+  }
+
+  Dictionary.remoteMethod(
+    'getActive', {
+      description: 'Fetch the dictionary version used for new conversions.',
+      accessType: 'READ',
+      http: {
+        path: '/active',
+        verb: 'get',
+      },
+      returns: {arg: 'data', type: 'dictionary', root: true},
+    }
+  );
+
+  Dictionary.getActive = function(cb) {
+    Dictionary.findOne({where: {active: true}}, (err, dictionary) => {
+      if (err) return cb(err);
+      if (!dictionary) {
+        let notFound = new Error('No dictionary version is active');
+        notFound.statusCode = 404;
+        return cb(notFound);
+      }
+      cb(null, dictionary);
+    });
+  };
+
+  /**
+   * Resolve a dictionary version along with an OrderParser built from it.
+   *
+   * @param {Number} [version] defaults to the active version
+   * @returns {Promise} resolving to {dictionary, parser}
+   */
+  Dictionary.resolveParser = function(version) {
+    return new Promise((resolve, reject) => {
+      let lookup = version ? findVersion.bind(null, version) :
+        Dictionary.getActive;
+      lookup((err, dictionary) => {
+        if (err) return reject(err);
+        resolve({
+          dictionary: dictionary,
+          parser: Dictionary.parserFor(dictionary),
+        });
+      });
+    });
+  };
+
+  /**
+   * Resolve the active dictionary along with an OrderParser built from it.
+   */
+  Dictionary.activeParser = function() {
+    return Dictionary.resolveParser();
+  };
+
+  /**
+   * Get the (cached) OrderParser for a stored dictionary version.
+   */
+  Dictionary.parserFor = function(dictionary) {
+    let key = String(dictionary.id);
+    if (!parsers[key]) {
+      parsers[key] = new reader.OrderParser(dictionary.data);
+    }
+    return parsers[key];
+  };
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const jsonexport = require('jsonexport');
+const {actorOf} = require('../../server/lib/actor');
+
+module.exports = function(ExportTemplate) {
+  ExportTemplate.validatesUniquenessOf('name');
+  ExportTemplate.validate('columns', function(err) {
+    try {
+      this.toTemplate();
+    } catch (e) {
+      err();
+    }
+  }, {message: 'must be dotted paths or {path, label}, with known options'});
+
+  ExportTemplate.observe('before save', function(ctx, next) {
+    if (ctx.isNewInstance) {
+      ctx.instance.created_date = ctx.instance.created_date || new Date();
+      ctx.instance.created_by = actorOf(ctx.options);
+    }
+    next();
+  });
+
+  /**
+   * The template as jsonexport takes it, as its template option or in a
+   * file for the jsonexport CLI's --template.
+   *
+   * @returns {Object} {columns, options}
+   * @throws {TypeError} if the columns or options are not valid
+   */
+  ExportTemplate.prototype.toTemplate = function() {
+    let template = {
+      columns: JSON.parse(JSON.stringify(this.columns || [])),
+      options: Object.assign({}, this.options),
+    };
+    jsonexport.template.toOptions(template);
+    return template;
+  };
+
+  /**
+   * Find a template for an export.
+   *
+   * @param {String} id
+   * @returns {Promise} resolving to the template as jsonexport takes it;
+   *   rejects with a 404 error if there is no such template
+   */
+  ExportTemplate.load = function(id) {
+    return ExportTemplate.findById(id).then(template => {
+      if (!template) {
+        let notFound = new Error('Unknown export_template ' + id);
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      return template.toTemplate();
+    });
+  };
+};
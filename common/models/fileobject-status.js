@@ -1,5 +1,41 @@
 'use strict';
 
+// Where a fileobject may go from each state of its lifecycle.
+const TRANSITIONS = {
+  uploaded: ['parsed'],
+  parsed: ['needs_review'],
+  needs_review: ['approved'],
+  approved: ['sent_to_vendor'],
+  sent_to_vendor: ['fulfilled'],
+  fulfilled: ['archived'],
+  archived: [],
+};
+
 module.exports = function(Fileobjectstatus) {
+  // Each record is one step of a fileobject's history, written by
+  // fileobject.transition; rewriting history isn't allowed.
+  [
+    'create',
+    'upsert',
+    'replaceOrCreate',
+    'upsertWithWhere',
+    'replaceById',
+    'updateAll',
+    'deleteById',
+    'prototype.patchAttributes',
+  ].forEach(name => Fileobjectstatus.disableRemoteMethodByName(name));
+
+  Fileobjectstatus.STATES = Object.keys(TRANSITIONS);
+  Fileobjectstatus.TRANSITIONS = TRANSITIONS;
+
+  Fileobjectstatus.validatesInclusionOf('status', {
+    in: Fileobjectstatus.STATES,
+  });
 
+  /**
+   * Whether a fileobject in state `from` may move to state `to`.
+   */
+  Fileobjectstatus.canTransition = function(from, to) {
+    return (TRANSITIONS[from] || []).indexOf(to) !== -1;
+  };
 };
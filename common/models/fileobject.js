@@ -1,11 +1,220 @@
 'use strict';
 
+const {actorOf} = require('../../server/lib/actor')
+const {hasRole} = require('../../server/lib/roles')
+
+// Dates stamped when a fileobject enters these states
+const STATE_DATES = {
+	approved: 'approved_date',
+	archived: 'archived_date'
+}
+
+// Roles allowed to move a fileobject into these states, on top of the ACLs
+// on transition itself
+const STATE_ROLES = {
+	approved: ['approver', 'admin']
+}
+
 module.exports = function(fileobject) {
+	fileobject.observe('before save', function(ctx, next){
+		let instance = ctx.instance || ctx.data
+		if(ctx.isNewInstance){
+			// Uploads that already have a conversion start out parsed
+			let now = new Date()
+			instance.current_status = instance.converted_fileobject_id ? 'parsed' : 'uploaded'
+			instance.created_date = instance.created_date || now
+			instance.uploaded_date = instance.uploaded_date || now
+		}else if(!(ctx.options && ctx.options.transition)){
+			// Status only changes through transition, so every change is checked
+			// and ends up in the history.
+			let current = ctx.currentInstance
+			if(ctx.data && ctx.data.current_status !== undefined &&
+					!(current && ctx.data.current_status === current.current_status)){
+				return next(statusError())
+			}
+			if(ctx.instance){
+				return fileobject.findById(ctx.instance.id, function(err, stored){
+					if(err) return next(err)
+					if(stored && stored.current_status !== ctx.instance.current_status){
+						return next(statusError())
+					}
+					fillConverted(instance, next)
+				})
+			}
+		}
+		fillConverted(instance, next)
+	})
+
+	function statusError(){
+		let err = new Error('current_status can only be changed with transition')
+		err.statusCode = 422
+		return err
+	}
+
+	// The conversion of an upload is known, so callers only have to name the
+	// original_fileobject.
+	function fillConverted(instance, next){
+		if(!instance.original_fileobject_id || instance.converted_fileobject_id){
+			return next()
+		}
+		fileobject.app.models.converted_fileobject.findOne({
+			where: {original_fileobject_id: String(instance.original_fileobject_id)}
+		}, function(err, converted_object){
+			if(err) return next(err)
+			if(converted_object){
+				instance.converted_fileobject_id = String(converted_object.id)
+				if(instance.current_status === 'uploaded'){
+					instance.current_status = 'parsed'
+				}
+			}
+			next()
+		})
+	}
+
+	fileobject.observe('after save', function(ctx, next){
+		if(!ctx.isNewInstance) return next()
+		ctx.instance.status_history.create({
+			from_status: null,
+			status: ctx.instance.current_status,
+			date: ctx.instance.created_date,
+			actor: actorOf(ctx.options)
+		}, function(err){
+			next(err)
+		})
+	})
+
 	fileobject.afterRemote('create', function(context, file_object, next){
-		fileobject.app.models.customer.findById(file_object.customer_id, {}, function(err, customer_data){
-			file_object["customer"] = customer_data
-			context.result = file_object
+		fileobject.findById(file_object.id, {include: 'customer'}, function(err, with_customer){
+			if(err) return next(err)
+			context.result = with_customer
 			next()
 		})
 	})
+
+	// fileobject_url is a fresh signed link to the uploaded file, when the
+	// original was uploaded rather than posted as JSON
+	fileobject.afterRemote('find', fillUrls)
+	fileobject.afterRemote('findById', fillUrls)
+	fileobject.afterRemote('findOne', fillUrls)
+
+	function fillUrls(context, result, next){
+		let file_objects = [].concat(context.result || [])
+		let ids = file_objects
+			.map(file_object => file_object.original_fileobject_id)
+			.filter(id => id)
+		if(ids.length === 0) return next()
+		fileobject.app.models.original_fileobject.find({
+			where: {id: {inq: ids}}
+		}, function(err, originals){
+			if(err) return next(err)
+			let by_id = {}
+			originals.forEach(original => { by_id[String(original.id)] = original })
+			file_objects.forEach(file_object => {
+				let original = by_id[String(file_object.original_fileobject_id)]
+				let download = original && original.downloadUrl()
+				if(download){
+					file_object.fileobject_url = download.url
+				}
+			})
+			next()
+		})
+	}
+
+	fileobject.remoteMethod(
+		'transition', {
+			description: 'Move a fileobject to the next state of its lifecycle: ' +
+				'uploaded, parsed, needs_review, approved, sent_to_vendor, ' +
+				'fulfilled, archived.',
+			http: {
+				path: '/:id/transition',
+				verb: 'post'
+			},
+			accepts: [
+				{arg: 'id', type: 'string', required: true},
+				{arg: 'to', type: 'string', required: true},
+				{arg: 'note', type: 'string'},
+				{arg: 'options', type: 'object', http: 'optionsFromRequest'}
+			],
+			returns: {arg: 'data', type: 'fileobject', root: true}
+		}
+	)
+
+	/**
+	 * Move a fileobject to state `to`, stamping approved_date/archived_date
+	 * and recording the step in its status_history.
+	 */
+	fileobject.transition = function(id, to, note, options, cb){
+		let Status = fileobject.app.models.fileobject_status
+		if(Status.STATES.indexOf(to) === -1){
+			let unknown = new Error('Unknown status ' + to + ' (expected one of ' +
+				Status.STATES.join(', ') + ')')
+			unknown.statusCode = 422
+			return cb(unknown)
+		}
+		fileobject.findById(id, function(err, file_object){
+			if(err) return cb(err)
+			if(!file_object){
+				let notFound = new Error('Unknown fileobject ' + id)
+				notFound.statusCode = 404
+				return cb(notFound)
+			}
+			let from = file_object.current_status
+			if(!Status.canTransition(from, to)){
+				let illegal = new Error("Can't move fileobject " + id + ' from ' +
+					from + ' to ' + to)
+				illegal.statusCode = 422
+				return cb(illegal)
+			}
+
+			if(!STATE_ROLES[to]) return move(file_object, from)
+			hasRole(fileobject.app, options, STATE_ROLES[to]).then(allowed => {
+				if(allowed) return move(file_object, from)
+				let forbidden = new Error('Only ' + STATE_ROLES[to].join(' or ') +
+					' users can move a fileobject to ' + to)
+				forbidden.statusCode = 403
+				cb(forbidden)
+			}, cb)
+		})
+
+		function move(file_object, from){
+			let now = new Date()
+			let changes = {current_status: to}
+			if(STATE_DATES[to]){
+				changes[STATE_DATES[to]] = now
+			}
+			// Only succeeds if nobody moved it in the meantime
+			let saveOptions = Object.assign({}, options, {transition: true})
+			fileobject.updateAll({id: file_object.id, current_status: from}, changes, saveOptions, function(err, info){
+				if(err) return cb(err)
+				if(info.count === 0){
+					let conflict = new Error('Fileobject ' + id + ' changed status ' +
+						'while moving it to ' + to)
+					conflict.statusCode = 409
+					return cb(conflict)
+				}
+				file_object.status_history.create({
+					from_status: from,
+					status: to,
+					date: now,
+					actor: actorOf(options),
+					note: note
+				}, function(err){
+					if(err) return cb(err)
+					syncConverted(file_object, to, now, function(err){
+						if(err) return cb(err)
+						fileobject.findById(file_object.id, cb)
+					})
+				})
+			})
+		}
+	}
+
+	// converted_fileobject.status mirrors the lifecycle of its fileobject
+	function syncConverted(file_object, status, date, cb){
+		if(!file_object.converted_fileobject_id) return cb()
+		fileobject.app.models.converted_fileobject.updateAll(
+			{id: file_object.converted_fileobject_id},
+			{status: status, status_date_change: date},
+			function(err){ cb(err) })
+	}
 };
@@ -0,0 +1,68 @@
+'use strict';
+
+const _ = require('lodash');
+const {ROLES, rolesOf} = require('../../server/lib/roles');
+const {actorOf} = require('../../server/lib/actor');
+
+module.exports = function(Invitation) {
+  Invitation.validatesFormatOf('email', {with: /^[^@\s]+@[^@\s]+$/});
+  Invitation.validatesUniquenessOf('email', {
+    message: 'already has an invitation',
+  });
+  Invitation.validate('roles', function(err) {
+    if (_.difference(this.roles || [], ROLES).length > 0) err();
+  }, {message: 'must be among ' + ROLES.join(', ')});
+
+  Invitation.observe('before save', function(ctx, next) {
+    let data = ctx.instance || ctx.data;
+    if (typeof data.email === 'string') {
+      data.email = data.email.trim().toLowerCase();
+    }
+    if (ctx.isNewInstance) {
+      data.created_date = data.created_date || new Date();
+      data.invited_by = actorOf(ctx.options);
+    }
+    next();
+  });
+
+  /**
+   * The invitation for an email address, accepted or not.
+   *
+   * @param {String} email
+   * @returns {Promise} resolving to the invitation or null
+   */
+  Invitation.forEmail = function(email) {
+    return Invitation.findOne({
+      where: {email: String(email).trim().toLowerCase()},
+    });
+  };
+
+  /**
+   * Give user the roles and customer of an invitation that hasn't been
+   * accepted yet. Roles the user already has are kept.
+   *
+   * @param {Object} invitation
+   * @param {Object} user
+   * @returns {Promise} resolving to the user's role names
+   */
+  Invitation.accept = function(invitation, user) {
+    let app = Invitation.app;
+    if (invitation.accepted_date) {
+      return rolesOf(app, user.id);
+    }
+    return rolesOf(app, user.id)
+      .then(names => app.models.user.setRoles(user.id,
+                                              _.union(names, invitation.roles)))
+      .then(names => {
+        let updates = [invitation.updateAttributes({
+          accepted_date: new Date(),
+          user_id: String(user.id),
+        })];
+        if (invitation.customer_id) {
+          updates.push(user.updateAttribute('customer_id',
+                                            invitation.customer_id));
+        }
+        return Promise.all(updates).then(() => names);
+      });
+  };
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = function(Job) {
+  Job.STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+  Job.validatesInclusionOf('status', {in: Job.STATUSES});
+
+  // Created and run by the job queue (see server/lib/jobs.js); the REST API
+  // can only follow them.
+  [
+    'create',
+    'upsert',
+    'replaceOrCreate',
+    'upsertWithWhere',
+    'replaceById',
+    'updateAll',
+    'deleteById',
+    'prototype.patchAttributes',
+  ].forEach(name => Job.disableRemoteMethodByName(name));
+};
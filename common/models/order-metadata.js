@@ -1,5 +1,424 @@
 'use strict';
 
+const _ = require('lodash');
+const jsonDiff = require('../../server/lib/json-diff');
+const orderDiff = require('../../server/lib/order-diff');
+const orderExport = require('../../server/lib/order-export');
+const {withoutBookkeeping} = orderExport;
+
+// How fields of the parsed objects (named by the order-reader dictionary)
+// map onto the properties of each order model.
+const METADATA_FIELDS = {
+  request_no: 'request_number',
+  email_time: 'email_time',
+  priority: 'priority',
+  project: 'project',
+  analyst: 'analyst',
+  status: 'status',
+  requestor: 'requestor',
+  phone: 'phone',
+  submitted: 'submitted_date',
+  requested_due: 'requested_due_date',
+  confirmed_due: 'confirmed_due_date',
+  agency_control: 'agency_control',
+  agency: 'agency',
+  order_type: 'order_type',
+  cost_center: 'cost_center',
+  request_description: 'request_description',
+  location_description: 'location_description',
+};
+
+const INFORMATION_FIELDS = {
+  request_no: 'request_number',
+  sr_no: 'sr_number',
+  action: 'action',
+  inventory_no: 'inventory_number',
+  previous_inventory_no: 'previous_inventory_number',
+  user_name: 'user_name',
+  cost_center: 'cost_center',
+  cost_center_description: 'cost_center_description',
+  vendor: 'vendor',
+  service: 'service',
+  sr_description: 'sr_description',
+  comments: 'comments',
+  requested_due_date: 'requested_due_date',
+  confirmed_due_date: 'confirmed_due_date',
+  billing_account_no: 'billing_account_number',
+  equipment_model_no: 'equipment_model_number',
+  primary_secondary_location: 'secondary_location',
+  contacts: 'contacts',
+};
+
+// Line item table columns
+const CONTENTS_COLUMNS = {
+  'Action': 'action',
+  'Description': 'description',
+  'RC Qty': 'rc_quantity',
+  'Rc Amt': 'rc_amount',
+  'NRC Qty': 'nrc_quantity',
+  'NRC Amt': 'nrc_amount',
+  'Vendor': 'vendor',
+};
+
+// order_information properties repeated on each of its line items
+const INHERITED_FIELDS = [
+  'sr_number',
+  'inventory_number',
+  'previous_inventory_number',
+  'user_name',
+];
+
+// Requests read at a time by export
+const EXPORT_PAGE_SIZE = 100;
+
+// Descriptions end with the product code, e.g. 'NW 400 SHARE W/DATA 97461'
+const SKU_CODE = /(?:^|[\s-])(\d{4,})$/;
+
+function pick(source, fields) {
+  let record = {};
+  _.forEach(fields, (property, field) => {
+    if (_.has(source, field)) {
+      record[property] = source[field];
+    }
+  });
+  return record;
+}
+
 module.exports = function(Ordermetadata) {
+  /**
+   * Normalize the OrderOwner objects of a parse result, along with their
+   * orders and line items, into order_metadata, order_information and
+   * order_contents records linked to the converted_fileobject.
+   *
+   * @param {Object} converted the converted_fileobject holding the result
+   * @param {Array} objects the parsed objects
+   * @returns {Promise} resolving to the created order_metadata records
+   */
+  Ordermetadata.createFromParsed = function(converted, objects) {
+    let created = [];
+    return objects.reduce((prev, owner) => prev.then(() => {
+      let data = pick(owner, METADATA_FIELDS);
+      data.converted_fileobject_id = String(converted.id);
+      return Ordermetadata.create(data).then(metadata => {
+        created.push(metadata);
+        return createInformation(metadata, owner.orders || []);
+      });
+    }), Promise.resolve())
+      .then(() => created);
+  };
+
+  function createInformation(metadata, orders) {
+    return Promise.all(orders.map(order => {
+      return metadata.order_information.create(pick(order, INFORMATION_FIELDS))
+        .then(information => {
+          return createContents(information, order.line_items || []);
+        });
+    }));
+  }
+
+  function createContents(information, lineItems) {
+    let inherited = _.pick(information, INHERITED_FIELDS);
+    return Promise.all(lineItems.map((item, i) => {
+      let data = _.assign({line_number: i + 1}, inherited,
+                          pick(item, CONTENTS_COLUMNS));
+      let sku = SKU_CODE.exec(data.description || '');
+      if (sku) {
+        data.sku_code = sku[1];
+      }
+      return information.order_contents.create(data);
+    }));
+  }
+
+  /**
+   * Find the stored orders the OrderOwner objects of a parse result are
+   * another copy of: the current revision with the same request_no or, for
+   * owners whose request_no isn't known, one holding any of their sr_no.
+   *
+   * @param {Array} objects the parsed objects
+   * @returns {Promise} resolving to {matched, added}: matched lists
+   *   {request_no, previous (the order_metadata), changes (a json-diff
+   *   of the stored owner against the parsed one)}, added the request_no
+   *   of owners seen for the first time
+   */
+  Ordermetadata.compareParsed = function(objects) {
+    let contents = {};
+    let comparison = {matched: [], added: []};
+    return objects.reduce((prev, owner) => prev.then(() => {
+      return findCurrent(owner).then(previous => {
+        if (!previous) {
+          comparison.added.push(owner.request_no);
+          return;
+        }
+        return storedOwner(previous, contents).then(stored => {
+          comparison.matched.push({
+            request_no: owner.request_no,
+            previous: previous,
+            changes: jsonDiff.diff(withoutBookkeeping(stored || {}),
+                                   withoutBookkeeping(owner)),
+          });
+        });
+      });
+    }), Promise.resolve())
+      .then(() => comparison);
+  };
+
+  function findCurrent(owner) {
+    let latest = candidates => _.findLast(candidates, c => !c.superseded_by);
+    let byRequest = owner.request_no ?
+      Ordermetadata.find({where: {request_number: owner.request_no}}) :
+      Promise.resolve([]);
+    return byRequest.then(candidates => {
+      let current = latest(_.sortBy(candidates, 'revision'));
+      let srNumbers = _.compact(_.map(owner.orders, 'sr_no'));
+      if (current || srNumbers.length === 0) {
+        return current;
+      }
+      return Ordermetadata.app.models.order_information.find({
+        where: {sr_number: {inq: srNumbers}},
+      }).then(information => {
+        let ids = _.uniq(information.map(i => String(i.order_metadata_id)));
+        if (ids.length === 0) return null;
+        return Ordermetadata.find({where: {id: {inq: ids}}})
+          .then(candidates => latest(_.sortBy(candidates, 'revision')));
+      });
+    });
+  }
+
+  // The OrderOwner object a stored order_metadata was created from,
+  // reading each converted_fileobject once
+  function storedOwner(metadata, contents) {
+    let id = metadata.converted_fileobject_id;
+    if (!contents[id]) {
+      contents[id] = Ordermetadata.app.models.converted_fileobject
+        .findById(id)
+        .then(converted => converted ? JSON.parse(converted.contents) : []);
+    }
+    return contents[id].then(objects => _.find(objects, {
+      request_no: metadata.request_number,
+    }));
+  }
+
+  /**
+   * Mark stored orders as replaced by newly created revisions of them.
+   *
+   * @param {Array} revisions {request_no, order_metadata_id, revision} of
+   *   the stored orders being replaced
+   * @param {Array} created the order_metadata created for the revisions
+   * @returns {Promise}
+   */
+  Ordermetadata.supersede = function(revisions, created) {
+    return Promise.all(revisions.map(revision => {
+      let replacement = _.find(created, {request_number: revision.request_no});
+      if (!replacement) return;
+      return Promise.all([
+        Ordermetadata.updateAll({id: revision.order_metadata_id},
+                                {superseded_by: String(replacement.id)}),
+        replacement.updateAttributes({
+          revision_of: String(revision.order_metadata_id),
+          revision: revision.revision + 1,
+        }),
+      ]);
+    }));
+  };
+
+  Ordermetadata.remoteMethod(
+    'diff', {
+      description: 'Compare two versions of a request: changed OrderOwner ' +
+        'fields, added and removed Orders by sr_no and changed line_items ' +
+        'rows.',
+      accessType: 'READ',
+      http: {
+        path: '/:id/diff',
+        verb: 'get',
+      },
+      accepts: [
+        {arg: 'id', type: 'string', required: true},
+        {arg: 'against', type: 'string',
+          description: 'The order_metadata to compare with; by default the ' +
+            'one this is a revision of'},
+        {arg: 'format', type: 'string',
+          description: 'nested (the default) or rows, one per change, for ' +
+            'exporting'},
+      ],
+      returns: {arg: 'data', type: 'object', root: true},
+    }
+  );
+
+  Ordermetadata.diff = function(id, against, format, cb) {
+    let Converted = Ordermetadata.app.models.converted_fileobject;
+    Ordermetadata.findById(id)
+      .then(metadata => {
+        if (!metadata) throw notFound(id);
+        against = against || metadata.revision_of;
+        if (!against) {
+          let err = new Error('order_metadata ' + id + ' is not a revision; ' +
+                              'say what to compare it against');
+          err.statusCode = 422;
+          throw err;
+        }
+        return Ordermetadata.findById(against).then(previous => {
+          if (!previous) throw notFound(against);
+          let contents = {};
+          return Promise.all([
+            storedOwner(previous, contents),
+            storedOwner(metadata, contents),
+          ]);
+        });
+      })
+      .then(([before, after]) => {
+        Converted.formatDiff({from: against, to: id},
+                             [orderDiff.diffOwner(before, after)], format, cb);
+      })
+      .catch(cb);
+  };
+
+  Ordermetadata.remoteMethod(
+    'export', {
+      description: 'Export the current revision of every request matching ' +
+        'a filter as one csv or xlsx file, read and streamed a page of ' +
+        'requests at a time.',
+      accessType: 'READ',
+      http: {
+        path: '/export',
+        verb: 'get',
+      },
+      accepts: [
+        {arg: 'customer', type: 'string',
+          description: 'customer_id of the fileobjects the orders came in'},
+        {arg: 'vendor', type: 'string',
+          description: 'Only orders for this vendor, and the requests ' +
+            'holding them'},
+        {arg: 'status', type: 'string'},
+        {arg: 'submitted_from', type: 'date',
+          description: 'Requests submitted on or after this date'},
+        {arg: 'submitted_to', type: 'date',
+          description: 'Requests submitted before this date'},
+        {arg: 'cost_center', type: 'string'},
+        {arg: 'format', type: 'string',
+          description: 'csv (the default) or xlsx'},
+        {arg: 'template', type: 'string',
+          description: 'Id of an export_template choosing the columns'},
+        {arg: 'options', type: 'object', http: 'optionsFromRequest'},
+        {arg: 'res', type: 'object', http: {source: 'res'}},
+      ],
+      returns: {},
+    }
+  );
+
+  Ordermetadata.export = function(customer, vendor, status, submitted_from,
+                                  submitted_to, cost_center, format, template,
+                                  options, res, cb) {
+    let filter = {
+      customer: customer,
+      vendor: vendor,
+      status: status,
+      submitted_from: submitted_from,
+      submitted_to: submitted_to,
+      cost_center: cost_center,
+    };
+    let ExportTemplate = Ordermetadata.app.models.export_template;
+    Promise.all([
+      Ordermetadata.exportWhere(filter, options),
+      template ? ExportTemplate.load(template) : null,
+    ])
+      .then(([where, template]) => orderExport.exportPages(
+        () => exportPages(where, vendor),
+        {format: format, template: template, filter: filter}))
+      .then(exported => orderExport.send(res, exported, cb))
+      .catch(cb);
+  };
+
+  /**
+   * The where clause for the current revisions of the requests an export
+   * filter matches. customer goes through the fileobjects the orders came
+   * in, limited to those the caller may see; vendor through the orders.
+   *
+   * @param {Object} filter customer, vendor, status, submitted_from,
+   *   submitted_to and cost_center, all optional
+   * @param {Object} [options] the caller's options
+   * @returns {Promise} resolving to the where clause
+   */
+  Ordermetadata.exportWhere = function(filter, options) {
+    let models = Ordermetadata.app.models;
+    let conditions = [{superseded_by: null}];
+    if (filter.status) conditions.push({status: filter.status});
+    if (filter.cost_center) {
+      conditions.push({cost_center: filter.cost_center});
+    }
+    if (filter.submitted_from) {
+      conditions.push({submitted_date: {gte: filter.submitted_from}});
+    }
+    if (filter.submitted_to) {
+      conditions.push({submitted_date: {lt: filter.submitted_to}});
+    }
+    let lookups = [];
+    if (filter.customer) {
+      lookups.push(models.fileobject.find({
+        where: {customer_id: filter.customer},
+        fields: {converted_fileobject_id: true},
+      }, options).then(fileobjects => {
+        let ids = _.compact(_.map(fileobjects, 'converted_fileobject_id'));
+        conditions.push({converted_fileobject_id: {inq: ids.map(String)}});
+      }));
+    }
+    if (filter.vendor) {
+      lookups.push(models.order_information.find({
+        where: {vendor: filter.vendor},
+        fields: {order_metadata_id: true},
+      }).then(information => {
+        let ids = _.uniq(_.compact(_.map(information, 'order_metadata_id'))
+          .map(String));
+        conditions.push({id: {inq: ids}});
+      }));
+    }
+    return Promise.all(lookups).then(() => ({and: conditions}));
+  };
+
+  // Reads the requests matching where a page at a time, oldest submitted
+  // first, as the OrderOwner objects they were created from
+  function exportPages(where, vendor) {
+    let skip = 0;
+    let done = false;
+    return () => {
+      if (done) return Promise.resolve(null);
+      return Ordermetadata.find({
+        where: where,
+        order: ['submitted_date ASC', 'id ASC'],
+        skip: skip,
+        limit: EXPORT_PAGE_SIZE,
+      }).then(page => {
+        skip += page.length;
+        done = page.length < EXPORT_PAGE_SIZE;
+        if (page.length === 0) return null;
+        let contents = {};
+        return Promise.all(page.map(metadata =>
+          storedOwner(metadata, contents)))
+          .then(owners => _.compact(owners).map(owner => !vendor ? owner :
+            _.assign({}, owner, {
+              orders: _.filter(owner.orders, {vendor: vendor}),
+            })));
+      });
+    };
+  }
+
+  function notFound(id) {
+    let err = new Error('Unknown order_metadata ' + id);
+    err.statusCode = 404;
+    return err;
+  }
+
+  // Deleting a revision makes the one it replaced current again
+  Ordermetadata.observe('before delete', function(ctx) {
+    return Ordermetadata.find({where: ctx.where, fields: {id: true}})
+      .then(deleted => {
+        ctx.hookState.deletedIds = deleted.map(m => String(m.id));
+      });
+  });
 
+  Ordermetadata.observe('after delete', function(ctx) {
+    let ids = ctx.hookState.deletedIds || [];
+    if (ids.length === 0) return Promise.resolve();
+    return Ordermetadata.updateAll({superseded_by: {inq: ids}},
+                                   {superseded_by: null});
+  });
 };
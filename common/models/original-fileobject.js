@@ -1,98 +1,717 @@
 'use strict';
 
+const Busboy = require('busboy');
+const crypto = require('crypto');
+const path = require('path');
+const {PassThrough, Transform} = require('stream');
 const reader = require('order-reader');
+const zip = require('../../server/lib/zip');
+const {actorOf} = require('../../server/lib/actor');
 
-const dictionaryData = {
-  'OrderOwner': {
-    'fields': {
-      'request_no': 'Request # :',
-      'email_time': 'Email Date Time:',
-      'priority': 'Priority:',
-      'project': 'Project:',
-      'analyst': 'Analyst:',
-      'status': 'Status:',
-      'requestor': 'Requestor:',
-      'phone': 'Phone:',
-      'submitted': 'Submitted:',
-      'requested_due': 'Requested Due:',
-      'confirmed_due': 'Confirmed Due:',
-      'agency_control': 'Agency Control:',
-      'agency': 'Agency:',
-      'order_type': 'Order Type:',
-      'cost_center': 'Cost Center:',
-      'request_description': 'Request Description:',
-      'location_description': 'Location Description:',
-    },
-  },
-  'Order': {
-    'fields': {
-      'request_no': 'Request #:',
-      'action': 'Action:',
-      'inventory_no': 'Inventory #:',
-      'previous_inventory_no': 'Previous Inventory #:',
-      'user_name': 'User Name:',
-      'cost_center': 'Cost Center:',
-      'cost_center_description': 'Cost Center Description:',
-      'vendor': 'Vendor:',
-      'service': 'Service:',
-      'sr_no': 'SR #:',
-      'sr_description': 'SR Description:',
-      'comments': 'Comments:',
-      'requested_due_date': 'Requested Due Date:',
-      'billing_account_no': 'BILLING ACCOUNT #:',
-      'equipment_model_no': 'EQUIPMENT MODEL #:',
-    },
-    'fields_by_header': {
-      'Confirmed Due Date:': {
-        'type': 'field_followed_by_table',
-        'field_name': 'confirmed_due_date',
-        'table_name': 'line_items',
-        'num_columns': 7,
-      },
-      'Primary Location': {
-        'type': 'primary_secondary_location',
-        'location_field': 'primary_secondary_location',
-        'contacts_field': 'contacts',
-      },
-    },
-    'belongs_to': {
-      'as': 'orders',
-      'match_on': 'request_no',
-    },
-  },
-};
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 50;
+
+// Content types browsers and mail clients give zip archives
+const ZIP_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/x-zip',
+];
 
-const parser = new reader.OrderParser(dictionaryData);
+// What to do with an upload that duplicates or revises stored orders:
+// keep it anyway, reject it (409), or merge it into what is stored.
+const DUPLICATE_MODES = ['keep', 'reject', 'merge'];
 
 module.exports = function(Originalfileobject) {
+  Originalfileobject.validatesInclusionOf('parse_mode', {
+    in: reader.PARSE_MODES,
+  });
+  Originalfileobject.validate('contents', function(err) {
+    if (this.contents === undefined && !this.storage_key) err();
+  }, {message: 'is required unless the file was uploaded'});
+
+  // New records are stamped with who made them and when. Uploads get their
+  // checksum from storage; exports posted as JSON are fingerprinted the
+  // same way so both are caught as duplicates.
+  Originalfileobject.observe('before save', function(ctx) {
+    let instance = ctx.instance || ctx.data;
+    if (ctx.isNewInstance) {
+      instance.created_date = instance.created_date || new Date();
+      instance.created_by = actorOf(ctx.options);
+    }
+    if (typeof instance.contents === 'string' && !instance.storage_key) {
+      instance.checksum = crypto.createHash('sha256')
+        .update(instance.contents)
+        .digest('hex');
+    }
+    return Promise.resolve();
+  });
+
   Originalfileobject.beforeRemote('create', function(context, original_fileobject, next) {
-    context.args.data.idkey = new Date().getTime();
-    next();
+    let data = context.args.data;
+    let modeError = checkDuplicatesMode(context.req.query.duplicates);
+    if (modeError) return next(modeError);
+
+    // Callers may pick a specific (possibly draft) dictionary version;
+    // otherwise the active one is used.
+    Originalfileobject.app.models.dictionary
+      .resolveParser(data.dictionary_version)
+      .then(resolved => {
+        data.dictionary_version = String(resolved.dictionary.version);
+        data.dictionary_approval = resolved.dictionary.approved;
+        next();
+      })
+      .catch(next);
   });
 
+  // Conversion is queued as a job unless the caller asks to wait for it
+  // with ?wait=true.
   Originalfileobject.afterRemote('create', function(context, original_fileobject, next) {
-    parser.parse(original_fileobject.contents)
-        .then(result => {
-          Originalfileobject.app.models.converted_fileobject.create({
-            contents: JSON.stringify(result),
-            status: '',
-            status_date_change: Date.now(),
-            dictionary_version: '',
-            dictionary_approval: '',
-            idkey: original_fileobject.idkey,
-          }, (err, converted_object) => {
-            context.result = {
-              result: result,
-              original_fileobject_id: original_fileobject.id,
-              converted_fileobject_id: converted_object.id,
-              original_fileobject: original_fileobject
-            };
-            next();
+    let query = context.req.query;
+    let duplicates = query.duplicates || 'keep';
+    let done = query.wait === 'true' ?
+      Originalfileobject.convert(original_fileobject, duplicates) :
+      queueConversion(original_fileobject, duplicates, context.args.options)
+        .then(answer => {
+          context.res.status(202);
+          return answer;
+        });
+    done.then(result => {
+      context.result = result;
+      next();
+    }, next);
+  });
+
+  /**
+   * Parse an original_fileobject and store the conversion, unless it
+   * duplicates stored orders and duplicates says to reject or merge it. A
+   * rejected original_fileobject is kept without a conversion, its rejected
+   * property saying why; a merged one is removed.
+   *
+   * @param {Object} original_fileobject
+   * @param {String} duplicates one of DUPLICATE_MODES
+   * @param {Function} [progress] called with (stage, percent) as it goes
+   * @returns {Promise} resolving to what create and upload answer with
+   */
+  Originalfileobject.convert = function(original_fileobject, duplicates,
+                                        progress) {
+    let Dictionary = Originalfileobject.app.models.dictionary;
+    progress = progress || (() => {});
+    var dictionary, parsed;
+    return Dictionary.resolveParser(original_fileobject.dictionary_version)
+      .then(resolved => {
+        dictionary = resolved.dictionary;
+        return resolved.parser.parseWithDiagnostics(
+          withProgress(original_fileobject, progress),
+          {
+            mode: original_fileobject.parse_mode,
+            provenance: original_fileobject.record_provenance,
           });
+      })
+      .then(result => {
+        parsed = result;
+        progress('saving', null);
+        return checkDuplicates(original_fileobject.checksum, parsed.objects,
+                               original_fileobject.id);
+      })
+      .then(check => {
+        if (!isDiscarded(check, duplicates)) {
+          return saveConversion(original_fileobject, dictionary, parsed,
+                                check, duplicates === 'merge');
+        }
+        if (duplicates === 'reject') {
+          // Kept, marked, so what was sent and turned away is on record
+          let err = duplicateError(check);
+          return original_fileobject.updateAttributes({rejected: err.code})
+            .then(() => {
+              throw err;
+            });
+        }
+        return original_fileobject.destroy()
+          .then(() => mergedDuplicate(parsed, check));
+      })
+      .catch(e => {
+        throw conversionError(e, original_fileobject);
+      });
+  };
+
+  /**
+   * Run a queued conversion (see server/boot/jobs.js). Whatever an earlier,
+   * interrupted attempt stored is cleared first.
+   *
+   * @param {Object} payload {original_fileobject_id, duplicates}
+   * @param {Function} progress
+   * @returns {Promise} resolving to the ids of the stored records and the
+   *   duplicate check, for the job's result
+   */
+  Originalfileobject.runConversion = function(payload, progress) {
+    let models = Originalfileobject.app.models;
+    let id = payload.original_fileobject_id;
+    return Originalfileobject.findById(id)
+      .then(original_fileobject => {
+        if (!original_fileobject) {
+          let notFound = new Error('Unknown original_fileobject ' + id);
+          notFound.statusCode = 404;
+          throw notFound;
+        }
+        return models.converted_fileobject
+          .destroyAll({original_fileobject_id: String(id)})
+          .then(() => Originalfileobject.convert(original_fileobject,
+                                                 payload.duplicates || 'keep',
+                                                 progress));
+      })
+      .then(result => ({
+        original_fileobject_id: result.original_fileobject_id,
+        converted_fileobject_id: result.converted_fileobject_id,
+        order_metadata_ids: result.order_metadata_ids,
+        duplicate_check: result.duplicate_check,
+      }));
+  };
+
+  /**
+   * Queue the conversion of an original_fileobject.
+   *
+   * @returns {Promise} resolving to what create and upload answer with
+   *   instead of the conversion: the job's id, status and URL
+   */
+  function queueConversion(original_fileobject, duplicates, options) {
+    let app = Originalfileobject.app;
+    return app.jobs.enqueue('convert', {
+      original_fileobject_id: String(original_fileobject.id),
+      duplicates: duplicates,
+    }, options).then(job => ({
+      job_id: job.id,
+      job_status: job.status,
+      job_url: app.get('restApiRoot') + '/jobs/' + job.id,
+      original_fileobject_id: original_fileobject.id,
+      original_fileobject: original_fileobject,
+    }));
+  }
+
+  // The export to parse, reporting how much of it has been read
+  function withProgress(original_fileobject, progress) {
+    let contents = original_fileobject.openContents();
+    if (typeof contents === 'string') {
+      return contents;
+    }
+    let size = original_fileobject.size;
+    var read = 0;
+    let counter = new Transform({
+      transform(chunk, encoding, done) {
+        read += chunk.length;
+        progress('parsing', size ? Math.floor(read * 100 / size) : null);
+        done(null, chunk);
+      },
+    });
+    contents.on('error', err => counter.emit('error', err));
+    return contents.pipe(counter);
+  }
+
+  /**
+   * Store a parse result as the converted_fileobject of an original, along
+   * with its normalized orders. When merging, orders that are already
+   * stored unchanged aren't stored again and revised ones supersede what
+   * they revise.
+   *
+   * @param {Object} check the upload's duplicate check
+   * @param {Boolean} merge
+   * @returns {Promise} resolving to what create and upload answer with
+   */
+  function saveConversion(original_fileobject, dictionary, parsed, check,
+                          merge) {
+    let models = Originalfileobject.app.models;
+    let objects = parsed.objects;
+    let unchanged = merge ? check.unchanged : [];
+    let known = unchanged.map(u => u.request_no);
+    objects = objects.filter(o => known.indexOf(o.request_no) === -1);
+    return models.converted_fileobject.create({
+      contents: JSON.stringify(parsed.objects),
+      diagnostics: parsed.diagnostics,
+      unclassified: parsed.unclassified,
+      parse_mode: original_fileobject.parse_mode,
+      status: 'parsed',
+      status_date_change: Date.now(),
+      dictionary_version: dictionary.version,
+      dictionary_approval: dictionary.approved,
+      original_fileobject_id: String(original_fileobject.id),
+    }).then(converted_object => {
+      // Make the orders queryable on their own, not just as JSON.
+      return models.order_metadata
+        .createFromParsed(converted_object, objects)
+        .then(metadata => {
+          if (!merge) return metadata;
+          return models.order_metadata.supersede(check.revisions, metadata)
+            .then(() => metadata);
         })
-        .catch(e => {
-          console.log('error:', e);
-          next();
+        .then(metadata => ({
+          result: parsed.objects,
+          diagnostics: parsed.diagnostics,
+          unclassified: parsed.unclassified,
+          original_fileobject_id: original_fileobject.id,
+          converted_fileobject_id: converted_object.id,
+          order_metadata_ids: metadata.map(m => m.id)
+            .concat(unchanged.map(u => u.order_metadata_id)),
+          original_fileobject: original_fileobject,
+          duplicate_check: check,
+        }));
+    });
+  }
+
+  /**
+   * Work out whether an upload repeats what is already stored: the same
+   * file, by checksum, or the same orders, by request_no and sr_no.
+   *
+   * @param {String} checksum
+   * @param {Array} objects the parsed objects
+   * @param {*} exceptId the upload's own original_fileobject, once created
+   * @returns {Promise} resolving to the duplicate_check answered with the
+   *   upload, whose status is
+   *
+   *   duplicate: the file (match 'checksum') or every order in it (match
+   *     'orders') is stored already, as duplicate_of
+   *   revision: some of its orders are stored already; revisions lists
+   *     those that changed (with the changes), unchanged those that
+   *     didn't and new_requests the rest
+   *   new: none of its orders are stored
+   */
+  function checkDuplicates(checksum, objects, exceptId) {
+    let Metadata = Originalfileobject.app.models.order_metadata;
+    return convertedCopy(checksum, exceptId).then(converted => {
+      if (converted) {
+        let where = {converted_fileobject_id: String(converted.id)};
+        return Metadata.find({where: where}).then(metadata => ({
+          status: 'duplicate',
+          match: 'checksum',
+          duplicate_of: {
+            original_fileobject_id: converted.original_fileobject_id,
+            converted_fileobject_id: converted.id,
+            order_metadata_ids: metadata.map(m => m.id),
+          },
+        }));
+      }
+      return Metadata.compareParsed(objects).then(comparison => {
+        let revisions = comparison.matched.filter(m => m.changes.length);
+        let unchanged = comparison.matched.filter(m => !m.changes.length);
+        if (unchanged.length && unchanged.length === objects.length) {
+          let ids = unchanged.map(m => m.previous.converted_fileobject_id);
+          return {
+            status: 'duplicate',
+            match: 'orders',
+            duplicate_of: {
+              converted_fileobject_ids: ids.filter((id, i) =>
+                ids.indexOf(id) === i),
+              order_metadata_ids: unchanged.map(m => m.previous.id),
+            },
+          };
+        }
+        return {
+          status: comparison.matched.length ? 'revision' : 'new',
+          revisions: revisions.map(m => ({
+            request_no: m.request_no,
+            order_metadata_id: m.previous.id,
+            converted_fileobject_id: m.previous.converted_fileobject_id,
+            revision: m.previous.revision || 1,
+            changes: m.changes,
+          })),
+          unchanged: unchanged.map(m => ({
+            request_no: m.request_no,
+            order_metadata_id: m.previous.id,
+          })),
+          new_requests: comparison.added,
+        };
+      });
+    });
+  }
+
+  // The conversion of another upload of the same file. One that was never
+  // converted doesn't count, so a file can be retried, e.g. with another
+  // dictionary.
+  function convertedCopy(checksum, exceptId) {
+    if (!checksum) return Promise.resolve(null);
+    return Originalfileobject.find({where: {checksum: checksum}})
+      .then(originals => {
+        let ids = originals
+          .filter(o => String(o.id) !== String(exceptId))
+          .map(o => String(o.id));
+        if (ids.length === 0) return null;
+        return Originalfileobject.app.models.converted_fileobject.findOne({
+          where: {original_fileobject_id: {inq: ids}},
         });
+      });
+  }
+
+  function checkDuplicatesMode(duplicates) {
+    if (duplicates === undefined ||
+        DUPLICATE_MODES.indexOf(duplicates) !== -1) {
+      return null;
+    }
+    let err = new Error('duplicates must be one of ' +
+                        DUPLICATE_MODES.join(', '));
+    err.statusCode = 422;
+    return err;
+  }
+
+  // Rejected uploads and merged duplicates get no conversion
+  function isDiscarded(check, duplicates) {
+    return check.status !== 'new' && (duplicates === 'reject' ||
+      duplicates === 'merge' && check.status === 'duplicate');
+  }
+
+  function duplicateError(check) {
+    let duplicate = check.status === 'duplicate';
+    let err = new Error(duplicate ?
+      'These orders have been uploaded before' :
+      'This upload revises orders that have been uploaded before');
+    err.statusCode = 409;
+    err.code = duplicate ? 'DUPLICATE_UPLOAD' : 'REVISED_UPLOAD';
+    err.details = check;
+    return err;
+  }
+
+  /**
+   * Answer a merged duplicate with the records already stored for it.
+   */
+  function mergedDuplicate(parsed, check) {
+    let models = Originalfileobject.app.models;
+    let duplicate_of = check.duplicate_of;
+    let answer = {
+      order_metadata_ids: duplicate_of.order_metadata_ids,
+      duplicate_check: check,
+    };
+    if (check.match !== 'checksum') {
+      return Promise.resolve(Object.assign({
+        result: parsed.objects,
+        diagnostics: parsed.diagnostics,
+        unclassified: parsed.unclassified,
+      }, answer));
+    }
+    return Promise.all([
+      models.converted_fileobject.findById(
+        duplicate_of.converted_fileobject_id),
+      Originalfileobject.findById(duplicate_of.original_fileobject_id),
+    ]).then(([converted_object, original_fileobject]) => Object.assign({
+      result: JSON.parse(converted_object.contents),
+      diagnostics: converted_object.diagnostics,
+      unclassified: converted_object.unclassified,
+      original_fileobject_id: original_fileobject.id,
+      converted_fileobject_id: converted_object.id,
+      original_fileobject: original_fileobject,
+    }, answer));
+  }
+
+  // The upload itself is kept; report why it couldn't be converted.
+  function conversionError(e, original_fileobject) {
+    if (e instanceof reader.ParseError) {
+      e.statusCode = 422;
+      e.details = {
+        original_fileobject_id: original_fileobject.id,
+        diagnostics: e.diagnostics,
+      };
+    }
+    return e;
+  }
+
+  Originalfileobject.remoteMethod(
+    'upload', {
+      description: 'Upload order exports as multipart/form-data, in "order" ' +
+        'file fields, and queue their conversion. Unlike create, files are ' +
+        'streamed to storage rather than sent as JSON, so they can be ' +
+        'large. Several files, or a zip archive of them, are converted ' +
+        'each on their own and reported on as an upload_batch.',
+      accessType: 'WRITE',
+      http: {
+        path: '/upload',
+        verb: 'post',
+      },
+      accepts: [
+        {arg: 'req', type: 'object', http: {source: 'req'}},
+        {arg: 'dictionary_version', type: 'string', http: {source: 'query'}},
+        {arg: 'parse_mode', type: 'string', http: {source: 'query'}},
+        {arg: 'record_provenance', type: 'boolean',
+          http: {source: 'query'}},
+        {arg: 'duplicates', type: 'string', http: {source: 'query'},
+          description: 'What to do if the upload duplicates or revises ' +
+            'stored orders: keep (the default) stores it anyway, reject ' +
+            'answers 409, merge stores only what is new and marks revised ' +
+            'orders as superseded'},
+        {arg: 'wait', type: 'boolean', http: {source: 'query'},
+          description: 'Convert the file while the request waits, rather ' +
+            'than answering 202 with a job to follow'},
+        {arg: 'options', type: 'object', http: 'optionsFromRequest'},
+      ],
+      returns: {arg: 'data', type: 'object', root: true},
+    }
+  );
+
+  /**
+   * Store uploaded order exports and convert them, or queue their
+   * conversion. A single file is answered like create, with the file's
+   * size and checksum on the original_fileobject; several files, or a zip
+   * archive of them, make an upload_batch, answered with its summary.
+   *
+   * Files are only parsed as they arrive when waiting for the conversion;
+   * a queued one can only be told apart as a duplicate by its checksum
+   * until the job has parsed it.
+   */
+  Originalfileobject.upload = function(req, dictionary_version, parse_mode,
+                                       record_provenance, duplicates, wait,
+                                       options, cb) {
+    let mode = parse_mode || 'lenient';
+    if (reader.PARSE_MODES.indexOf(mode) === -1) {
+      let err = new Error('parse_mode must be one of ' +
+                          reader.PARSE_MODES.join(', '));
+      err.statusCode = 422;
+      return cb(err);
+    }
+    let modeError = checkDuplicatesMode(duplicates);
+    if (modeError) return cb(modeError);
+    let settings = {
+      mode: mode,
+      record_provenance: !!record_provenance,
+      duplicates: duplicates || 'keep',
+      wait: !!wait,
+      options: options,
+    };
+    Originalfileobject.app.models.dictionary
+      .resolveParser(dictionary_version)
+      .then(resolved => {
+        settings.dictionary = resolved.dictionary;
+        return receive(req, wait ? resolved.parser : null, {
+          mode: mode,
+          provenance: !!record_provenance,
+        });
+      })
+      .then(files => {
+        if (files.length === 1 && !files[0].archive) {
+          return uploadOne(files[0], settings);
+        }
+        return Originalfileobject.app.models.upload_batch
+          .fromUploads(files, file => uploadOne(file, settings), options);
+      })
+      .then(result => cb(null, result), cb);
+  };
+
+  Originalfileobject.afterRemote('upload', function(context, result, next) {
+    if (result && (result.job_id || result.status === 'processing')) {
+      context.res.status(202);
+    }
+    next();
   });
+
+  /**
+   * Store and convert, or queue, one received file.
+   *
+   * @param {Object} received as resolved by receive
+   * @param {Object} settings the upload's dictionary, mode,
+   *   record_provenance, duplicates, wait and options
+   * @returns {Promise} resolving to what upload answers with for a single
+   *   file
+   */
+  function uploadOne(received, settings) {
+    let objects = received.parsed ? received.parsed.objects : [];
+    return checkDuplicates(received.spooled.checksum, objects)
+      .then(check => {
+        let duplicates = settings.duplicates;
+        if (isDiscarded(check, duplicates)) {
+          return received.spooled.discard().then(() => {
+            if (duplicates === 'reject') throw duplicateError(check);
+            return mergedDuplicate(received.parsed, check);
+          });
+        }
+        return store(received, settings).then(original_fileobject => {
+          if (!settings.wait) {
+            return queueConversion(original_fileobject, duplicates,
+                                   settings.options);
+          }
+          if (received.parseError) {
+            throw conversionError(received.parseError, original_fileobject);
+          }
+          return saveConversion(original_fileobject, settings.dictionary,
+                                received.parsed, check,
+                                duplicates === 'merge');
+        });
+      })
+      .then(result => {
+        if (result.original_fileobject) {
+          let download = result.original_fileobject.downloadUrl();
+          result.deduplicated = received.deduplicated;
+          result.download_url = download.url;
+          result.download_url_expires = download.expires;
+        }
+        return result;
+      }, err => received.spooled.discard().catch(() => {}).then(() => {
+        throw err;
+      }));
+  }
+
+  // Keep a received file and create its original_fileobject
+  function store(received, settings) {
+    let spooled = received.spooled;
+    return spooled.commit().then(stored => {
+      received.deduplicated = stored.deduplicated;
+      return Originalfileobject.create({
+        storage_key: stored.key,
+        filename: received.filename,
+        content_type: received.content_type,
+        size: spooled.size,
+        checksum: spooled.checksum,
+        dictionary_version: String(settings.dictionary.version),
+        dictionary_approval: settings.dictionary.approved,
+        parse_mode: settings.mode,
+        record_provenance: settings.record_provenance,
+      }, settings.options);
+    });
+  }
+
+  /**
+   * Read the "order" files of a multipart request, teeing each into a
+   * spool file (see Storage#spool) and, if given one, the parser as it
+   * arrives. Zip archives are unpacked, each file in them being received
+   * the same way.
+   *
+   * @returns {Promise} resolving to an Array of {spooled, filename,
+   *   content_type, archive} plus either parsed (the parse result) or
+   *   parseError, archive naming the zip archive a file came from
+   */
+  function receive(req, parser, parseOptions) {
+    let uploads = Originalfileobject.app.get('uploads') || {};
+    let maxFileSize = uploads.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    let maxFiles = uploads.maxFiles || DEFAULT_MAX_FILES;
+    // Everything spooled so far, to clean up if the upload fails
+    let spooled = [];
+
+    function take(stream, filename, content_type) {
+      let toStorage = new PassThrough();
+      stream.pipe(toStorage);
+      var parsing = Promise.resolve({});
+      if (parser) {
+        let toParser = new PassThrough();
+        stream.pipe(toParser);
+        // A file that doesn't parse is still kept, like one sent to create
+        parsing = parser.parseWithDiagnostics(toParser, parseOptions)
+          .then(parsed => ({parsed: parsed}), e => {
+            if (e instanceof reader.ParseError) return {parseError: e};
+            throw e;
+          });
+      }
+      let spooling = Originalfileobject.app.storage.spool(toStorage)
+        .then(file => {
+          spooled.push(file);
+          return file;
+        });
+      return Promise.all([spooling, parsing]).then(([file, outcome]) => {
+        return Object.assign({
+          spooled: file,
+          filename: filename,
+          content_type: content_type,
+        }, outcome);
+      });
+    }
+
+    function unpack(archive) {
+      let received = [];
+      return zip.eachEntry(archive.spooled.path, (name, stream) => {
+        return take(stream, path.posix.basename(name), 'text/plain')
+          .then(file => {
+            file.archive = archive.filename;
+            received.push(file);
+          });
+      }, {files: maxFiles, fileSize: maxFileSize})
+        .then(() => archive.spooled.discard())
+        .then(() => received);
+    }
+
+    return new Promise((resolve, reject) => {
+      var busboy;
+      try {
+        busboy = new Busboy({
+          headers: req.headers,
+          limits: {fileSize: maxFileSize, files: maxFiles},
+        });
+      } catch (e) {
+        // Not a multipart request
+        e.statusCode = 400;
+        return reject(e);
+      }
+
+      let pending = [];
+      var tooMany = false;
+      busboy.on('file', (fieldname, file, filename, encoding, mimetype) => {
+        if (fieldname !== 'order') {
+          return file.resume();
+        }
+        var truncated = false;
+        file.on('limit', () => {
+          truncated = true;
+        });
+        let archive = ZIP_TYPES.indexOf(mimetype) !== -1 ||
+          /\.zip$/i.test(filename || '');
+        pending.push(take(file, filename, mimetype).then(received => {
+          if (truncated) {
+            throw limitError('Files can be at most ' + maxFileSize +
+                             ' bytes');
+          }
+          return archive ? unpack(received) : [received];
+        }));
+      });
+      busboy.on('filesLimit', () => {
+        tooMany = true;
+      });
+
+      busboy.on('finish', () => {
+        if (pending.length === 0) {
+          let missing = new Error('Upload has no "order" file');
+          missing.statusCode = 400;
+          return reject(missing);
+        }
+        settle(pending).then(files => {
+          if (tooMany) {
+            throw limitError('At most ' + maxFiles + ' files can be ' +
+                             'uploaded at once');
+          }
+          files = [].concat.apply([], files);
+          if (files.length === 0) {
+            let empty = new Error('Upload has no files to convert');
+            empty.statusCode = 400;
+            throw empty;
+          }
+          return files;
+        }).then(resolve, err => {
+          Promise.all(spooled.map(file => file.discard()))
+            .catch(() => {})
+            .then(() => reject(err));
+        });
+      });
+      busboy.on('error', reject);
+      req.pipe(busboy);
+    });
+  }
+
+  /**
+   * The export, as a string for records created with JSON or a stream
+   * from storage for uploaded ones. Either can be handed to the parser.
+   */
+  Originalfileobject.prototype.openContents = function() {
+    if (this.storage_key) {
+      return Originalfileobject.app.storage.get(this.storage_key);
+    }
+    return this.contents;
+  };
 };
+
+// Wait for every promise, rejecting with the first failure
+function settle(promises) {
+  var failure = null;
+  return Promise.all(promises.map(p => p.catch(err => {
+    failure = failure || err;
+  }))).then(results => {
+    if (failure) throw failure;
+    return results;
+  });
+}
+
+function limitError(message) {
+  let err = new Error(message);
+  err.statusCode = 413;
+  return err;
+}
@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = function(ReportScheduleRun) {
+  ReportScheduleRun.STATUSES = [
+    'queued',
+    'running',
+    'retrying',
+    'succeeded',
+    'failed',
+  ];
+  ReportScheduleRun.validatesInclusionOf('status', {
+    in: ReportScheduleRun.STATUSES,
+  });
+
+  // Made by the scheduler and report_schedule's run; the REST API can only
+  // follow them.
+  [
+    'create',
+    'upsert',
+    'replaceOrCreate',
+    'upsertWithWhere',
+    'replaceById',
+    'updateAll',
+    'deleteById',
+    'prototype.patchAttributes',
+  ].forEach(name => ReportScheduleRun.disableRemoteMethodByName(name));
+};
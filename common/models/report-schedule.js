@@ -0,0 +1,307 @@
+'use strict';
+
+const cron = require('../../server/lib/cron');
+const reports = require('../../server/lib/reports');
+const {actorOf} = require('../../server/lib/actor');
+const {isRetryable} = require('../../server/lib/jobs');
+const {notifier, reportUrl} = require('../../server/lib/notifiers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+module.exports = function(ReportSchedule) {
+  ReportSchedule.validatesInclusionOf('type', {
+    in: Object.keys(reports.TYPES),
+  });
+  ReportSchedule.validatesInclusionOf('format', {in: reports.FORMATS});
+  ReportSchedule.validate('cron', function(err) {
+    try {
+      // One that never matches, such as "0 0 30 2 *", would never run
+      if (cron.next(this.cron, new Date()) === null) err();
+    } catch (e) {
+      err();
+    }
+  }, {message: 'must be a cron expression such as "0 7 * * 1"'});
+  ReportSchedule.validate('lookback_days', function(err) {
+    let days = this.lookback_days;
+    if (days !== undefined && days !== null && !(days >= 0)) err();
+  }, {message: 'must be 0 or more'});
+  ReportSchedule.validate('notifiers', function(err) {
+    try {
+      notifierSettings(this).forEach(settings =>
+        notifier(ReportSchedule.app, settings));
+    } catch (e) {
+      err();
+    }
+  }, {message: 'must be {type: "email", to} or {type: "webhook", url}, ' +
+    'with the url at one of the webhookOrigins'});
+
+  // Runs are made by the scheduler and run
+  [
+    'prototype.__create__runs',
+    'prototype.__delete__runs',
+    'prototype.__updateById__runs',
+    'prototype.__destroyById__runs',
+  ].forEach(name => ReportSchedule.disableRemoteMethodByName(name));
+
+  // next_run_at follows the cron expression and enabled; the scheduler
+  // moves it on with updateAll, which leaves both alone
+  ReportSchedule.observe('before save', function(ctx, next) {
+    let now = new Date();
+    if (ctx.instance) {
+      if (ctx.isNewInstance) {
+        ctx.instance.created_date = ctx.instance.created_date || now;
+        ctx.instance.created_by = actorOf(ctx.options);
+      }
+      ctx.instance.next_run_at = nextRun(ctx.instance, now);
+    } else if (ctx.currentInstance &&
+               ('cron' in ctx.data || 'enabled' in ctx.data)) {
+      ctx.data.next_run_at = nextRun(Object.assign(
+        ctx.currentInstance.toObject(), ctx.data), now);
+    }
+    next();
+  });
+
+  function nextRun(schedule, now) {
+    if (!schedule.enabled) return null;
+    try {
+      return cron.next(schedule.cron, now);
+    } catch (e) {
+      // Caught by validation
+      return null;
+    }
+  }
+
+  function notifierSettings(schedule) {
+    return JSON.parse(JSON.stringify(schedule.notifiers || []));
+  }
+
+  ReportSchedule.remoteMethod(
+    'run', {
+      description: 'Run a schedule now, whether or not it is enabled. The ' +
+        'run is queued as a job.',
+      accessType: 'WRITE',
+      http: {
+        path: '/:id/run',
+        verb: 'post',
+      },
+      accepts: [
+        {arg: 'id', type: 'string', required: true},
+        {arg: 'options', type: 'object', http: 'optionsFromRequest'},
+      ],
+      returns: {arg: 'data', type: 'object', root: true},
+    }
+  );
+
+  ReportSchedule.run = function(id, options, cb) {
+    findSchedule(id)
+      .then(schedule => ReportSchedule.trigger(schedule, new Date(), 'manual',
+                                               options))
+      .then(run => cb(null, run), cb);
+  };
+
+  ReportSchedule.afterRemote('run', function(context, result, next) {
+    context.res.status(202);
+    next();
+  });
+
+  /**
+   * Start a run of a schedule: record it and queue the job that generates
+   * and delivers its report.
+   *
+   * @param {Object} schedule
+   * @param {Date} scheduledFor the time the run is for, ending the
+   *   reported period
+   * @param {String} trigger schedule or manual
+   * @param {Object} [options] the calling method's options
+   * @returns {Promise} resolving to the report_schedule_run
+   */
+  ReportSchedule.trigger = function(schedule, scheduledFor, trigger,
+                                    options) {
+    let app = ReportSchedule.app;
+    return app.models.report_schedule_run.create({
+      schedule_id: String(schedule.id),
+      scheduled_for: scheduledFor,
+      triggered_by: trigger,
+      status: 'queued',
+      created_date: new Date(),
+    }).then(run => app.jobs.enqueue('scheduled_report',
+                                    {run_id: String(run.id)}, options)
+      .then(job => run.updateAttributes({job_id: String(job.id)})));
+  };
+
+  /**
+   * Carry out a run: generate its report and deliver it to each of the
+   * schedule's notifiers. Run by 'scheduled_report' jobs. A retried run
+   * keeps a report it already generated and skips the notifiers it
+   * already reached; once it has failed for good, the notifiers it hasn't
+   * reached are told so.
+   *
+   * @param {Object} job the job, with payload {run_id}
+   * @param {Function} [progress] called with (stage, percent)
+   * @returns {Promise} resolving to {run_id, report_id}
+   */
+  ReportSchedule.runScheduled = function(job, progress) {
+    progress = progress || (() => {});
+    let app = ReportSchedule.app;
+    let Run = app.models.report_schedule_run;
+    let runId = job.payload.run_id;
+    let schedule, run;
+    return Run.findById(runId)
+      .then(found => {
+        if (!found) throw notFound('Unknown report_schedule_run ' + runId);
+        run = found;
+        return findSchedule(run.schedule_id);
+      })
+      .then(found => {
+        schedule = found;
+        return run.updateAttributes({
+          status: 'running',
+          started_date: new Date(),
+        });
+      })
+      .then(() => generate(schedule, run, progress))
+      .then(report => {
+        progress('delivering', null);
+        return deliver(schedule, run, {status: 'succeeded', report: report});
+      })
+      .then(failed => {
+        if (failed.length > 0) {
+          let err = new Error('Could not deliver the report to ' +
+                              failed.map(entry => entry.type).join(', '));
+          err.statusCode = 502;
+          throw err;
+        }
+        return run.updateAttributes({
+          status: 'succeeded',
+          error: null,
+          finished_date: new Date(),
+        });
+      })
+      .then(() => finish(schedule, run, null))
+      .then(() => ({run_id: String(run.id), report_id: run.report_id}))
+      .catch(err => {
+        if (!schedule) throw err;
+        let error = {message: err.message, statusCode: err.statusCode || 500};
+        let maxAttempts = job.max_attempts || app.jobs.maxAttempts;
+        if (isRetryable(err) && job.attempts < maxAttempts) {
+          return run.updateAttributes({status: 'retrying', error: error})
+            .then(() => {
+              throw err;
+            });
+        }
+        return run.updateAttributes({
+          status: 'failed',
+          error: error,
+          finished_date: new Date(),
+        })
+          .then(() => deliver(schedule, run, {status: 'failed', error: error}))
+          .then(() => finish(schedule, run, error))
+          .then(() => {
+            throw err;
+          });
+      });
+  };
+
+  /**
+   * The period a run reports on: lookback_days up to the time it is for,
+   * or since the schedule's previous time.
+   *
+   * @returns {Object} {from, to}, without from if it has no start
+   */
+  ReportSchedule.period = function(schedule, scheduledFor) {
+    let days = schedule.lookback_days;
+    var from = null;
+    if (days === null || days === undefined) {
+      from = cron.previous(schedule.cron, scheduledFor);
+    } else if (days > 0) {
+      from = new Date(scheduledFor.getTime() - days * DAY);
+    }
+    return from ? {from: from, to: scheduledFor} : {to: scheduledFor};
+  };
+
+  // The run's report, generated unless an earlier attempt got that far
+  function generate(schedule, run, progress) {
+    let Reports = ReportSchedule.app.models.reports;
+    let existing = run.report_id ?
+      Reports.findById(run.report_id) : Promise.resolve(null);
+    return existing.then(report => {
+      if (report && report.status === 'ready') return report;
+      let recorded = report ? Promise.resolve(report) : Reports.record({
+        type: schedule.type,
+        parameters: ReportSchedule.period(schedule, run.scheduled_for),
+        format: schedule.format,
+        name: schedule.name,
+      }).then(report => run.updateAttributes({report_id: String(report.id)})
+        .then(() => report));
+      return recorded.then(report =>
+        Reports.runReport({report_id: String(report.id)}, progress));
+    });
+  }
+
+  // Send a notice to each notifier the run hasn't reached yet, recording
+  // how it went in the run's deliveries
+  //
+  // Resolves to the deliveries that failed
+  function deliver(schedule, run, notice) {
+    let app = ReportSchedule.app;
+    let report = notice.report;
+    let download = report && report.downloadUrl();
+    notice = Object.assign({
+      schedule: schedule,
+      run: run,
+      report_url: report ? reportUrl(app, report) : null,
+      download_url: download ? download.url : null,
+    }, notice);
+    let deliveries = (run.deliveries || []).slice();
+    let failed = [];
+    return notifierSettings(schedule).reduce((prev, settings, i) =>
+      prev.then(() => {
+        if (deliveries[i] && deliveries[i].status === 'sent') return;
+        return Promise.resolve()
+          .then(() => notifier(app, settings)(notice))
+          .then(() => {
+            deliveries[i] = {
+              type: settings.type,
+              status: 'sent',
+              notice: notice.status,
+              date: new Date(),
+            };
+          }, err => {
+            deliveries[i] = {
+              type: settings.type,
+              status: 'failed',
+              notice: notice.status,
+              error: {message: err.message},
+              date: new Date(),
+            };
+            failed.push(deliveries[i]);
+          });
+      }), Promise.resolve())
+      .then(() => run.updateAttributes({deliveries: deliveries}))
+      .then(() => failed);
+  }
+
+  // Record how the schedule's latest run went
+  function finish(schedule, run, error) {
+    return schedule.updateAttributes({
+      last_run_at: run.scheduled_for,
+      last_status: error ? 'failed' : 'succeeded',
+      last_error: error,
+      consecutive_failures: error ?
+        (schedule.consecutive_failures || 0) + 1 : 0,
+    });
+  }
+
+  function notFound(message) {
+    let err = new Error(message);
+    err.statusCode = 404;
+    return err;
+  }
+
+  function findSchedule(id) {
+    return ReportSchedule.findById(id).then(schedule => {
+      if (!schedule) throw notFound('Unknown report_schedule ' + id);
+      return schedule;
+    });
+  }
+};
@@ -1,5 +1,264 @@
 'use strict';
 
+const _ = require('lodash');
+const {Readable} = require('stream');
+const reports = require('../../server/lib/reports');
+const {actorOf} = require('../../server/lib/actor');
+const {contentDisposition} = require('../../server/lib/storage');
+
 module.exports = function(Reports) {
+  Reports.STATUSES = ['queued', 'generating', 'ready', 'failed'];
+  Reports.validatesInclusionOf('status', {in: Reports.STATUSES});
+  Reports.validatesInclusionOf('format', {in: reports.FORMATS});
+
+  // Made by generate, so they always have a document
+  [
+    'create',
+    'upsert',
+    'replaceOrCreate',
+    'upsertWithWhere',
+    'replaceById',
+    'updateAll',
+    'prototype.patchAttributes',
+  ].forEach(name => Reports.disableRemoteMethodByName(name));
+
+  Reports.remoteMethod(
+    'types', {
+      description: 'The report types generate can make, with their columns.',
+      accessType: 'READ',
+      http: {
+        path: '/types',
+        verb: 'get',
+      },
+      returns: {arg: 'data', type: 'array', root: true},
+    }
+  );
+
+  Reports.types = function(cb) {
+    cb(null, _.map(reports.TYPES, (definition, type) => ({
+      type: type,
+      title: definition.title,
+      description: definition.description,
+      columns: definition.columns.map(([key, label]) => ({
+        key: key,
+        label: label,
+      })),
+    })));
+  };
+
+  Reports.remoteMethod(
+    'generate', {
+      description: 'Generate a report of the requests submitted in a ' +
+        'period and store it as a document. It is queued as a job unless ' +
+        'wait is set; run_at puts it off until then.',
+      accessType: 'WRITE',
+      http: {
+        path: '/generate',
+        verb: 'post',
+      },
+      accepts: [
+        {arg: 'type', type: 'string', required: true,
+          description: 'One of GET /reports/types'},
+        {arg: 'from', type: 'date',
+          description: 'Requests submitted (files uploaded, for ' +
+            'new_uploads) on or after this date'},
+        {arg: 'to', type: 'date',
+          description: 'Requests submitted (files uploaded) before this date'},
+        {arg: 'format', type: 'string',
+          description: 'Document to store: pdf (the default), csv or xlsx; ' +
+            'the others can still be downloaded'},
+        {arg: 'name', type: 'string',
+          description: 'Defaults to the title of the report type'},
+        {arg: 'run_at', type: 'date'},
+        {arg: 'wait', type: 'boolean',
+          description: 'Generate the report before answering'},
+        {arg: 'options', type: 'object', http: 'optionsFromRequest'},
+      ],
+      returns: {arg: 'data', type: 'object', root: true},
+    }
+  );
+
+  Reports.generate = function(type, from, to, format, name, run_at, wait,
+                              options, cb) {
+    Reports.request({
+      type: type,
+      parameters: {from: from, to: to},
+      format: format,
+      name: name,
+    }, {run_at: run_at, wait: wait}, options)
+      .then(result => cb(null, result), cb);
+  };
+
+  Reports.afterRemote('generate', function(context, result, next) {
+    if (result && result.job_id) {
+      context.res.status(202);
+    } else if (result && result.storage_key) {
+      result.documentfile_url = result.downloadUrl().url;
+    }
+    next();
+  });
+
+  /**
+   * Record a report and generate it, straight away or as a job.
+   *
+   * @param {Object} data type, parameters ({from, to}), format and name
+   * @param {Object} [settings] wait (generate it before resolving) and
+   *   run_at (when to run the job)
+   * @param {Object} [options] the calling method's options
+   * @returns {Promise} resolving to the generated report, or to {report_id,
+   *   report, job_id, job_status, job_url} when it is queued; rejects with
+   *   a 422 error for an unknown type or format
+   */
+  Reports.request = function(data, settings, options) {
+    settings = settings || {};
+    let app = Reports.app;
+    return Reports.record(data, options).then(report => {
+      if (settings.wait) {
+        return Reports.runReport({report_id: String(report.id)});
+      }
+      return app.jobs.enqueue('report', {report_id: String(report.id)},
+                              options, settings.run_at)
+        .then(job => report.updateAttributes({job_id: String(job.id)})
+          .then(report => ({
+            report_id: report.id,
+            report: report,
+            job_id: job.id,
+            job_status: job.status,
+            job_url: app.get('restApiRoot') + '/jobs/' + job.id,
+          })));
+    });
+  };
+
+  /**
+   * Record a report to be generated, as queued.
+   *
+   * @param {Object} data type, parameters ({from, to}), format and name
+   * @param {Object} [options] the calling method's options
+   * @returns {Promise} resolving to the report; rejects with a 422 error
+   *   for an unknown type or format
+   */
+  Reports.record = function(data, options) {
+    let format = data.format || 'pdf';
+    let invalid = reports.check(data.type, format, data.parameters);
+    if (invalid) return Promise.reject(invalid);
+    return Reports.create({
+      name: data.name || reports.TYPES[data.type].title,
+      type: data.type,
+      parameters: _.omitBy(data.parameters, _.isNil),
+      format: format,
+      status: 'queued',
+      created_date: new Date(),
+      created_by: actorOf(options),
+    });
+  };
+
+  /**
+   * Generate a recorded report: run it, store its document and mark it
+   * ready. Run by 'report' jobs; running it again regenerates it.
+   *
+   * @param {Object} payload {report_id}
+   * @param {Function} [progress] called with (stage, percent)
+   * @returns {Promise} resolving to the report
+   */
+  Reports.runReport = function(payload, progress) {
+    progress = progress || (() => {});
+    return findReport(payload.report_id).then(report => {
+      progress('running', null);
+      return report.updateAttributes({status: 'generating'})
+        .then(() => reports.run(Reports.app.models, report.type,
+                                report.parameters))
+        .then(contents => {
+          progress('storing', null);
+          return reports.render(contents, report.format)
+            .then(document => store(document))
+            .then(stored => report.updateAttributes(Object.assign({
+              status: 'ready',
+              contents: contents,
+              error: null,
+            }, stored)));
+        })
+        .catch(err => report.updateAttributes({
+          status: 'failed',
+          error: {message: err.message, statusCode: err.statusCode || 500},
+        }).then(() => {
+          throw err;
+        }));
+    });
+  };
+
+  function store(document) {
+    let body = document.body;
+    let stream = typeof body.pipe === 'function' ? body : new Readable({
+      read() {
+        this.push(body);
+        this.push(null);
+      },
+    });
+    return Reports.app.storage.store(stream).then(stored => ({
+      storage_key: stored.key,
+      filename: document.filename,
+      content_type: document.contentType,
+      size: stored.size,
+      checksum: stored.checksum,
+    }));
+  }
+
+  Reports.remoteMethod(
+    'download', {
+      description: 'Download a generated report: the stored document, or ' +
+        'the report in another format.',
+      accessType: 'READ',
+      http: {
+        path: '/:id/download',
+        verb: 'get',
+      },
+      accepts: [
+        {arg: 'id', type: 'string', required: true},
+        {arg: 'format', type: 'string',
+          description: 'csv, xlsx or pdf; by default the stored document'},
+        {arg: 'res', type: 'object', http: {source: 'res'}},
+      ],
+      returns: {},
+    }
+  );
+
+  Reports.download = function(id, format, res, cb) {
+    findReport(id)
+      .then(report => {
+        if (report.status !== 'ready') {
+          let err = new Error('Report ' + id + ' is ' + report.status);
+          err.statusCode = 409;
+          throw err;
+        }
+        if (!format || format === report.format) {
+          return {
+            filename: report.filename,
+            contentType: report.content_type,
+            body: Reports.app.storage.get(report.storage_key),
+          };
+        }
+        return reports.render(report.contents, format);
+      })
+      .then(document => {
+        res.set('Content-Type', document.contentType);
+        res.set('Content-Disposition', contentDisposition(document.filename));
+        if (typeof document.body.pipe !== 'function') {
+          return res.send(document.body);
+        }
+        document.body.on('error', cb);
+        document.body.pipe(res);
+      })
+      .catch(cb);
+  };
 
+  function findReport(id) {
+    return Reports.findById(id).then(report => {
+      if (!report) {
+        let notFound = new Error('Unknown report ' + id);
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      return report;
+    });
+  }
 };
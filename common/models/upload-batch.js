@@ -0,0 +1,299 @@
+'use strict';
+
+const path = require('path');
+const {Readable} = require('stream');
+const yazl = require('yazl');
+const {actorOf} = require('../../server/lib/actor');
+const {contentDisposition} = require('../../server/lib/storage');
+
+module.exports = function(UploadBatch) {
+  // Made by original_fileobject.upload only
+  [
+    'create',
+    'upsert',
+    'replaceOrCreate',
+    'upsertWithWhere',
+    'replaceById',
+    'updateAll',
+    'prototype.patchAttributes',
+  ].forEach(name => UploadBatch.disableRemoteMethodByName(name));
+
+  /**
+   * Upload received files one after the other and record them as a batch.
+   * A file that fails doesn't stop the others; its error is kept in the
+   * batch.
+   *
+   * @param {Array} files as received by original_fileobject.upload
+   * @param {Function} uploadOne stores one of them, returning a Promise
+   *   resolving to what upload answers for a single file
+   * @param {Object} options the upload's options, naming who made it
+   * @returns {Promise} resolving to the batch's summary, with its id and
+   *   URLs
+   */
+  UploadBatch.fromUploads = function(files, uploadOne, options) {
+    let entries = [];
+    return files.reduce((prev, file) => prev.then(() => {
+      let entry = {filename: file.filename, archive: file.archive};
+      entries.push(entry);
+      return uploadOne(file).then(result => {
+        entry.original_fileobject_id = result.original_fileobject_id;
+        entry.converted_fileobject_id = result.converted_fileobject_id;
+        entry.job_id = result.job_id;
+        if (result.duplicate_check) {
+          entry.duplicate_status = result.duplicate_check.status;
+        }
+      }, err => {
+        // Files that don't parse are still kept
+        let details = err.details || {};
+        entry.original_fileobject_id = details.original_fileobject_id;
+        entry.diagnostics = details.diagnostics;
+        entry.error = {
+          message: err.message,
+          statusCode: err.statusCode || 500,
+          code: err.code,
+        };
+      });
+    }), Promise.resolve())
+      .then(() => UploadBatch.create({
+        files: entries,
+        created_by: actorOf(options),
+        created_date: new Date(),
+      }))
+      .then(batch => batch.summarize().then(summary => {
+        let url = UploadBatch.app.get('restApiRoot') + '/upload_batches/' +
+          batch.id;
+        return Object.assign({
+          batch_id: batch.id,
+          batch_url: url,
+          results_url: url + '/download',
+        }, summary);
+      }));
+  };
+
+  /**
+   * Where each file of the batch has got to.
+   *
+   * @returns {Promise} resolving to {status, counts, files}: status is
+   *   processing while any file is still queued or running, then
+   *   completed or completed_with_errors; files have the batch's entries
+   *   with their status, record_counts ({requests, orders, line_items})
+   *   and diagnostics
+   */
+  UploadBatch.prototype.summarize = function() {
+    let models = UploadBatch.app.models;
+    let entries = this.files || [];
+    let jobIds = entries.map(entry => entry.job_id).filter(id => id);
+    let jobs = jobIds.length === 0 ? Promise.resolve([]) :
+      models.job.find({where: {id: {inq: jobIds}}});
+    return jobs.then(jobs => {
+      let files = entries.map(entry => {
+        let job = jobs.find(j => String(j.id) === String(entry.job_id));
+        return fileStatus(entry, job);
+      });
+      let convertedIds = files
+        .map(file => file.converted_fileobject_id)
+        .filter(id => id);
+      return findConverted(convertedIds, {
+        id: true,
+        record_counts: true,
+        diagnostics: true,
+      }).then(converted => [files, converted]);
+    }).then(([files, converted]) => {
+      let uncounted = [];
+      files.forEach(file => {
+        let converted_object = converted.find(c =>
+          String(c.id) === String(file.converted_fileobject_id));
+        if (converted_object) {
+          file.record_counts = converted_object.record_counts;
+          file.diagnostics = converted_object.diagnostics || [];
+          if (!file.record_counts) uncounted.push(file);
+        }
+      });
+      return countRecords(uncounted).then(() => files);
+    }).then(files => {
+      let count = status => files.filter(f => f.status === status).length;
+      let pending = count('queued') + count('running');
+      var status = 'completed';
+      if (pending) {
+        status = 'processing';
+      } else if (count('failed')) {
+        status = 'completed_with_errors';
+      }
+      return {
+        status: status,
+        counts: {
+          files: files.length,
+          succeeded: count('succeeded'),
+          failed: count('failed'),
+          pending: pending,
+        },
+        files: files,
+      };
+    });
+  };
+
+  function fileStatus(entry, job) {
+    let file = Object.assign({}, entry);
+    if (entry.error) {
+      file.status = 'failed';
+    } else if (!entry.job_id) {
+      file.status = 'succeeded';
+    } else if (!job) {
+      file.status = 'failed';
+      file.error = {message: 'Job ' + entry.job_id + ' no longer exists'};
+    } else {
+      file.status = job.status;
+      file.progress = job.progress;
+      if (job.status === 'failed') {
+        file.error = job.error;
+        file.diagnostics = job.error && job.error.details &&
+          job.error.details.diagnostics;
+      }
+      if (job.result) {
+        file.converted_fileobject_id = job.result.converted_fileobject_id;
+        if (job.result.duplicate_check) {
+          file.duplicate_status = job.result.duplicate_check.status;
+        }
+      }
+    }
+    return file;
+  }
+
+  function findConverted(ids, fields) {
+    if (ids.length === 0) return Promise.resolve([]);
+    return UploadBatch.app.models.converted_fileobject.find({
+      where: {id: {inq: ids}},
+      fields: fields,
+    });
+  }
+
+  // Conversions stored before they kept their record_counts are counted
+  // the slow way
+  function countRecords(files) {
+    let Converted = UploadBatch.app.models.converted_fileobject;
+    return files.reduce((prev, file) => prev
+      .then(() => Converted.findById(file.converted_fileobject_id))
+      .then(converted_object => {
+        file.record_counts = Converted.recordCounts(
+          JSON.parse(converted_object.contents));
+      }), Promise.resolve());
+  }
+
+  UploadBatch.remoteMethod(
+    'summary', {
+      description: 'Where each file of a batch upload has got to: status, ' +
+        'record counts and diagnostics.',
+      accessType: 'READ',
+      http: {
+        path: '/:id/summary',
+        verb: 'get',
+      },
+      accepts: [
+        {arg: 'id', type: 'string', required: true},
+      ],
+      returns: {arg: 'data', type: 'object', root: true},
+    }
+  );
+
+  UploadBatch.summary = function(id, cb) {
+    findBatch(id)
+      .then(batch => batch.summarize())
+      .then(summary => cb(null, summary), cb);
+  };
+
+  UploadBatch.remoteMethod(
+    'download', {
+      description: 'Download the results of a batch upload as a zip ' +
+        'archive: the converted orders of each file as JSON, and the ' +
+        'batch summary.',
+      accessType: 'READ',
+      http: {
+        path: '/:id/download',
+        verb: 'get',
+      },
+      accepts: [
+        {arg: 'id', type: 'string', required: true},
+        {arg: 'res', type: 'object', http: {source: 'res'}},
+      ],
+      returns: {},
+    }
+  );
+
+  UploadBatch.download = function(id, res, cb) {
+    findBatch(id)
+      .then(batch => batch.summarize())
+      .then(summary => {
+        let ids = summary.files
+          .map(file => file.converted_fileobject_id)
+          .filter(id => id);
+        return findConverted(ids, {id: true})
+          .then(converted => [summary, converted]);
+      })
+      .then(([summary, converted]) => {
+        let archive = new yazl.ZipFile();
+        let names = {'summary.json': true};
+        summary.files.forEach(file => {
+          let converted_object = converted.find(c =>
+            String(c.id) === String(file.converted_fileobject_id));
+          if (!converted_object) return;
+          let name = uniqueName(names, resultName(file.filename));
+          file.result_file = name;
+          archive.addReadStream(contentsOf(converted_object.id), name);
+        });
+        archive.addBuffer(Buffer.from(JSON.stringify(summary, null, 2)),
+                          'summary.json');
+        archive.end();
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition',
+                contentDisposition('batch-' + id + '.zip'));
+        archive.outputStream.on('error', cb);
+        archive.outputStream.pipe(res);
+      })
+      .catch(cb);
+  };
+
+  // The contents of a conversion, loaded only once the archive gets to it
+  // so one conversion at a time is held in memory
+  function contentsOf(id) {
+    let Converted = UploadBatch.app.models.converted_fileobject;
+    var loading = false;
+    return new Readable({
+      read() {
+        if (loading) return;
+        loading = true;
+        Converted.findById(id).then(converted_object => {
+          this.push(converted_object ? converted_object.contents : '');
+          this.push(null);
+        }, err => this.destroy(err));
+      },
+    });
+  }
+
+  function findBatch(id) {
+    return UploadBatch.findById(id).then(batch => {
+      if (!batch) {
+        let notFound = new Error('Unknown upload_batch ' + id);
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      return batch;
+    });
+  }
+
+  // orders.txt's results go in orders.json
+  function resultName(filename) {
+    let base = path.basename(filename || 'orders');
+    return path.basename(base, path.extname(base)) + '.json';
+  }
+
+  function uniqueName(names, name) {
+    let ext = path.extname(name);
+    let base = name.slice(0, name.length - ext.length);
+    var unique = name;
+    for (var n = 2; names[unique]; n++) {
+      unique = base + '-' + n + ext;
+    }
+    names[unique] = true;
+    return unique;
+  }
+};
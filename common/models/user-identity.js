@@ -1,5 +1,107 @@
 'use strict';
 
+const crypto = require('crypto');
+const _ = require('lodash');
+const {rolesOf} = require('../../server/lib/roles');
+
 module.exports = function(Useridentity) {
+  let login = Useridentity.login;
+
+  /**
+   * Passport's third-party login, limited to accounts of the provider's
+   * `domains` (the Google Workspace hosted domain) and to invited email
+   * addresses. Users are created with their real email address, and get the
+   * roles of their invitation, or provisioning.defaultRole from config.json
+   * the first time they sign in.
+   */
+  Useridentity.login = function(provider, authScheme, profile, credentials,
+                                options, cb) {
+    if (typeof options === 'function' && cb === undefined) {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    let app = Useridentity.app;
+    let email = verifiedEmail(profile);
+    if (!email) {
+      return process.nextTick(() => cb(forbidden('The ' + provider +
+        ' account has no verified email address')));
+    }
+
+    Promise.all([
+      app.models.invitation.forEmail(email),
+      Useridentity.findOne({where: {
+        provider: provider,
+        externalId: profile.id || profile.openid,
+      }}),
+    ]).then(([invitation, identity]) => {
+      if (!invitation && !inDomain(profile, options.domains)) {
+        throw forbidden(email + ' is not in an allowed domain and has not ' +
+                        'been invited');
+      }
+      let loginOptions = Object.assign({}, options, {
+        profileToUser: () => ({
+          username: provider + '.' + (profile.username || profile.id),
+          email: email,
+          emailVerified: true,
+          password: crypto.randomBytes(32).toString('hex'),
+        }),
+      });
+      return new Promise((resolve, reject) => {
+        login.call(this, provider, authScheme, profile, credentials,
+                   loginOptions, (err, ...result) => {
+                     if (err) return reject(err);
+                     resolve(result);
+                   });
+      }).then(result => {
+        return provision(result[0], invitation, !identity).then(() => result);
+      });
+    }).then(result => cb(null, ...result), cb);
+  };
 
+  function provision(user, invitation, firstLogin) {
+    let app = Useridentity.app;
+    if (invitation) {
+      return app.models.invitation.accept(invitation, user);
+    }
+    let defaultRole = (app.get('provisioning') || {}).defaultRole;
+    if (!firstLogin || !defaultRole) {
+      return Promise.resolve();
+    }
+    // Users who signed up some other way keep the roles they have
+    return rolesOf(app, user.id).then(names => {
+      if (names.length === 0) {
+        return app.models.user.setRoles(user.id, [defaultRole]);
+      }
+    });
+  }
 };
+
+// The profile's email address, lower case, unless the provider says it
+// hasn't been verified.
+function verifiedEmail(profile) {
+  let entry = profile.emails && profile.emails[0];
+  let json = profile._json || {};
+  if (!entry || !entry.value || entry.verified === false ||
+      json.verified_email === false || json.email_verified === false) {
+    return null;
+  }
+  return entry.value.trim().toLowerCase();
+}
+
+// Google reports the Workspace domain of an account as `hd`. Accounts
+// without one are personal accounts, whatever their email address.
+function inDomain(profile, domains) {
+  domains = _.castArray(domains || []).map(domain => domain.toLowerCase());
+  if (domains.length === 0) {
+    return true;
+  }
+  let hostedDomain = (profile._json || {}).hd;
+  return !!hostedDomain && domains.indexOf(hostedDomain.toLowerCase()) !== -1;
+}
+
+function forbidden(message) {
+  let err = new Error(message);
+  err.statusCode = 403;
+  return err;
+}
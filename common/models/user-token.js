@@ -0,0 +1,72 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const PURPOSES = ['verify_email', 'reset_password'];
+
+function hash(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = function(UserToken) {
+  // Only handed out and redeemed by the local login routes
+  // (server/boot/local-auth.js); the model isn't exposed over REST.
+  UserToken.PURPOSES = PURPOSES;
+
+  /**
+   * Create a single use token for a user. Earlier unused tokens for the
+   * same purpose stop working.
+   *
+   * @param {*} userId
+   * @param {String} purpose one of PURPOSES
+   * @param {Number} ttl seconds the token is valid
+   * @returns {Promise} resolving to the token
+   */
+  UserToken.issue = function(userId, purpose, ttl) {
+    let token = crypto.randomBytes(32).toString('hex');
+    let now = new Date();
+    return UserToken.updateAll(
+      {user_id: String(userId), purpose: purpose, used_date: null},
+      {used_date: now})
+      .then(() => UserToken.create({
+        user_id: String(userId),
+        purpose: purpose,
+        token_hash: hash(token),
+        created_date: now,
+        expires: new Date(now.getTime() + ttl * 1000),
+      }))
+      .then(() => token);
+  };
+
+  /**
+   * Use up a token.
+   *
+   * @param {String} token
+   * @param {String} purpose what the token has to have been issued for
+   * @returns {Promise} resolving to the id of the token's user, or
+   *   rejecting with a 400 if the token is unknown, used or expired
+   */
+  UserToken.redeem = function(token, purpose) {
+    let where = {token_hash: hash(token), purpose: purpose};
+    return UserToken.findOne({where: where})
+      .then(stored => {
+        if (!stored || stored.used_date || stored.expires < new Date()) {
+          throw invalid();
+        }
+        // Only one of several concurrent redemptions gets through
+        return UserToken.updateAll({id: stored.id, used_date: null},
+                                   {used_date: new Date()})
+          .then(info => {
+            if (info.count === 0) throw invalid();
+            return stored.user_id;
+          });
+      });
+  };
+
+  function invalid() {
+    let err = new Error('Token is invalid or has expired');
+    err.statusCode = 400;
+    err.code = 'INVALID_TOKEN';
+    return err;
+  }
+};
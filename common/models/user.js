@@ -1,5 +1,136 @@
 'use strict';
 
-module.exports = function(User) {    
+const {ROLES, rolesOf, hasRole} = require('../../server/lib/roles');
 
+// Properties only admins get to set. A user's customer_id limits what they
+// can see (see the CustomerScope mixin); the rest guard local login.
+const ADMIN_ONLY = [
+  'customer_id',
+  'emailVerified',
+  'failed_logins',
+  'locked_until',
+];
+
+module.exports = function(User) {
+  // Local sign-in goes through the /auth routes (server/boot/local-auth.js),
+  // which validate input, require a verified email and lock out password
+  // guessing; the User model's own endpoints would get around that.
+  [
+    'login',
+    'confirm',
+    'prototype.verify',
+    'resetPassword',
+    'setPassword',
+    'changePassword',
+  ].forEach(method => User.disableRemoteMethodByName(method));
+
+  [
+    'create',
+    'upsert',
+    'replaceOrCreate',
+    'upsertWithWhere',
+    'replaceById',
+    'prototype.patchAttributes',
+  ].forEach(method => {
+    User.beforeRemote(method, function(ctx, unused, next) {
+      let data = ctx.args.data || {};
+      let fields = ADMIN_ONLY.filter(field => data[field] !== undefined);
+      if (fields.length === 0) return next();
+      hasRole(User.app, ctx.args.options, ['admin'])
+        .then(isAdmin => {
+          if (isAdmin && ctx.args.options && ctx.args.options.accessToken) {
+            return next();
+          }
+          let forbidden = new Error('Only admins can set ' +
+                                    fields.join(', '));
+          forbidden.statusCode = 403;
+          next(forbidden);
+        })
+        .catch(next);
+    });
+  });
+
+  User.remoteMethod(
+    'getRoles', {
+      description: 'List the roles a user has.',
+      accessType: 'READ',
+      http: {
+        path: '/:id/roles',
+        verb: 'get',
+      },
+      accepts: [
+        {arg: 'id', type: 'string', required: true},
+      ],
+      returns: {arg: 'roles', type: ['string'], root: true},
+    }
+  );
+
+  User.getRoles = function(id, cb) {
+    findUser(id)
+      .then(user => rolesOf(User.app, user.id))
+      .then(names => cb(null, names), cb);
+  };
+
+  User.remoteMethod(
+    'setRoles', {
+      description: 'Replace the roles a user has. One of: ' +
+        ROLES.join(', ') + '.',
+      http: {
+        path: '/:id/roles',
+        verb: 'put',
+      },
+      accepts: [
+        {arg: 'id', type: 'string', required: true},
+        {arg: 'roles', type: ['string'], required: true},
+      ],
+      returns: {arg: 'roles', type: ['string'], root: true},
+    }
+  );
+
+  /**
+   * Replace a user's role mappings with the given role names.
+   *
+   * @returns {Promise} resolving to the role names, if no cb is given
+   */
+  User.setRoles = function(id, roles, cb) {
+    let app = User.app;
+    let RoleMapping = app.models.RoleMapping;
+    let unknown = roles.filter(name => ROLES.indexOf(name) === -1);
+    var promise;
+    if (unknown.length > 0) {
+      let err = new Error('Unknown role ' + unknown.join(', ') +
+                          ' (expected one of ' + ROLES.join(', ') + ')');
+      err.statusCode = 422;
+      promise = Promise.reject(err);
+    } else {
+      promise = findUser(id).then(user => {
+        let principal = {
+          principalType: RoleMapping.USER,
+          principalId: String(user.id),
+        };
+        return Promise.all([
+          app.models.Role.find({where: {name: {inq: roles}}}),
+          RoleMapping.destroyAll(principal),
+        ]).then(([found]) => Promise.all(found.map(role => {
+          return RoleMapping.create(Object.assign({roleId: role.id},
+                                                  principal));
+        }))).then(() => rolesOf(app, user.id));
+      });
+    }
+    if (cb) {
+      promise.then(names => cb(null, names), cb);
+    }
+    return promise;
+  };
+
+  function findUser(id) {
+    return User.findById(id).then(user => {
+      if (!user) {
+        let notFound = new Error('Unknown user ' + id);
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      return user;
+    });
+  }
 };
@@ -4,15 +4,30 @@ const fs = require('fs');
 
 const stdin = process.stdin;
 const stdout = process.stdout;
-const inputFile = process.argv[2];
-const outputFile = process.argv[3];
+const args = process.argv.slice(2);
+
+// --template <file>: a JSON export template, see README
+let options = {};
+const templateAt = args.indexOf('--template');
+if (templateAt !== -1) {
+  const templateFile = args.splice(templateAt, 2)[1];
+  try {
+    options.template = JSON.parse(fs.readFileSync(templateFile, 'utf8'));
+    jsonexport.template.toOptions(options.template);
+  } catch (err) {
+    console.error('jsonexport: template ' + templateFile + ': ' + err.message);
+    process.exit(1);
+  }
+}
+const inputFile = args[0];
+const outputFile = args[1];
 
 if (inputFile)
   return fs.createReadStream(inputFile)
-    .pipe(jsonexport())
+    .pipe(jsonexport(options))
     .pipe(outputFile ? fs.createWriteStream(outputFile) : stdout);
 
 stdin.setEncoding('utf8');
 stdin
-  .pipe(jsonexport())
+  .pipe(jsonexport(options))
   .pipe(stdout);
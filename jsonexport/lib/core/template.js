@@ -0,0 +1,100 @@
+/* jshint node:true */
+'use strict';
+
+const helper = require('./helper');
+
+// Parser options a template may set; the rest (headers, rename, select)
+// come from its columns
+const TEMPLATE_OPTIONS = [
+  'fillGaps',
+  'rowDelimiter',
+  'textDelimiter',
+  'endOfLine',
+  'arrayPathString',
+  'headerPathString',
+  'undefinedString',
+  'booleanTrueString',
+  'booleanFalseString',
+  'includeHeaders',
+];
+
+/**
+ * Keep only the values at the given dotted paths, e.g. 'orders.sr_no'.
+ * Arrays along a path are kept, with the same values picked from each of
+ * their items; a path naming an object keeps all of it.
+ *
+ * @param {Object|Array} json
+ * @param {Array} paths
+ */
+function select(json, paths) {
+  let tree = {};
+  for (let path of paths) {
+    let node = tree;
+    let keys = path.split('.');
+    keys.forEach((key, i) => {
+      if (node === true) return;
+      if (i === keys.length - 1) node[key] = true;
+      else node = node[key] = node[key] || {};
+    });
+  }
+  return pick(json, tree);
+}
+
+function pick(value, tree) {
+  if (tree === true) return value;
+  if (helper.isArray(value)) return value.map((item) => pick(item, tree));
+  if (!helper.isObject(value) || helper.isDate(value)) return undefined;
+  let picked = {};
+  for (let key in tree) {
+    if (value[key] !== undefined) picked[key] = pick(value[key], tree[key]);
+  }
+  return picked;
+}
+
+/**
+ * Turn an export template into parser options. A template is
+ *
+ *   {
+ *     columns: ['request_no', {path: 'orders.sr_no', label: 'SR'}, ...],
+ *     options: {fillGaps: true, rowDelimiter: ';', ...}
+ *   }
+ *
+ * with columns in the order they should appear, each a dotted path or a
+ * {path, label}; only these are exported.
+ *
+ * @param {Object} template
+ * @throws {TypeError} if the template is not valid
+ */
+function toOptions(template) {
+  if (!template || !helper.isArray(template.columns) ||
+    template.columns.length === 0) {
+    throw new TypeError(
+      'Invalid template, "columns" must be a non-empty array.');
+  }
+  let options = template.options || {};
+  for (let name in options) {
+    if (TEMPLATE_OPTIONS.indexOf(name) === -1) {
+      throw new TypeError('Invalid template option "' + name +
+        '", must be one of ' + TEMPLATE_OPTIONS.join(', ') + '.');
+    }
+  }
+  let columns = template.columns.map((column) =>
+    helper.isString(column) ? {path: column} : column);
+  for (let column of columns) {
+    if (!column || !helper.isString(column.path) || !column.path) {
+      throw new TypeError('Invalid template column ' + JSON.stringify(column) +
+        ', must be a dotted path or {path, label}.');
+    }
+  }
+  let headerPathString = options.headerPathString || '.';
+  return Object.assign({}, options, {
+    select: columns.map((column) => column.path),
+    headers: columns.map((column) =>
+      column.path.split('.').join(headerPathString)),
+    rename: columns.map((column) => column.label || ''),
+  });
+}
+
+module.exports.TEMPLATE_OPTIONS = TEMPLATE_OPTIONS;
+module.exports.select = select;
+module.exports.toOptions = toOptions;
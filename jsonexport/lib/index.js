@@ -12,7 +12,7 @@ const helper = require('./core/helper');
  * Main function that converts json to csv
  *
  * @param {Object|Array} json
- * @param {Object} [options]
+ * @param {Object} [options] - see README, including template
  * @param {Function} callback(err, csv) - Callback function
  *      if error, returning error in call back.
  *      if csv is created successfully, returning csv output to callback.
@@ -23,7 +23,16 @@ module.exports = function(json, userOptions, callback) {
     userOptions = {};
   }
   userOptions = !callback ? json : userOptions;
-  let parser = new Parser(userOptions);
+  let parser;
+  try {
+    parser = new Parser(userOptions);
+  } catch (err) {
+    // An invalid template
+    if (helper.isFunction(callback)) return callback(err);
+    throw err;
+  }
   if (!callback || !helper.isFunction(callback)) return new Stream(parser);
   parser.parse(json, callback);
 };
+
+module.exports.template = require('./core/template');
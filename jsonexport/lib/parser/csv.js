@@ -9,6 +9,7 @@ const Transform = require('stream').Transform;
 const joinRows = require('../core/join-rows');
 const Handler = require('./handler');
 const helper = require('../core/helper');
+const template = require('../core/template');
 
 class Parser {
   constructor(options) {
@@ -31,6 +32,7 @@ class Parser {
    *      if csv is created successfully, returning csv output to callback.
    */
   parse(json, done, stream) {
+    if (this._options.select) json = template.select(json, this._options.select);
     if (helper.isArray(json)) return done(null, this._parseArray(json, stream));
     else if (helper.isObject(json)) return done(null, this._parseObject(json));
     return done(new Error('Unable to parse the JSON object, its not an Array or Object.'));
@@ -160,7 +162,8 @@ class Parser {
   }
 
   /**
-   * Replaces the default options with the custom user options
+   * Replaces the default options with the custom user options, and those
+   * with the options of the user's template if there is one
    *
    * @param {Options} userOptions
    */
@@ -175,6 +178,7 @@ class Parser {
       undefinedString: '', //         String
       endOfLine: os.EOL || '\n', //   String
       mainPathItem: null, //          String
+      select: null, //                Array
       booleanTrueString: null, //     String
       booleanFalseString: null, //    String
       includeHeaders: true, //        Boolean
@@ -186,7 +190,9 @@ class Parser {
       handleBoolean: undefined, //        Function
       handleDate: undefined, //              Function
     };
-    return Object.assign({}, defaultOptions, userOptions);
+    let templateOptions = userOptions && userOptions.template ?
+      template.toOptions(userOptions.template) : {};
+    return Object.assign({}, defaultOptions, userOptions, templateOptions);
   }
 }
 
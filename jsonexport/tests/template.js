@@ -0,0 +1,79 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var jsonexport = require('../lib/index');
+var os = require('os');
+
+describe('Template', () => {
+  var orders = [{
+    request_no: '1',
+    priority: 'Low',
+    orders: [{
+      sr_no: '1-1',
+      line_items: [
+        {Action: 'Install', Vendor: 'A'},
+        {Action: 'Remove', Vendor: 'B'},
+      ],
+    }],
+  }];
+  it('selects, orders and renames columns', () => {
+    jsonexport(orders, {
+      template: {
+        columns: [
+          {path: 'orders.line_items.Action', label: 'Action'},
+          'request_no',
+        ],
+      },
+    }, (err, csv) => {
+      expect(err).to.equal(null);
+      expect(csv).to.equal(
+        `Action,request_no${os.EOL}Install,1${os.EOL}Remove,`);
+    });
+  });
+  it('applies its options', () => {
+    jsonexport(orders, {
+      template: {
+        columns: ['request_no', 'orders.sr_no', 'orders.line_items.Vendor'],
+        options: {fillGaps: true, rowDelimiter: ';'},
+      },
+    }, (err, csv) => {
+      expect(csv).to.equal(
+        `request_no;orders.sr_no;orders.line_items.Vendor${os.EOL}` +
+        `1;1-1;A${os.EOL}1;1-1;B`);
+    });
+  });
+  it('keeps columns missing from the data', () => {
+    jsonexport([{a: 1}], {template: {columns: ['b', 'a']}}, (err, csv) => {
+      expect(csv).to.equal(`b,a${os.EOL},1`);
+    });
+  });
+  it('keeps whole objects named by a path', () => {
+    jsonexport([{a: {b: 1, c: 2}, d: 3}], {select: ['a']}, (err, csv) => {
+      expect(csv).to.equal(`a.b,a.c${os.EOL}1,2`);
+    });
+  });
+  it('rejects templates without columns', () => {
+    jsonexport(orders, {template: {columns: []}}, (err, csv) => {
+      expect(err).to.be.an.instanceof(TypeError);
+    });
+  });
+  it('rejects unknown options', () => {
+    let template = {columns: ['a'], options: {handleString: 1}};
+    jsonexport(orders, {template: template}, (err, csv) => {
+      expect(err).to.be.an.instanceof(TypeError);
+      expect(err.message).to.have.string('handleString');
+    });
+  });
+  it('works in streams', (done) => {
+    var stream = jsonexport({template: {columns: [{path: 'a', label: 'A'}]}});
+    var csv = '';
+    stream.on('data', (chunk) => csv += chunk);
+    stream.on('end', () => {
+      expect(csv).to.equal(`A${os.EOL}1${os.EOL}2`);
+      done();
+    });
+    stream.write(JSON.stringify([{a: 1, b: 2}, {a: 2, b: 3}]));
+    stream.end();
+  });
+});
@@ -1,17 +1,21 @@
 'use strict';
+const EventEmitter = require('events');
 const fs = require('fs');
 const process = require('process');
-const readline = require('readline');
 const {Readable} = require('stream');
 const {promisify} = require('util');
 const jsonexport = require('jsonexport')
 
 const _ = require('lodash');
+const {ValueError, converter} = require('./values');
 
 const readFileP = promisify(fs.readFile);
 
 const DEFAULT_RECORD_SEPARATOR = /^_+$/;
 
+// How much source text a diagnostic carries along for context.
+const SNIPPET_LENGTH = 80;
+
 function parseDictionary(dictPath) {
   return readFileP(dictionaryPath)
     .then(data => JSON.parse(data));
@@ -19,10 +23,61 @@ function parseDictionary(dictPath) {
 
 class RequiredOption extends Error {
   constructor(optionName) {
+    super('Missing required option: ' + optionName);
     this.optionName = optionName;
   }
 }
 
+/**
+ * A problem noticed while parsing.
+ *
+ * severity: 'error' when data was lost or parsing had to stop, 'warning'
+ *   when text was skipped or overridden but the result is usable.
+ * code: stable machine-readable identifier, e.g. 'ORPHANED_RECORD'.
+ * line: 1-based line number in the source, or null if unknown.
+ * header: the dictionary header involved, or null.
+ * snippet: a short excerpt of the offending source text, or null.
+ */
+class Diagnostic {
+  constructor(severity, code, message, details) {
+    details = details || {};
+    this.severity = severity;
+    this.code = code;
+    this.message = message;
+    this.line = details.line || null;
+    this.header = details.header || null;
+    this.snippet = _.isNil(details.snippet) ? null
+      : snippet(details.snippet);
+  }
+}
+
+/**
+ * Raised when parsing cannot continue. Carries the diagnostic that stopped
+ * the parse, and (once the parser has caught it) every diagnostic collected
+ * up to that point.
+ */
+class ParseError extends Error {
+  constructor(diagnostic) {
+    super(diagnostic.message);
+    this.name = 'ParseError';
+    this.code = diagnostic.code;
+    this.diagnostic = diagnostic;
+    this.diagnostics = [diagnostic];
+  }
+}
+
+function parseError(code, message, details) {
+  return new ParseError(new Diagnostic('error', code, message, details));
+}
+
+function snippet(text) {
+  text = String(text).trim();
+  if (text.length > SNIPPET_LENGTH) {
+    return text.slice(0, SNIPPET_LENGTH - 3) + '...';
+  }
+  return text;
+}
+
 function requiredOption(options, name) {
   let val = options[name];
   if (!val) {
@@ -38,6 +93,149 @@ function splitLines(string) {
   return string.split(/\r?\n/);
 }
 
+/**
+ * Index in the joined string at which each of splitLines' lines starts.
+ */
+function lineStarts(lines) {
+  let starts = [];
+  var index = 0;
+  lines.forEach(line => {
+    starts.push(index);
+    index += line.length + 1;
+  });
+  return starts;
+}
+
+/**
+ * The [start, end) range that string.slice(from, to).trim() occupies.
+ */
+function trimmedRange(string, from, to) {
+  let slice = string.slice(from, to);
+  let start = from + (slice.length - slice.trimLeft().length);
+  let end = Math.max(start, from + slice.trimRight().length);
+  return [start, end];
+}
+
+/**
+ * Maps positions within a field's raw value back to the source text, so
+ * FIELD_TYPES processors can say where each value they produce came from.
+ *
+ * Positions are {line, offset}: a 1-based line number and a 0-based
+ * character offset into the whole source. Spans are {start, end} with an
+ * exclusive end.
+ */
+class FieldSource {
+
+  /**
+   * headerSpan: where the header itself was found.
+   *
+   * segments: [{index, line, offset}], each saying that the value from
+   *   `index` onwards was read from `offset` on `line`.
+   */
+  constructor(headerSpan, segments) {
+    this.header = headerSpan;
+    this.segments = segments;
+  }
+
+  locate(index) {
+    for (var i = this.segments.length - 1; i >= 0; i--) {
+      let segment = this.segments[i];
+      if (segment.index <= index) {
+        return {line: segment.line,
+                offset: segment.offset + (index - segment.index)};
+      }
+    }
+    return this.header.end;
+  }
+
+  span(start, end) {
+    if (end <= start) {
+      // Nothing was read; point just past the header.
+      return {start: this.header.end, end: this.header.end};
+    }
+    let last = this.locate(end - 1);
+    return {start: this.locate(start),
+            end: {line: last.line, offset: last.offset + 1}};
+  }
+
+  /**
+   * Note that obj[field] was read from value.slice(start, end).
+   */
+  record(obj, field, start, end) {
+    if (!obj._provenance) {
+      obj._provenance = {};
+    }
+    obj._provenance[field] = {
+      header: this.header,
+      value: this.span(start, end),
+    };
+  }
+}
+
+// Stands in for a FieldSource when provenance isn't being recorded.
+const NO_SOURCE = {
+  record: function() {},
+};
+
+/**
+ * Emit the lines of a stream the way readline does (splitting on \r\n, \n
+ * or \r), along with the source offset each line starts at.
+ *
+ * Events: 'line' (line, offset), 'close', 'error'.
+ */
+class LineReader extends EventEmitter {
+  constructor(stream) {
+    super();
+    this.buffer = '';
+    this.offset = 0;  // Source offset of the start of this.buffer
+    this.closed = false;
+
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => this._consume(chunk, false));
+    stream.on('end', () => this._consume('', true));
+    stream.on('error', e => this.emit('error', e));
+  }
+
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      this.emit('close');
+    }
+  }
+
+  _consume(chunk, ended) {
+    if (this.closed) {
+      return;
+    }
+    this.buffer += chunk;
+
+    let newline = /\r\n|\n|\r/g;
+    var start = 0;
+    var m;
+    while ((m = newline.exec(this.buffer)) !== null) {
+      // A trailing \r may be the first half of a \r\n split across chunks
+      if (!ended && m[0] === '\r' && m.index === this.buffer.length - 1) {
+        break;
+      }
+      this.emit('line', this.buffer.slice(start, m.index),
+                this.offset + start);
+      start = m.index + m[0].length;
+      if (this.closed) {
+        return;
+      }
+    }
+    this.buffer = this.buffer.slice(start);
+    this.offset += start;
+
+    if (ended) {
+      if (this.buffer !== '') {
+        this.emit('line', this.buffer, this.offset);
+      }
+      this.close();
+    }
+  }
+}
+
 const FIELD_TYPES = {
 
   /**
@@ -49,11 +247,30 @@ const FIELD_TYPES = {
    */
   trimmed: function (opts) {
     let field = requiredOption(opts, 'field');
-    return function (obj, header, value) {
+    return function (obj, header, value, source) {
       obj[field] = value.trim();
+      let [start, end] = trimmedRange(value, 0, value.length);
+      source.record(obj, field, start, end);
     }
   },
 
+  /**
+   * Typed values, converted by values.js. Empty values become null.
+   *
+   * Options:
+   *
+   *   field: a string, used as the key for the final key/val pair.
+   *
+   *   Anything else is passed on to the value type, e.g. format and
+   *   timezone for dates. See VALUE_TYPES in values.js.
+   */
+  date: typedField('date'),
+  datetime: typedField('datetime'),
+  currency: typedField('currency'),
+  decimal: typedField('decimal'),
+  integer: typedField('integer'),
+  phone: typedField('phone'),
+
   /**
    * Read a structured table that follows a normal field.
    *
@@ -82,18 +299,31 @@ const FIELD_TYPES = {
    *   table_name: name of the field that holds the table
    *
    *   num_columns: the number of columns in each table row
+   *
+   *   field_type: optional value type for the normal field, e.g. 'date'
+   *
+   *   column_types: optional map from column name to value type, e.g.
+   *     {"Rc Amt": "currency"}. Columns not listed stay strings.
    */
   field_followed_by_table: function (opts) {
     let fieldName = requiredOption(opts, 'field_name');
     let tableName = requiredOption(opts, 'table_name');
     let numColumns = requiredOption(opts, 'num_columns');
+    let defaults = {timezone: opts.timezone};
+    let convertField = opts.field_type ?
+        converter(opts.field_type, defaults) : s => s.trim();
+    let convertColumns = _.mapValues(opts.column_types || {},
+                                     def => converter(def, defaults));
 
-    return function (obj, header, value) {
+    return function (obj, header, value, source) {
       let lines = splitLines(value);
+      let starts = lineStarts(lines);
 
       // Read simple value
-      let simpleVal = lines[0].trim();
+      let simpleVal = convertValue(convertField, lines[0], header);
       obj[fieldName] = simpleVal;
+      let [simpleStart, simpleEnd] = trimmedRange(value, 0, lines[0].length);
+      source.record(obj, fieldName, simpleStart, simpleEnd);
 
       // Read table
       let tableLines = lines
@@ -101,9 +331,11 @@ const FIELD_TYPES = {
           .map(s => s.trim())
           .filter(s => s !== '');
       if (tableLines.length % numColumns != 0) {
-        console.log(trimmedLines);
-        throw ('Table ' + header + ' has ' + tableLines.length + ' lines which'
-               + " can't cleanly divide " + numColumns + ' columns');
+        throw parseError('BAD_TABLE',
+                         'Table ' + header + ' has ' + tableLines.length
+                         + " lines which can't cleanly divide " + numColumns
+                         + ' columns',
+                         {header: header, snippet: tableLines.join(' | ')});
       }
       let numRows = tableLines.length / numColumns - 1;  // take off header row
       let colNames = tableLines.slice(0, numColumns);
@@ -112,9 +344,24 @@ const FIELD_TYPES = {
         let rowElems = tableLines.slice((i + 1) * numColumns,
                                         (i + 2) * numColumns);
         let row = _.zipObject(colNames, rowElems);
+        _.forEach(convertColumns, (convert, column) => {
+          if (_.has(row, column)) {
+            row[column] = convertValue(convert, row[column], header,
+                                       'column ' + column + ', row ' + (i + 1));
+          }
+        });
         rows.push(row);
       }
       obj[tableName] = rows;
+
+      let filled = _.range(1, lines.length)
+          .filter(i => lines[i].trim() !== '');
+      if (filled.length > 0) {
+        let last = _.last(filled);
+        let [tableStart, tableEnd] = trimmedRange(
+          value, starts[filled[0]], starts[last] + lines[last].length);
+        source.record(obj, tableName, tableStart, tableEnd);
+      }
     }
   },
 
@@ -125,8 +372,9 @@ const FIELD_TYPES = {
     let locationField = requiredOption(opts, 'location_field');
     let contactsField = requiredOption(opts, 'contacts_field');
 
-    return function(obj, header, value) {
+    return function(obj, header, value, source) {
       let lines = splitLines(value);
+      let starts = lineStarts(lines);
 
       let contacts = [];
       let contactIndex = lines.findIndex(l => /^Contact /.test(l));
@@ -165,10 +413,55 @@ const FIELD_TYPES = {
 
       obj[contactsField] = contacts;
       obj[locationField] = location;
+
+      let locationStart = secondaryLocationHeader + 1;
+      let locationEnd = contactIndex === -1 ? lines.length - 1 : contactIndex;
+      if (locationEnd > locationStart) {
+        source.record(obj, locationField, ...trimmedRange(
+          value, starts[locationStart],
+          starts[locationEnd - 1] + lines[locationEnd - 1].length));
+      }
+      if (contactIndex !== -1) {
+        source.record(obj, contactsField, ...trimmedRange(
+          value, starts[contactIndex], value.length));
+      }
     };
   },
 };
 
+/**
+ * Build a FIELD_TYPES processor that stores a single typed value.
+ */
+function typedField(typeName) {
+  return function(opts) {
+    let field = requiredOption(opts, 'field');
+    let convert = converter(_.assign(_.omit(opts, 'field'), {type: typeName}));
+    return function(obj, header, value, source) {
+      obj[field] = convertValue(convert, value, header);
+      let [start, end] = trimmedRange(value, 0, value.length);
+      source.record(obj, field, start, end);
+    };
+  };
+}
+
+/**
+ * Run a values.js converter, reporting failures as BAD_VALUE parse errors.
+ *
+ * where: optional extra location, e.g. the table cell being read.
+ */
+function convertValue(convert, value, header, where) {
+  try {
+    return convert(value);
+  } catch (e) {
+    if (!(e instanceof ValueError)) {
+      throw e;
+    }
+    throw parseError('BAD_VALUE',
+                     e.message + ' for ' + header + (where ? ' ' + where : ''),
+                     {header: header, snippet: value});
+  }
+}
+
 class FieldDictionary {
   constructor(data) {
     this.data = data;
@@ -207,31 +500,24 @@ class FieldDictionary {
 
   /**
    * Turn a raw header/value pair into fields on obj.
+   *
+   * source is a FieldSource for recording provenance, if wanted.
    */
-  process(obj, typeName, header, value) {
+  process(obj, typeName, header, value, source) {
+    source = source || NO_SOURCE;
     if (header == '_meta') {
       obj._meta = value;
       return;
     }
-    let typeDef = this.data[typeName];
-    for (const [field, h] of Object.entries(typeDef.fields)) {
-      if (h === header) {
-        let processor = FIELD_TYPES.trimmed({field: field});
-        processor(obj, header, value);
-        return;
-      }
-    }
-    for (const [h, fieldDef] of Object.entries(typeDef.fields_by_header)) {
-      if (h === header) {
-        let opts = _.clone(fieldDef);
-        delete opts.type;
-        let processor = FIELD_TYPES[fieldDef.type](opts);
-        processor(obj, header, value);
-        return;
-      }
+    let processor = this._processors[typeName][header];
+    if (processor) {
+      processor(obj, header, value, source);
+      return;
     }
-    throw ('No processor found in dictionary for header ' + header + ' in '
-           + typeName);
+    throw parseError('UNKNOWN_HEADER',
+                     'No processor found in dictionary for header ' + header
+                     + ' in ' + typeName,
+                     {header: header});
   }
 
   ownerOf(typeName) {
@@ -266,23 +552,51 @@ class FieldDictionary {
     if (!this._data.options) {
       this._data.options = {};
     }
+
+    this._processors = this._buildProcessors();
+  }
+
+  /**
+   * Processors by type name and header. Building them all up front means
+   * a dictionary with an unknown field type or bad options fails on load
+   * rather than halfway through a parse.
+   */
+  _buildProcessors() {
+    let defaults = _.pick(this._data.options, 'timezone');
+    let processors = {};
+    for (const [typeName, typeDef] of Object.entries(this._data)) {
+      if (typeName === 'options') {
+        continue;
+      }
+      let byHeader = processors[typeName] = {};
+      for (const [field, h] of Object.entries(typeDef.fields || {})) {
+        byHeader[h] = FIELD_TYPES.trimmed({field: field});
+      }
+      for (const [h, fieldDef] of Object.entries(typeDef.fields_by_header)) {
+        let factory = FIELD_TYPES[fieldDef.type];
+        if (!factory) {
+          let where = typeName + ' header ' + h;
+          throw new Error('Unknown field type ' + fieldDef.type + ' for ' +
+                          where);
+        }
+        let opts = _.defaults(_.omit(fieldDef, 'type'), defaults);
+        byHeader[h] = factory(opts);
+      }
+    }
+    return processors;
   }
 }
 
 
 /**
- * Get an appropriate type na~me for the given set of fields.
+ * Get an appropriate type name for the given set of fields.
  */
-function identifyObjectType(rawFields, dictionary) {
+function identifyObjectType(builder, dictionary) {
   var objectType = null;
-  Object.keys(rawFields).forEach(header => {
+  var typeHeader = null;
+  Object.keys(builder.object).forEach(header => {
     var types = dictionary.typesForHeader(header);
 
-    if (!types) {
-      console.log('No types for:', header);
-      return;
-    }
-
     if (types.length != 1) {
       return;
     }
@@ -290,13 +604,18 @@ function identifyObjectType(rawFields, dictionary) {
     let typeName = types[0];
     if (objectType === null) {
       objectType = typeName;
+      typeHeader = header;
     } else if (objectType !== typeName) {
 
       // The dictionary specified two fields which are unique to their
       // types, and this object has both of them, meaning the
       // dictionary is wrong or the file is corrupt/invalid.
-      throw ('Object can have two or more types: ' + objectType + ' and '
-             + typeName + ' due to header ' + header);
+      throw parseError('AMBIGUOUS_RECORD',
+                       'Object can have two or more types: ' + objectType
+                       + ' (from ' + typeHeader + ') and ' + typeName
+                       + ' due to header ' + header,
+                       {line: builder.lines[header], header: header,
+                        snippet: builder.text});
     }
   });
   return objectType;
@@ -305,17 +624,55 @@ function identifyObjectType(rawFields, dictionary) {
 
 /**
  * Take extracted header/value pairs and make a proper object with them.
+ *
+ * `state` carries the parse mode along with the diagnostics and
+ * unclassified records collected so far. In strict mode every error is
+ * raised as a ParseError; in lenient mode it is recorded and the record is
+ * kept, either with the problem noted in its `_meta` or, when it can't be
+ * placed at all, in `state.unclassified`.
  */
-function cookObject(rawFields, currObjects, dictionary, reverseDictionary) {
-  let objectType = identifyObjectType(rawFields, dictionary);
-  if (objectType == null) {
-    throw 'Object could not be categorized: ' + JSON.stringify(rawFields);
+function cookObject(builder, currObjects, dictionary, state) {
+  let rawFields = builder.object;
+  var objectType;
+  try {
+    objectType = identifyObjectType(builder, dictionary);
+    if (objectType == null) {
+      throw parseError('UNCATEGORIZED_RECORD',
+                       'Object could not be categorized: '
+                       + JSON.stringify(rawFields),
+                       {line: builder.startLine, snippet: builder.text});
+    }
+  } catch (e) {
+    if (state.mode === 'strict' || !(e instanceof ParseError)) {
+      throw e;
+    }
+    quarantine(state, e.diagnostic, null, rawFields);
+    return;
   }
 
   var result = {};
+  var errors = [];
   Object.entries(rawFields).forEach(([header, value]) => {
-    dictionary.process(result, objectType, header, value);
+    try {
+      let source = state.provenance ? builder.sourceFor(header) : NO_SOURCE;
+      dictionary.process(result, objectType, header, value, source);
+    } catch (e) {
+      if (!(e instanceof ParseError)) {
+        throw e;
+      }
+      e.diagnostic.line = e.diagnostic.line || builder.lines[header] || null;
+      e.diagnostic.header = e.diagnostic.header || header;
+      if (state.mode === 'strict') {
+        throw e;
+      }
+      state.diagnostics.push(e.diagnostic);
+      errors.push(e.diagnostic.message);
+    }
   });
+  if (errors.length > 0) {
+    result._meta = result._meta || {};
+    result._meta.errors = errors;
+  }
 
   // Place the object in the right spot
   var owner = dictionary.ownerOf(objectType);
@@ -323,8 +680,17 @@ function cookObject(rawFields, currObjects, dictionary, reverseDictionary) {
     var matchField = owner.match_on;
     var ownerObj = currObjects.find(o => o[matchField] === result[matchField]);
     if (_.isUndefined(ownerObj)) {
-      console.log("WARNING: can't find onwer for", matchField,
-                  result[matchField], '- discarding data');
+      let matchHeader = dictionary.data[objectType].fields[matchField];
+      let diagnostic = new Diagnostic(
+        'error', 'ORPHANED_RECORD',
+        "Can't find owner for " + objectType + ' with ' + matchField + ' '
+          + JSON.stringify(result[matchField]),
+        {line: builder.lines[matchHeader] || builder.startLine,
+         header: matchHeader, snippet: builder.text});
+      if (state.mode === 'strict') {
+        throw new ParseError(diagnostic);
+      }
+      quarantine(state, diagnostic, objectType, result);
     } else {
       if (!ownerObj[owner.as]) {
         ownerObj[owner.as] = [];
@@ -336,6 +702,20 @@ function cookObject(rawFields, currObjects, dictionary, reverseDictionary) {
   }
 }
 
+/**
+ * Set aside a record that couldn't be placed in the result, so it isn't lost.
+ */
+function quarantine(state, diagnostic, objectType, record) {
+  state.diagnostics.push(diagnostic);
+  state.unclassified.push({
+    code: diagnostic.code,
+    message: diagnostic.message,
+    line: diagnostic.line,
+    type: objectType,
+    record: record,
+  });
+}
+
 function allMatches(regexp, s) {
   let results = [];
   var m;
@@ -387,16 +767,55 @@ function buildDictionaryRegex(dictionary) {
  * I store raw key/value pairs extracted from the input source.
  */
 class ObjectBuilder {
-  constructor() {
+  constructor(startLine, diagnostics) {
     this.object = {};
+    this.startLine = startLine;
+    this.lines = {};
+    this.origins = {};
+    this.text = '';
+    this.diagnostics = diagnostics;
   }
 
-  store(field, value) {
+  /**
+   * origin: {line, headerSpan, segments}, see FieldSource.
+   */
+  store(field, value, origin) {
+    let line = origin.line;
     if (this.object[field]) {
-      this.warn('ignored_text', ("Repeated value for '" + field
-                                 + "', '" + this.object[field] + "'"));
+      let message = ("Repeated value for '" + field + "', '"
+                     + this.object[field] + "'");
+      this.warn('ignored_text', message);
+      this.diagnostics.push(new Diagnostic(
+        'warning', 'REPEATED_FIELD', message,
+        {line: line, header: field, snippet: this.object[field]}));
     }
     this.object[field] = value;
+    this.lines[field] = line;
+    this.origins[field] = origin;
+  }
+
+  sourceFor(field) {
+    let origin = this.origins[field];
+    if (!origin) {
+      return NO_SOURCE;
+    }
+    return new FieldSource(origin.headerSpan, origin.segments);
+  }
+
+  ignore(text, line) {
+    let message = "Ignored header: '" + text + "'";
+    this.warn('ignored_text', message);
+    this.diagnostics.push(new Diagnostic(
+      'warning', 'IGNORED_TEXT', message, {line: line, snippet: text}));
+  }
+
+  /**
+   * Keep the raw source of the record around for diagnostics.
+   */
+  append(line) {
+    if (line.trim() !== '' && this.text.length < SNIPPET_LENGTH) {
+      this.text += (this.text ? '\n' : '') + line;
+    }
   }
 
   warn(warnType, message) {
@@ -416,13 +835,64 @@ class ObjectBuilder {
 }
 
 
+/**
+ * Parse modes:
+ *
+ *   strict: stop at the first error, rejecting with a ParseError that
+ *     locates it.
+ *
+ *   lenient: never stop for bad data; record every problem and set aside
+ *     records that can't be placed in an `unclassified` bucket.
+ */
+const PARSE_MODES = ['strict', 'lenient'];
+
 class OrderParser {
-  constructor(dictionary) {
+  /**
+   * options:
+   *
+   *   mode: default parse mode, one of PARSE_MODES. Defaults to 'lenient'.
+   *
+   *   provenance: when true, each object gets a `_provenance` map saying
+   *     where in the source each of its fields' header and value were
+   *     found (see FieldSource). Defaults to false.
+   */
+  constructor(dictionary, options) {
     this.dictionary = new FieldDictionary(dictionary);
     this.regex = buildDictionaryRegex(this.dictionary);
+    this.options = _.defaults({}, options, {mode: 'lenient', provenance: false});
+    checkMode(this.options.mode);
+  }
+
+  /**
+   * Parse an order export.
+   *
+   * @param {String|stream.Readable} text
+   * @param {Object} [options] overrides the parser's options for this call
+   * @returns {Promise} resolving to the Array of parsed objects
+   */
+  parse(text, options) {
+    return this.parseWithDiagnostics(text, options)
+      .then(parsed => parsed.objects);
   }
 
-  parse(text) {
+  /**
+   * Parse an order export, keeping track of everything that was skipped,
+   * discarded or could not be understood.
+   *
+   * Rejects with a ParseError when parsing cannot continue; its
+   * `diagnostics` holds every diagnostic collected up to that point.
+   *
+   * @param {String|stream.Readable} text
+   * @param {Object} [options] overrides the parser's options for this call
+   * @returns {Promise} resolving to {objects, diagnostics, unclassified}
+   */
+  parseWithDiagnostics(text, options) {
+    options = _.defaults({}, options, this.options);
+    try {
+      checkMode(options.mode);
+    } catch (e) {
+      return Promise.reject(e);
+    }
 
     // FIXME: test string/stream behavior
     var stream;
@@ -434,45 +904,81 @@ class OrderParser {
       stream = text;
     }
 
-    let lines = readline.createInterface({input: stream});
+    let lines = new LineReader(stream);
 
     let objects = [];
-    var currObject = new ObjectBuilder();
+    let diagnostics = [];
+    let state = {
+      mode: options.mode,
+      provenance: options.provenance,
+      diagnostics: diagnostics,
+      unclassified: [],
+    };
+    var lineNo = 0;
+    var lineEnd = null;  // Where the previous line ended
+    var currObject = new ObjectBuilder(1, diagnostics);
 
     var multilineField = null;
     function finishMultilineField() {
-      currObject.store(multilineField.header, multilineField.value);
+      currObject.store(multilineField.header, multilineField.value,
+                       multilineField);
       multilineField = null;
     }
 
+    function extendMultilineField(text, line, offset) {
+      multilineField.segments.push({
+        index: multilineField.value.length,
+        line: line,
+        offset: offset,
+      });
+      multilineField.value += text;
+    }
+
     return new Promise((resolve, reject) => {
-      lines.on('line', (line) => {
+      var finished = false;
+      let fail = (e) => {
+        finished = true;
+        lines.close();
+        if (e instanceof ParseError) {
+          diagnostics.push(e.diagnostic);
+          e.diagnostics = diagnostics;
+        }
+        reject(e);
+      };
+
+      let readLine = (line, lineOffset) => {
         if (this.dictionary.recordSeparator.exec(line)) {
           if (multilineField) {
             finishMultilineField();
           }
-	  if (!currObject.isEmpty) {
-            cookObject(currObject.object, objects, this.dictionary);
-	  }
-          currObject = new ObjectBuilder();
+          if (!currObject.isEmpty) {
+            cookObject(currObject, objects, this.dictionary, state);
+          }
+          currObject = new ObjectBuilder(lineNo + 1, diagnostics);
           return;
         }
 
+        currObject.append(line);
         if (multilineField) {
-          multilineField.value = multilineField.value + '\n';
+          extendMultilineField('\n', lineEnd.line, lineEnd.offset);
         }
 
         let parts = splitByMatches(this.regex, line);
+        let partOffsets = [];
+        parts.reduce((offset, part) => {
+          partOffsets.push(offset);
+          return offset + part.value.length;
+        }, lineOffset);
+
         for (var i = 0; i < parts.length; i++) {
           let part = parts[i];
 
           // Skip (or accumulate into multiline) unmatched parts
           if (!part.isMatch) {
             if (multilineField) {
-              multilineField.value += part.value;
+              extendMultilineField(part.value, lineNo, partOffsets[i]);
             } else if (part.value.trim() !== '') {
-              currObject.warn('ignored_text', ("Ignored header: '"
-                                               + part.value + "'"));
+              currObject.ignore(part.value, lineNo);
             }
             continue;
           }
@@ -492,32 +998,77 @@ class OrderParser {
             value = '';
           }
 
+          let headerStart = {line: lineNo, offset: partOffsets[i]};
           multilineField = {
             header: header,
             value: value,
+            line: lineNo,
+            headerSpan: {
+              start: headerStart,
+              end: {line: lineNo, offset: headerStart.offset + header.length},
+            },
+            segments: [],
           };
+          if (value !== '') {
+            multilineField.segments.push(
+              {index: 0, line: lineNo, offset: partOffsets[i + 1]});
+          }
           i++;
         }
-        if (parts.length == 0 && line.trim() !== '') {
-          console.error('Skipping:', line);
+      };
+
+      lines.on('line', (line, offset) => {
+        if (finished) {
+          return;
+        }
+        lineNo++;
+        try {
+          readLine(line, offset);
+        } catch (e) {
+          fail(e);
+        }
+        lineEnd = {line: lineNo, offset: offset + line.length};
+      });
+      lines.on('error', e => {
+        if (!finished) {
+          fail(e);
         }
       });
 
       // Show result when reading the file is done
       lines.on('close', () => {
-        if (multilineField) {
-          finishMultilineField();
+        if (finished) {
+          return;
         }
-        if (!currObject.isEmpty) {
-          cookObject(currObject.object, objects, this.dictionary);
+        try {
+          if (multilineField) {
+            finishMultilineField();
+          }
+          if (!currObject.isEmpty) {
+            cookObject(currObject, objects, this.dictionary, state);
+          }
+        } catch (e) {
+          return fail(e);
         }
-        resolve(objects);
+        finished = true;
+        resolve({
+          objects: objects,
+          diagnostics: diagnostics,
+          unclassified: state.unclassified,
+        });
       });
 
     });
   }
 };
 
+function checkMode(mode) {
+  if (PARSE_MODES.indexOf(mode) === -1) {
+    throw new Error('Unknown parse mode: ' + mode + ' (expected one of '
+                    + PARSE_MODES.join(', ') + ')');
+  }
+}
+
 if (require.main == module) {
   var orderPath = process.argv[2];
   var dictionaryPath = process.argv[3];
@@ -545,3 +1096,6 @@ if (require.main == module) {
 }
 
 exports.OrderParser = OrderParser;
+exports.PARSE_MODES = PARSE_MODES;
+exports.ParseError = ParseError;
+exports.Diagnostic = Diagnostic;
@@ -2,7 +2,8 @@
 
 const assert = require('assert');
 const chai = require('chai');
-const {OrderParser} = require('..');
+const {Readable} = require('stream');
+const {OrderParser, ParseError} = require('..');
 
 chai.should();
 
@@ -191,4 +192,343 @@ describe('OrderParser', () => {
       });      
     });
   });
+
+  describe('#parseWithDiagnostics', () => {
+    it('reports ignored text and repeated fields with line numbers', () => {
+      let parser = new OrderParser({Order: {fields: {foo: 'Foo:'}}});
+      let data = 'Hello there\nFoo: 1\nFoo: 2';
+
+      return parser.parseWithDiagnostics(data).then(parsed => {
+        parsed.objects.should.have.length(1);
+        parsed.diagnostics.map(d => [d.severity, d.code, d.line, d.header])
+          .should.eql([
+            ['warning', 'IGNORED_TEXT', 1, null],
+            ['warning', 'REPEATED_FIELD', 3, 'Foo:'],
+          ]);
+        parsed.diagnostics[0].snippet.should.equal('Hello there');
+      });
+    });
+
+    it('rejects with a located ParseError for uncategorizable records', () => {
+      let parser = new OrderParser({
+        Order: {fields: {foo: 'Foo:', shared: 'Shared:'}},
+        Other: {fields: {bar: 'Bar:', shared: 'Shared:'}},
+      });
+      let data = 'Foo: 1\n__\nJunk\nShared: 2';
+
+      return parser.parseWithDiagnostics(data, {mode: 'strict'}).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        e.should.be.an.instanceof(ParseError);
+        e.code.should.equal('UNCATEGORIZED_RECORD');
+        e.diagnostic.line.should.equal(3);
+        e.diagnostics.map(d => d.code)
+          .should.eql(['IGNORED_TEXT', 'UNCATEGORIZED_RECORD']);
+      });
+    });
+
+    it('locates malformed tables', () => {
+      let parser = new OrderParser({
+        Order: {
+          fields: {foo: 'Foo:'},
+          fields_by_header: {
+            'Items:': {
+              type: 'field_followed_by_table',
+              field_name: 'items_date',
+              table_name: 'items',
+              num_columns: 2,
+            },
+          },
+        },
+      });
+      let data = 'Foo: 1\nItems: today\nName\nQty\nWidget';
+
+      return parser.parseWithDiagnostics(data, {mode: 'strict'}).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        e.code.should.equal('BAD_TABLE');
+        e.diagnostic.line.should.equal(2);
+        e.diagnostic.header.should.equal('Items:');
+      });
+    });
+  });
+
+  describe('parse modes', () => {
+    let ownedDictionary = {
+      Order: {fields: {foo: 'Foo:'}},
+      Suborder: {fields: {foo: 'foo:', bar: 'bar:'},
+                 belongs_to: {match_on: 'foo', as: 'suborders'}},
+    };
+    let tableDictionary = {
+      Order: {
+        fields: {foo: 'Foo:'},
+        fields_by_header: {
+          'Items:': {
+            type: 'field_followed_by_table',
+            field_name: 'items_date',
+            table_name: 'items',
+            num_columns: 2,
+          },
+        },
+      },
+    };
+
+    it('defaults to lenient', () => {
+      let parser = new OrderParser(ownedDictionary);
+      let data = 'Foo: 1\n__\nbar: hello\nfoo: 2';
+
+      return parser.parseWithDiagnostics(data).then(parsed => {
+        parsed.objects.should.eql([{foo: '1'}]);
+        parsed.unclassified.length.should.equal(1);
+      });
+    });
+
+    it('fails on records without an owner in strict mode', () => {
+      let parser = new OrderParser(ownedDictionary, {mode: 'strict'});
+      let data = 'Foo: 1\n__\nbar: hello\nfoo: 2';
+
+      return parser.parse(data).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        e.should.be.an.instanceof(ParseError);
+        e.code.should.equal('ORPHANED_RECORD');
+        e.diagnostic.line.should.equal(4);
+        e.diagnostic.header.should.equal('foo:');
+        e.diagnostic.snippet.should.equal('bar: hello\nfoo: 2');
+      });
+    });
+
+    it('quarantines records without an owner in lenient mode', () => {
+      let parser = new OrderParser(ownedDictionary, {mode: 'lenient'});
+      let data = 'Foo: 1\n__\nbar: hello\nfoo: 2';
+
+      return parser.parseWithDiagnostics(data).then(parsed => {
+        parsed.objects.should.eql([{foo: '1'}]);
+        parsed.diagnostics.map(d => [d.severity, d.code])
+          .should.eql([['error', 'ORPHANED_RECORD']]);
+        parsed.unclassified.should.eql([{
+          code: 'ORPHANED_RECORD',
+          message: 'Can\'t find owner for Suborder with foo "2"',
+          line: 4,
+          type: 'Suborder',
+          record: {foo: '2', bar: 'hello'},
+        }]);
+      });
+    });
+
+    it('quarantines uncategorizable records in lenient mode', () => {
+      let parser = new OrderParser({Order: {fields: {foo: 'Foo:'}},
+                                    Other: {fields: {foo: 'Foo:'}}});
+      let data = 'Foo: 1\n__\nFoo: 2';
+
+      return parser.parseWithDiagnostics(data, {mode: 'lenient'})
+        .then(parsed => {
+          parsed.objects.should.eql([]);
+          parsed.unclassified.map(u => [u.code, u.line, u.record])
+            .should.eql([
+              ['UNCATEGORIZED_RECORD', 1, {'Foo:': ' 1'}],
+              ['UNCATEGORIZED_RECORD', 3, {'Foo:': ' 2'}],
+            ]);
+        });
+    });
+
+    it('keeps records with bad fields in lenient mode', () => {
+      let parser = new OrderParser(tableDictionary);
+      let data = 'Foo: 1\nItems: today\nName\nQty\nWidget';
+
+      return parser.parseWithDiagnostics(data, {mode: 'lenient'})
+        .then(parsed => {
+          parsed.objects.should.have.length(1);
+          parsed.objects[0].foo.should.equal('1');
+          parsed.objects[0]._meta.errors.should.have.length(1);
+          parsed.diagnostics.map(d => [d.code, d.line])
+            .should.eql([['BAD_TABLE', 2]]);
+        });
+    });
+
+    it('rejects unknown modes', () => {
+      (() => new OrderParser(tableDictionary, {mode: 'sloppy'}))
+        .should.throw(/Unknown parse mode/);
+
+      let parser = new OrderParser(tableDictionary);
+      return parser.parse('Foo: 1', {mode: 'sloppy'}).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        e.message.should.match(/Unknown parse mode: sloppy/);
+      });
+    });
+  });
+
+  describe('typed fields', () => {
+    let typedDictionary = {
+      options: {timezone: 'America/Chicago'},
+      Order: {
+        fields: {foo: 'Foo:'},
+        fields_by_header: {
+          'Sent:': {type: 'datetime', field: 'sent'},
+          'Due:': {type: 'date', field: 'due', format: 'DD.MM.YYYY'},
+          'Phone:': {type: 'phone', field: 'phone', format: 'national'},
+          'Count:': {type: 'integer', field: 'count'},
+          'Items:': {
+            type: 'field_followed_by_table',
+            field_name: 'items_date',
+            table_name: 'items',
+            num_columns: 2,
+            field_type: 'date',
+            column_types: {Amt: 'currency'},
+          },
+        },
+      },
+    };
+
+    it('converts values using the dictionary timezone', () => {
+      let parser = new OrderParser(typedDictionary);
+      let data = [
+        'Foo: 1',
+        'Sent: 9/28/17 9:04 AM',
+        'Due: 02.10.2017',
+        'Phone: 217.524.6816 x12',
+        'Count: 1,200',
+        'Items:',
+      ].join('\n');
+
+      return parser.parse(data).then(result => {
+        result.should.eql([{
+          foo: '1',
+          sent: '2017-09-28T14:04:00.000Z',
+          due: '2017-10-02',
+          phone: '(217) 524-6816 x12',
+          count: 1200,
+          items_date: null,
+          items: [],
+        }]);
+      });
+    });
+
+    it('converts table columns', () => {
+      let parser = new OrderParser(typedDictionary);
+      let data = 'Foo: 1\nItems: 09/25/17\nName\nAmt\n' +
+          'Widget\n($1,051.75)\nGadget\n-$3';
+
+      return parser.parse(data).then(result => {
+        result[0].items_date.should.equal('2017-09-25');
+        result[0].items.should.eql([{Name: 'Widget', Amt: -1051.75},
+                                    {Name: 'Gadget', Amt: -3}]);
+      });
+    });
+
+    it('fails on values of the wrong type in strict mode', () => {
+      let parser = new OrderParser(typedDictionary, {mode: 'strict'});
+      let data = 'Foo: 1\nItems:\nName\nAmt\nWidget\nfree';
+
+      return parser.parse(data).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        e.code.should.equal('BAD_VALUE');
+        e.message.should.match(/column Amt, row 1/);
+        e.diagnostic.header.should.equal('Items:');
+        e.diagnostic.snippet.should.equal('free');
+      });
+    });
+
+    it('keeps records with values of the wrong type in lenient mode', () => {
+      let parser = new OrderParser(typedDictionary, {mode: 'lenient'});
+      let data = 'Foo: 1\nSent: yesterday\nCount: 2.5';
+
+      return parser.parseWithDiagnostics(data).then(parsed => {
+        parsed.objects[0].foo.should.equal('1');
+        parsed.objects[0]._meta.errors.should.have.length(2);
+        parsed.diagnostics.map(d => [d.code, d.line])
+          .should.eql([['BAD_VALUE', 2], ['BAD_VALUE', 3]]);
+      });
+    });
+
+    it('rejects dictionaries with unknown types or timezones', () => {
+      (() => new OrderParser({
+        Order: {fields_by_header: {'Foo:': {type: 'colour', field: 'foo'}}},
+      })).should.throw(/Unknown field type colour/);
+      (() => new OrderParser({
+        options: {timezone: 'Mars/Olympus_Mons'},
+        Order: {fields_by_header: {'Foo:': {type: 'datetime', field: 'foo'}}},
+      })).should.throw(/Unknown timezone/);
+    });
+  });
+
+  describe('provenance', () => {
+    function sourceOf(text, span) {
+      return text.slice(span.start.offset, span.end.offset);
+    }
+
+    it('is only recorded when asked for', () => {
+      let parser = new OrderParser({Order: {fields: {foo: 'Foo:'}}});
+
+      return parser.parse('Foo: 1').then(result => {
+        result.should.eql([{foo: '1'}]);
+      });
+    });
+
+    it('locates headers and values in the source', () => {
+      let parser = new OrderParser({Order: {fields: {foo: 'Foo:',
+                                                     bar: 'Bar:'}}},
+                                   {provenance: true});
+      let data = 'Foo:  one\r\n___\r\nJunk Bar:\r\n\r\n two\r\n three \r\n';
+
+      return parser.parse(data).then(result => {
+        let first = result[0]._provenance.foo;
+        first.header.should.eql({start: {line: 1, offset: 0},
+                                 end: {line: 1, offset: 4}});
+        first.value.should.eql({start: {line: 1, offset: 6},
+                                end: {line: 1, offset: 9}});
+
+        let second = result[1]._provenance.bar;
+        sourceOf(data, second.header).should.equal('Bar:');
+        second.header.start.should.eql({line: 3, offset: 21});
+        sourceOf(data, second.value).should.equal('two\r\n three');
+        second.value.start.line.should.equal(5);
+        second.value.end.line.should.equal(6);
+      });
+    });
+
+    it('points empty values just past their header', () => {
+      let parser = new OrderParser({Order: {fields: {foo: 'Foo:'}}},
+                                   {provenance: true});
+
+      return parser.parse('\nFoo:  \n\n').then(result => {
+        result[0]._provenance.foo.value.should.eql(
+          {start: {line: 2, offset: 5}, end: {line: 2, offset: 5}});
+      });
+    });
+
+    it('keeps offsets exact across stream chunks', () => {
+      let parser = new OrderParser({
+        Order: {
+          fields: {foo: 'Foo:'},
+          fields_by_header: {
+            'Items:': {
+              type: 'field_followed_by_table',
+              field_name: 'items_date',
+              table_name: 'items',
+              num_columns: 2,
+            },
+          },
+        },
+      }, {provenance: true});
+      let chunks = ['Foo: 1\r', '\nItems: today\r\nName\r', '\nQty\r\n',
+                    'Widget\r\n3\r\n'];
+      let data = chunks.join('');
+      let stream = new Readable({read() {}});
+      chunks.forEach(chunk => stream.push(chunk));
+      stream.push(null);
+
+      return parser.parse(stream).then(result => {
+        let provenance = result[0]._provenance;
+        sourceOf(data, provenance.foo.value).should.equal('1');
+        sourceOf(data, provenance.items_date.value).should.equal('today');
+        sourceOf(data, provenance.items.value)
+          .should.equal('Name\r\nQty\r\nWidget\r\n3');
+        provenance.items.value.start.line.should.equal(3);
+        provenance.items.value.end.line.should.equal(6);
+      });
+    });
+  });
 });
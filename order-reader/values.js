@@ -0,0 +1,349 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Raised when a raw string can't be read as the requested type.
+ */
+class ValueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValueError';
+  }
+}
+
+// Two-digit years up to this one are taken to be in the 2000s.
+const TWO_DIGIT_YEAR_PIVOT = 68;
+
+const DATE_TOKENS = {
+  YYYY: {pattern: '(\\d{4})', part: 'year'},
+  YY: {pattern: '(\\d{2})', part: 'shortYear'},
+  MM: {pattern: '(\\d{2})', part: 'month'},
+  M: {pattern: '(\\d{1,2})', part: 'month'},
+  DD: {pattern: '(\\d{2})', part: 'day'},
+  D: {pattern: '(\\d{1,2})', part: 'day'},
+  HH: {pattern: '(\\d{2})', part: 'hour'},
+  H: {pattern: '(\\d{1,2})', part: 'hour'},
+  hh: {pattern: '(\\d{2})', part: 'hour12'},
+  h: {pattern: '(\\d{1,2})', part: 'hour12'},
+  mm: {pattern: '(\\d{2})', part: 'minute'},
+  ss: {pattern: '(\\d{2})', part: 'second'},
+  A: {pattern: '([AaPp][Mm])', part: 'meridiem'},
+};
+
+const TOKEN_REGEX = new RegExp(
+  Object.keys(DATE_TOKENS).sort((a, b) => b.length - a.length).join('|'),
+  'g');
+
+const DEFAULT_DATE_FORMATS = ['M/D/YYYY', 'M/D/YY', 'YYYY-MM-DD'];
+const DEFAULT_DATETIME_FORMATS = [
+  'M/D/YYYY h:mm A',
+  'M/D/YY h:mm A',
+  'M/D/YYYY H:mm',
+  'M/D/YY H:mm',
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+];
+
+/**
+ * Turn a format such as 'M/D/YY h:mm A' into a regex plus the list of date
+ * parts captured by its groups. Whitespace in the format matches any run of
+ * whitespace in the value.
+ */
+function compileFormat(format) {
+  let parts = [];
+  var pattern = '';
+  var cursor = 0;
+  var m;
+  TOKEN_REGEX.lastIndex = 0;
+  while ((m = TOKEN_REGEX.exec(format)) !== null) {
+    pattern += literal(format.slice(cursor, m.index));
+    pattern += DATE_TOKENS[m[0]].pattern;
+    parts.push(DATE_TOKENS[m[0]].part);
+    cursor = m.index + m[0].length;
+  }
+  pattern += literal(format.slice(cursor));
+  return {regex: new RegExp('^' + pattern + '$'), parts: parts};
+}
+
+function literal(text) {
+  return text.split(/\s+/).map(_.escapeRegExp).join('\\s+');
+}
+
+/**
+ * Read wall-clock date parts out of value using the first matching format.
+ */
+function readDateParts(value, formats) {
+  for (const format of formats) {
+    let compiled = compileFormat(format);
+    let m = compiled.regex.exec(value);
+    if (!m) {
+      continue;
+    }
+    let date = {year: null, month: 1, day: 1, hour: 0, minute: 0, second: 0};
+    var hour12 = null;
+    var meridiem = null;
+    compiled.parts.forEach((part, i) => {
+      let text = m[i + 1];
+      if (part === 'meridiem') {
+        meridiem = text.toUpperCase();
+      } else if (part === 'shortYear') {
+        let year = parseInt(text, 10);
+        date.year = year + (year <= TWO_DIGIT_YEAR_PIVOT ? 2000 : 1900);
+      } else if (part === 'hour12') {
+        hour12 = parseInt(text, 10);
+      } else {
+        date[part] = parseInt(text, 10);
+      }
+    });
+    if (hour12 !== null) {
+      if (hour12 < 1 || hour12 > 12) {
+        continue;
+      }
+      date.hour = (hour12 % 12) + (meridiem === 'PM' ? 12 : 0);
+    }
+    if (isValidDate(date)) {
+      return date;
+    }
+  }
+  return null;
+}
+
+function isValidDate(date) {
+  if (date.year === null || date.month < 1 || date.month > 12 ||
+      date.hour > 23 || date.minute > 59 || date.second > 59) {
+    return false;
+  }
+  let check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+  return check.getUTCDate() === date.day;
+}
+
+function pad(number, width) {
+  return _.padStart(String(number), width || 2, '0');
+}
+
+/**
+ * Minutes to add to UTC to get wall-clock time in timeZone at the given
+ * instant. timeZone is an IANA name ('America/Chicago'), 'UTC', or a fixed
+ * offset such as '+05:30'.
+ */
+function timeZoneOffset(timeZone, instant) {
+  let fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(timeZone);
+  if (fixed) {
+    let minutes = parseInt(fixed[2], 10) * 60 + parseInt(fixed[3], 10);
+    return fixed[1] === '-' ? -minutes : minutes;
+  }
+  if (timeZone === 'UTC' || timeZone === 'Z') {
+    return 0;
+  }
+  let formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hour12: false,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+  let fields = {};
+  formatter.formatToParts(new Date(instant)).forEach(p => {
+    fields[p.type] = parseInt(p.value, 10);
+  });
+  let wallClock = Date.UTC(fields.year, fields.month - 1, fields.day,
+                           fields.hour % 24, fields.minute, fields.second);
+  return Math.round((wallClock - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant at which the wall clock in timeZone reads `date`.
+ */
+function toInstant(date, timeZone) {
+  let wallClock = Date.UTC(date.year, date.month - 1, date.day,
+                           date.hour, date.minute, date.second);
+  // Correct twice so times next to a DST change land on the right side.
+  var instant = wallClock - timeZoneOffset(timeZone, wallClock) * 60000;
+  instant = wallClock - timeZoneOffset(timeZone, instant) * 60000;
+  return new Date(instant);
+}
+
+function checkTimeZone(timeZone) {
+  try {
+    timeZoneOffset(timeZone, Date.now());
+  } catch (e) {
+    throw new Error('Unknown timezone: ' + timeZone);
+  }
+  return timeZone;
+}
+
+/**
+ * Read a number whose sign is in group 1 and digits (possibly with thousands
+ * separators) in group 2 of pattern.
+ */
+function readNumber(value, pattern, typeName) {
+  let m = pattern.exec(value);
+  if (!m) {
+    throw new ValueError("Can't read '" + value + "' as " + typeName);
+  }
+  let number = parseFloat(m[2].replace(/,/g, ''));
+  return m[1] === '-' ? -number : number;
+}
+
+/**
+ * Converters from a (trimmed, non-empty) raw string to a typed value. Each
+ * entry takes its options and returns a function(string) that returns the
+ * value or throws a ValueError.
+ */
+const VALUE_TYPES = {
+
+  /**
+   * A calendar date, returned as 'YYYY-MM-DD'.
+   *
+   * Options:
+   *
+   *   format: a format string or list of them, tried in order. Tokens are
+   *     YYYY, YY, MM, M, DD and D; default ['M/D/YYYY', 'M/D/YY',
+   *     'YYYY-MM-DD'].
+   */
+  date: function(opts) {
+    let formats = _.castArray(opts.format || DEFAULT_DATE_FORMATS);
+    return function(value) {
+      let date = readDateParts(value, formats);
+      if (!date) {
+        throw new ValueError("Can't read '" + value + "' as a date in " +
+                             formats.join(' or '));
+      }
+      return [pad(date.year, 4), pad(date.month), pad(date.day)].join('-');
+    };
+  },
+
+  /**
+   * A point in time, returned as an ISO 8601 UTC string.
+   *
+   * Options:
+   *
+   *   format: a format string or list of them, tried in order. Besides the
+   *     date tokens: HH, H (24 hour), hh, h (12 hour), mm, ss and A
+   *     (AM/PM). Defaults cover '9/28/17 9:04 AM' style values.
+   *
+   *   timezone: zone the wall-clock value is in; an IANA name, 'UTC' or an
+   *     offset like '-05:00'. Defaults to the dictionary's
+   *     options.timezone, then UTC.
+   */
+  datetime: function(opts) {
+    let formats = _.castArray(opts.format || DEFAULT_DATETIME_FORMATS);
+    let timeZone = checkTimeZone(opts.timezone || 'UTC');
+    return function(value) {
+      let date = readDateParts(value, formats);
+      if (!date) {
+        throw new ValueError("Can't read '" + value + "' as a date/time in " +
+                             formats.join(' or '));
+      }
+      return toInstant(date, timeZone).toISOString();
+    };
+  },
+
+  /**
+   * A money amount such as '$51.75', '-$1,200.00' or '($3.00)', returned as
+   * a number.
+   */
+  currency: function(opts) {
+    let pattern = /^(-)?\s*[^\d\s.,()-]{0,3}\s*(\d[\d,]*(?:\.\d+)?|\.\d+)$/;
+    return function(value) {
+      // Accounting style negatives: ($3.00)
+      let parens = /^\(\s*(.*?)\s*\)$/.exec(value);
+      // The minus sign may come before or after the symbol: -$1, $-1
+      let text = (parens ? '-' + parens[1] : value)
+          .replace(/^([^\d\s.,()-]{1,3})\s*-/, '-$1');
+      return readNumber(text.replace(/^--/, ''), pattern,
+                        'a currency amount');
+    };
+  },
+
+  /**
+   * A number such as '1.0' or '-1,250.5'.
+   */
+  decimal: function(opts) {
+    let pattern = /^([-+])?(\d[\d,]*(?:\.\d+)?|\.\d+)$/;
+    return function(value) {
+      return readNumber(value, pattern, 'a decimal');
+    };
+  },
+
+  /**
+   * A whole number. '3.0' is accepted, '3.5' is not.
+   */
+  integer: function(opts) {
+    let pattern = /^([-+])?(\d[\d,]*(?:\.0+)?)$/;
+    return function(value) {
+      return readNumber(value, pattern, 'an integer');
+    };
+  },
+
+  /**
+   * A phone number, with an optional extension ('x12', 'ext. 12').
+   *
+   * Options:
+   *
+   *   format: 'e164' (default, '+12175246816'), 'national'
+   *     ('(217) 524-6816', NANP numbers only) or 'digits' ('2175246816').
+   *
+   *   country_code: added to numbers written without one. Default '1'.
+   */
+  phone: function(opts) {
+    let format = opts.format || 'e164';
+    let countryCode = String(opts.country_code || '1');
+    if (['e164', 'national', 'digits'].indexOf(format) === -1) {
+      throw new Error('Unknown phone format: ' + format);
+    }
+    return function(value) {
+      let m = /^(.*?)\s*(?:(?:x|ext\.?|extension)\s*(\d+))?$/i.exec(value);
+      let international = /^\s*\+/.test(m[1]);
+      let digits = m[1].replace(/[\s().\-\/+]/g, '');
+      if (!/^\d{7,15}$/.test(digits)) {
+        throw new ValueError("Can't read '" + value + "' as a phone number");
+      }
+      let extension = m[2] ? ' x' + m[2] : '';
+      if (format === 'digits') {
+        return digits + extension;
+      }
+
+      let hasCountryCode = international || digits.length > 10;
+      let full = hasCountryCode ? digits : countryCode + digits;
+      if (format === 'e164') {
+        return '+' + full + extension;
+      }
+
+      let national = full.slice(countryCode.length);
+      if (full.indexOf(countryCode) !== 0 || national.length !== 10) {
+        throw new ValueError("Can't show '" + value + "' as a national " +
+                             'number for country code ' + countryCode);
+      }
+      return '(' + national.slice(0, 3) + ') ' + national.slice(3, 6) + '-' +
+        national.slice(6) + extension;
+    };
+  },
+};
+
+/**
+ * Build a converter for a column or field type definition, either a type
+ * name ('currency') or an object with a `type` and that type's options.
+ * Empty values convert to null.
+ */
+function converter(definition, defaults) {
+  let opts = _.isString(definition) ? {type: definition} : _.clone(definition);
+  _.defaults(opts, defaults);
+  let factory = VALUE_TYPES[opts.type];
+  if (!factory) {
+    throw new Error('Unknown value type: ' + opts.type);
+  }
+  let convert = factory(opts);
+  return function(value) {
+    value = value.trim();
+    return value === '' ? null : convert(value);
+  };
+}
+
+exports.ValueError = ValueError;
+exports.VALUE_TYPES = VALUE_TYPES;
+exports.converter = converter;
@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = function passPassportUser(app) {
+  // Remote calls only pass the access token to model methods; carry the
+  // passport session user along too so server/lib/actor.js can name them.
+  app.models().forEach(Model => {
+    let createOptions = Model.createOptionsFromRemotingContext;
+    if (!createOptions) return;
+    Model.createOptionsFromRemotingContext = function(ctx) {
+      let options = createOptions.call(this, ctx);
+      if (ctx.req && ctx.req.user) {
+        options.passportUser = ctx.req.user;
+      }
+      return options;
+    };
+  });
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+const defaultDictionary = require('order-reader/dictionary.json');
+
+module.exports = function seedDictionary(app, done) {
+  // Seed version 1 from the dictionary bundled with order-reader so a fresh
+  // database can convert orders straight away. There is nothing to review it
+  // against yet, so it is approved on the system's behalf.
+  let Dictionary = app.models.dictionary;
+  Dictionary.count((err, count) => {
+    if (err || count > 0) return done(err);
+    Dictionary.create({
+      data: defaultDictionary,
+      description: 'Initial dictionary bundled with order-reader',
+    }, (err, dictionary) => {
+      if (err) return done(err);
+      dictionary.updateAttributes({
+        approved: true,
+        approved_by: 'system',
+        approved_date: new Date(),
+      }, err => {
+        if (err) return done(err);
+        Dictionary.activate(dictionary.version, err => done(err));
+      });
+    });
+  });
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const {JobQueue} = require('../lib/jobs');
+
+/**
+ * Background jobs (see server/lib/jobs.js). Each process works the queue
+ * unless JOB_WORKER=false, or jobs.worker is false in the config, so web
+ * processes can leave the work to ones started with server/worker.js.
+ */
+module.exports = function setUpJobs(app) {
+  let options = app.get('jobs') || {};
+  app.jobs = new JobQueue(app.models.job, options);
+  app.jobs.handle('convert', (job, progress) => {
+    return app.models.original_fileobject.runConversion(job.payload, progress);
+  });
+  app.jobs.handle('report', (job, progress) => {
+    return app.models.reports.runReport(job.payload, progress);
+  });
+  app.jobs.handle('scheduled_report', (job, progress) => {
+    return app.models.report_schedule.runScheduled(job, progress);
+  });
+
+  let worker = process.env.JOB_WORKER ?
+    process.env.JOB_WORKER !== 'false' :
+    options.worker !== false;
+  if (worker) {
+    app.once('booted', () => app.jobs.start());
+  }
+};
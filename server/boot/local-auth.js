@@ -0,0 +1,283 @@
+'use strict';
+
+const _ = require('lodash');
+const {redirectOrigins} = require('../lib/origins');
+
+const EMAIL = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Longest password the User model can hash
+const MAX_PASSWORD_LENGTH = 72;
+
+/**
+ * JSON endpoints for signing in with an email address and password:
+ *
+ *   POST /auth/signup {email, password, username?, redirect_origin?}
+ *   POST /auth/verify {token}
+ *   POST /auth/verify/resend {email, redirect_origin?}
+ *   POST /auth/login {email or username, password}
+ *   POST /auth/logout {refresh_token}
+ *   POST /auth/password/forgot {email, redirect_origin?}
+ *   POST /auth/password/reset {token, password}
+ *
+ * Login answers with the same token pair as Google sign-in. Verification
+ * and reset links in emails point at redirect_origin (one of the allowed
+ * frontends), which posts the token back here.
+ */
+module.exports = function setUpLocalAuth(app) {
+  let settings = _.defaults({}, app.get('localAuth'), {
+    minPasswordLength: 8,
+    maxFailedLogins: 5,
+    lockoutMinutes: 15,
+    verifyEmailTtl: 86400,
+    resetPasswordTtl: 3600,
+  });
+
+  app.post('/auth/signup', function(req, res, next) {
+    let body = req.body || {};
+    let errors = {};
+    let email = checkEmail(body.email, errors);
+    let password = checkPassword(body.password, errors);
+    let username = body.username === undefined ?
+      undefined : String(body.username).trim();
+    if (username === '') {
+      errors.username = 'must not be blank';
+    }
+    let origin = checkOrigin(body.redirect_origin, errors);
+    if (!_.isEmpty(errors)) return next(validationError(errors));
+
+    app.models.user.create({
+      email: email,
+      username: username,
+      password: password,
+      emailVerified: false,
+    })
+      .then(user => sendVerification(user, origin).then(() => {
+        res.status(201).json(user);
+      }))
+      .catch(next);
+  });
+
+  app.post('/auth/verify', function(req, res, next) {
+    let token = req.body && req.body.token;
+    if (!token) return next(badRequest('token is required'));
+    app.models.user_token.redeem(token, 'verify_email')
+      .then(userId => app.models.user.findById(userId))
+      .then(user => {
+        if (!user) throw badRequest('Token is invalid or has expired');
+        return user.updateAttribute('emailVerified', true);
+      })
+      .then(user => acceptInvitation(user))
+      .then(() => res.status(204).end())
+      .catch(next);
+  });
+
+  // Answers the same whether or not the address is known, so it can't be
+  // used to find out who has an account.
+  app.post('/auth/verify/resend', function(req, res, next) {
+    let errors = {};
+    let email = checkEmail(req.body && req.body.email, errors);
+    let origin = checkOrigin(req.body && req.body.redirect_origin, errors);
+    if (!_.isEmpty(errors)) return next(validationError(errors));
+    app.models.user.findOne({where: {email: email}})
+      .then(user => {
+        if (user && !user.emailVerified) {
+          return sendVerification(user, origin);
+        }
+      })
+      .then(() => res.status(202).end())
+      .catch(next);
+  });
+
+  app.post('/auth/login', function(req, res, next) {
+    let body = req.body || {};
+    if (!(body.email || body.username) || !body.password) {
+      return next(badRequest('email or username, and password are required'));
+    }
+    let where = body.email ?
+      {email: String(body.email).trim().toLowerCase()} :
+      {username: String(body.username).trim()};
+    app.models.user.findOne({where: where})
+      .then(user => {
+        if (!user) throw loginFailed();
+        if (user.locked_until && user.locked_until > new Date()) {
+          throw locked(user);
+        }
+        return user.hasPassword(String(body.password)).then(matches => {
+          if (!matches) return recordFailure(user);
+          if (!user.emailVerified) {
+            let unverified = new Error('Confirm your email address first');
+            unverified.statusCode = 403;
+            unverified.code = 'EMAIL_NOT_VERIFIED';
+            throw unverified;
+          }
+          let cleared = user.failed_logins || user.locked_until ?
+            user.updateAttributes({failed_logins: 0, locked_until: null}) :
+            Promise.resolve();
+          return cleared.then(() => app.tokens.issue(user.id));
+        });
+      })
+      .then(pair => res.json(pair))
+      .catch(next);
+  });
+
+  app.post('/auth/logout', function(req, res, next) {
+    let token = req.body && req.body.refresh_token;
+    if (!token) return next(badRequest('refresh_token is required'));
+    app.tokens.revoke(token)
+      .then(() => res.status(204).end())
+      .catch(next);
+  });
+
+  // Like resend, answers the same for unknown addresses.
+  app.post('/auth/password/forgot', function(req, res, next) {
+    let errors = {};
+    let email = checkEmail(req.body && req.body.email, errors);
+    let origin = checkOrigin(req.body && req.body.redirect_origin, errors);
+    if (!_.isEmpty(errors)) return next(validationError(errors));
+    app.models.user.findOne({where: {email: email}})
+      .then(user => {
+        if (!user) return;
+        return app.models.user_token
+          .issue(user.id, 'reset_password', settings.resetPasswordTtl)
+          .then(token => app.mail.send({
+            to: user.email,
+            subject: 'Reset your Order Support password',
+            text: 'Someone asked to reset the password for ' + user.email +
+              '. To choose a new one, open\n\n' +
+              origin + '/auth/reset_password?token=' + token + '\n\n' +
+              'The link expires in ' + duration(settings.resetPasswordTtl) +
+              '. If you did not ask for this, ignore this email.',
+          }));
+      })
+      .then(() => res.status(202).end())
+      .catch(next);
+  });
+
+  app.post('/auth/password/reset', function(req, res, next) {
+    let body = req.body || {};
+    let errors = {};
+    if (!body.token) {
+      errors.token = 'is required';
+    }
+    let password = checkPassword(body.password, errors);
+    if (!_.isEmpty(errors)) return next(validationError(errors));
+    app.models.user_token.redeem(body.token, 'reset_password')
+      .then(userId => app.models.user.findById(userId))
+      .then(user => {
+        if (!user) throw badRequest('Token is invalid or has expired');
+        // Following the emailed link proves the address too
+        return user.updateAttributes({
+          password: password,
+          emailVerified: true,
+          failed_logins: 0,
+          locked_until: null,
+        });
+      })
+      .then(user => acceptInvitation(user)
+        .then(() => app.tokens.revokeAll(user.id)))
+      .then(() => res.status(204).end())
+      .catch(next);
+  });
+
+  function sendVerification(user, origin) {
+    return app.models.user_token
+      .issue(user.id, 'verify_email', settings.verifyEmailTtl)
+      .then(token => app.mail.send({
+        to: user.email,
+        subject: 'Confirm your email address for Order Support',
+        text: 'To finish signing up, confirm your email address by ' +
+          'opening\n\n' +
+          origin + '/auth/verify_email?token=' + token + '\n\n' +
+          'The link expires in ' + duration(settings.verifyEmailTtl) + '.',
+      }));
+  }
+
+  // Users who were invited get their roles once their address is confirmed
+  function acceptInvitation(user) {
+    let Invitation = app.models.invitation;
+    return Invitation.forEmail(user.email).then(invitation => {
+      if (invitation) return Invitation.accept(invitation, user);
+    });
+  }
+
+  // Count a wrong password, locking the account after too many in a row
+  function recordFailure(user) {
+    let failures = (user.failed_logins || 0) + 1;
+    let changes = {failed_logins: failures};
+    if (failures >= settings.maxFailedLogins) {
+      changes = {
+        failed_logins: 0,
+        locked_until: new Date(Date.now() + settings.lockoutMinutes * 60000),
+      };
+    }
+    return user.updateAttributes(changes).then(() => {
+      throw changes.locked_until ? locked(user) : loginFailed();
+    });
+  }
+
+  function checkEmail(value, errors) {
+    let email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!EMAIL.test(email)) {
+      errors.email = 'must be an email address';
+    }
+    return email;
+  }
+
+  function checkPassword(value, errors) {
+    if (typeof value !== 'string' ||
+        value.length < settings.minPasswordLength) {
+      errors.password = 'must be at least ' + settings.minPasswordLength +
+        ' characters';
+    } else if (value.length > MAX_PASSWORD_LENGTH) {
+      errors.password = 'must be at most ' + MAX_PASSWORD_LENGTH +
+        ' characters';
+    }
+    return value;
+  }
+
+  function checkOrigin(value, errors) {
+    let origins = redirectOrigins(app);
+    if (value === undefined) {
+      return origins[0];
+    }
+    if (origins.indexOf(value) === -1) {
+      errors.redirect_origin = 'is not an allowed origin';
+    }
+    return value;
+  }
+};
+
+function duration(seconds) {
+  return seconds % 3600 === 0 ?
+    (seconds / 3600) + (seconds === 3600 ? ' hour' : ' hours') :
+    Math.round(seconds / 60) + ' minutes';
+}
+
+function validationError(messages) {
+  let err = new Error('Invalid ' + Object.keys(messages).join(', '));
+  err.statusCode = 422;
+  err.name = 'ValidationError';
+  err.details = {messages: _.mapValues(messages, message => [message])};
+  return err;
+}
+
+function badRequest(message) {
+  let err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function loginFailed() {
+  let err = new Error('Wrong email, username or password');
+  err.statusCode = 401;
+  err.code = 'LOGIN_FAILED';
+  return err;
+}
+
+function locked(user) {
+  let err = new Error('Too many failed logins; try again after ' +
+                      user.locked_until.toISOString());
+  err.statusCode = 423;
+  err.code = 'ACCOUNT_LOCKED';
+  return err;
+}
@@ -0,0 +1,7 @@
+'use strict';
+
+const {Mailer} = require('../lib/mail');
+
+module.exports = function setUpMail(app) {
+  app.mail = new Mailer(app.get('mail') || {});
+};
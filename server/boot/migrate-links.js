@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = function migrateLinks(app, done) {
+  // Records written before uploads, conversions and fileobjects were
+  // related by foreign key: conversions found their upload through the
+  // idkey timestamp both were stamped with, and fileobjects kept the upload
+  // in a misspelled orginal_fileobject_id. Conversions go first, so the
+  // fileobjects saved after them pick their conversion up too.
+  linkConversions(app)
+    .then(() => renameOriginalIds(app))
+    .then(() => done())
+    .catch(done);
+};
+
+function linkConversions(app) {
+  let models = app.models;
+  return models.converted_fileobject.find({
+    where: {original_fileobject_id: null, idkey: {neq: null}},
+  }).then(legacy => Promise.all(legacy.map(converted => {
+    let idkey = converted.toObject().idkey;
+    return models.original_fileobject.findOne({where: {idkey: idkey}})
+      .then(original => {
+        if (!original) return;
+        return converted.updateAttributes({
+          original_fileobject_id: String(original.id),
+        });
+      });
+  })));
+}
+
+function renameOriginalIds(app) {
+  let Fileobject = app.models.fileobject;
+  return Fileobject.find({
+    where: {orginal_fileobject_id: {neq: null}},
+  }).then(legacy => Promise.all(legacy.map(file => {
+    let data = file.toObject();
+    data.original_fileobject_id = data.original_fileobject_id ||
+      String(data.orginal_fileobject_id);
+    delete data.orginal_fileobject_id;
+    // Replaced rather than saved, which would keep the old name around
+    return Fileobject.replaceById(file.id, data);
+  })));
+}
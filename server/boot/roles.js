@@ -0,0 +1,40 @@
+'use strict';
+
+const {ROLES, rolesOf} = require('../lib/roles');
+
+module.exports = function ensureRoles(app, done) {
+  let Role = app.models.Role;
+  // Not findOrCreate: Role's uniqueness validation rejects that before it
+  // gets to look for an existing role.
+  Role.find({where: {name: {inq: ROLES}}})
+    .then(existing => {
+      let have = existing.map(role => role.name);
+      return Promise.all(ROLES
+        .filter(name => have.indexOf(name) === -1)
+        .map(name => Role.create({name: name})));
+    })
+    .then(() => grantAdmins(app))
+    .then(() => done())
+    .catch(done);
+};
+
+// Someone has to be able to hand out roles on a fresh install. Users listed
+// (by email) in ADMIN_EMAILS are made admins when the server starts.
+function grantAdmins(app) {
+  let emails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(email => email);
+  if (emails.length === 0) {
+    return Promise.resolve();
+  }
+  let User = app.models.user;
+  return User.find({where: {email: {inq: emails}}})
+    .then(users => Promise.all(users.map(user => {
+      return rolesOf(app, user.id).then(names => {
+        if (names.indexOf('admin') === -1) {
+          return User.setRoles(user.id, names.concat('admin'));
+        }
+      });
+    })));
+}
@@ -0,0 +1,21 @@
+'use strict';
+
+const {Scheduler} = require('../lib/scheduler');
+
+/**
+ * Report schedules (see server/lib/scheduler.js), run in each process
+ * unless SCHEDULER=false, or schedules.scheduler is false in the config.
+ * The runs themselves are jobs, left to whichever processes work the job
+ * queue.
+ */
+module.exports = function setUpSchedules(app) {
+  let options = app.get('schedules') || {};
+  app.scheduler = new Scheduler(app.models.report_schedule, options);
+
+  let scheduler = process.env.SCHEDULER ?
+    process.env.SCHEDULER !== 'false' :
+    options.scheduler !== false;
+  if (scheduler) {
+    app.once('booted', () => app.scheduler.start());
+  }
+};
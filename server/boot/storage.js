@@ -0,0 +1,35 @@
+'use strict';
+
+const {Storage, contentDisposition} = require('../lib/storage');
+const {secret} = require('../lib/secrets');
+
+module.exports = function setUpStorage(app) {
+  let options = app.get('storage') || {};
+  let storage = app.storage = new Storage(Object.assign({
+    secret: secret('STORAGE_URL_SECRET'),
+  }, options));
+
+  // Local files are downloaded from here, with the signed URLs handed out
+  // by storage.downloadUrl(); S3 serves its own.
+  if (storage.driver.verify) {
+    app.get('/files/:key', function(req, res, next) {
+      let key = req.params.key;
+      if (!storage.driver.verify(key, req.query)) {
+        let err = new Error('Download link is invalid or has expired');
+        err.statusCode = 403;
+        return next(err);
+      }
+      storage.get(key)
+        .on('error', err => {
+          if (err.code === 'ENOENT') err.statusCode = 404;
+          next(err);
+        })
+        .on('open', function() {
+          res.set('Content-Type', 'application/octet-stream');
+          res.set('Content-Disposition',
+                  contentDisposition(req.query.filename));
+          this.pipe(res);
+        });
+    });
+  }
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+const {TokenService} = require('../lib/tokens');
+
+const BEARER_JWT = /^Bearer\s+([\w-]+\.[\w-]+\.[\w-]+)$/i;
+
+module.exports = function setUpTokens(app) {
+  let tokens = app.tokens = new TokenService(app, app.get('jwt'));
+
+  // Let the JWTs we issue stand in for LoopBack access tokens on the REST
+  // API. This runs before loopback.token(), which skips requests that
+  // already have req.accessToken and still handles its own opaque tokens.
+  let restApiRoot = app.get('restApiRoot');
+  app.middleware('auth:before', restApiRoot, function(req, res, next) {
+    let m = BEARER_JWT.exec(req.get('Authorization') || '');
+    if (!m) return next();
+    tokens.verify(m[1], 'access')
+      .then(claims => app.models.user.findById(claims.sub).then(user => {
+        if (!user) {
+          let gone = new Error('Token user no longer exists');
+          gone.statusCode = 401;
+          throw gone;
+        }
+        req.accessToken = new app.models.accessToken({
+          id: claims.jti,
+          userId: user.id,
+          ttl: claims.exp - claims.iat,
+          created: new Date(claims.iat * 1000),
+        });
+        next();
+      }))
+      .catch(next);
+  });
+
+  app.post('/auth/token/refresh', function(req, res, next) {
+    let token = req.body && req.body.refresh_token;
+    if (!token) return next(missingToken());
+    tokens.refresh(token)
+      .then(pair => res.json(pair))
+      .catch(next);
+  });
+
+  app.post('/auth/token/revoke', function(req, res, next) {
+    let token = req.body && req.body.refresh_token;
+    if (!token) return next(missingToken());
+    tokens.revoke(token)
+      .then(() => res.status(204).end())
+      .catch(next);
+  });
+};
+
+function missingToken() {
+  let err = new Error('refresh_token is required');
+  err.statusCode = 400;
+  return err;
+}
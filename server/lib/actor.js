@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Name whoever is behind a model method call, for approval and audit
+ * records: the access token's user, else the passport session user, else
+ * 'system' for calls made by the server itself.
+ *
+ * @param {Object} [options] the method's options, see server/boot/actor.js
+ * @returns {String}
+ */
+function actorOf(options) {
+  if (options && options.accessToken) {
+    return String(options.accessToken.userId);
+  }
+  if (options && options.passportUser) {
+    return String(options.passportUser.id);
+  }
+  return 'system';
+}
+
+exports.actorOf = actorOf;
@@ -0,0 +1,178 @@
+'use strict';
+
+const MINUTE = 60 * 1000;
+
+// minute, hour, day of month, month, day of week
+const FIELDS = [
+  {name: 'minute', min: 0, max: 59},
+  {name: 'hour', min: 0, max: 23},
+  {name: 'day of month', min: 1, max: 31},
+  {name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may',
+    'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']},
+  {name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed',
+    'thu', 'fri', 'sat']},
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Give up looking for a matching time this far ahead (or back), for
+// expressions like "0 0 30 2 *" that never match
+const SEARCH_YEARS = 5;
+
+function invalid(expression, why) {
+  return new Error('Invalid cron expression "' + expression + '": ' + why);
+}
+
+function value(text, field, expression) {
+  let names = field.names || [];
+  let named = names.indexOf(text.toLowerCase());
+  let number = named !== -1 ? named + (field.min === 1 ? 1 : 0) :
+    /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(number >= field.min && number <= field.max)) {
+    throw invalid(expression, text + ' is not a valid ' + field.name);
+  }
+  return number;
+}
+
+// Which values of a field a comma separated list of *, n, a-b, each
+// optionally /step, allows
+function parseField(text, field, expression) {
+  let allowed = [];
+  text.split(',').forEach(part => {
+    let match = /^([^/]+)(?:\/(\d+))?$/.exec(part);
+    if (!match || match[2] === '0') {
+      throw invalid(expression, part + ' is not a valid ' + field.name);
+    }
+    let range = match[1];
+    let step = match[2] ? Number(match[2]) : 1;
+    var from, to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.indexOf('-') !== -1) {
+      let ends = range.split('-');
+      from = value(ends[0], field, expression);
+      to = value(ends[1], field, expression);
+      if (ends.length !== 2 || from > to) {
+        throw invalid(expression, part + ' is not a valid ' + field.name);
+      }
+    } else {
+      from = value(range, field, expression);
+      to = match[2] ? field.max : from;
+    }
+    for (let n = from; n <= to; n += step) allowed[n] = true;
+  });
+  return allowed;
+}
+
+/**
+ * Parse a cron expression: five fields (minute, hour, day of month, month,
+ * day of week), each *, a number, a range a-b or a list of these, any of
+ * them with a /step; months and days of the week may be given by their
+ * three-letter names, and Sunday as 0 or 7. @yearly, @monthly, @weekly,
+ * @daily and @hourly stand for the usual expressions.
+ *
+ * As in Vixie cron, when both the day of month and the day of week are
+ * restricted a day matching either will do.
+ *
+ * @param {String} expression
+ * @returns {Object} the parsed schedule, for next() and previous()
+ * @throws {Error} if the expression is not valid
+ */
+function parse(expression) {
+  let text = String(expression || '').trim();
+  let fields = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw invalid(expression, 'it needs ' + FIELDS.length + ' fields');
+  }
+  let [minutes, hours, days, months, weekdays] = fields.map((field, i) =>
+    parseField(field, FIELDS[i], expression));
+  if (weekdays[7]) weekdays[0] = true;
+  return {
+    expression: text,
+    minutes: minutes,
+    hours: hours,
+    days: days,
+    months: months,
+    weekdays: weekdays,
+    anyDay: fields[2][0] === '*',
+    anyWeekday: fields[4][0] === '*',
+  };
+}
+
+function dayMatches(schedule, date) {
+  let day = schedule.days[date.getUTCDate()];
+  let weekday = schedule.weekdays[date.getUTCDay()];
+  if (schedule.anyDay || schedule.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+// Step a minute at a time from date, forwards or backwards, skipping
+// whole months, days and hours that can't match
+function search(schedule, date, forward) {
+  let t = new Date(date.getTime());
+  let limit = t.getUTCFullYear() + (forward ? SEARCH_YEARS : -SEARCH_YEARS);
+  let start = (year, month, day, hour) =>
+    new Date(Date.UTC(year, month, day, hour || 0));
+  while (forward ? t.getUTCFullYear() <= limit : t.getUTCFullYear() >= limit) {
+    let year = t.getUTCFullYear();
+    let month = t.getUTCMonth();
+    let day = t.getUTCDate();
+    let hour = t.getUTCHours();
+    if (!schedule.months[month + 1]) {
+      t = forward ? start(year, month + 1, 1) :
+        new Date(start(year, month, 1) - MINUTE);
+    } else if (!dayMatches(schedule, t)) {
+      t = forward ? start(year, month, day + 1) :
+        new Date(start(year, month, day) - MINUTE);
+    } else if (!schedule.hours[hour]) {
+      t = forward ? start(year, month, day, hour + 1) :
+        new Date(start(year, month, day, hour) - MINUTE);
+    } else if (!schedule.minutes[t.getUTCMinutes()]) {
+      t = new Date(t.getTime() + (forward ? MINUTE : -MINUTE));
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+function toSchedule(schedule) {
+  return typeof schedule === 'string' ? parse(schedule) : schedule;
+}
+
+/**
+ * The first time after a date that a schedule matches, in UTC.
+ *
+ * @param {String|Object} schedule a cron expression, or as parse() returns
+ * @param {Date} [after] default now
+ * @returns {Date} or null if it never does
+ */
+function next(schedule, after) {
+  let from = Math.floor((after || new Date()).getTime() / MINUTE) + 1;
+  return search(toSchedule(schedule), new Date(from * MINUTE), true);
+}
+
+/**
+ * The last time before a date that a schedule matched, in UTC.
+ *
+ * @param {String|Object} schedule a cron expression, or as parse() returns
+ * @param {Date} [before] default now
+ * @returns {Date} or null if it never did
+ */
+function previous(schedule, before) {
+  let from = Math.ceil((before || new Date()).getTime() / MINUTE) - 1;
+  return search(toSchedule(schedule), new Date(from * MINUTE), false);
+}
+
+exports.parse = parse;
+exports.next = next;
+exports.previous = previous;
@@ -0,0 +1,270 @@
+'use strict';
+
+const crypto = require('crypto');
+const os = require('os');
+const {actorOf} = require('./actor');
+
+// Progress is written at most this often, each write renewing the lease
+const PROGRESS_INTERVAL = 1000;
+// Leases are renewed this many times over their length while a job runs,
+// whether or not its handler reports progress
+const RENEWALS_PER_LEASE = 3;
+
+/**
+ * Errors worth another attempt: anything but the client errors (4xx) a
+ * handler raises for work that will fail the same way every time, like a
+ * file that doesn't parse.
+ */
+function isRetryable(err) {
+  return !(err.statusCode >= 400 && err.statusCode < 500);
+}
+
+function describe(err) {
+  return {
+    message: String(err.message || err),
+    statusCode: err.statusCode || 500,
+    code: err.code,
+    details: err.details,
+  };
+}
+
+/**
+ * A queue of background jobs kept in the job model, so they outlive the
+ * request that queued them and the process that runs them. Any number of
+ * processes can work the queue: a job is claimed with a conditional update
+ * and held under a lease, which the worker renews on a timer while it runs
+ * the job. When a worker dies its jobs are picked up again once their
+ * lease runs out; a worker that finds it has lost a job that way leaves
+ * the job to its new owner.
+ *
+ * Failed attempts are retried with exponential backoff, up to maxAttempts,
+ * unless the error is a client error (see isRetryable).
+ *
+ * options: the app's `jobs` config; pollInterval (ms between looks for due
+ *   jobs when idle; default 1000), leaseSeconds (default 120), maxAttempts
+ *   (default 5), backoffSeconds (delay after the first failure, doubling
+ *   after each; default 10) and maxBackoffSeconds (default 600).
+ */
+class JobQueue {
+  constructor(Job, options) {
+    this.Job = Job;
+    this.pollInterval = options.pollInterval || 1000;
+    this.leaseSeconds = options.leaseSeconds || 120;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.backoffSeconds = options.backoffSeconds || 10;
+    this.maxBackoffSeconds = options.maxBackoffSeconds || 600;
+    this.workerId = os.hostname() + ':' + process.pid + ':' +
+      crypto.randomBytes(4).toString('hex');
+    this.handlers = {};
+    this.timer = null;
+    this.running = null;
+    this.started = false;
+  }
+
+  /**
+   * Register the handler for jobs of a type. It is called with the job and
+   * a progress(stage, percent) function and returns a Promise resolving to
+   * the job's result.
+   */
+  handle(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Queue a job.
+   *
+   * @param {String} type
+   * @param {Object} payload
+   * @param {Object} [options] the calling method's options, naming who
+   *   queued the job
+   * @param {Date} [runAt] when to run it; default now
+   * @returns {Promise} resolving to the job
+   */
+  enqueue(type, payload, options, runAt) {
+    if (!this.handlers[type]) {
+      return Promise.reject(new Error('No handler for ' + type + ' jobs'));
+    }
+    let now = new Date();
+    return this.Job.create({
+      type: type,
+      payload: payload,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      run_at: runAt || now,
+      created_by: actorOf(options),
+      created_date: now,
+    });
+  }
+
+  /**
+   * Start working the queue in this process.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.schedule(0);
+  }
+
+  /**
+   * Stop taking new jobs.
+   *
+   * @returns {Promise} resolving once the job being run, if any, is done
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    return Promise.resolve(this.running).catch(() => {});
+  }
+
+  schedule(delay) {
+    if (!this.started) return;
+    this.timer = setTimeout(() => {
+      this.running = this.next()
+        .catch(err => {
+          console.error('Job queue:', err);
+          return false;
+        })
+        .then(ran => {
+          this.running = null;
+          // Straight on to the next job while there is work
+          this.schedule(ran ? 0 : this.pollInterval);
+        });
+    }, delay);
+  }
+
+  /**
+   * Claim and run the next due job, if there is one.
+   *
+   * @returns {Promise} resolving to whether a job was run
+   */
+  next() {
+    return this.claim().then(job => {
+      if (!job) return false;
+      return this.run(job).then(() => true);
+    });
+  }
+
+  // Due jobs are queued ones whose time has come, and running ones whose
+  // worker's lease has run out.
+  claim() {
+    let now = new Date();
+    return this.Job.findOne({
+      where: {or: [
+        {status: 'queued', run_at: {lte: now}},
+        {status: 'running', locked_until: {lt: now}},
+      ]},
+      order: 'run_at ASC',
+    }).then(job => {
+      if (!job) return null;
+      let claimed = {
+        status: 'running',
+        locked_by: this.workerId,
+        locked_until: this.leaseEnd(),
+        attempts: (job.attempts || 0) + 1,
+        started_date: now,
+      };
+      // Only succeeds if no other worker got there first
+      let where = {id: job.id, status: job.status, attempts: job.attempts};
+      return this.Job.updateAll(where, claimed).then(info => {
+        if (info.count === 0) return this.claim();
+        return this.Job.findById(job.id);
+      });
+    });
+  }
+
+  run(job) {
+    let handler = this.handlers[job.type];
+    if (!handler) {
+      return this.finish(job, 'failed', {
+        error: {message: 'No handler for ' + job.type + ' jobs'},
+      });
+    }
+    if (job.attempts > (job.max_attempts || this.maxAttempts)) {
+      // Its last worker died on it
+      return this.finish(job, 'failed', {
+        error: job.error || {message: 'Gave up after ' +
+                                      job.max_attempts + ' attempts'},
+      });
+    }
+    var reported = 0;
+    let progress = (stage, percent) => {
+      if (Date.now() - reported < PROGRESS_INTERVAL) return Promise.resolve();
+      reported = Date.now();
+      return this.update(job, {
+        progress: {stage: stage, percent: percent},
+        locked_until: this.leaseEnd(),
+      }).catch(() => {});
+    };
+    let renewal = setInterval(() => {
+      this.update(job, {locked_until: this.leaseEnd()})
+        .then(info => {
+          if (info.count === 0) clearInterval(renewal);
+        })
+        .catch(() => {});
+    }, this.leaseSeconds * 1000 / RENEWALS_PER_LEASE);
+    return Promise.resolve()
+      .then(() => handler(job, progress))
+      .then(result => {
+        clearInterval(renewal);
+        return this.finish(job, 'succeeded', {
+          result: result,
+          error: null,
+          progress: {stage: 'done', percent: 100},
+        });
+      }, err => {
+        clearInterval(renewal);
+        return this.fail(job, err);
+      });
+  }
+
+  fail(job, err) {
+    let maxAttempts = job.max_attempts || this.maxAttempts;
+    if (!isRetryable(err) || job.attempts >= maxAttempts) {
+      return this.finish(job, 'failed', {error: describe(err)});
+    }
+    let delay = Math.min(this.maxBackoffSeconds,
+                         this.backoffSeconds * Math.pow(2, job.attempts - 1));
+    return this.settle(job, {
+      status: 'queued',
+      error: describe(err),
+      run_at: new Date(Date.now() + delay * 1000),
+      locked_by: null,
+      locked_until: null,
+    });
+  }
+
+  finish(job, status, changes) {
+    return this.settle(job, Object.assign({
+      status: status,
+      finished_date: new Date(),
+      locked_by: null,
+      locked_until: null,
+    }, changes));
+  }
+
+  // Change a job this worker still holds
+  update(job, changes) {
+    return this.Job.updateAll({id: job.id, locked_by: this.workerId},
+                              changes);
+  }
+
+  // Hand back a job this worker holds, done or to be retried. When its
+  // lease ran out and another worker claimed it, the other worker's outcome
+  // is the one that counts: this one's is dropped, failing with JOB_LOST.
+  settle(job, changes) {
+    return this.update(job, changes).then(info => {
+      if (info.count > 0) return;
+      let err = new Error('Lost job ' + job.id + ' to another worker');
+      err.code = 'JOB_LOST';
+      throw err;
+    });
+  }
+
+  leaseEnd() {
+    return new Date(Date.now() + this.leaseSeconds * 1000);
+  }
+}
+
+exports.JobQueue = JobQueue;
+exports.isRetryable = isRetryable;
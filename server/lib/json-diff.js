@@ -0,0 +1,39 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Compare two JSON-like values and list every leaf that differs.
+ *
+ * Paths use the same dotted notation as jsonexport headers, with array
+ * indexes as path segments (e.g. `orders.0.line_items.2.Action`).
+ *
+ * @param {*} before
+ * @param {*} after
+ * @returns {Array} of {path, before, after}; empty when the values match
+ */
+function diff(before, after) {
+  let changes = [];
+  walk(before, after, [], changes);
+  return changes;
+}
+
+function isContainer(value) {
+  return _.isPlainObject(value) || Array.isArray(value);
+}
+
+function walk(before, after, path, changes) {
+  if (_.isEqual(before, after)) {
+    return;
+  }
+  if (!isContainer(before) || !isContainer(after) ||
+      Array.isArray(before) !== Array.isArray(after)) {
+    changes.push({path: path.join('.'), before: before, after: after});
+    return;
+  }
+  _.union(Object.keys(before), Object.keys(after)).forEach(key => {
+    walk(before[key], after[key], path.concat(key), changes);
+  });
+}
+
+exports.diff = diff;
@@ -0,0 +1,177 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const {URL} = require('url');
+const {redirectOrigins, webhookOrigins} = require('./origins');
+const {period} = require('./reports');
+
+// Rows of a report written into a notice email; the rest are in the
+// document
+const EMAIL_ROWS = 50;
+
+const WEBHOOK_TIMEOUT = 10000;
+
+function describe(notice) {
+  let report = notice.report;
+  let name = notice.schedule.name;
+  if (notice.status !== 'succeeded') {
+    return {
+      subject: 'Scheduled report failed: ' + name,
+      text: 'The scheduled report "' + name + '" (' + notice.schedule.cron +
+        ') failed for ' + notice.run.scheduled_for.toISOString() + ':\n\n' +
+        (notice.error ? notice.error.message : 'Unknown error') + '\n',
+    };
+  }
+  let contents = report.contents;
+  let columns = contents.columns;
+  let rows = contents.rows.slice(0, EMAIL_ROWS).map(row =>
+    columns.map(column => row[column.key] === null ||
+                row[column.key] === undefined ? '' : row[column.key])
+      .join(' | '));
+  let more = contents.rows.length - rows.length;
+  return {
+    subject: name + ' (' + contents.title + ')',
+    text: contents.title + '. ' + period(contents) + ': ' +
+      contents.rows.length + ' rows.\n\n' +
+      (rows.length ? columns.map(column => column.label).join(' | ') +
+        '\n' + rows.join('\n') + '\n' : '') +
+      (more > 0 ? '... and ' + more + ' more\n' : '') +
+      '\nThe full report (' + report.filename + '): ' + notice.report_url +
+      '\n',
+  };
+}
+
+/**
+ * Ways of delivering scheduled reports. Each entry takes the app and a
+ * schedule's notifier settings and returns a function(notice) that returns
+ * a Promise. A notice is {status (succeeded or failed), schedule, run,
+ * report (once generated), report_url, download_url (a signed link that
+ * expires, see Storage#downloadUrl), error}.
+ */
+const NOTIFIERS = {
+
+  /**
+   * Email the report's rows (the first EMAIL_ROWS of them) and a link to
+   * it through app.mail.
+   *
+   * Settings:
+   *
+   *   to: an address or an Array of them.
+   */
+  email: function(app, settings) {
+    if (!settings.to || !settings.to.length) {
+      throw new Error('The email notifier needs a to address');
+    }
+    return function(notice) {
+      return app.mail.send(Object.assign({
+        to: [].concat(settings.to).join(', '),
+      }, describe(notice)));
+    };
+  },
+
+  /**
+   * POST the notice as JSON. With WEBHOOK_SECRET in the environment the
+   * body is signed: X-Signature is sha256= and the hex HMAC-SHA256 of the
+   * body under the secret.
+   *
+   * Settings:
+   *
+   *   url: where to; http or https, at one of the webhookOrigins.
+   */
+  webhook: function(app, settings) {
+    let url = new URL(settings.url);
+    if (['http:', 'https:'].indexOf(url.protocol) === -1) {
+      throw new Error('The webhook notifier needs an http or https url');
+    }
+    if (webhookOrigins(app).indexOf(url.origin) === -1) {
+      throw new Error('Webhooks may not be sent to ' + url.origin);
+    }
+    let client = url.protocol === 'https:' ? https : http;
+    return function(notice) {
+      let report = notice.report;
+      let body = JSON.stringify({
+        event: 'report.' + notice.status,
+        schedule: {
+          id: notice.schedule.id,
+          name: notice.schedule.name,
+          cron: notice.schedule.cron,
+        },
+        run: {
+          id: notice.run.id,
+          scheduled_for: notice.run.scheduled_for,
+        },
+        report: report ? {
+          id: report.id,
+          name: report.name,
+          type: report.type,
+          parameters: report.parameters,
+          format: report.format,
+          filename: report.filename,
+          rows: report.contents ? report.contents.rows.length : null,
+        } : null,
+        report_url: notice.report_url,
+        download_url: notice.download_url,
+        error: notice.error,
+      });
+      let headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+      };
+      if (process.env.WEBHOOK_SECRET) {
+        headers['X-Signature'] = 'sha256=' + crypto
+          .createHmac('sha256', process.env.WEBHOOK_SECRET)
+          .update(body)
+          .digest('hex');
+      }
+      return new Promise((resolve, reject) => {
+        // Node 8 requests take options, not a URL
+        let req = client.request({
+          protocol: url.protocol,
+          hostname: url.hostname,
+          port: url.port,
+          path: url.pathname + url.search,
+          method: 'POST',
+          headers: headers,
+        });
+        req.on('response', res => {
+          res.resume();
+          if (res.statusCode < 300) return resolve();
+          reject(new Error('Webhook answered ' + res.statusCode));
+        });
+        req.setTimeout(WEBHOOK_TIMEOUT, () =>
+          req.destroy(new Error('Webhook timed out')));
+        req.on('error', reject);
+        req.end(body);
+      });
+    };
+  },
+};
+
+/**
+ * Make the function delivering notices for a schedule's notifier.
+ *
+ * @param {Object} app
+ * @param {Object} settings {type (one of NOTIFIERS), ...its own settings}
+ * @returns {Function} taking a notice and returning a Promise
+ * @throws {Error} for an unknown type or settings it can't work with
+ */
+function notifier(app, settings) {
+  let make = NOTIFIERS[settings && settings.type];
+  if (!make) {
+    throw new Error('Unknown notifier: ' + (settings && settings.type));
+  }
+  return make(app, settings);
+}
+
+/**
+ * Where a report can be seen in the frontend, for links in notices.
+ */
+function reportUrl(app, report) {
+  return redirectOrigins(app)[0] + '/reports/' + report.id;
+}
+
+exports.NOTIFIERS = NOTIFIERS;
+exports.notifier = notifier;
+exports.reportUrl = reportUrl;
@@ -0,0 +1,176 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Structured comparison of parsed orders, as produced by order-reader:
+ * OrderOwner header fields, Orders matched by sr_no and line_items rows
+ * matched by Action and Description. Unlike json-diff, reordering Orders
+ * or rows isn't a change, and an added row shows up as one row rather
+ * than as every row after it shifting.
+ */
+
+// Line items have no number of their own; rows are told apart by what they
+// do to which product.
+function lineItemKey(item) {
+  return item.Action + ' ' + item.Description;
+}
+
+// Fields that differ between two records, leaving out parser bookkeeping
+// (_meta, _provenance) and the nested records under skip
+function fieldChanges(before, after, skip) {
+  return _.union(Object.keys(before), Object.keys(after))
+    .filter(field => field[0] !== '_' && field !== skip)
+    .filter(field => !_.isEqual(before[field], after[field]))
+    .map(field => ({
+      field: field,
+      before: before[field] === undefined ? null : before[field],
+      after: after[field] === undefined ? null : after[field],
+    }));
+}
+
+// Pair the records of two lists by key, in order where keys repeat
+function pairUp(before, after, key) {
+  let pending = _.groupBy(before, key);
+  let pairs = [];
+  let added = [];
+  after.forEach(record => {
+    let match = (pending[key(record)] || []).shift();
+    if (match) {
+      pairs.push([match, record]);
+    } else {
+      added.push(record);
+    }
+  });
+  let removed = before.filter(record => !pairs.some(p => p[0] === record));
+  return {pairs: pairs, added: added, removed: removed};
+}
+
+function diffLineItems(before, after) {
+  let paired = pairUp(before || [], after || [], lineItemKey);
+  return {
+    added: paired.added,
+    removed: paired.removed,
+    changed: paired.pairs
+      .map(([b, a]) => ({
+        Action: a.Action,
+        Description: a.Description,
+        fields: fieldChanges(b, a),
+      }))
+      .filter(row => row.fields.length),
+  };
+}
+
+function diffOrder(before, after) {
+  return {
+    sr_no: after.sr_no,
+    fields: fieldChanges(before, after, 'line_items'),
+    line_items: diffLineItems(before.line_items, after.line_items),
+  };
+}
+
+function isChanged(changes) {
+  return ['added', 'removed', 'changed'].some(k => changes[k].length);
+}
+
+/**
+ * Compare two versions of an OrderOwner. Either may be missing, for a
+ * request only one side has.
+ *
+ * @returns {Object} {request_no, status: 'added', 'removed', 'changed' or
+ *   'unchanged', fields: [{field, before, after}], orders: {added,
+ *   removed, changed: [{sr_no, fields, line_items: {added, removed,
+ *   changed: [{Action, Description, fields}]}}]}}
+ */
+function diffOwner(before, after) {
+  let owner = after || before;
+  let paired = pairUp(before ? before.orders || [] : [],
+                      after ? after.orders || [] : [],
+                      order => order.sr_no);
+  let orders = {
+    added: paired.added,
+    removed: paired.removed,
+    changed: paired.pairs
+      .map(([b, a]) => diffOrder(b, a))
+      .filter(order => order.fields.length || isChanged(order.line_items)),
+  };
+  let fields = before && after ? fieldChanges(before, after, 'orders') : [];
+  var status = 'unchanged';
+  if (!before) {
+    status = 'added';
+  } else if (!after) {
+    status = 'removed';
+  } else if (fields.length || isChanged(orders)) {
+    status = 'changed';
+  }
+  return {
+    request_no: owner.request_no,
+    status: status,
+    fields: fields,
+    orders: orders,
+  };
+}
+
+/**
+ * Compare the OrderOwner objects of two parse results, matched by
+ * request_no.
+ *
+ * @param {Array} before
+ * @param {Array} after
+ * @param {String} [requestNo] only compare this request
+ * @returns {Array} of diffOwner results
+ */
+function diffConversions(before, after, requestNo) {
+  let only = objects => requestNo === undefined ? objects :
+    objects.filter(owner => owner.request_no === requestNo);
+  let paired = pairUp(only(before), only(after), owner => owner.request_no);
+  return paired.pairs.map(([b, a]) => diffOwner(b, a))
+    .concat(paired.added.map(a => diffOwner(null, a)))
+    .concat(paired.removed.map(b => diffOwner(b, null)));
+}
+
+/**
+ * Flatten diffOwner results into one row per change, for exporting:
+ * {request_no, sr_no, line_item, change, field, before, after}, where
+ * line_item is the row's Action and Description and change is 'added',
+ * 'removed' or 'changed'. Added and removed records take one row, without
+ * a field.
+ */
+function toRows(diffs) {
+  let rows = [];
+  let push = (row, change, fieldChange) => rows.push(_.assign({
+    request_no: null,
+    sr_no: null,
+    line_item: null,
+    change: change,
+  }, row, fieldChange || {field: null, before: null, after: null}));
+
+  diffs.forEach(diff => {
+    let request = {request_no: diff.request_no};
+    if (diff.status === 'added' || diff.status === 'removed') {
+      return push(request, diff.status);
+    }
+    diff.fields.forEach(f => push(request, 'changed', f));
+    ['added', 'removed'].forEach(change => {
+      diff.orders[change].forEach(order => push(
+        _.assign({sr_no: order.sr_no}, request), change));
+    });
+    diff.orders.changed.forEach(order => {
+      let sr = _.assign({sr_no: order.sr_no}, request);
+      order.fields.forEach(f => push(sr, 'changed', f));
+      ['added', 'removed'].forEach(change => {
+        order.line_items[change].forEach(item => push(
+          _.assign({line_item: lineItemKey(item)}, sr), change));
+      });
+      order.line_items.changed.forEach(item => {
+        let line = _.assign({line_item: lineItemKey(item)}, sr);
+        item.fields.forEach(f => push(line, 'changed', f));
+      });
+    });
+  });
+  return rows;
+}
+
+exports.diffOwner = diffOwner;
+exports.diffConversions = diffConversions;
+exports.toRows = toRows;
@@ -0,0 +1,454 @@
+'use strict';
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const fs = require('fs');
+const jsonexport = require('jsonexport');
+const os = require('os');
+const path = require('path');
+const yazl = require('yazl');
+const {Readable, Transform} = require('stream');
+const {promisify} = require('util');
+const xlsx = require('./xlsx');
+const {contentDisposition} = require('./storage');
+
+const toCsv = promisify(jsonexport);
+const unlink = promisify(fs.unlink);
+
+const FORMATS = ['csv', 'xlsx', 'json', 'ndjson'];
+
+// Formats exportPages can stream
+const PAGED_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * flat: every OrderOwner with its orders and line items nested (json,
+ *   ndjson) or spread over rows (csv, xlsx), as jsonexport does.
+ * normalized: separate owners, orders and line_items tables (sheets for
+ *   xlsx, files in a zip archive for csv), joined by request_no and sr_no.
+ */
+const MODES = ['flat', 'normalized'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: xlsx.CONTENT_TYPE,
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  zip: 'application/zip',
+};
+
+/**
+ * Parsed objects without the parser's bookkeeping (_meta, _provenance),
+ * which says nothing about the orders.
+ */
+function withoutBookkeeping(value) {
+  if (Array.isArray(value)) {
+    return value.map(withoutBookkeeping);
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(_.omitBy(value, (v, key) => key[0] === '_'),
+                       withoutBookkeeping);
+  }
+  return value;
+}
+
+/**
+ * Split parsed objects into owners, orders and line_items records. Orders
+ * carry the request_no of their owner; line items the request_no and
+ * sr_no of their order, and their line_number within it.
+ */
+function normalize(objects) {
+  let tables = {owners: [], orders: [], line_items: []};
+  withoutBookkeeping(objects).forEach(owner => {
+    tables.owners.push(_.omit(owner, 'orders'));
+    (owner.orders || []).forEach(order => {
+      tables.orders.push(_.assign({request_no: owner.request_no},
+                                  _.omit(order, 'line_items')));
+      (order.line_items || []).forEach((item, i) => {
+        tables.line_items.push(_.assign({
+          request_no: owner.request_no,
+          sr_no: order.sr_no,
+          line_number: i + 1,
+        }, item));
+      });
+    });
+  });
+  return tables;
+}
+
+// Flat records for spreadsheets: one per line item, repeating its order
+// and owner, with headers named like jsonexport's
+function flatRecords(objects) {
+  let prefixed = (record, prefix) => _.mapKeys(record, (v, key) =>
+    prefix + key);
+  let records = [];
+  withoutBookkeeping(objects).forEach(owner => {
+    let ownerFields = _.omit(owner, 'orders');
+    let orders = owner.orders && owner.orders.length ? owner.orders : [null];
+    orders.forEach(order => {
+      let orderFields = order ?
+        prefixed(_.omit(order, 'line_items'), 'orders.') : {};
+      let items = order && order.line_items && order.line_items.length ?
+        order.line_items : [null];
+      items.forEach(item => {
+        records.push(_.assign({}, ownerFields, orderFields,
+                              item ? prefixed(item, 'orders.line_items.') :
+                                {}));
+      });
+    });
+  });
+  return records;
+}
+
+// Headers (every field, in the order first seen) followed by one row per
+// record, nested values as JSON
+function table(records) {
+  let headers = _.uniq(_.flatMap(records, record => Object.keys(record)));
+  return [headers].concat(records.map(record => tableRow(record, headers)));
+}
+
+function tableRow(record, headers) {
+  return headers.map(header => {
+    let value = record[header];
+    return _.isObject(value) ? JSON.stringify(value) : value;
+  });
+}
+
+function csvOf(records) {
+  if (records.length === 0) {
+    return Promise.resolve('');
+  }
+  let rows = records.map(record => _.mapValues(record, value =>
+    _.isObject(value) ? JSON.stringify(value) : value));
+  return toCsv(rows);
+}
+
+function zipOf(files) {
+  let zip = new yazl.ZipFile();
+  _.forEach(files, (contents, name) => {
+    zip.addBuffer(Buffer.from(contents), name);
+  });
+  zip.end();
+  return zip.outputStream;
+}
+
+/**
+ * A filename for an export of parsed objects, from the request numbers in
+ * it and the export date, e.g. request-158725-2017-10-02.csv or
+ * requests-158725-and-4-more-2017-10-02.xlsx.
+ */
+function exportName(objects, date, extension, suffix) {
+  let numbers = _.uniq(_.compact(_.map(objects, 'request_no')))
+    .map(number => String(number).replace(/[^\w.-]+/g, '_'));
+  var base = 'orders';
+  if (numbers.length === 1) {
+    base = 'request-' + numbers[0];
+  } else if (numbers.length > 1) {
+    base = 'requests-' + numbers[0] + '-and-' + (numbers.length - 1) +
+      '-more';
+  }
+  return base + (suffix ? '-' + suffix : '') + '-' +
+    date.toISOString().slice(0, 10) + '.' + extension;
+}
+
+function unprocessable(message) {
+  let err = new Error(message);
+  err.statusCode = 422;
+  return err;
+}
+
+/**
+ * Export parsed objects.
+ *
+ * @param {Array} objects the parsed objects of a converted_fileobject
+ * @param {Object} [options] format (one of FORMATS; default csv), mode
+ *   (one of MODES; default flat), template (a jsonexport template choosing
+ *   the columns, for flat csv only) and date (for the filename; default
+ *   now)
+ * @returns {Promise} resolving to {filename, contentType, body}, body
+ *   being a string or a readable stream; rejects with a 422 error for an
+ *   unknown format or mode, or a template for another export
+ */
+function exportOrders(objects, options) {
+  options = options || {};
+  let format = options.format || 'csv';
+  let mode = options.mode || 'flat';
+  let date = options.date || new Date();
+  if (FORMATS.indexOf(format) === -1 || MODES.indexOf(mode) === -1) {
+    return Promise.reject(unprocessable(
+      'format must be one of ' + FORMATS.join(', ') + ' and mode one of ' +
+      MODES.join(', ')));
+  }
+  if (options.template && (format !== 'csv' || mode !== 'flat')) {
+    return Promise.reject(unprocessable(
+      'Export templates only apply to flat csv exports'));
+  }
+  let normalized = mode === 'normalized';
+  let answer = (body, extension, contentType) => ({
+    filename: exportName(objects, date, extension,
+                         normalized ? 'normalized' : ''),
+    contentType: contentType || CONTENT_TYPES[extension],
+    body: body,
+  });
+  let tables = normalized ? normalize(objects) : null;
+
+  switch (format) {
+    case 'json':
+      return Promise.resolve(answer(JSON.stringify(
+        normalized ? tables : withoutBookkeeping(objects)), 'json'));
+    case 'ndjson':
+      let lines = normalized ?
+        _.flatMap(['owners', 'orders', 'line_items'], name =>
+          tables[name].map(record => _.assign({
+            record_type: name.replace(/s$/, ''),
+          }, record))) :
+        withoutBookkeeping(objects);
+      return Promise.resolve(answer(lines
+        .map(line => JSON.stringify(line) + '\n')
+        .join(''), 'ndjson'));
+    case 'xlsx':
+      let sheets = normalized ?
+        _.map(tables, (records, name) => ({name: name, rows: table(records)})) :
+        [{name: 'orders', rows: table(flatRecords(objects))}];
+      return Promise.resolve(answer(xlsx.workbook(sheets), 'xlsx'));
+    default:
+      if (!normalized) {
+        return toCsv(withoutBookkeeping(objects), {template: options.template})
+          .then(csv => answer(csv, 'csv'));
+      }
+      return Promise.all(_.map(tables, csvOf)).then(csvs => {
+        let files = _.zipObject(_.keys(tables).map(name => name + '.csv'),
+                                csvs);
+        return answer(zipOf(files), 'zip');
+      });
+  }
+}
+
+// A stream of the chunks toChunks makes of each page nextPage resolves to,
+// only reading a page once the last one has been consumed
+function pageStream(nextPage, toChunks, objectMode) {
+  let reading = false;
+  return new Readable({
+    objectMode: objectMode,
+    read() {
+      if (reading) return;
+      reading = true;
+      let pump = () => nextPage().then(page => {
+        if (!page) {
+          return this.push(null);
+        }
+        let chunks = toChunks(page);
+        if (chunks.length === 0) {
+          return pump();
+        }
+        reading = false;
+        chunks.forEach(chunk => this.push(chunk));
+      }).catch(err => this.destroy(err));
+      pump();
+    },
+  });
+}
+
+/**
+ * A filename for an export of the orders matching a filter, e.g.
+ * orders-vendor-ACME-from-2017-10-01-2017-11-02.csv.
+ */
+function filterName(filter, date, extension) {
+  let day = value => new Date(value).toISOString().slice(0, 10);
+  let parts = ['orders'];
+  [
+    ['customer', 'customer'],
+    ['vendor', 'vendor'],
+    ['status', 'status'],
+    ['cost_center', 'cost-center'],
+  ].forEach(([key, label]) => {
+    if (filter[key]) parts.push(label, filter[key]);
+  });
+  if (filter.submitted_from) parts.push('from', day(filter.submitted_from));
+  if (filter.submitted_to) parts.push('to', day(filter.submitted_to));
+  parts.push(day(date));
+  return parts.join('-').replace(/[^\w.-]+/g, '_') + '.' + extension;
+}
+
+// Write the flat records of every page a reader gives to a temporary file,
+// a line of JSON per page, finding their columns in the order first seen.
+// Resolves to {file, columns}.
+function spoolPages(nextPage, dir) {
+  let file = path.join(dir, 'export-' +
+                       crypto.randomBytes(16).toString('hex') + '.ndjson');
+  let out = fs.createWriteStream(file);
+  let columns = [];
+  let written = new Promise((resolve, reject) => {
+    out.on('error', reject);
+    out.on('finish', resolve);
+  });
+  let pump = () => nextPage().then(page => {
+    if (!page) return out.end();
+    let records = flatRecords(page);
+    columns = _.union(columns, table(records)[0]);
+    if (records.length && !out.write(JSON.stringify(records) + '\n')) {
+      return new Promise(resolve => out.once('drain', resolve)).then(pump);
+    }
+    return pump();
+  });
+  return Promise.all([pump(), written]).then(() => ({
+    file: file,
+    columns: columns,
+  }), err => {
+    out.destroy();
+    return removeSpool(file).then(() => {
+      throw err;
+    });
+  });
+}
+
+// A stream of the chunks toChunks makes of the records spooled to file,
+// which is removed once read
+function spooledStream(file, toChunks, objectMode) {
+  let input = fs.createReadStream(file, {encoding: 'utf8'});
+  input.on('close', () => removeSpool(file));
+  var rest = '';
+  let chunks = new Transform({
+    decodeStrings: false,
+    readableObjectMode: objectMode,
+    transform(data, encoding, done) {
+      let lines = (rest + data).split('\n');
+      rest = lines.pop();
+      if (lines.length === 0) return done();
+      try {
+        toChunks(_.flatMap(lines, line => JSON.parse(line)))
+          .forEach(chunk => this.push(chunk));
+      } catch (err) {
+        return done(err);
+      }
+      done();
+    },
+  });
+  input.on('error', err => chunks.destroy(err));
+  return input.pipe(chunks);
+}
+
+function removeSpool(file) {
+  return unlink(file).catch(err => {
+    if (err.code !== 'ENOENT') console.error('Removing ' + file + ':', err);
+  });
+}
+
+/**
+ * Export orders too many to hold, read a page at a time, as one flat csv
+ * or xlsx sheet: a row per line item, repeating its order and owner, as
+ * in flat xlsx exports.
+ *
+ * Every row has the same columns. They are the template's, or else every
+ * field of the orders: then the rows are spooled to a temporary file while
+ * the pages are read, and written out from it once all the columns are
+ * known.
+ *
+ * @param {Function} pages making a reader of the pages: a function
+ *   resolving to the next Array of parsed objects, or null after the last
+ * @param {Object} [options] format (one of PAGED_FORMATS; default csv),
+ *   template (a jsonexport template choosing the columns), filter (the
+ *   orders' filter, for the filename), date (default now) and tmpDir (for
+ *   the spooled rows; default the system's)
+ * @returns {Promise} resolving to {filename, contentType, body}, body
+ *   being a readable stream; rejects with a 422 error for an unknown
+ *   format
+ */
+function exportPages(pages, options) {
+  options = options || {};
+  let format = options.format || 'csv';
+  let template = options.template;
+  if (PAGED_FORMATS.indexOf(format) === -1) {
+    return Promise.reject(unprocessable(
+      'format must be one of ' + PAGED_FORMATS.join(', ')));
+  }
+  let answer = body => ({
+    filename: filterName(options.filter || {}, options.date || new Date(),
+                         format),
+    contentType: CONTENT_TYPES[format],
+    body: body,
+  });
+
+  if (format === 'csv' && template) {
+    let objects = pageStream(pages(), page =>
+      page.length ? [JSON.stringify(withoutBookkeeping(page))] : []);
+    let csv = jsonexport({template: template});
+    objects.on('error', err => csv.destroy(err));
+    return Promise.resolve(answer(objects.pipe(csv)));
+  }
+
+  let found = template ? Promise.resolve({
+    columns: template.columns.map(column =>
+      _.isString(column) ? column : column.path),
+  }) : spoolPages(pages(), options.tmpDir || os.tmpdir());
+  return found.then(spooled => {
+    let columns = spooled.columns;
+    let rowsOf = records => records.map(record => tableRow(record, columns));
+    // toChunks is given flat records, whether spooled or read from pages
+    let stream = (toChunks, objectMode) => {
+      if (spooled.file) {
+        return spooledStream(spooled.file, toChunks, objectMode);
+      }
+      let nextPage = pages();
+      return pageStream(() => nextPage()
+        .then(page => page && flatRecords(page)), toChunks, objectMode);
+    };
+
+    if (format === 'csv') {
+      // Records of exactly the columns, which jsonexport keeps in order
+      let records = stream(records => {
+        let rows = rowsOf(records);
+        return rows.length ?
+          [JSON.stringify(rows.map(row => _.zipObject(columns, row)))] : [];
+      });
+      let csv = jsonexport({headers: columns.slice()});
+      records.on('error', err => csv.destroy(err));
+      return answer(records.pipe(csv));
+    }
+
+    var labels = template ?
+      template.columns.map(column =>
+        _.isString(column) ? column : column.label || column.path) :
+      columns;
+    if (labels.length === 0) labels = null;
+    let rows = stream(records => {
+      let chunk = rowsOf(records);
+      if (labels) {
+        // Headers go first
+        chunk.unshift(labels);
+        labels = null;
+      }
+      return chunk;
+    }, true);
+    return answer(xlsx.workbook([{name: 'orders', rows: rows}]));
+  });
+}
+
+/**
+ * Answer a remote method with an export, as an attachment.
+ *
+ * @param {Object} res the HTTP response
+ * @param {Object} exported {filename, contentType, body}
+ * @param {Function} cb the remote method's callback, for errors while
+ *   streaming
+ */
+function send(res, exported, cb) {
+  res.set('Cache-Control',
+          'max-age=0, no-cache, must-revalidate, proxy-revalidate');
+  res.set('Content-Type', exported.contentType);
+  res.set('Content-Disposition', contentDisposition(exported.filename));
+  if (typeof exported.body === 'string') {
+    return res.send(exported.body);
+  }
+  exported.body.on('error', cb);
+  exported.body.pipe(res);
+}
+
+exports.FORMATS = FORMATS;
+exports.PAGED_FORMATS = PAGED_FORMATS;
+exports.MODES = MODES;
+exports.exportOrders = exportOrders;
+exports.exportName = exportName;
+exports.exportPages = exportPages;
+exports.send = send;
+exports.normalize = normalize;
+exports.withoutBookkeeping = withoutBookkeeping;
@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Frontends we may send users to, after login or from links in emails.
+ * REDIRECT_ORIGINS (comma separated) replaces the list in config.json; the
+ * first one is the default.
+ *
+ * @param {Object} app
+ * @returns {Array} origins such as 'http://localhost:4000'
+ */
+function redirectOrigins(app) {
+  return process.env.REDIRECT_ORIGINS ?
+    process.env.REDIRECT_ORIGINS.split(',').map(o => o.trim()) :
+    app.get('redirectOrigins');
+}
+
+/**
+ * Origins report schedules may send webhooks to, so that schedules can't
+ * be used to have the server post to anything it can reach.
+ * WEBHOOK_ORIGINS (comma separated) replaces the list in config.json; with
+ * neither there are no webhooks.
+ *
+ * @param {Object} app
+ * @returns {Array} origins such as 'https://hooks.example.com'
+ */
+function webhookOrigins(app) {
+  return process.env.WEBHOOK_ORIGINS ?
+    process.env.WEBHOOK_ORIGINS.split(',').map(o => o.trim()) :
+    app.get('webhookOrigins') || [];
+}
+
+exports.redirectOrigins = redirectOrigins;
+exports.webhookOrigins = webhookOrigins;
@@ -0,0 +1,167 @@
+'use strict';
+
+const CONTENT_TYPE = 'application/pdf';
+
+// A4 landscape, in points
+const PAGE = {width: 842, height: 595, margin: 36};
+
+const SIZES = {title: 14, subtitle: 9, table: 8};
+const ROW_HEIGHT = 11;
+const CELL_PADDING = 4;
+
+// Average Helvetica glyph widths, in ems, close enough to fit columns
+function charWidth(ch) {
+  if (/[0-9]/.test(ch)) return 0.556;
+  if (/[A-Z]/.test(ch)) return 0.667;
+  if (/[ .,;:!|'il]/.test(ch)) return 0.278;
+  return 0.5;
+}
+
+function textWidth(text, size) {
+  var width = 0;
+  for (let ch of text) width += charWidth(ch);
+  return width * size;
+}
+
+// The standard fonts only cover WinAnsi; keep to Latin-1 and escape what
+// PDF strings treat specially
+function escape(text) {
+  return text
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function fit(text, width, size) {
+  if (textWidth(text, size) <= width) return text;
+  while (text && textWidth(text + '...', size) > width) {
+    text = text.slice(0, -1);
+  }
+  return text + '...';
+}
+
+function show(font, size, x, y, text) {
+  return 'BT /' + font + ' ' + size + ' Tf ' + x.toFixed(2) + ' ' +
+    y.toFixed(2) + ' Td (' + escape(text) + ') Tj ET\n';
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    return value.toFixed(2);
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Share the page width among the columns by how wide their contents get,
+// so no column takes more than its share when they don't all fit
+function columnWidths(columns, rows) {
+  let available = PAGE.width - 2 * PAGE.margin;
+  // Rounded up, so the widest cell still fits once the padding is taken
+  // off again
+  let wanted = columns.map((label, c) => Math.ceil(rows.reduce(
+    (widest, row) => Math.max(widest, textWidth(row[c], SIZES.table)),
+    textWidth(label, SIZES.table)) + 2 * CELL_PADDING));
+  let total = wanted.reduce((sum, width) => sum + width, 0);
+  if (total <= available) return wanted;
+  let fair = available / columns.length;
+  let narrow = wanted.filter(width => width <= fair);
+  let spare = available - narrow.reduce((sum, width) => sum + width, 0);
+  let wide = wanted.length - narrow.length;
+  return wanted.map(width => width <= fair ? width : spare / wide);
+}
+
+function pageContents(doc, widths, rows, number, count) {
+  let left = PAGE.margin;
+  var y = PAGE.height - PAGE.margin - SIZES.title;
+  var out = show('F2', SIZES.title, left, y, doc.title || '');
+  (doc.subtitle || []).forEach(line => {
+    y -= SIZES.subtitle + 4;
+    out += show('F1', SIZES.subtitle, left, y, line);
+  });
+  y -= ROW_HEIGHT + 8;
+  let line = (font, cells, numeric) => {
+    var x = left;
+    cells.forEach((text, c) => {
+      let inner = widths[c] - 2 * CELL_PADDING;
+      let shown = fit(text, inner, SIZES.table);
+      let offset = numeric[c] ?
+        inner - textWidth(shown, SIZES.table) : 0;
+      out += show(font, SIZES.table, x + CELL_PADDING + offset, y, shown);
+      x += widths[c];
+    });
+    y -= ROW_HEIGHT;
+  };
+  let noneNumeric = widths.map(() => false);
+  line('F2', doc.columns, noneNumeric);
+  out += left.toFixed(2) + ' ' + (y + ROW_HEIGHT - 3).toFixed(2) + ' m ' +
+    (PAGE.width - PAGE.margin).toFixed(2) + ' ' +
+    (y + ROW_HEIGHT - 3).toFixed(2) + ' l 0.5 w S\n';
+  rows.forEach(row => line('F1', row.text, row.numeric));
+  out += show('F1', SIZES.subtitle, left, PAGE.margin / 2,
+              'Page ' + number + ' of ' + count);
+  return out;
+}
+
+/**
+ * Write a PDF of a table, on as many A4 landscape pages as it takes, with
+ * the column headers repeated on each. Cells too wide for their column
+ * are cut short; numbers are right aligned.
+ *
+ * @param {Object} doc {title, subtitle (Array of lines), columns (Array
+ *   of headers), rows (Arrays of cell values)}
+ * @returns {Buffer} the .pdf file
+ */
+function document(doc) {
+  let rows = (doc.rows || []).map(row => ({
+    text: row.map(cellText),
+    numeric: row.map(value => typeof value === 'number'),
+  }));
+  let widths = columnWidths(doc.columns, rows.map(row => row.text));
+  let top = PAGE.height - 2 * PAGE.margin - SIZES.title -
+    (doc.subtitle || []).length * (SIZES.subtitle + 4) - 8 - ROW_HEIGHT;
+  let perPage = Math.max(1, Math.floor((top - PAGE.margin / 2) / ROW_HEIGHT));
+  let pages = [];
+  for (let i = 0; i < rows.length || pages.length === 0; i += perPage) {
+    pages.push(rows.slice(i, i + perPage));
+  }
+
+  // Objects 1-4 are the catalog, page tree and fonts; then each page and
+  // its contents
+  let objects = [];
+  let kids = pages.map((page, i) => (5 + 2 * i) + ' 0 R').join(' ');
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push('<< /Type /Pages /Kids [' + kids + '] /Count ' +
+               pages.length + ' >>');
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica ' +
+               '/Encoding /WinAnsiEncoding >>');
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold ' +
+               '/Encoding /WinAnsiEncoding >>');
+  pages.forEach((page, i) => {
+    let contents = pageContents(doc, widths, page, i + 1, pages.length);
+    objects.push('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' +
+                 PAGE.width + ' ' + PAGE.height + '] /Resources << /Font ' +
+                 '<< /F1 3 0 R /F2 4 0 R >> >> /Contents ' + (6 + 2 * i) +
+                 ' 0 R >>');
+    objects.push('<< /Length ' + Buffer.byteLength(contents, 'latin1') +
+                 ' >>\nstream\n' + contents + 'endstream');
+  });
+
+  let chunks = ['%PDF-1.4\n'];
+  var offset = chunks[0].length;
+  let offsets = objects.map((object, i) => {
+    let chunk = (i + 1) + ' 0 obj\n' + object + '\nendobj\n';
+    let at = offset;
+    chunks.push(chunk);
+    offset += Buffer.byteLength(chunk, 'latin1');
+    return at;
+  });
+  chunks.push('xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n' +
+    offsets.map(at => String(at).padStart(10, '0') + ' 00000 n \n').join('') +
+    'trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R >>\n' +
+    'startxref\n' + offset + '\n%%EOF\n');
+  return Buffer.from(chunks.join(''), 'latin1');
+}
+
+exports.CONTENT_TYPE = CONTENT_TYPE;
+exports.document = document;
@@ -0,0 +1,470 @@
+'use strict';
+
+const _ = require('lodash');
+const jsonexport = require('jsonexport');
+const {promisify} = require('util');
+const pdf = require('./pdf');
+const xlsx = require('./xlsx');
+
+const toCsv = promisify(jsonexport);
+
+const FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: xlsx.CONTENT_TYPE,
+  pdf: pdf.CONTENT_TYPE,
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function day(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+function month(date) {
+  return date ? new Date(date).toISOString().slice(0, 7) : null;
+}
+
+// What a line item charges: its quantity (1 if not given) times its amount
+function charge(quantity, amount) {
+  let count = quantity === null || quantity === undefined ? 1 : quantity;
+  return count * (amount || 0);
+}
+
+/**
+ * How late a request is as of a date: confirmed for after the date it was
+ * requested for, or not confirmed at all once that date has passed.
+ *
+ * @returns {Object} {days_late, reason}, or null if it isn't late
+ */
+function lateness(request, asOf) {
+  if (!request.requested_due_date) return null;
+  let requested = new Date(request.requested_due_date);
+  if (request.confirmed_due_date) {
+    let confirmed = new Date(request.confirmed_due_date);
+    if (confirmed <= requested) return null;
+    return {
+      days_late: Math.ceil((confirmed - requested) / DAY),
+      reason: 'confirmed late',
+    };
+  }
+  if (requested >= asOf) return null;
+  return {
+    days_late: Math.ceil((asOf - requested) / DAY),
+    reason: 'not confirmed',
+  };
+}
+
+/**
+ * The built-in report types. Unless they load() their own data, they work
+ * on the current revision of the requests submitted in the report's
+ * period: rows() gets {requests, orders, line_items, as_of}, orders and
+ * line items carrying the request (and order) they belong to, and returns
+ * an object per row keyed like columns. period says what the period
+ * bounds, for headings.
+ */
+const TYPES = {
+  orders_per_vendor_month: {
+    title: 'Orders per vendor per month',
+    description: 'Orders (SRs) by vendor and the month their request was ' +
+      'submitted.',
+    columns: [
+      ['vendor', 'Vendor'],
+      ['month', 'Month'],
+      ['requests', 'Requests'],
+      ['orders', 'Orders'],
+      ['line_items', 'Line items'],
+    ],
+    rows(data) {
+      let itemCounts = _.countBy(data.line_items, item => item.order.id);
+      let groups = _.groupBy(data.orders, order => JSON.stringify([
+        order.vendor || '',
+        month(order.request.submitted_date),
+      ]));
+      return _.sortBy(_.map(groups, orders => ({
+        vendor: orders[0].vendor || '',
+        month: month(orders[0].request.submitted_date) || '',
+        requests: _.uniqBy(orders, order => order.request.id).length,
+        orders: orders.length,
+        line_items: _.sumBy(orders, order => itemCounts[order.id] || 0),
+      })), ['vendor', 'month']);
+    },
+  },
+
+  charges_by_cost_center: {
+    title: 'Recurring and non-recurring charges by cost center',
+    description: 'Sums of the RC and NRC columns of the line items ' +
+      '(quantity times amount) by the cost center of their order.',
+    columns: [
+      ['cost_center', 'Cost center'],
+      ['cost_center_description', 'Description'],
+      ['line_items', 'Line items'],
+      ['recurring', 'Recurring'],
+      ['non_recurring', 'Non-recurring'],
+      ['total', 'Total'],
+    ],
+    rows(data) {
+      let groups = _.groupBy(data.line_items, item =>
+        item.order.cost_center || item.order.request.cost_center || '');
+      return _.sortBy(_.map(groups, (items, costCenter) => {
+        let recurring = _.sumBy(items, item =>
+          charge(item.rc_quantity, item.rc_amount));
+        let nonRecurring = _.sumBy(items, item =>
+          charge(item.nrc_quantity, item.nrc_amount));
+        let described = _.find(items, item =>
+          item.order.cost_center_description);
+        recurring = _.round(recurring, 2);
+        nonRecurring = _.round(nonRecurring, 2);
+        return {
+          cost_center: costCenter,
+          cost_center_description: described ?
+            described.order.cost_center_description : '',
+          line_items: items.length,
+          recurring: recurring,
+          non_recurring: nonRecurring,
+          // Of the rounded sums, so the columns add up
+          total: _.round(recurring + nonRecurring, 2),
+        };
+      }), 'cost_center');
+    },
+  },
+
+  overdue_orders: {
+    title: 'Overdue orders',
+    description: 'Requests confirmed for later than their requested due ' +
+      'date, or still unconfirmed past it at the end of the period.',
+    columns: [
+      ['request_number', 'Request'],
+      ['analyst', 'Analyst'],
+      ['status', 'Status'],
+      ['priority', 'Priority'],
+      ['submitted_date', 'Submitted'],
+      ['requested_due_date', 'Requested due'],
+      ['confirmed_due_date', 'Confirmed due'],
+      ['days_late', 'Days late'],
+      ['reason', 'Reason'],
+    ],
+    rows(data) {
+      let late = data.requests
+        .map(request => ({
+          request: request,
+          late: lateness(request, data.as_of),
+        }))
+        .filter(entry => entry.late);
+      return _.orderBy(late.map(({request, late}) => ({
+        request_number: request.request_number,
+        analyst: request.analyst || '',
+        status: request.status || '',
+        priority: request.priority || '',
+        submitted_date: day(request.submitted_date),
+        requested_due_date: day(request.requested_due_date),
+        confirmed_due_date: day(request.confirmed_due_date),
+        days_late: late.days_late,
+        reason: late.reason,
+      })), ['days_late', 'request_number'], ['desc', 'asc']);
+    },
+  },
+
+  analyst_workload: {
+    title: 'Analyst workload',
+    description: 'Requests, orders and line items per analyst, and how ' +
+      'many of the requests are overdue.',
+    columns: [
+      ['analyst', 'Analyst'],
+      ['requests', 'Requests'],
+      ['orders', 'Orders'],
+      ['line_items', 'Line items'],
+      ['overdue', 'Overdue'],
+    ],
+    rows(data) {
+      let orderCounts = _.countBy(data.orders, order => order.request.id);
+      let itemCounts = _.countBy(data.line_items,
+                                 item => item.order.request.id);
+      let groups = _.groupBy(data.requests, request => request.analyst || '');
+      return _.orderBy(_.map(groups, (requests, analyst) => ({
+        analyst: analyst,
+        requests: requests.length,
+        orders: _.sumBy(requests, request => orderCounts[request.id] || 0),
+        line_items: _.sumBy(requests, request =>
+          itemCounts[request.id] || 0),
+        overdue: requests.filter(request =>
+          lateness(request, data.as_of)).length,
+      })), ['requests', 'analyst'], ['desc', 'asc']);
+    },
+  },
+
+  new_uploads: {
+    title: 'New uploads',
+    description: 'Files uploaded in the period, who uploaded them, whether ' +
+      'they converted and the requests they hold.',
+    period: 'Uploaded',
+    columns: [
+      ['uploaded_date', 'Uploaded'],
+      ['filename', 'File'],
+      ['uploaded_by', 'Uploaded by'],
+      ['size', 'Bytes'],
+      ['status', 'Status'],
+      ['requests', 'Requests'],
+      ['request_numbers', 'Request numbers'],
+    ],
+    load: loadUploads,
+    rows(data) {
+      return data.uploads.map(upload => ({
+        uploaded_date: upload.created_date ?
+          new Date(upload.created_date).toISOString().replace('T', ' ')
+            .slice(0, 16) : '',
+        filename: upload.filename || '',
+        uploaded_by: upload.uploaded_by || '',
+        size: upload.size,
+        status: upload.converted ? upload.converted.status : 'not converted',
+        requests: upload.requests.length,
+        request_numbers: upload.requests
+          .map(request => request.request_number).join(', '),
+      }));
+    },
+  },
+};
+
+function unprocessable(message) {
+  let err = new Error(message);
+  err.statusCode = 422;
+  return err;
+}
+
+/**
+ * Check what a report is asked for.
+ *
+ * @returns {Error} a 422 error for an unknown type or format, or an empty
+ *   period, else null
+ */
+function check(type, format, parameters) {
+  if (!TYPES[type]) {
+    return unprocessable('type must be one of ' +
+                         Object.keys(TYPES).join(', '));
+  }
+  if (format && FORMATS.indexOf(format) === -1) {
+    return unprocessable('format must be one of ' + FORMATS.join(', '));
+  }
+  let from = parameters && parameters.from;
+  let to = parameters && parameters.to;
+  if (from && to && new Date(from) >= new Date(to)) {
+    return unprocessable('from must be before to');
+  }
+  return null;
+}
+
+// The requests submitted in the period, their orders and line items, as
+// plain objects linked to what they belong to
+function loadOrders(models, parameters) {
+  let requests, orders;
+  return models.order_metadata.exportWhere({
+    submitted_from: parameters.from,
+    submitted_to: parameters.to,
+  })
+    .then(where => models.order_metadata.find({where: where}))
+    .then(found => {
+      requests = found.map(request => request.toObject());
+      let ids = requests.map(request => String(request.id));
+      if (ids.length === 0) return [];
+      return models.order_information.find({
+        where: {order_metadata_id: {inq: ids}},
+      });
+    })
+    .then(found => {
+      let byId = _.keyBy(requests, request => String(request.id));
+      orders = found.map(order => _.assign(order.toObject(), {
+        request: byId[String(order.order_metadata_id)],
+      }));
+      let ids = orders.map(order => String(order.id));
+      if (ids.length === 0) return [];
+      return models.order_contents.find({
+        where: {order_information_id: {inq: ids}},
+      });
+    })
+    .then(found => {
+      let byId = _.keyBy(orders, order => String(order.id));
+      return {
+        requests: requests,
+        orders: orders,
+        line_items: found.map(item => _.assign(item.toObject(), {
+          order: byId[String(item.order_information_id)],
+        })),
+      };
+    });
+}
+
+// The files uploaded in the period, oldest first, with who uploaded them
+// (their email address where known), their conversion and the current
+// revision of the requests in it
+function loadUploads(models, parameters) {
+  let bounds = [];
+  if (parameters.from) bounds.push({created_date: {gte: parameters.from}});
+  if (parameters.to) bounds.push({created_date: {lt: parameters.to}});
+  let uploads;
+  return models.original_fileobject.find({
+    where: bounds.length ? {and: bounds} : {},
+    fields: {contents: false},
+    order: ['created_date ASC', 'id ASC'],
+  })
+    .then(found => {
+      uploads = found.map(upload => upload.toObject());
+      let ids = uploads.map(upload => String(upload.id));
+      let users = _.uniq(_.compact(uploads.map(upload => upload.created_by)))
+        .filter(actor => actor !== 'system');
+      return Promise.all([
+        ids.length ? models.converted_fileobject.find({
+          where: {original_fileobject_id: {inq: ids}},
+          fields: {id: true, status: true, original_fileobject_id: true},
+        }) : [],
+        users.length ? models.user.find({
+          where: {id: {inq: users}},
+          fields: {id: true, email: true},
+        }) : [],
+      ]);
+    })
+    .then(([converted, users]) => {
+      let emails = _.mapValues(_.keyBy(users, user => String(user.id)),
+                               'email');
+      let byOriginal = _.keyBy(converted.map(c => c.toObject()),
+                               c => String(c.original_fileobject_id));
+      uploads.forEach(upload => {
+        upload.uploaded_by = emails[upload.created_by] || upload.created_by;
+        upload.converted = byOriginal[String(upload.id)] || null;
+      });
+      let ids = converted.map(c => String(c.id));
+      if (ids.length === 0) return [];
+      return models.order_metadata.find({
+        where: {converted_fileobject_id: {inq: ids}, superseded_by: null},
+        fields: {id: true, request_number: true, converted_fileobject_id: true},
+      });
+    })
+    .then(requests => {
+      let byConverted = _.groupBy(requests, request =>
+        String(request.converted_fileobject_id));
+      uploads.forEach(upload => {
+        upload.requests = upload.converted ?
+          byConverted[String(upload.converted.id)] || [] : [];
+      });
+      return {uploads: uploads};
+    });
+}
+
+/**
+ * Run a report.
+ *
+ * @param {Object} models the app's models
+ * @param {String} type one of TYPES
+ * @param {Object} parameters from and to, bounding when the requests were
+ *   submitted (from inclusive, to exclusive); both optional
+ * @returns {Promise} resolving to the report's contents: {type, title,
+ *   parameters, columns ({key, label}), rows, generated_date}
+ */
+function run(models, type, parameters) {
+  parameters = parameters || {};
+  let invalid = check(type, null, parameters);
+  if (invalid) return Promise.reject(invalid);
+  let definition = TYPES[type];
+  let now = new Date();
+  let load = definition.load || loadOrders;
+  return load(models, parameters).then(data => {
+    let to = parameters.to && new Date(parameters.to);
+    data.as_of = to && to < now ? to : now;
+    return {
+      type: type,
+      title: definition.title,
+      parameters: {from: day(parameters.from), to: day(parameters.to)},
+      columns: definition.columns.map(([key, label]) => ({
+        key: key,
+        label: label,
+      })),
+      rows: definition.rows(data),
+      generated_date: now,
+    };
+  });
+}
+
+/**
+ * What a report's period covers, for headings, e.g. "Requests submitted
+ * 2017-09-01 to 2017-10-01".
+ */
+function period(contents) {
+  let definition = TYPES[contents.type] || {};
+  let parameters = contents.parameters || {};
+  let from = parameters.from;
+  let to = parameters.to;
+  var covered = 'all time';
+  if (from && to) {
+    covered = from + ' to ' + to;
+  } else if (from) {
+    covered = 'from ' + from;
+  } else if (to) {
+    covered = 'until ' + to;
+  }
+  return (definition.period || 'Requests submitted') + ' ' + covered;
+}
+
+/**
+ * A filename for a report document, e.g.
+ * overdue_orders-2017-09-01-to-2017-10-01.pdf.
+ */
+function filename(contents, format) {
+  let parameters = contents.parameters || {};
+  let parts = [contents.type];
+  if (parameters.from) parts.push(parameters.from);
+  if (parameters.to) parts.push('to', parameters.to);
+  if (!parameters.from && !parameters.to) {
+    parts.push(day(contents.generated_date));
+  }
+  return parts.join('-') + '.' + format;
+}
+
+/**
+ * Write a report's contents as a document.
+ *
+ * @param {Object} contents as run() resolves to
+ * @param {String} format one of FORMATS
+ * @returns {Promise} resolving to {filename, contentType, body}, body
+ *   being a string, Buffer or readable stream
+ */
+function render(contents, format) {
+  if (FORMATS.indexOf(format) === -1) {
+    return Promise.reject(unprocessable('format must be one of ' +
+                                        FORMATS.join(', ')));
+  }
+  let keys = contents.columns.map(column => column.key);
+  let labels = contents.columns.map(column => column.label);
+  let answer = body => ({
+    filename: filename(contents, format),
+    contentType: CONTENT_TYPES[format],
+    body: body,
+  });
+  if (format === 'csv') {
+    return toCsv(contents.rows, {headers: keys.slice(), rename: labels})
+      .then(answer);
+  }
+  let rows = contents.rows.map(row => keys.map(key => row[key]));
+  if (format === 'xlsx') {
+    return Promise.resolve(answer(xlsx.workbook([{
+      name: contents.title,
+      rows: [labels].concat(rows),
+    }])));
+  }
+  return Promise.resolve(answer(pdf.document({
+    title: contents.title,
+    subtitle: [
+      period(contents),
+      'Generated ' + new Date(contents.generated_date).toISOString()
+        .replace('T', ' ').slice(0, 16) + ' UTC',
+    ],
+    columns: labels,
+    rows: rows,
+  })));
+}
+
+exports.FORMATS = FORMATS;
+exports.TYPES = TYPES;
+exports.check = check;
+exports.period = period;
+exports.run = run;
+exports.render = render;
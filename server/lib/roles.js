@@ -0,0 +1,56 @@
+'use strict';
+
+// Roles referenced by model ACLs. Users are assigned to them through the
+// built-in RoleMapping model.
+//
+//   admin: everything, including managing users and their roles
+//   analyst: uploads, converts and edits orders and reference data
+//   approver: reviews orders and dictionaries and signs them off
+//   customer-viewer: reads the fileobjects of their own customer
+const ROLES = [
+  'admin',
+  'analyst',
+  'approver',
+  'customer-viewer',
+];
+
+/**
+ * Names of the roles a user is mapped to through RoleMapping.
+ *
+ * @param {Object} app
+ * @param {*} userId
+ * @returns {Promise} resolving to an Array of role names
+ */
+function rolesOf(app, userId) {
+  let RoleMapping = app.models.RoleMapping;
+  return RoleMapping.find({
+    where: {principalType: RoleMapping.USER, principalId: String(userId)},
+    include: 'role',
+  }).then(mappings => mappings
+    .map(mapping => mapping.role())
+    .filter(role => role)
+    .map(role => role.name));
+}
+
+/**
+ * Whether the caller of a model method has one of the given roles. Calls
+ * without an access token come from the server itself and are trusted;
+ * remote calls without one never get past the ACLs.
+ *
+ * @param {Object} app
+ * @param {Object} [options] the method's options
+ * @param {Array} roles role names, any of which will do
+ * @returns {Promise} resolving to a Boolean
+ */
+function hasRole(app, options, roles) {
+  let token = options && options.accessToken;
+  if (!token) {
+    return Promise.resolve(true);
+  }
+  return rolesOf(app, token.userId)
+    .then(names => names.some(name => roles.indexOf(name) !== -1));
+}
+
+exports.ROLES = ROLES;
+exports.rolesOf = rolesOf;
+exports.hasRole = hasRole;
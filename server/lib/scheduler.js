@@ -0,0 +1,96 @@
+'use strict';
+
+const cron = require('./cron');
+
+/**
+ * Runs report schedules (the report_schedule model) in-process: every
+ * pollInterval it looks for enabled schedules whose next_run_at has come,
+ * moves each on to its next time and has it triggered, which queues a job
+ * to generate and deliver the report (see report_schedule.trigger).
+ *
+ * Any number of processes can run the scheduler: a schedule is claimed by
+ * a conditional update of next_run_at, so only one of them triggers each
+ * run. Times missed while no scheduler was running are made up for once,
+ * for the latest of them.
+ *
+ * options: the app's `schedules` config; pollInterval (ms between looks
+ *   for due schedules; default 30000).
+ */
+class Scheduler {
+  constructor(Schedule, options) {
+    this.Schedule = Schedule;
+    this.pollInterval = options.pollInterval || 30000;
+    this.timer = null;
+    this.running = null;
+    this.started = false;
+  }
+
+  /**
+   * Start running schedules in this process.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.schedule(0);
+  }
+
+  /**
+   * Stop running schedules.
+   *
+   * @returns {Promise} resolving once the schedules being triggered, if
+   *   any, are
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    return Promise.resolve(this.running).catch(() => {});
+  }
+
+  schedule(delay) {
+    if (!this.started) return;
+    this.timer = setTimeout(() => {
+      this.running = this.tick()
+        .catch(err => console.error('Scheduler:', err))
+        .then(() => {
+          this.running = null;
+          this.schedule(this.pollInterval);
+        });
+    }, delay);
+  }
+
+  /**
+   * Trigger the schedules that are due.
+   *
+   * @returns {Promise} resolving to the runs triggered
+   */
+  tick() {
+    let now = new Date();
+    return this.Schedule.find({
+      where: {enabled: true, next_run_at: {lte: now}},
+      order: 'next_run_at ASC',
+    }).then(due => due.reduce((prev, schedule) => prev.then(runs =>
+      this.claim(schedule, now)
+        .then(scheduledFor => scheduledFor &&
+          this.Schedule.trigger(schedule, scheduledFor, 'schedule'))
+        .catch(err => {
+          console.error('Scheduler: schedule %s:', schedule.id, err);
+        })
+        .then(run => run ? runs.concat(run) : runs)), Promise.resolve([])));
+  }
+
+  // Move a due schedule on to its next time, unless another process got
+  // there first
+  //
+  // Resolves to the time it is run for, or null
+  claim(schedule, now) {
+    let parsed = cron.parse(schedule.cron);
+    let scheduledFor = cron.previous(parsed, new Date(now.getTime() + 1));
+    let where = {id: schedule.id, next_run_at: schedule.next_run_at};
+    return this.Schedule.updateAll(where, {
+      next_run_at: cron.next(parsed, now),
+    }).then(info => info.count === 0 ? null :
+            scheduledFor || schedule.next_run_at);
+  }
+}
+
+exports.Scheduler = Scheduler;
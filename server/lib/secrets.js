@@ -0,0 +1,27 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Read a secret from the environment.
+ *
+ * Secrets never live in the repo. Outside production a missing one is
+ * replaced by a random value for the life of the process (so sessions and
+ * tokens don't survive a restart); in production it is an error.
+ *
+ * @param {String} name environment variable holding the secret
+ * @returns {String}
+ */
+function secret(name) {
+  let value = process.env[name];
+  if (value) {
+    return value;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Missing required secret ' + name);
+  }
+  console.warn('%s is not set; using a random value until restart', name);
+  return crypto.randomBytes(32).toString('hex');
+}
+
+exports.secret = secret;
@@ -0,0 +1,401 @@
+'use strict';
+
+const aws4 = require('aws4');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const {PassThrough} = require('stream');
+const {promisify} = require('util');
+
+const mkdir = promisify(fs.mkdir);
+const rename = promisify(fs.rename);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+
+// Keys name files directly, so they can't be allowed to climb out of the
+// storage root.
+const KEY = /^[\w][\w.-]*$/;
+
+function checkKey(key) {
+  if (!KEY.test(key)) {
+    throw new Error('Invalid storage key: ' + key);
+  }
+  return key;
+}
+
+function ignoreMissing(err) {
+  if (err.code !== 'ENOENT') throw err;
+}
+
+/**
+ * A Content-Disposition header offering the file for download under
+ * filename.
+ */
+function contentDisposition(filename) {
+  if (!filename) {
+    return 'attachment';
+  }
+  let ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return 'attachment; filename="' + ascii + '"; filename*=UTF-8\'\'' +
+    encodeURIComponent(filename);
+}
+
+/**
+ * Copy a file, for when it can't be renamed across filesystems.
+ */
+function copyFile(from, to) {
+  return new Promise((resolve, reject) => {
+    let input = fs.createReadStream(from);
+    let output = fs.createWriteStream(to);
+    input.on('error', reject);
+    output.on('error', reject);
+    output.on('finish', resolve);
+    input.pipe(output);
+  });
+}
+
+/**
+ * Places stored files can be kept. Each entry takes the storage options
+ * and returns a driver with:
+ *
+ *   putFile(key, file, info): store a local file, whose size and SHA-256
+ *     (hex checksum) are in info; returns a Promise
+ *   exists(key): returns a Promise resolving to a Boolean
+ *   get(key): a readable stream of the stored file
+ *   remove(key): returns a Promise; missing files are ignored
+ *   url(key, expires, filename): a URL anyone can download the file from
+ *     until expires (a Date), offered as filename
+ */
+const DRIVERS = {
+
+  /**
+   * Files in a local directory, downloaded through the app's /files route
+   * (see server/boot/storage.js) with an HMAC signed URL.
+   *
+   * Options:
+   *
+   *   root: the directory; default 'storage', relative to the working
+   *     directory.
+   *
+   *   baseUrl: put in front of /files in download URLs, e.g.
+   *     'https://order-support-app.herokuapp.com'; default '', giving
+   *     URLs relative to the API's host.
+   *
+   *   secret: signs download URLs.
+   */
+  local: function(opts) {
+    let root = path.resolve(opts.root || 'storage');
+    let baseUrl = (opts.baseUrl || '').replace(/\/$/, '');
+    var ready = null;
+    let file = key => path.join(root, checkKey(key));
+    let sign = (key, expires, filename) => crypto
+      .createHmac('sha256', opts.secret)
+      .update([key, expires, filename || ''].join('\n'))
+      .digest('hex');
+
+    return {
+      putFile: function(key, from) {
+        let target = file(key);
+        ready = ready || mkdir(root).catch(err => {
+          if (err.code !== 'EEXIST') throw err;
+        });
+        // Copied under another name first, so a failed copy never leaves
+        // a truncated file behind the key.
+        let partial = target + '.partial';
+        return ready
+          .then(() => rename(from, target))
+          .catch(err => {
+            if (err.code !== 'EXDEV') throw err;
+            return copyFile(from, partial)
+              .then(() => rename(partial, target))
+              .catch(err => unlink(partial).catch(() => {}).then(() => {
+                throw err;
+              }));
+          });
+      },
+
+      exists: function(key) {
+        return stat(file(key)).then(() => true, err => {
+          ignoreMissing(err);
+          return false;
+        });
+      },
+
+      get: function(key) {
+        return fs.createReadStream(file(key));
+      },
+
+      remove: function(key) {
+        return unlink(file(key)).catch(ignoreMissing);
+      },
+
+      url: function(key, expires, filename) {
+        let seconds = Math.floor(expires.getTime() / 1000);
+        let query = {expires: seconds, signature: sign(key, seconds, filename)};
+        if (filename) {
+          query.filename = filename;
+        }
+        return baseUrl + '/files/' + checkKey(key) +
+          url.format({query: query});
+      },
+
+      /**
+       * Whether the query of a /files/:key request is a valid, unexpired
+       * signature for key.
+       */
+      verify: function(key, query) {
+        let expires = parseInt(query.expires, 10);
+        if (!KEY.test(key) || !(expires * 1000 > Date.now()) ||
+            typeof query.signature !== 'string') {
+          return false;
+        }
+        let expected = Buffer.from(sign(key, expires, query.filename));
+        let given = Buffer.from(query.signature);
+        return given.length === expected.length &&
+          crypto.timingSafeEqual(given, expected);
+      },
+    };
+  },
+
+  /**
+   * Objects in an S3 bucket, or any service speaking the S3 API (MinIO,
+   * Ceph, ...). Downloads are presigned S3 URLs.
+   *
+   * Options:
+   *
+   *   bucket: the bucket; S3_BUCKET in the environment takes precedence.
+   *
+   *   endpoint: e.g. 'http://localhost:9000' for a local MinIO; default
+   *     'https://s3.amazonaws.com'. S3_ENDPOINT takes precedence.
+   *
+   *   region: default 'us-east-1'. S3_REGION takes precedence.
+   *
+   *   pathStyle: address the bucket in the path (/bucket/key) rather than
+   *     the host name; default true, which S3-alikes expect.
+   *
+   *   accessKeyId, secretAccessKey: credentials; normally given as
+   *     S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY in the environment.
+   */
+  s3: function(opts) {
+    let bucket = process.env.S3_BUCKET || opts.bucket;
+    let endpoint = url.parse(process.env.S3_ENDPOINT || opts.endpoint ||
+                             'https://s3.amazonaws.com');
+    let region = process.env.S3_REGION || opts.region || 'us-east-1';
+    let pathStyle = opts.pathStyle !== false;
+    let credentials = {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || opts.accessKeyId,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY ||
+        opts.secretAccessKey,
+    };
+    if (!bucket || !credentials.accessKeyId || !credentials.secretAccessKey) {
+      throw new Error('The s3 storage driver needs S3_BUCKET, ' +
+                      'S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    let transport = endpoint.protocol === 'http:' ? http : https;
+
+    // Request options for an object, signed with aws4
+    function signed(method, key, extra, query) {
+      let objectPath = (pathStyle ? '/' + bucket : '') + '/' + checkKey(key) +
+        (query ? '?' + query : '');
+      return aws4.sign(Object.assign({
+        protocol: endpoint.protocol,
+        hostname: pathStyle ? endpoint.hostname : bucket + '.' +
+          endpoint.hostname,
+        port: endpoint.port,
+        method: method,
+        path: objectPath,
+        service: 's3',
+        region: region,
+        headers: {},
+      }, extra), credentials);
+    }
+
+    function send(request, body) {
+      return new Promise((resolve, reject) => {
+        let req = transport.request(request, resolve);
+        req.on('error', reject);
+        if (body) {
+          body.on('error', reject);
+          body.pipe(req);
+        } else {
+          req.end();
+        }
+      });
+    }
+
+    // Read and discard a response, rejecting unless it has an ok status
+    function check(res, key, ok) {
+      res.resume();
+      if ((ok || [200, 204]).indexOf(res.statusCode) === -1) {
+        throw new Error('S3 answered ' + res.statusCode + ' for ' + key);
+      }
+      return res.statusCode;
+    }
+
+    return {
+      putFile: function(key, from, info) {
+        let request = signed('PUT', key, {headers: {
+          'Content-Length': info.size,
+          'Content-Type': 'application/octet-stream',
+          'X-Amz-Content-Sha256': info.checksum,
+        }});
+        return send(request, fs.createReadStream(from))
+          .then(res => check(res, key));
+      },
+
+      exists: function(key) {
+        return send(signed('HEAD', key))
+          .then(res => check(res, key, [200, 404]) === 200);
+      },
+
+      get: function(key) {
+        let out = new PassThrough();
+        send(signed('GET', key)).then(res => {
+          if (res.statusCode !== 200) {
+            res.resume();
+            return out.emit('error', new Error('S3 answered ' +
+              res.statusCode + ' for ' + key));
+          }
+          res.on('error', err => out.emit('error', err));
+          res.pipe(out);
+        }, err => out.emit('error', err));
+        return out;
+      },
+
+      remove: function(key) {
+        return send(signed('DELETE', key))
+          .then(res => check(res, key, [200, 204, 404]));
+      },
+
+      url: function(key, expires, filename) {
+        let seconds = Math.max(1, Math.round((expires - Date.now()) / 1000));
+        let query = 'X-Amz-Expires=' + seconds;
+        if (filename) {
+          query += '&response-content-disposition=' +
+            encodeURIComponent(contentDisposition(filename));
+        }
+        let request = signed('GET', key, {signQuery: true}, query);
+        return endpoint.protocol + '//' + request.headers.Host + request.path;
+      },
+    };
+  },
+};
+
+/**
+ * Content-addressed file storage on top of a driver: files are kept under
+ * the SHA-256 of their contents, so uploading the same file twice stores
+ * it once.
+ *
+ * options: the app's `storage` config; driver (one of DRIVERS, or
+ *   STORAGE_DRIVER in the environment), urlTtl (seconds download URLs
+ *   last; default 900), releaseGrace (seconds a file no record refers to
+ *   any more is kept, in case an upload of the same contents is about to;
+ *   default 10), tmpDir (where files are spooled while their checksum is
+ *   worked out; default the OS's) and the driver's own options.
+ */
+class Storage {
+  constructor(options) {
+    let name = process.env.STORAGE_DRIVER || options.driver || 'local';
+    let driver = DRIVERS[name];
+    if (!driver) {
+      throw new Error('Unknown storage driver: ' + name);
+    }
+    this.driver = driver(options);
+    this.urlTtl = options.urlTtl || 900;
+    this.releaseGrace = options.releaseGrace === undefined ? 10 :
+      options.releaseGrace;
+    this.tmpDir = options.tmpDir || os.tmpdir();
+  }
+
+  /**
+   * Write a stream to a temporary file, working out its size and
+   * checksum. Nothing is stored until the result is committed.
+   *
+   * @param {stream.Readable} stream
+   * @returns {Promise} resolving to {size, checksum, path, commit(),
+   *   discard()}, path being the temporary file. commit() stores the file
+   *   and resolves to {key, deduplicated}, where deduplicated says the
+   *   same contents were already stored; discard() throws it away.
+   */
+  spool(stream) {
+    let tmp = path.join(this.tmpDir, 'spool-' +
+                        crypto.randomBytes(16).toString('hex'));
+    let hash = crypto.createHash('sha256');
+    var size = 0;
+    return new Promise((resolve, reject) => {
+      let out = fs.createWriteStream(tmp);
+      stream.on('data', chunk => {
+        hash.update(chunk);
+        size += chunk.length;
+      });
+      stream.on('error', reject);
+      out.on('error', reject);
+      out.on('finish', resolve);
+      stream.pipe(out);
+    }).then(() => {
+      let checksum = hash.digest('hex');
+      let discard = () => unlink(tmp).catch(ignoreMissing);
+      return {
+        size: size,
+        checksum: checksum,
+        path: tmp,
+        discard: discard,
+        commit: () => this.driver.exists(checksum)
+          .then(exists => {
+            if (exists) return true;
+            return this.driver.putFile(checksum, tmp,
+                                       {size: size, checksum: checksum})
+              .then(() => false);
+          })
+          .then(deduplicated => discard().then(() => ({
+            key: checksum,
+            deduplicated: deduplicated,
+          })), err => discard().then(() => {
+            throw err;
+          })),
+      };
+    }, err => unlink(tmp).catch(() => {}).then(() => {
+      throw err;
+    }));
+  }
+
+  /**
+   * Store a stream.
+   *
+   * @returns {Promise} resolving to {key, size, checksum, deduplicated}
+   */
+  store(stream) {
+    return this.spool(stream).then(spooled => spooled.commit()
+      .then(stored => Object.assign({
+        size: spooled.size,
+        checksum: spooled.checksum,
+      }, stored)));
+  }
+
+  get(key) {
+    return this.driver.get(key);
+  }
+
+  remove(key) {
+    return this.driver.remove(key);
+  }
+
+  /**
+   * A signed URL the stored file can be downloaded from for the next
+   * urlTtl seconds.
+   *
+   * @returns {Object} {url, expires}
+   */
+  downloadUrl(key, filename) {
+    let expires = new Date(Date.now() + this.urlTtl * 1000);
+    return {url: this.driver.url(key, expires, filename), expires: expires};
+  }
+}
+
+exports.DRIVERS = DRIVERS;
+exports.Storage = Storage;
+exports.contentDisposition = contentDisposition;
@@ -0,0 +1,214 @@
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('json-web-token');
+const {promisify} = require('util');
+const {secret} = require('./secrets');
+
+const ALGORITHM = 'HS256';
+
+const encode = promisify(jwt.encode);
+
+/**
+ * Parse JWT_KEYS, a comma separated list of `kid:secret` pairs. The first
+ * key signs new tokens; the rest are still accepted, so a key can be
+ * rotated out by putting a new one in front and dropping the old one once
+ * the tokens it signed have expired.
+ */
+function parseKeys(spec) {
+  return spec.split(',')
+    .map(pair => pair.trim())
+    .filter(pair => pair)
+    .map((pair, i) => {
+      let colon = pair.indexOf(':');
+      return colon === -1 ?
+        {kid: String(i), secret: pair} :
+        {kid: pair.slice(0, colon), secret: pair.slice(colon + 1)};
+    });
+}
+
+function tokenError(message) {
+  let err = new Error(message);
+  err.statusCode = 401;
+  err.code = 'INVALID_TOKEN';
+  return err;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Issues and checks the JWTs handed to the frontend: short lived access
+ * tokens, accepted as bearer tokens on the REST API, and long lived refresh
+ * tokens that trade in for a new pair. Refresh tokens are single use and
+ * tracked in the refresh_token model so they can be revoked.
+ *
+ * options: the app's `jwt` config; issuer, accessTokenTtl and
+ *   refreshTokenTtl (seconds).
+ */
+class TokenService {
+  constructor(app, options) {
+    this.app = app;
+    this.issuer = options.issuer;
+    this.accessTokenTtl = options.accessTokenTtl;
+    this.refreshTokenTtl = options.refreshTokenTtl;
+    this.keys = parseKeys(secret('JWT_KEYS'));
+  }
+
+  /**
+   * Issue a new access/refresh token pair for a user.
+   *
+   * @returns {Promise} resolving to {access_token, refresh_token,
+   *   token_type, expires_in}
+   */
+  issue(userId) {
+    return this._issue(userId).then(issued => issued.pair);
+  }
+
+  // Issue a pair, also resolving to the refresh_token record behind it
+  _issue(userId) {
+    let RefreshToken = this.app.models.refresh_token;
+    let issuedAt = now();
+    return RefreshToken.create({
+      user_id: String(userId),
+      created_date: new Date(issuedAt * 1000),
+      expires: new Date((issuedAt + this.refreshTokenTtl) * 1000),
+    }).then(refresh => Promise.all([
+      this.sign({
+        sub: String(userId),
+        typ: 'access',
+        jti: crypto.randomBytes(16).toString('hex'),
+        iat: issuedAt,
+        exp: issuedAt + this.accessTokenTtl,
+      }),
+      this.sign({
+        sub: String(userId),
+        typ: 'refresh',
+        jti: String(refresh.id),
+        iat: issuedAt,
+        exp: issuedAt + this.refreshTokenTtl,
+      }),
+    ]).then(([accessToken, refreshToken]) => ({
+      record: refresh,
+      pair: {
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        token_type: 'Bearer',
+        expires_in: this.accessTokenTtl,
+      },
+    })));
+  }
+
+  /**
+   * Trade a refresh token in for a new pair. Presenting one that was
+   * already used means it leaked, so all of that user's refresh tokens are
+   * revoked.
+   */
+  refresh(token) {
+    let RefreshToken = this.app.models.refresh_token;
+    var claims;
+    return this.verify(token, 'refresh')
+      .then(verified => {
+        claims = verified;
+        // Claim the token before issuing, so it can only be redeemed once
+        // even by concurrent requests.
+        return RefreshToken.updateAll(
+          {id: claims.jti, user_id: claims.sub, revoked_date: null},
+          {revoked_date: new Date()});
+      })
+      .then(info => {
+        if (info.count === 1) {
+          return this._issue(claims.sub);
+        }
+        return RefreshToken.findById(claims.jti).then(stored => {
+          if (!stored || String(stored.user_id) !== claims.sub) {
+            throw tokenError('Unknown refresh token');
+          }
+          return this.revokeAll(stored.user_id).then(() => {
+            throw tokenError('Refresh token was already used');
+          });
+        });
+      })
+      .then(issued => RefreshToken.updateAll(
+        {id: claims.jti},
+        {replaced_by: String(issued.record.id)})
+        .then(() => issued.pair));
+  }
+
+  /**
+   * Revoke a refresh token, e.g. on logout. Unknown or already revoked
+   * tokens are ignored.
+   */
+  revoke(token) {
+    let RefreshToken = this.app.models.refresh_token;
+    return this.verify(token, 'refresh')
+      .then(claims => RefreshToken.updateAll(
+        {id: claims.jti, revoked_date: null},
+        {revoked_date: new Date()}));
+  }
+
+  /**
+   * Revoke all of a user's refresh tokens, e.g. when their password
+   * changes.
+   */
+  revokeAll(userId) {
+    let RefreshToken = this.app.models.refresh_token;
+    return RefreshToken.updateAll(
+      {user_id: String(userId), revoked_date: null},
+      {revoked_date: new Date()});
+  }
+
+  /**
+   * Check a token's signature, expiry, issuer and type.
+   *
+   * @param {String} token
+   * @param {String} type 'access' or 'refresh'
+   * @returns {Promise} resolving to the token's claims
+   */
+  verify(token, type) {
+    return Promise.resolve().then(() => {
+      let parts = String(token).split('.');
+      var header;
+      try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+      } catch (e) {
+        throw tokenError('Malformed token');
+      }
+      // Only accept what we sign, whatever the token says about itself.
+      if (parts.length !== 3 || header.alg !== ALGORITHM) {
+        throw tokenError('Malformed token');
+      }
+      let key = this.keys.find(k => k.kid === header.kid);
+      if (!key) {
+        throw tokenError('Token was signed with an unknown key');
+      }
+      let decoded = jwt.decode(key.secret, token);
+      if (decoded.error) {
+        throw tokenError('Invalid token signature');
+      }
+      let claims = decoded.value;
+      if (claims.iss !== this.issuer || claims.typ !== type) {
+        throw tokenError('Not a valid ' + type + ' token');
+      }
+      if (!(claims.exp > now())) {
+        throw tokenError('Token has expired');
+      }
+      return claims;
+    });
+  }
+
+  /**
+   * Sign claims with the current key.
+   */
+  sign(claims) {
+    let key = this.keys[0];
+    return encode(key.secret, {
+      header: {kid: key.kid},
+      payload: Object.assign({iss: this.issuer}, claims),
+    }, ALGORITHM);
+  }
+}
+
+exports.TokenService = TokenService;
+exports.parseKeys = parseKeys;
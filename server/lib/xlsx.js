@@ -0,0 +1,185 @@
+'use strict';
+
+const {Transform} = require('stream');
+const yazl = require('yazl');
+
+// Characters XML 1.0 doesn't allow at all
+const INVALID_XML = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const NS = {
+  main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  rel: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  pkg: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  types: 'http://schemas.openxmlformats.org/package/2006/content-types',
+};
+
+const TYPES = {
+  workbook: 'application/vnd.openxmlformats-officedocument.spreadsheetml.' +
+    'sheet.main+xml',
+  worksheet: 'application/vnd.openxmlformats-officedocument.spreadsheetml.' +
+    'worksheet+xml',
+  styles: 'application/vnd.openxmlformats-officedocument.spreadsheetml.' +
+    'styles+xml',
+};
+
+const REL_TYPES = {
+  document: NS.rel + '/officeDocument',
+  worksheet: NS.rel + '/worksheet',
+  styles: NS.rel + '/styles',
+};
+
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.' +
+  'spreadsheetml.sheet';
+
+function escape(text) {
+  return String(text)
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A, B, ..., Z, AA, AB, ...
+function columnName(index) {
+  var name = '';
+  for (var n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+function cell(value, ref) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && isFinite(value)) {
+    return '<c r="' + ref + '"><v>' + value + '</v></c>';
+  }
+  if (typeof value === 'boolean') {
+    return '<c r="' + ref + '" t="b"><v>' + (value ? 1 : 0) + '</v></c>';
+  }
+  if (value instanceof Date) {
+    value = value.toISOString();
+  } else if (typeof value === 'object') {
+    value = JSON.stringify(value);
+  }
+  return '<c r="' + ref + '" t="inlineStr"><is><t xml:space="preserve">' +
+    escape(value) + '</t></is></c>';
+}
+
+const SHEET_START = XML_HEADER + '<worksheet xmlns="' + NS.main +
+  '"><sheetData>';
+const SHEET_END = '</sheetData></worksheet>';
+
+function row(values, r) {
+  return '<row r="' + r + '">' +
+    values.map((value, c) => cell(value, columnName(c) + r)).join('') +
+    '</row>';
+}
+
+function worksheet(rows) {
+  return SHEET_START + rows.map((values, r) => row(values, r + 1)).join('') +
+    SHEET_END;
+}
+
+// The same, from a stream of rows, without holding them all
+function worksheetStream(rows) {
+  let r = 0;
+  let xml = new Transform({
+    writableObjectMode: true,
+    transform(values, encoding, done) {
+      done(null, row(values, ++r));
+    },
+    flush(done) {
+      done(null, SHEET_END);
+    },
+  });
+  xml.push(SHEET_START);
+  rows.on('error', err => xml.destroy(err));
+  return rows.pipe(xml);
+}
+
+// Sheet names are at most 31 characters, without []:*?/\ and unique
+function sheetNames(sheets) {
+  let seen = {};
+  return sheets.map((sheet, i) => {
+    let base = String(sheet.name || 'Sheet' + (i + 1))
+      .replace(/[[\]:*?/\\]/g, '_')
+      .slice(0, 31) || 'Sheet' + (i + 1);
+    var name = base;
+    for (var n = 2; seen[name.toLowerCase()]; n++) {
+      let suffix = ' (' + n + ')';
+      name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    seen[name.toLowerCase()] = true;
+    return name;
+  });
+}
+
+/**
+ * Write an Excel workbook (Office Open XML, .xlsx).
+ *
+ * Numbers and booleans are written as such; strings, dates (as ISO 8601)
+ * and anything else (as JSON) as text. Empty cells are left out.
+ *
+ * @param {Array} sheets of {name, rows}, rows being Arrays of cell values,
+ *   e.g. headers first, or an object mode stream of them for sheets too
+ *   large to hold
+ * @returns {stream.Readable} the .xlsx file
+ */
+function workbook(sheets) {
+  let zip = new yazl.ZipFile();
+  let names = sheetNames(sheets);
+  let add = (name, xml) => zip.addBuffer(Buffer.from(xml), name);
+
+  add('[Content_Types].xml', XML_HEADER + '<Types xmlns="' + NS.types + '">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-' +
+    'package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="' + TYPES.workbook +
+    '"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="' + TYPES.styles +
+    '"/>' +
+    sheets.map((sheet, i) => '<Override PartName="/xl/worksheets/sheet' +
+      (i + 1) + '.xml" ContentType="' + TYPES.worksheet + '"/>').join('') +
+    '</Types>');
+  add('_rels/.rels', XML_HEADER + '<Relationships xmlns="' + NS.pkg + '">' +
+    '<Relationship Id="rId1" Type="' + REL_TYPES.document +
+    '" Target="xl/workbook.xml"/></Relationships>');
+  add('xl/workbook.xml', XML_HEADER + '<workbook xmlns="' + NS.main +
+    '" xmlns:r="' + NS.rel + '"><sheets>' +
+    names.map((name, i) => '<sheet name="' + escape(name) + '" sheetId="' +
+      (i + 1) + '" r:id="rId' + (i + 1) + '"/>').join('') +
+    '</sheets></workbook>');
+  add('xl/_rels/workbook.xml.rels', XML_HEADER + '<Relationships xmlns="' +
+    NS.pkg + '">' +
+    sheets.map((sheet, i) => '<Relationship Id="rId' + (i + 1) +
+      '" Type="' + REL_TYPES.worksheet + '" Target="worksheets/sheet' +
+      (i + 1) + '.xml"/>').join('') +
+    '<Relationship Id="rId' + (sheets.length + 1) + '" Type="' +
+    REL_TYPES.styles + '" Target="styles.xml"/></Relationships>');
+  add('xl/styles.xml', XML_HEADER + '<styleSheet xmlns="' + NS.main + '">' +
+    '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '</fonts><fills count="1"><fill><patternFill patternType="none"/>' +
+    '</fill></fills><borders count="1"><border/></borders>' +
+    '<cellStyleXfs count="1"><xf/></cellStyleXfs>' +
+    '<cellXfs count="1"><xf/></cellXfs></styleSheet>');
+  sheets.forEach((sheet, i) => {
+    let name = 'xl/worksheets/sheet' + (i + 1) + '.xml';
+    if (Array.isArray(sheet.rows)) {
+      return add(name, worksheet(sheet.rows));
+    }
+    let xml = worksheetStream(sheet.rows);
+    xml.on('error', err => zip.outputStream.destroy(err));
+    zip.addReadStream(xml, name);
+  });
+  zip.end();
+  return zip.outputStream;
+}
+
+exports.CONTENT_TYPE = CONTENT_TYPE;
+exports.columnName = columnName;
+exports.workbook = workbook;
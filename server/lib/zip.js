@@ -0,0 +1,71 @@
+'use strict';
+
+const path = require('path');
+const yauzl = require('yauzl');
+
+// Directories and the metadata some archivers add next to the files
+function isContent(name) {
+  return !/\/$/.test(name) && !/(^|\/)__MACOSX\//.test(name) &&
+    path.posix.basename(name)[0] !== '.';
+}
+
+function limitError(message) {
+  let err = new Error(message);
+  err.statusCode = 413;
+  return err;
+}
+
+/**
+ * Go through the files in a zip archive one at a time.
+ *
+ * @param {String} file path of the archive
+ * @param {Function} each called with (name, stream) for every file in it,
+ *   leaving out directories and archiver metadata (__MACOSX, dot files);
+ *   returns a Promise, and the next file is only read once it settles
+ * @param {Object} [limits] files (how many there may be) and fileSize
+ *   (how large each may be uncompressed); going over either rejects with
+ *   a 413 error
+ * @returns {Promise} resolving to the results of each, in order
+ */
+function eachEntry(file, each, limits) {
+  limits = limits || {};
+  return new Promise((resolve, reject) => {
+    yauzl.open(file, {lazyEntries: true}, (err, zipfile) => {
+      if (err) {
+        let invalid = new Error('Not a zip archive: ' + err.message);
+        invalid.statusCode = 400;
+        return reject(invalid);
+      }
+      let results = [];
+      let fail = err => {
+        zipfile.close();
+        reject(err);
+      };
+      zipfile.on('error', fail);
+      zipfile.on('end', () => resolve(results));
+      zipfile.on('entry', entry => {
+        if (!isContent(entry.fileName)) {
+          return zipfile.readEntry();
+        }
+        if (limits.files && results.length >= limits.files) {
+          return fail(limitError('Archives can hold at most ' + limits.files +
+                                 ' files'));
+        }
+        if (limits.fileSize && entry.uncompressedSize > limits.fileSize) {
+          return fail(limitError(entry.fileName + ' is larger than ' +
+                                 limits.fileSize + ' bytes'));
+        }
+        zipfile.openReadStream(entry, (err, stream) => {
+          if (err) return fail(err);
+          each(entry.fileName, stream).then(result => {
+            results.push(result);
+            zipfile.readEntry();
+          }, fail);
+        });
+      });
+      zipfile.readEntry();
+    });
+  });
+}
+
+exports.eachEntry = eachEntry;
@@ -10,9 +10,7 @@ var loopbackPassport = require('loopback-component-passport');
 var PassportConfigurator = loopbackPassport.PassportConfigurator;
 var passportConfigurator = new PassportConfigurator(app);
 var flash = require('express-flash');
-var jwt = require('json-web-token');
-
-var secretKey = "wj6aQMAclS"
+var secret = require('./lib/secrets').secret;
 
 var config = {};
 try {
@@ -36,9 +34,9 @@ app.middleware('auth', loopback.token({
   model: app.models.accessToken,
 }));
 
-app.middleware('session:before', cookieParser(app.get('cookieSecret')));
+app.middleware('session:before', cookieParser(secret('COOKIE_SECRET')));
 app.middleware('session', session({
-  secret: 'kitty',
+  secret: secret('SESSION_SECRET'),
   saveUninitialized: true,
   resave: true,
 }));
@@ -52,22 +50,44 @@ passportConfigurator.setupModels({
   userIdentityModel: app.models.userIdentity,
   userCredentialModel: app.models.userCredential,
 });
+// Frontends we may send users back to after login
+var redirectOrigins = require('./lib/origins').redirectOrigins(app);
+
+// Remember which frontend started a login, e.g.
+// /auth/google?redirect_origin=http://localhost:4000
+function rememberRedirectOrigin(req, res, next) {
+  var origin = req.query.redirect_origin;
+  if (origin && redirectOrigins.indexOf(origin) === -1) {
+    var err = new Error('Redirect origin ' + origin + ' is not allowed');
+    err.statusCode = 400;
+    return next(err);
+  }
+  req.session.redirectOrigin = origin || redirectOrigins[0];
+  next();
+}
+
 for (var s in config) {
   var c = config[s];
   c.session = c.session !== false;
+  app.get(c.authPath, rememberRedirectOrigin);
   passportConfigurator.configureProvider(s, c);
 }
 var ensureLoggedIn = require('connect-ensure-login').ensureLoggedIn;
 
 app.get('/auth/account', ensureLoggedIn('/login'), function (req, res, next) {
-  let payload = {
-    name: req.user.profiles[0].profile.displayName,
-    email: req.user.profiles[0].profile.emails[0].value,
+  var origin = req.session.redirectOrigin;
+  if (redirectOrigins.indexOf(origin) === -1) {
+    origin = redirectOrigins[0];
   }
-  jwt.encode(secretKey, payload, function (err, token) {
-    // res.redirect('http://localhost:4000/auth/login_success/' + token)
-    res.redirect('https://order-support-react.herokuapp.com/auth/login_success/' + token)
-  })
+  // The refresh token goes in the fragment, which browsers never send to a
+  // server, so it stays out of access and proxy logs and Referer headers
+  app.tokens.issue(req.user.id)
+    .then(function (pair) {
+      res.redirect(origin + '/auth/login_success/' + pair.access_token +
+        '#refresh_token=' + encodeURIComponent(pair.refresh_token) +
+        '&expires_in=' + pair.expires_in);
+    })
+    .catch(next);
 });
 
 app.get('/auth/google', ensureLoggedIn('/login'), function (req, res, next) {
@@ -85,34 +105,6 @@ app.get('/login', function (req, res, next) {
 });
 
 
-app.post('/signup', function (req, res, next) {
-  var User = app.models.user;
-
-  var newUser = {};
-  newUser.email = req.body.email.toLowerCase();
-  newUser.username = req.body.username.trim();
-  newUser.password = req.body.password;
-
-  User.create(newUser, function (err, user) {
-    if (err) {
-      req.flash('error', err.message);
-      return res.redirect('back');
-    } else {
-      // Passport exposes a login() function on req (also aliased as logIn())
-      // that can be used to establish a login session. This function is
-      // primarily used when users sign up, during which req.login() can
-      // be invoked to log in the newly registered user.
-      req.login(user, function (err) {
-        if (err) {
-          req.flash('error', err.message);
-          return res.redirect('back');
-        }
-        return res.redirect('/auth/account');
-      });
-    }
-  });
-});
-
 app.get('/auth/logout', function (req, res, next) {
   req.logout();
   // res.redirect('/');
@@ -0,0 +1,15 @@
+'use strict';
+
+// Works the job queue and runs report schedules without serving HTTP:
+// `node server/worker.js`.
+process.env.JOB_WORKER = 'true';
+var app = require('./server');
+
+function shutdown() {
+  Promise.all([app.jobs.stop(), app.scheduler.stop()]).then(function() {
+    process.exit(0);
+  });
+}
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
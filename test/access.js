@@ -0,0 +1,287 @@
+'use strict';
+
+const chai = require('chai');
+const {bootApp, login, request} = require('./helpers/app');
+
+chai.should();
+
+describe('access', () => {
+  let app, models, acme, globex, mine, theirs;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    models = app.models;
+    return Promise.all([
+      models.customer.create({name: 'Acme'}),
+      models.customer.create({name: 'Globex'}),
+    ]);
+  }).then(customers => {
+    [acme, globex] = customers;
+    return Promise.all([
+      models.fileobject.create({name: 'mine', customer_id: String(acme.id)}),
+      models.fileobject.create({name: 'theirs',
+        customer_id: String(globex.id)}),
+    ]);
+  }).then(fileobjects => {
+    [mine, theirs] = fileobjects;
+  }));
+
+  function as(user) {
+    return {Authorization: user.token};
+  }
+
+  describe('ACLs', () => {
+    it('turn away requests without an access token', () => {
+      return Promise.all([
+        request(app, 'GET', '/api/filesobjects'),
+        request(app, 'GET', '/api/customers'),
+        request(app, 'GET', '/api/dictionaries'),
+        request(app, 'GET', '/api/audit_logs'),
+      ]).then(responses => responses.forEach(res => {
+        res.status.should.equal(401);
+      }));
+    });
+
+    it('let each role do its part and no more', () => {
+      let roles = ['analyst', 'approver', 'customer-viewer'];
+      return Promise.all(roles.map(role => login(app, [role])))
+        .then(users => Promise.all(users.map(user => Promise.all([
+          request(app, 'GET', '/api/filesobjects', undefined, as(user)),
+          request(app, 'PATCH', '/api/filesobjects/' + mine.id,
+                  {name: 'mine'}, as(user)),
+          request(app, 'POST', '/api/filesobjects/' + mine.id + '/transition',
+                  {to: 'bogus'}, as(user)),
+          request(app, 'POST', '/api/customers', {name: 'New'}, as(user)),
+        ]).then(responses => responses.map(res => res.status)))))
+        .then(statuses => {
+          // The transitions get as far as checking the state
+          statuses.should.eql([
+            [200, 200, 422, 401],
+            [200, 401, 422, 401],
+            [200, 401, 401, 401],
+          ]);
+        });
+    });
+
+    it('leave handing out roles to admins', () => {
+      var analyst;
+      return Promise.all([login(app, ['analyst']), login(app, ['admin'])])
+        .then(users => {
+          analyst = users[0];
+          return request(app, 'PUT', '/api/users/' + analyst.user.id +
+                         '/roles', {roles: ['admin']}, as(analyst))
+            .then(res => {
+              res.status.should.equal(401);
+              return request(app, 'PUT', '/api/users/' + analyst.user.id +
+                             '/roles', {roles: ['approver']}, as(users[1]));
+            });
+        })
+        .then(res => {
+          res.status.should.equal(200);
+          return request(app, 'GET', '/api/users/' + analyst.user.id +
+                         '/roles', undefined, as(analyst));
+        })
+        .then(res => {
+          res.body.should.eql(['approver']);
+        });
+    });
+  });
+
+  describe('customer scope', () => {
+    let viewer, analyst;
+
+    before(() => Promise.all([
+      login(app, ['customer-viewer'], {customer_id: String(acme.id)}),
+      login(app, ['analyst'], {customer_id: String(acme.id)}),
+    ]).then(users => {
+      [viewer, analyst] = users;
+    }));
+
+    it('shows users only their customer\'s records', () => {
+      let where = encodeURIComponent(JSON.stringify({
+        where: {customer_id: String(globex.id)},
+      }));
+      return Promise.all([
+        request(app, 'GET', '/api/filesobjects', undefined, as(viewer)),
+        request(app, 'GET', '/api/filesobjects/' + theirs.id, undefined,
+                as(viewer)),
+        request(app, 'GET', '/api/filesobjects?filter=' + where, undefined,
+                as(viewer)),
+        request(app, 'GET', '/api/filesobjects/count', undefined, as(viewer)),
+        request(app, 'GET', '/api/customers', undefined, as(viewer)),
+        request(app, 'GET', '/api/customers/' + globex.id, undefined,
+                as(viewer)),
+      ]).then(responses => {
+        responses[0].body.map(fileobject => fileobject.name)
+          .should.eql(['mine']);
+        responses[1].status.should.equal(404);
+        responses[2].body.should.eql([]);
+        responses[3].body.count.should.equal(1);
+        responses[4].body.map(customer => customer.name)
+          .should.eql(['Acme']);
+        responses[5].status.should.equal(404);
+      });
+    });
+
+    it('keeps them from changing another customer\'s records', () => {
+      let where = encodeURIComponent(JSON.stringify({name: 'theirs'}));
+      return Promise.all([
+        request(app, 'PATCH', '/api/filesobjects/' + theirs.id,
+                {name: 'taken'}, as(analyst)),
+        request(app, 'POST', '/api/filesobjects/update?where=' + where,
+                {name: 'taken'}, as(analyst)),
+        request(app, 'DELETE', '/api/filesobjects/' + theirs.id, undefined,
+                as(analyst)),
+        request(app, 'PATCH', '/api/filesobjects/' + theirs.id,
+                {name: 'taken'}, as(viewer)),
+      ]).then(responses => {
+        responses[0].status.should.equal(404);
+        responses[1].body.count.should.equal(0);
+        responses[3].status.should.equal(401);
+        return models.fileobject.findById(theirs.id);
+      }).then(found => {
+        found.name.should.equal('theirs');
+      });
+    });
+
+    it('keeps them from filing records under another customer', () => {
+      let other = {name: 'other', customer_id: String(globex.id)};
+      let replacing = {
+        id: theirs.id,
+        name: 'taken',
+        current_status: theirs.current_status,
+      };
+      return Promise.all([
+        request(app, 'POST', '/api/filesobjects', other, as(analyst)),
+        request(app, 'PATCH', '/api/filesobjects/' + mine.id,
+                {customer_id: String(globex.id)}, as(analyst)),
+        request(app, 'PUT', '/api/filesobjects', replacing, as(analyst)),
+        request(app, 'PATCH', '/api/filesobjects', replacing, as(analyst)),
+        request(app, 'POST', '/api/filesobjects/' + theirs.id + '/replace',
+                replacing, as(analyst)),
+      ]).then(responses => {
+        responses.forEach(res => res.status.should.be.oneOf([403, 404]));
+        return Promise.all([
+          models.fileobject.count({name: 'other'}),
+          models.fileobject.findById(mine.id),
+          models.fileobject.findById(theirs.id),
+        ]);
+      }).then(([count, foundMine, foundTheirs]) => {
+        count.should.equal(0);
+        String(foundMine.customer_id).should.equal(String(acme.id));
+        foundTheirs.name.should.equal('theirs');
+        String(foundTheirs.customer_id).should.equal(String(globex.id));
+      });
+    });
+
+    it('files what they create under their customer', () => {
+      return request(app, 'POST', '/api/filesobjects', {name: 'filed'},
+                     as(analyst))
+        .then(res => {
+          res.status.should.equal(200);
+          return models.fileobject.findById(res.body.id);
+        })
+        .then(found => {
+          String(found.customer_id).should.equal(String(acme.id));
+          return found.destroy();
+        });
+    });
+
+    it('leaves unscoped users to see every customer\'s records', () => {
+      return login(app, ['analyst'])
+        .then(user => request(app, 'GET', '/api/filesobjects', undefined,
+                              as(user)))
+        .then(res => {
+          res.body.map(fileobject => fileobject.name).should
+            .have.members(['mine', 'theirs']);
+        });
+    });
+  });
+
+  describe('user', () => {
+    let viewer;
+
+    beforeEach(() => login(app, ['customer-viewer'], {
+      customer_id: String(acme.id),
+    }).then(user => {
+      viewer = user;
+    }));
+
+    // Every way a user could try to change fields only admins may set
+    function attempts(user, fields) {
+      let id = user.user.id;
+      let data = Object.assign({
+        id: id,
+        email: user.user.email,
+        password: 'password1',
+      }, fields);
+      return Promise.all([
+        request(app, 'PATCH', '/api/users/' + id, data, as(user)),
+        request(app, 'PUT', '/api/users/' + id, data, as(user)),
+        request(app, 'PATCH', '/api/users', data, as(user)),
+        request(app, 'PUT', '/api/users', data, as(user)),
+        request(app, 'POST', '/api/users/upsertWithWhere?where=' +
+                encodeURIComponent(JSON.stringify({id: id})), data, as(user)),
+      ]);
+    }
+
+    it('cannot set their own customer_id', () => {
+      return attempts(viewer, {customer_id: String(globex.id)})
+        .then(responses => {
+          responses.forEach(res => res.status.should.be.oneOf([401, 403]));
+          return models.user.findById(viewer.user.id);
+        })
+        .then(found => {
+          found.customer_id.should.equal(String(acme.id));
+        });
+    });
+
+    it('cannot verify, unlock or reset the failures of their login', () => {
+      let lockedUntil = new Date(Date.now() + 60000);
+      return models.user.updateAll({id: viewer.user.id}, {
+        emailVerified: false,
+        failed_logins: 3,
+        locked_until: lockedUntil,
+      }).then(() => Promise.all([
+        attempts(viewer, {emailVerified: true}),
+        attempts(viewer, {failed_logins: 0}),
+        attempts(viewer, {locked_until: null}),
+      ])).then(responses => {
+        [].concat(...responses).forEach(res => {
+          res.status.should.be.oneOf([401, 403]);
+        });
+        return models.user.findById(viewer.user.id);
+      }).then(found => {
+        found.emailVerified.should.equal(false);
+        found.failed_logins.should.equal(3);
+        found.locked_until.getTime().should.equal(lockedUntil.getTime());
+      });
+    });
+
+    it('cannot sign up over the REST API', () => {
+      return request(app, 'POST', '/api/users', {
+        email: 'sneaky@example.com',
+        password: 'password1',
+        customer_id: String(globex.id),
+      }).then(res => {
+        res.status.should.equal(401);
+        return models.user.count({email: 'sneaky@example.com'});
+      }).then(count => {
+        count.should.equal(0);
+      });
+    });
+
+    it('is left to admins to place with a customer', () => {
+      return login(app, ['admin'])
+        .then(admin => request(app, 'PATCH', '/api/users/' + viewer.user.id,
+                               {customer_id: String(globex.id)}, as(admin)))
+        .then(res => {
+          res.status.should.equal(200);
+          return models.user.findById(viewer.user.id);
+        })
+        .then(found => {
+          found.customer_id.should.equal(String(globex.id));
+        });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const chai = require('chai');
+const crypto = require('crypto');
+const {bootApp, login, request} = require('./helpers/app');
+
+chai.should();
+
+describe('Audit', () => {
+  let app, models, admin;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    models = app.models;
+    return login(app, ['admin']);
+  }).then(loggedIn => {
+    admin = loggedIn;
+  }));
+
+  function as(user) {
+    return {Authorization: user.token};
+  }
+
+  beforeEach(() => models.audit_log.destroyAll());
+
+  function logs(model, id) {
+    return models.audit_log.find({
+      where: {model: model, entity_id: String(id)},
+      order: 'date ASC',
+    });
+  }
+
+  function changed(log) {
+    return log.changes.map(change => change.path);
+  }
+
+  function change(log, path) {
+    return log.changes.filter(change => change.path === path)[0];
+  }
+
+  // Let the clock move on, so dates of changes differ
+  function tick() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  it('logs a created record field by field', () => {
+    var customer;
+    return request(app, 'POST', '/api/customers', {name: 'Acme'}, as(admin))
+      .then(res => {
+        customer = res.body;
+        return logs('customer', customer.id);
+      })
+      .then(found => {
+        found.length.should.equal(1);
+        found[0].operation.should.equal('create');
+        found[0].actor.should.equal(String(admin.user.id));
+        found[0].date.should.be.an.instanceof(Date);
+        change(found[0], 'name').after.should.equal('Acme');
+      });
+  });
+
+  it('logs JSON fields and long values as their checksum and size', () => {
+    let contents = JSON.stringify([{request_no: '1'}]);
+    let comments = new Array(2000).join('x');
+    return models.converted_fileobject.create({contents: contents})
+      .then(converted => Promise.all([
+        logs('converted_fileobject', converted.id),
+        models.customer.create({name: comments}).then(customer =>
+          logs('customer', customer.id)),
+      ]))
+      .then(found => {
+        change(found[0][0], 'contents').after.should.eql({
+          checksum: crypto.createHash('sha256').update(contents)
+            .digest('hex'),
+          size: contents.length,
+        });
+        change(found[1][0], 'name').after.size.should.equal(comments.length);
+      });
+  });
+
+  it('diffs updates, down into JSON fields', () => {
+    var converted;
+    return models.converted_fileobject.create({
+      contents: JSON.stringify([{request_no: '1', priority: 'Low'}]),
+      status: 'parsed',
+    }).then(created => {
+      converted = created;
+      return converted.updateAttributes({
+        contents: JSON.stringify([{request_no: '1', priority: 'High'}]),
+        status: 'needs_review',
+      });
+    }).then(() => logs('converted_fileobject', converted.id))
+      .then(found => {
+        found.map(log => log.operation).should.eql(['create', 'update']);
+        found[1].changes.should.have.deep.members([
+          {path: 'contents.0.priority', before: 'Low', after: 'High'},
+          {path: 'status', before: 'parsed', after: 'needs_review'},
+        ]);
+      });
+  });
+
+  it('logs every record an updateAll changes, and no others', () => {
+    return Promise.all([
+      models.customer.create({name: 'One'}),
+      models.customer.create({name: 'Two'}),
+      models.customer.create({name: 'Three'}),
+    ]).then(customers => models.customer
+      .updateAll({name: {inq: ['One', 'Two', 'Three']}}, {name: 'Two'})
+      .then(() => models.audit_log.find({where: {operation: 'update'}}))
+      .then(found => {
+        found.map(log => log.entity_id).should.have.members([
+          String(customers[0].id), String(customers[2].id),
+        ]);
+        found.forEach(log => changed(log).should.eql(['name']));
+      }));
+  });
+
+  it('logs deletes with what was deleted', () => {
+    var customer;
+    return models.customer.create({name: 'Gone'})
+      .then(created => {
+        customer = created;
+        return request(app, 'DELETE', '/api/customers/' + customer.id,
+                       undefined, as(admin));
+      })
+      .then(() => logs('customer', customer.id))
+      .then(found => {
+        found[1].operation.should.equal('delete');
+        change(found[1], 'name').before.should.equal('Gone');
+      });
+  });
+
+  it('names the user behind a change, or the system', () => {
+    var customer;
+    return models.customer.create({name: 'Acme'})
+      .then(created => {
+        customer = created;
+        return request(app, 'PATCH', '/api/customers/' + customer.id,
+                       {name: 'Acme Corp'}, as(admin));
+      })
+      .then(res => {
+        res.status.should.equal(200);
+        return logs('customer', customer.id);
+      })
+      .then(found => {
+        found.map(log => log.actor).should
+          .eql(['system', String(admin.user.id)]);
+      });
+  });
+
+  describe('audit_log', () => {
+    it('searches by entity and date range, newest first', () => {
+      var customer, start;
+      return models.customer.create({name: 'Acme'})
+        .then(created => {
+          customer = created;
+          return tick();
+        })
+        .then(() => {
+          start = new Date();
+          return tick();
+        })
+        .then(() => customer.updateAttributes({name: 'Acme Corp'}))
+        .then(tick)
+        .then(() => customer.updateAttributes({name: 'Acme Inc'}))
+        .then(() => request(app, 'GET', '/api/audit_logs/search?model=' +
+          'customer&entity_id=' + customer.id + '&since=' +
+          encodeURIComponent(start.toISOString()), undefined, as(admin)))
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.map(log => log.changes[0].after)
+            .should.eql(['Acme Inc', 'Acme Corp']);
+          return request(app, 'GET', '/api/audit_logs/search?model=' +
+            'customer&until=' + encodeURIComponent(start.toISOString()),
+            undefined, as(admin));
+        })
+        .then(res => {
+          res.body.map(log => log.operation).should.eql(['create']);
+          res.body[0].entity_id.should.equal(String(customer.id));
+        });
+    });
+
+    it('cannot be written over REST', () => {
+      return request(app, 'POST', '/api/audit_logs', {
+        model: 'customer', entity_id: '1', operation: 'create',
+        date: new Date(),
+      }, as(admin)).then(res => {
+        res.status.should.equal(404);
+      });
+    });
+  });
+});
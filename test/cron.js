@@ -0,0 +1,160 @@
+'use strict';
+
+const chai = require('chai');
+const cron = require('../server/lib/cron');
+
+chai.should();
+
+// A Sunday
+const SUNDAY = new Date('2017-10-01T00:00:00Z');
+
+// The next count times an expression matches, after a date
+function times(expression, after, count) {
+  let found = [];
+  let t = after;
+  while (found.length < count) {
+    t = cron.next(expression, t);
+    found.push(t.toISOString());
+  }
+  return found;
+}
+
+describe('cron', () => {
+  describe('parse', () => {
+    it('takes ranges, lists and steps', () => {
+      let schedule = cron.parse('0-10/5,30 */6 1-3 * *');
+      Object.keys(schedule.minutes).map(Number).should.eql([0, 5, 10, 30]);
+      Object.keys(schedule.hours).map(Number).should.eql([0, 6, 12, 18]);
+      Object.keys(schedule.days).map(Number).should.eql([1, 2, 3]);
+    });
+
+    it('steps from a single value to the end of the field', () => {
+      Object.keys(cron.parse('50/3 * * * *').minutes).map(Number)
+        .should.eql([50, 53, 56, 59]);
+    });
+
+    it('takes month and day names in any case', () => {
+      let schedule = cron.parse('0 0 * JAN,mar-Apr Mon-fri');
+      Object.keys(schedule.months).map(Number).should.eql([1, 3, 4]);
+      Object.keys(schedule.weekdays).map(Number)
+        .should.eql([1, 2, 3, 4, 5]);
+    });
+
+    it('takes Sunday as 0 or 7', () => {
+      cron.parse('0 0 * * 7').weekdays[0].should.equal(true);
+      cron.parse('0 0 * * 5-7').weekdays[0].should.equal(true);
+      times('0 0 * * 7', SUNDAY, 2).should.eql(
+        times('0 0 * * 0', SUNDAY, 2));
+    });
+
+    it('expands the aliases', () => {
+      cron.parse('@weekly').should.eql(
+        Object.assign(cron.parse('0 0 * * 0'), {expression: '@weekly'}));
+      times('@Daily', SUNDAY, 2).should.eql(times('0 0 * * *', SUNDAY, 2));
+    });
+
+    it('rejects what is not a cron expression', () => {
+      [
+        '', null, '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *',
+        '* * 0 * *', '* * * 13 *', '* * * * 8', '*/0 * * * *',
+        '5-1 * * * *', '1-2-3 * * * *', 'x * * * *', '* * * foo *',
+        '1,,2 * * * *', '-1 * * * *', '@sometimes',
+      ].forEach(expression => {
+        (() => cron.parse(expression)).should
+          .throw(/^Invalid cron expression/, String(expression));
+      });
+    });
+  });
+
+  describe('next', () => {
+    it('finds the next matching minute, after the one given', () => {
+      let at = new Date('2017-10-02T07:00:00Z');
+      cron.next('0 7 * * 1', at).toISOString()
+        .should.equal('2017-10-09T07:00:00.000Z');
+      cron.next('0 7 * * 1', new Date(at.getTime() - 1)).toISOString()
+        .should.equal('2017-10-02T07:00:00.000Z');
+      cron.next('* * * * *', new Date('2017-10-02T07:00:30Z'))
+        .toISOString().should.equal('2017-10-02T07:01:00.000Z');
+    });
+
+    it('steps over months, days and hours', () => {
+      times('*/30 9-10 * * *', SUNDAY, 5).should.eql([
+        '2017-10-01T09:00:00.000Z',
+        '2017-10-01T09:30:00.000Z',
+        '2017-10-01T10:00:00.000Z',
+        '2017-10-01T10:30:00.000Z',
+        '2017-10-02T09:00:00.000Z',
+      ]);
+      times('0 0 31 * *', SUNDAY, 3).should.eql([
+        '2017-10-31T00:00:00.000Z',
+        '2017-12-31T00:00:00.000Z',
+        '2018-01-31T00:00:00.000Z',
+      ]);
+      cron.next('0 0 29 feb *', SUNDAY).toISOString()
+        .should.equal('2020-02-29T00:00:00.000Z');
+    });
+
+    it('takes either day when day of month and week are both given', () => {
+      // The 13th, and every Friday
+      times('0 0 13 * fri', SUNDAY, 4).should.eql([
+        '2017-10-06T00:00:00.000Z',
+        '2017-10-13T00:00:00.000Z',
+        '2017-10-20T00:00:00.000Z',
+        '2017-10-27T00:00:00.000Z',
+      ]);
+      times('0 0 13 * fri', new Date('2017-11-01T00:00:00Z'), 3).should.eql([
+        '2017-11-03T00:00:00.000Z',
+        '2017-11-10T00:00:00.000Z',
+        '2017-11-13T00:00:00.000Z',
+      ]);
+    });
+
+    it('needs both days when either starts with *', () => {
+      times('0 0 * * fri', SUNDAY, 2).should.eql([
+        '2017-10-06T00:00:00.000Z',
+        '2017-10-13T00:00:00.000Z',
+      ]);
+      // As in Vixie cron, */10 counts as *: a Friday the 1st, 11th, 21st
+      // or 31st
+      times('0 0 */10 * fri', SUNDAY, 1).should.eql([
+        '2017-12-01T00:00:00.000Z',
+      ]);
+      // */7 is Sunday, as 0 and 7: the first Sunday of the month
+      times('0 0 1-7 * */7', SUNDAY, 2).should.eql([
+        '2017-11-05T00:00:00.000Z',
+        '2017-12-03T00:00:00.000Z',
+      ]);
+    });
+
+    it('returns null for an expression that never matches', () => {
+      (cron.next('0 0 30 2 *', SUNDAY) === null).should.equal(true);
+      (cron.next('0 0 31 apr,jun,sep,nov *', SUNDAY) === null)
+        .should.equal(true);
+    });
+  });
+
+  describe('previous', () => {
+    it('finds the last matching minute, before the one given', () => {
+      let at = new Date('2017-10-02T07:00:00Z');
+      cron.previous('0 7 * * 1', at).toISOString()
+        .should.equal('2017-09-25T07:00:00.000Z');
+      cron.previous('0 7 * * 1', new Date(at.getTime() + 1)).toISOString()
+        .should.equal('2017-10-02T07:00:00.000Z');
+      cron.previous('0 0 31 * *', SUNDAY).toISOString()
+        .should.equal('2017-08-31T00:00:00.000Z');
+      cron.previous('@yearly', SUNDAY).toISOString()
+        .should.equal('2017-01-01T00:00:00.000Z');
+    });
+
+    it('goes back over month ends and hours', () => {
+      cron.previous('45 23 * * *', SUNDAY).toISOString()
+        .should.equal('2017-09-30T23:45:00.000Z');
+      cron.previous('0 0 13 * fri', SUNDAY).toISOString()
+        .should.equal('2017-09-29T00:00:00.000Z');
+    });
+
+    it('returns null for an expression that never matched', () => {
+      (cron.previous('0 0 30 2 *', SUNDAY) === null).should.equal(true);
+    });
+  });
+});
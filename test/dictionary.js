@@ -0,0 +1,309 @@
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const defaultDictionary = require('order-reader/dictionary.json');
+const {bootApp, login, request} = require('./helpers/app');
+
+chai.should();
+
+const ORDER = fs.readFileSync(
+  path.join(__dirname, '../order-reader/order.txt'), 'utf8');
+
+// A revision calling the owner's priority its urgency
+const REVISED = JSON.parse(JSON.stringify(defaultDictionary));
+REVISED.OrderOwner.fields.urgency = REVISED.OrderOwner.fields.priority;
+delete REVISED.OrderOwner.fields.priority;
+
+describe('dictionary', () => {
+  let app, Dictionary, admin;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    Dictionary = app.models.dictionary;
+    return login(app, ['admin']);
+  }).then(loggedIn => {
+    admin = {Authorization: loggedIn.token};
+  }));
+
+  // Call a method of the dictionary model taking a callback
+  function call(method) {
+    let args = Array.prototype.slice.call(arguments, 1);
+    return new Promise((resolve, reject) => Dictionary[method].apply(
+      Dictionary, args.concat((err, result) =>
+        err ? reject(err) : resolve(result))));
+  }
+
+  function rejected(promise) {
+    return promise.then(() => {
+      throw new Error('should have failed');
+    }, err => err);
+  }
+
+  // Back to the seeded version 1 alone
+  beforeEach(() => Promise.all([
+    Dictionary.destroyAll({version: {gt: 1}}),
+    app.models.original_fileobject.destroyAll(),
+    app.models.converted_fileobject.destroyAll(),
+  ]).then(() => call('activate', 1)));
+
+  function draft(data) {
+    return request(app, 'POST', '/api/dictionaries', {
+      data: data || defaultDictionary,
+      description: 'Draft',
+    }, admin);
+  }
+
+  // A drafted version, dry run and signed off
+  function approved(data) {
+    return draft(data).then(res => call('dryRun', res.body.version, {}, 10)
+      .then(() => call('approve', res.body.version, {})));
+  }
+
+  function upload(version) {
+    return request(app, 'POST', '/api/original_fileobjects?wait=true', {
+      contents: ORDER,
+      dictionary_version: version,
+    }, admin);
+  }
+
+  it('seeds an approved, active version 1 from order-reader', () => {
+    return request(app, 'GET', '/api/dictionaries/active', undefined, admin)
+      .then(res => {
+        res.status.should.equal(200);
+        res.body.version.should.equal(1);
+        res.body.approved.should.equal(true);
+        res.body.data.should.eql(defaultDictionary);
+      });
+  });
+
+  it('numbers new versions and leaves them unapproved and inactive', () => {
+    return draft().then(res => {
+      res.status.should.equal(200);
+      res.body.version.should.equal(2);
+      res.body.active.should.equal(false);
+      res.body.approved.should.equal(false);
+      return draft();
+    }).then(res => {
+      res.body.version.should.equal(3);
+    });
+  });
+
+  it('keeps stored versions immutable', () => {
+    return Dictionary.findOne({where: {version: 1}})
+      .then(dictionary => rejected(
+        dictionary.updateAttributes({description: 'Edited'})))
+      .then(err => {
+        err.statusCode.should.equal(422);
+        return request(app, 'PATCH', '/api/dictionaries', {
+          version: 1, description: 'Edited',
+        }, admin);
+      })
+      .then(res => {
+        res.status.should.equal(404);
+      });
+  });
+
+  describe('dryRun', () => {
+    it('diffs the corpus against its existing conversions', () => {
+      return upload()
+        .then(() => app.models.original_fileobject.create({contents: ORDER}))
+        .then(() => draft(REVISED))
+        .then(() => call('dryRun', 2, {}, 10))
+        .then(summary => {
+          summary.total.should.equal(2);
+          summary.changed.should.equal(1);
+          summary.unconverted.should.equal(1);
+          let changed = summary.results
+            .filter(result => result.outcome === 'changed')[0];
+          changed.previous_dictionary_version.should.equal(1);
+          changed.changes.length.should.be.above(0);
+          return Dictionary.findOne({where: {version: 2}});
+        })
+        .then(dictionary => {
+          dictionary.dry_run.changed.should.equal(1);
+        });
+    });
+
+    it('finds nothing changed by an identical version', () => {
+      return upload()
+        .then(() => draft())
+        .then(() => call('dryRun', 2, {}, 10))
+        .then(summary => {
+          summary.unchanged.should.equal(1);
+          summary.changed.should.equal(0);
+        });
+    });
+
+    it('picks the corpus by the upload\'s own fields', () => {
+      let analyst;
+      function dryRun(where) {
+        return request(app, 'POST', '/api/dictionaries/2/dryrun',
+                       {where: where, limit: 10}, analyst);
+      }
+      return Promise.all([
+        login(app, ['analyst']),
+        upload(),
+        app.models.original_fileobject.create({
+          contents: ORDER,
+          filename: 'other.txt',
+        }),
+        draft(),
+      ]).then(([loggedIn]) => {
+        analyst = {Authorization: loggedIn.token};
+        return dryRun({or: [
+          {filename: 'other.txt'},
+          {created_date: {gt: '2000-01-01'}, parse_mode: {inq: ['strict']}},
+        ]});
+      }).then(res => {
+        res.status.should.equal(200);
+        res.body.total.should.equal(1);
+        return Promise.all([
+          dryRun({contents: {like: 'Illinois'}}),
+          dryRun({filename: {regexp: '^o'}}),
+          dryRun({and: [{id: {gt: 0}}, {$where: 'sleep(1000)'}]}),
+          dryRun({filename: {inq: [{$ne: null}]}}),
+        ]);
+      }).then(responses => {
+        responses.map(res => res.status).should.eql([400, 400, 400, 400]);
+      });
+    });
+
+    it('is for analysts and admins', () => {
+      return draft()
+        .then(() => login(app, ['approver']))
+        .then(approver => request(app, 'POST', '/api/dictionaries/2/dryrun',
+                                  {}, {Authorization: approver.token}))
+        .then(res => {
+          res.status.should.equal(401);
+        });
+    });
+  });
+
+  describe('drafts', () => {
+    it('can be created, but not activated, by analysts', () => {
+      let analyst;
+      return login(app, ['analyst']).then(loggedIn => {
+        analyst = {Authorization: loggedIn.token};
+        return request(app, 'POST', '/api/dictionaries', {
+          data: defaultDictionary,
+        }, analyst);
+      }).then(res => {
+        res.status.should.equal(200);
+        return request(app, 'POST', '/api/dictionaries/1/activate',
+                       undefined, analyst);
+      }).then(res => {
+        res.status.should.equal(401);
+      });
+    });
+  });
+
+  describe('approve', () => {
+    it('needs a dry run first', () => {
+      return draft()
+        .then(() => rejected(call('approve', 2, {})))
+        .then(err => {
+          err.statusCode.should.equal(422);
+        });
+    });
+
+    it('is for approvers only', () => {
+      let approver;
+      return draft()
+        .then(() => call('dryRun', 2, {}, 10))
+        .then(() => login(app, ['analyst']))
+        .then(analyst => request(app, 'POST', '/api/dictionaries/2/approve',
+                                 undefined, {Authorization: analyst.token}))
+        .then(res => {
+          res.status.should.equal(401);
+          return login(app, ['approver']);
+        })
+        .then(loggedIn => {
+          approver = loggedIn;
+          return request(app, 'POST', '/api/dictionaries/2/approve',
+                         undefined, {Authorization: approver.token});
+        })
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.approved.should.equal(true);
+          res.body.approved_by.should.equal(String(approver.user.id));
+        });
+    });
+
+    it('leaves conversions made by the draft unapproved', () => {
+      return draft()
+        .then(() => upload(2))
+        .then(res => {
+          res.status.should.equal(200);
+          return call('dryRun', 2, {}, 10)
+            .then(() => call('approve', 2, {}))
+            .then(() => app.models.converted_fileobject
+              .findById(res.body.converted_fileobject_id));
+        })
+        .then(converted => {
+          converted.dictionary_version.should.equal(2);
+          converted.dictionary_approval.should.equal(false);
+        });
+    });
+  });
+
+  describe('activate', () => {
+    it('is for admins only', () => {
+      return approved()
+        .then(() => login(app, ['approver']))
+        .then(approver => request(app, 'POST', '/api/dictionaries/2/activate',
+                                  undefined, {Authorization: approver.token}))
+        .then(res => {
+          res.status.should.equal(401);
+          return Dictionary.findOne({where: {version: 2}});
+        })
+        .then(dictionary => {
+          dictionary.active.should.equal(false);
+        });
+    });
+
+    it('needs an approved version', () => {
+      return draft()
+        .then(() => request(app, 'POST', '/api/dictionaries/2/activate',
+                               undefined, admin))
+        .then(res => {
+          res.status.should.equal(422);
+        });
+    });
+
+    it('activates one version at a time', () => {
+      return approved()
+        .then(() => request(app, 'POST', '/api/dictionaries/2/activate',
+                               undefined, admin))
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.active.should.equal(true);
+          return Dictionary.find({where: {active: true}});
+        })
+        .then(active => {
+          active.map(dictionary => dictionary.version).should.eql([2]);
+          return request(app, 'POST', '/api/dictionaries/9/activate',
+                         undefined, admin);
+        })
+        .then(res => {
+          res.status.should.equal(404);
+        });
+    });
+
+    it('has uploads converted by the active version', () => {
+      return approved()
+        .then(() => call('activate', 2))
+        .then(() => upload())
+        .then(res => {
+          res.status.should.equal(200);
+          return app.models.converted_fileobject
+            .findById(res.body.converted_fileobject_id);
+        })
+        .then(converted => {
+          converted.dictionary_version.should.equal(2);
+          converted.dictionary_approval.should.equal(true);
+        });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const {bootApp, login, request} = require('./helpers/app');
+
+chai.should();
+
+const ORDER = fs.readFileSync(
+  path.join(__dirname, '../order-reader/order.txt'), 'utf8');
+// The same request, re-sent with another priority
+const REVISED = ORDER.replace('Priority: Low', 'Priority: High');
+
+describe('duplicate uploads', () => {
+  let app, models, analyst;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    models = app.models;
+    return login(app, ['analyst']);
+  }).then(loggedIn => {
+    analyst = {Authorization: loggedIn.token};
+  }));
+
+  beforeEach(() => Promise.all([
+    models.original_fileobject.destroyAll(),
+    models.converted_fileobject.destroyAll(),
+    models.order_metadata.destroyAll(),
+    models.job.destroyAll(),
+  ]));
+
+  function send(contents, duplicates) {
+    return request(app, 'POST', '/api/original_fileobjects?wait=true' +
+                   (duplicates ? '&duplicates=' + duplicates : ''),
+                   {contents: contents}, analyst);
+  }
+
+  // Upload contents, then upload again as a second copy
+  function twice(first, second, duplicates) {
+    var original;
+    return send(first).then(res => {
+      res.status.should.equal(200);
+      original = res.body;
+      return send(second, duplicates);
+    }).then(res => ({first: original, second: res}));
+  }
+
+  it('finds no duplicates for orders seen for the first time', () => {
+    return send(ORDER).then(res => {
+      res.status.should.equal(200);
+      res.body.duplicate_check.status.should.equal('new');
+      res.body.duplicate_check.new_requests.should.eql(['158737']);
+    });
+  });
+
+  it('recognizes the same file, keeping it by default', () => {
+    return twice(ORDER, ORDER).then(({first, second}) => {
+      second.status.should.equal(200);
+      let check = second.body.duplicate_check;
+      check.status.should.equal('duplicate');
+      check.match.should.equal('checksum');
+      String(check.duplicate_of.original_fileobject_id).should
+        .equal(String(first.original_fileobject_id));
+      return models.original_fileobject.count();
+    }).then(count => {
+      count.should.equal(2);
+    });
+  });
+
+  it('recognizes the same orders in another file', () => {
+    return twice(ORDER, ORDER + '\n\n').then(({first, second}) => {
+      let check = second.body.duplicate_check;
+      check.status.should.equal('duplicate');
+      check.match.should.equal('orders');
+      check.duplicate_of.order_metadata_ids.map(String).should
+        .eql(first.order_metadata_ids.map(String));
+    });
+  });
+
+  it('turns duplicates away when asked to, converting nothing', () => {
+    return twice(ORDER, ORDER, 'reject').then(({first, second}) => {
+      second.status.should.equal(409);
+      second.body.error.code.should.equal('DUPLICATE_UPLOAD');
+      return Promise.all([
+        models.original_fileobject.find({order: 'id ASC'}),
+        models.converted_fileobject.count(),
+        models.order_metadata.count(),
+      ]);
+    }).then(([originals, converted, metadata]) => {
+      // The rejected file is kept, marked, without a conversion
+      originals.map(o => o.rejected || null).should
+        .eql([null, 'DUPLICATE_UPLOAD']);
+      [converted, metadata].should.eql([1, 1]);
+    });
+  });
+
+  it('keeps queued uploads that turn out to be duplicates', () => {
+    var queued;
+    return send(ORDER).then(() => request(
+      app, 'POST', '/api/original_fileobjects?duplicates=reject',
+      {contents: ORDER}, analyst))
+      .then(res => {
+        res.status.should.equal(202);
+        queued = res.body;
+        return app.jobs.next();
+      })
+      .then(() => request(app, 'GET', queued.job_url, undefined, analyst))
+      .then(res => {
+        res.body.status.should.equal('failed');
+        res.body.error.statusCode.should.equal(409);
+        return models.original_fileobject
+          .findById(queued.original_fileobject_id);
+      })
+      .then(original => {
+        original.rejected.should.equal('DUPLICATE_UPLOAD');
+        original.contents.should.equal(ORDER);
+      });
+  });
+
+  it('answers merged duplicates with what is stored already', () => {
+    return twice(ORDER, ORDER + '\n\n', 'merge').then(({first, second}) => {
+      second.status.should.equal(200);
+      second.body.order_metadata_ids.map(String).should
+        .eql(first.order_metadata_ids.map(String));
+      return Promise.all([
+        models.original_fileobject.count(),
+        models.order_metadata.count(),
+      ]);
+    }).then(counts => {
+      counts.should.eql([1, 1]);
+    });
+  });
+
+  describe('revisions', () => {
+    it('lists what changed since the stored orders', () => {
+      return twice(ORDER, REVISED).then(({first, second}) => {
+        let check = second.body.duplicate_check;
+        check.status.should.equal('revision');
+        check.revisions.length.should.equal(1);
+        check.revisions[0].request_no.should.equal('158737');
+        String(check.revisions[0].order_metadata_id).should
+          .equal(String(first.order_metadata_ids[0]));
+        check.revisions[0].changes.should.deep.include({
+          path: 'priority', before: 'Low', after: 'High',
+        });
+      });
+    });
+
+    it('supersede the stored orders when merged', () => {
+      var previous, current;
+      return twice(ORDER, REVISED, 'merge').then(({first, second}) => {
+        second.status.should.equal(200);
+        return Promise.all([
+          models.order_metadata.findById(first.order_metadata_ids[0]),
+          models.order_metadata.findById(second.body.order_metadata_ids[0]),
+        ]);
+      }).then(found => {
+        [previous, current] = found;
+        previous.superseded_by.should.equal(String(current.id));
+        current.revision_of.should.equal(String(previous.id));
+        current.revision.should.equal(2);
+        (current.superseded_by === undefined ||
+         current.superseded_by === null).should.equal(true);
+        // A third copy is compared against the current revision
+        return send(REVISED + '\n\n', 'reject');
+      }).then(res => {
+        res.status.should.equal(409);
+        res.body.error.code.should.equal('DUPLICATE_UPLOAD');
+        res.body.error.details.duplicate_of.order_metadata_ids.map(String)
+          .should.eql([String(current.id)]);
+        return current.destroy();
+      }).then(() => models.order_metadata.findById(previous.id))
+        .then(found => {
+          (found.superseded_by === null).should.equal(true);
+        });
+    });
+
+    it('turn away revisions when asked to', () => {
+      return twice(ORDER, REVISED, 'reject').then(({second}) => {
+        second.status.should.equal(409);
+        second.body.error.code.should.equal('REVISED_UPLOAD');
+      });
+    });
+  });
+
+  it('checks the duplicates mode', () => {
+    return send(ORDER, 'ignore').then(res => {
+      res.status.should.equal(422);
+    });
+  });
+});
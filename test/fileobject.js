@@ -0,0 +1,240 @@
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const {bootApp, login, request} = require('./helpers/app');
+
+chai.should();
+
+const ORDER = fs.readFileSync(
+  path.join(__dirname, '../order-reader/order.txt'), 'utf8');
+
+describe('fileobject', () => {
+  let app, models, customer, admin, adminId;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    models = app.models;
+    return Promise.all([
+      models.customer.create({name: 'Acme'}),
+      login(app, ['admin']),
+    ]);
+  }).then(created => {
+    customer = created[0];
+    admin = {Authorization: created[1].token};
+    adminId = created[1].user.id;
+  }));
+
+  // A converted upload filed as a fileobject of the customer
+  function file() {
+    return request(app, 'POST', '/api/original_fileobjects?wait=true', {
+      contents: ORDER,
+    }, admin).then(res => request(app, 'POST', '/api/filesobjects', {
+      customer_id: String(customer.id),
+      original_fileobject_id: String(res.body.original_fileobject_id),
+    }, admin)).then(res => {
+      res.status.should.equal(200);
+      return res.body;
+    });
+  }
+
+  describe('relations', () => {
+    it('links the upload\'s conversion and answers with the customer', () => {
+      return file().then(fileobject => {
+        fileobject.customer.name.should.equal('Acme');
+        return models.converted_fileobject.findOne({
+          where: {original_fileobject_id: fileobject.original_fileobject_id},
+        }).then(converted => {
+          String(fileobject.converted_fileobject_id).should
+            .equal(String(converted.id));
+        });
+      });
+    });
+
+    it('includes related records', () => {
+      let filter = JSON.stringify({include: [
+        'customer',
+        'original_fileobject',
+        {converted_fileobject: 'order_metadata'},
+      ]});
+      return file()
+        .then(fileobject => request(app, 'GET', '/api/filesobjects/' +
+          fileobject.id + '?filter=' + encodeURIComponent(filter), undefined,
+          admin))
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.customer.name.should.equal('Acme');
+          res.body.original_fileobject.contents.should.equal(ORDER);
+          res.body.converted_fileobject.order_metadata[0].request_number
+            .should.equal('158737');
+        });
+    });
+
+    it('links records saved before there were relations', () => {
+      let migrateLinks = require('../server/boot/migrate-links');
+      let original, legacy;
+      return models.original_fileobject.create({
+        contents: ORDER,
+        idkey: '1506945600000',
+      }).then(created => {
+        original = created;
+        return Promise.all([
+          models.converted_fileobject.create({
+            contents: '[]',
+            idkey: '1506945600000',
+          }),
+          models.fileobject.create({
+            customer_id: String(customer.id),
+            orginal_fileobject_id: String(original.id),
+          }),
+        ]);
+      }).then(created => {
+        legacy = created;
+        return new Promise((resolve, reject) => migrateLinks(app, err =>
+          err ? reject(err) : resolve()));
+      }).then(() => models.fileobject.findById(legacy[1].id, {
+        include: ['original_fileobject', 'converted_fileobject'],
+      })).then(found => {
+        let data = found.toJSON();
+        data.original_fileobject.contents.should.equal(ORDER);
+        String(data.converted_fileobject.id).should
+          .equal(String(legacy[0].id));
+        data.should.not.have.property('orginal_fileobject_id');
+      });
+    });
+  });
+
+  describe('transition', () => {
+    function transition(fileobject, to) {
+      return request(app, 'POST', '/api/filesobjects/' + fileobject.id +
+                     '/transition', {to: to, note: 'Moving on'}, admin);
+    }
+
+    it('walks the lifecycle, stamping dates and keeping a history', () => {
+      let fileobject;
+      let LATER = [
+        'needs_review', 'approved', 'sent_to_vendor', 'fulfilled', 'archived',
+      ];
+      return file().then(created => {
+        fileobject = created;
+        fileobject.current_status.should.equal('parsed');
+        return LATER.reduce((prev, to) => prev.then(() =>
+          transition(fileobject, to).then(res => {
+            res.status.should.equal(200);
+            res.body.current_status.should.equal(to);
+          })), Promise.resolve());
+      }).then(() => models.fileobject.findById(fileobject.id))
+        .then(found => {
+          found.approved_date.should.be.an.instanceof(Date);
+          found.archived_date.should.be.an.instanceof(Date);
+          return request(app, 'GET', '/api/filesobjects/' + fileobject.id +
+                         '/status_history', undefined, admin);
+        })
+        .then(res => {
+          res.body.map(step => [step.from_status, step.status]).should.eql([
+            [null, 'parsed'],
+            ['parsed', 'needs_review'],
+            ['needs_review', 'approved'],
+            ['approved', 'sent_to_vendor'],
+            ['sent_to_vendor', 'fulfilled'],
+            ['fulfilled', 'archived'],
+          ]);
+          res.body[1].note.should.equal('Moving on');
+          res.body[1].actor.should.equal(String(adminId));
+          return models.converted_fileobject
+            .findById(fileobject.converted_fileobject_id);
+        })
+        .then(converted => {
+          converted.status.should.equal('archived');
+        });
+    });
+
+    it('rejects skipped, backward and unknown states', () => {
+      let fileobject;
+      return file().then(created => {
+        fileobject = created;
+        return Promise.all([
+          transition(fileobject, 'approved'),
+          transition(fileobject, 'uploaded'),
+          transition(fileobject, 'lost'),
+          transition({id: 'nope'}, 'needs_review'),
+        ]);
+      }).then(responses => {
+        responses.map(res => res.status).should.eql([422, 422, 422, 404]);
+        return models.fileobject.findById(fileobject.id);
+      }).then(found => {
+        found.current_status.should.equal('parsed');
+      });
+    });
+
+    it('is the only way to change the status', () => {
+      return file()
+        .then(fileobject => request(app, 'PATCH', '/api/filesobjects/' +
+          fileobject.id, {current_status: 'approved'}, admin))
+        .then(res => {
+          res.status.should.equal(422);
+        });
+    });
+
+    it('moves a fileobject once when two transitions race', () => {
+      function move(fileobject) {
+        return new Promise(resolve => models.fileobject.transition(
+          fileobject.id, 'needs_review', null, {}, err => resolve(err)));
+      }
+      return file()
+        .then(fileobject => Promise.all([move(fileobject), move(fileobject)]))
+        .then(errs => {
+          (errs[0] === null).should.equal(true);
+          errs[1].statusCode.should.equal(409);
+        });
+    });
+  });
+
+  describe('deleting', () => {
+    it('takes the upload, its conversion, orders and history along', () => {
+      let fileobject, counts;
+      let ORDER_MODELS = [
+        'original_fileobject',
+        'converted_fileobject',
+        'order_metadata',
+        'order_information',
+        'order_contents',
+        'fileobject_status',
+      ];
+      function count() {
+        return Promise.all(ORDER_MODELS.map(name => models[name].count()));
+      }
+      return count()
+        .then(before => {
+          counts = before;
+          return file();
+        })
+        .then(created => {
+          fileobject = created;
+          return request(app, 'DELETE', '/api/filesobjects/' + fileobject.id,
+                         undefined, admin);
+        })
+        .then(res => {
+          res.status.should.equal(200);
+          return count();
+        })
+        .then(after => {
+          after.should.eql(counts);
+        });
+    });
+
+    it('leaves customers with fileobjects in place', () => {
+      return file()
+        .then(() => request(app, 'DELETE', '/api/customers/' + customer.id,
+                            undefined, admin))
+        .then(res => {
+          res.status.should.equal(409);
+          return models.customer.findById(customer.id);
+        })
+        .then(found => {
+          found.name.should.equal('Acme');
+        });
+    });
+  });
+});
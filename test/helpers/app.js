@@ -0,0 +1,163 @@
+'use strict';
+
+const boot = require('loopback-boot');
+const fs = require('fs');
+const http = require('http');
+const loopback = require('loopback');
+const os = require('os');
+const path = require('path');
+// Registers the UserCredential and UserIdentity models the app's extend
+require('loopback-component-passport');
+const {Mailer} = require('../../server/lib/mail');
+const {Storage} = require('../../server/lib/storage');
+
+// Secrets for the app under test; the job worker and scheduler are left
+// to the tests that want them
+process.env.JWT_KEYS = process.env.JWT_KEYS || 'test:secret';
+process.env.STORAGE_URL_SECRET = process.env.STORAGE_URL_SECRET || 'test';
+process.env.JOB_WORKER = 'false';
+process.env.SCHEDULER = 'false';
+
+/**
+ * A fresh temporary directory.
+ */
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'order-support-test-'));
+}
+
+/**
+ * Boot the app on the memory connector, with its storage and mail in
+ * temporary directories.
+ *
+ * @returns {Promise} resolving to the app
+ */
+function bootApp() {
+  let app = loopback();
+  // The production middleware, without the error log the tests' failing
+  // requests would fill
+  let middleware = JSON.parse(JSON.stringify(
+    require('../../server/middleware.json')));
+  middleware['final:after']['strong-error-handler'] = {params: {log: false}};
+  return new Promise((resolve, reject) => {
+    boot(app, {
+      appRootDir: path.join(__dirname, '../../server'),
+      env: 'test',
+      dataSources: {db: {connector: 'memory', name: 'db'}},
+      middleware: middleware,
+    }, err => err ? reject(err) : resolve());
+  }).then(() => {
+    app.mail = new Mailer({transport: 'file', dir: tmpDir()});
+    // Files no record refers to are removed straight away
+    app.storage = new Storage({
+      root: tmpDir(),
+      secret: 'test',
+      releaseGrace: 0,
+    });
+    app.middleware('parse', require('body-parser').json());
+    return app;
+  });
+}
+
+// Numbers the users login signs up
+var users = 0;
+
+/**
+ * Sign up a user in the given roles and log them in.
+ *
+ * @param {Object} app
+ * @param {Array} roles role names
+ * @param {Object} [fields] more properties of the user
+ * @returns {Promise} resolving to {user, token}, token being what goes in
+ *   the Authorization header
+ */
+function login(app, roles, fields) {
+  let User = app.models.user;
+  let credentials = {
+    email: 'user' + (++users) + '@example.com',
+    password: 'password1',
+  };
+  var user;
+  return User.create(Object.assign({}, fields, credentials))
+    .then(created => {
+      user = created;
+      return User.setRoles(user.id, roles);
+    })
+    .then(() => User.login(credentials))
+    .then(token => ({user: user, token: token.id}));
+}
+
+/**
+ * Make a request of the app on a port of its own. Bodies are sent as JSON
+ * unless they are Buffers.
+ *
+ * @returns {Promise} resolving to {status, headers, body, buffer}, body
+ *   parsed as JSON where it is JSON and buffer the bytes received
+ */
+function request(app, method, url, body, headers) {
+  return new Promise((resolve, reject) => {
+    let server = app.listen(0, () => {
+      let json = body !== undefined && !Buffer.isBuffer(body);
+      let data = json ? JSON.stringify(body) : body;
+      let req = http.request({
+        port: server.address().port,
+        method: method,
+        path: url,
+        headers: Object.assign(json ? {'Content-Type': 'application/json'} :
+          {}, headers),
+      }, res => {
+        let chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          server.close();
+          let buffer = Buffer.concat(chunks);
+          let text = buffer.toString();
+          var parsed = text;
+          try {
+            parsed = JSON.parse(text);
+          } catch (e) {
+            // Not JSON
+          }
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: parsed,
+            buffer: buffer,
+          });
+        });
+      });
+      req.on('error', err => {
+        server.close();
+        reject(err);
+      });
+      req.end(data);
+    });
+  });
+}
+
+/**
+ * Post files to the app as multipart/form-data.
+ *
+ * @param {Array} files {field, filename, contents} each
+ * @returns {Promise} resolving like request
+ */
+function upload(app, url, files, headers) {
+  let boundary = 'order-support-test-boundary';
+  let parts = files.map(file => Buffer.concat([
+    Buffer.from('--' + boundary + '\r\n' +
+      'Content-Disposition: form-data; name="' + file.field +
+      '"; filename="' + file.filename + '"\r\n' +
+      'Content-Type: application/octet-stream\r\n\r\n'),
+    Buffer.from(file.contents),
+    Buffer.from('\r\n'),
+  ]));
+  parts.push(Buffer.from('--' + boundary + '--\r\n'));
+  return request(app, 'POST', url, Buffer.concat(parts), Object.assign({
+    'Content-Type': 'multipart/form-data; boundary=' + boundary,
+  }, headers));
+}
+
+exports.bootApp = bootApp;
+exports.login = login;
+exports.request = request;
+exports.tmpDir = tmpDir;
+exports.upload = upload;
@@ -0,0 +1,49 @@
+'use strict';
+
+const yauzl = require('yauzl');
+
+/**
+ * Read a stream or Buffer into one Buffer.
+ */
+function buffer(body) {
+  if (Buffer.isBuffer(body)) {
+    return Promise.resolve(body);
+  }
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    body.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    body.on('error', reject);
+    body.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Unzip an archive.
+ *
+ * @param {stream.Readable|Buffer} body
+ * @returns {Promise} resolving to an Object of each file's name and
+ *   contents, as text
+ */
+function unzip(body) {
+  return buffer(body).then(data => new Promise((resolve, reject) => {
+    yauzl.fromBuffer(data, {lazyEntries: true}, (err, zip) => {
+      if (err) return reject(err);
+      let files = {};
+      zip.on('error', reject);
+      zip.on('end', () => resolve(files));
+      zip.on('entry', entry => {
+        zip.openReadStream(entry, (err, stream) => {
+          if (err) return reject(err);
+          buffer(stream).then(contents => {
+            files[entry.fileName] = contents.toString();
+            zip.readEntry();
+          }, reject);
+        });
+      });
+      zip.readEntry();
+    });
+  }));
+}
+
+exports.buffer = buffer;
+exports.unzip = unzip;
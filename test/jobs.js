@@ -0,0 +1,296 @@
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const {JobQueue, isRetryable} = require('../server/lib/jobs');
+const {bootApp, login, request} = require('./helpers/app');
+
+chai.should();
+
+const ORDER = fs.readFileSync(
+  path.join(__dirname, '../order-reader/order.txt'), 'utf8');
+
+const OPTIONS = {
+  leaseSeconds: 60,
+  maxAttempts: 3,
+  backoffSeconds: 10,
+  maxBackoffSeconds: 25,
+};
+
+describe('JobQueue', () => {
+  let app, Job, queue;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    Job = app.models.job;
+  }));
+
+  beforeEach(() => {
+    queue = worker();
+    return Job.destroyAll();
+  });
+
+  // Another process working the same queue
+  function worker(handler) {
+    let created = new JobQueue(Job, OPTIONS);
+    created.handle('test', handler || (job => Promise.resolve({
+      echo: job.payload.value,
+    })));
+    return created;
+  }
+
+  function failing(statusCode) {
+    return () => {
+      let err = new Error('Nope');
+      err.statusCode = statusCode;
+      return Promise.reject(err);
+    };
+  }
+
+  // The job's run_at, in seconds from now
+  function secondsUntil(job) {
+    return Math.round((job.run_at.getTime() - Date.now()) / 1000);
+  }
+
+  it('runs queued jobs, keeping their result', () => {
+    return queue.enqueue('test', {value: 42})
+      .then(job => {
+        job.status.should.equal('queued');
+        return queue.next().then(ran => {
+          ran.should.equal(true);
+          return Job.findById(job.id);
+        });
+      })
+      .then(job => {
+        job.status.should.equal('succeeded');
+        job.result.should.eql({echo: 42});
+        job.attempts.should.equal(1);
+        job.progress.should.eql({stage: 'done', percent: 100});
+        (job.locked_by === null).should.equal(true);
+        return queue.next();
+      })
+      .then(ran => {
+        ran.should.equal(false);
+      });
+  });
+
+  it('refuses jobs it has no handler for', () => {
+    return queue.enqueue('unknown', {}).then(() => {
+      throw new Error('should have failed');
+    }, err => {
+      err.message.should.equal('No handler for unknown jobs');
+    });
+  });
+
+  it('hands a job to only one of the workers racing for it', () => {
+    var runs = 0;
+    let counting = () => {
+      runs += 1;
+      return Promise.resolve();
+    };
+    let workers = [worker(counting), worker(counting), worker(counting)];
+    return queue.enqueue('test', {value: 1})
+      .then(() => Promise.all(workers.map(w => w.next())))
+      .then(ran => {
+        ran.filter(r => r).length.should.equal(1);
+        runs.should.equal(1);
+      });
+  });
+
+  it('picks up the jobs of a worker whose lease ran out', () => {
+    return queue.enqueue('test', {value: 1})
+      .then(job => Job.updateAll({id: job.id}, {
+        status: 'running',
+        attempts: 1,
+        locked_by: 'dead worker',
+        locked_until: new Date(Date.now() - 1000),
+      }).then(() => queue.next())
+        .then(ran => {
+          ran.should.equal(true);
+          return Job.findById(job.id);
+        }))
+      .then(job => {
+        job.status.should.equal('succeeded');
+        job.attempts.should.equal(2);
+      });
+  });
+
+  it('leaves running jobs alone while their lease lasts', () => {
+    return queue.enqueue('test', {value: 1})
+      .then(job => Job.updateAll({id: job.id}, {
+        status: 'running',
+        attempts: 1,
+        locked_by: 'busy worker',
+        locked_until: new Date(Date.now() + 60000),
+      }))
+      .then(() => queue.next())
+      .then(ran => {
+        ran.should.equal(false);
+      });
+  });
+
+  it('renews the lease of a job for as long as it runs', () => {
+    let short = Object.assign({}, OPTIONS, {leaseSeconds: 0.3});
+    let rival = new JobQueue(Job, short);
+    rival.handle('test', () => Promise.resolve());
+    let slow = new JobQueue(Job, short);
+    slow.handle('test', () => new Promise(resolve => setTimeout(resolve, 600))
+      .then(() => 'slow'));
+    var id;
+    return slow.enqueue('test', {})
+      .then(job => {
+        id = job.id;
+        let running = slow.next();
+        // Well past the lease the job was claimed with
+        let late = new Promise(resolve => setTimeout(resolve, 450))
+          .then(() => rival.next());
+        return Promise.all([running, late]);
+      })
+      .then(([ran, rivalRan]) => {
+        ran.should.equal(true);
+        rivalRan.should.equal(false);
+        return Job.findById(id);
+      })
+      .then(job => {
+        job.status.should.equal('succeeded');
+        job.result.should.equal('slow');
+        job.attempts.should.equal(1);
+      });
+  });
+
+  it('leaves a job it lost to another worker alone', () => {
+    var id;
+    queue = worker(job => Job.updateAll({id: job.id}, {
+      locked_by: 'other worker',
+      locked_until: new Date(Date.now() + 60000),
+    }));
+    return queue.enqueue('test', {})
+      .then(job => {
+        id = job.id;
+        return queue.next();
+      })
+      .then(() => {
+        throw new Error('should have failed');
+      }, err => {
+        err.code.should.equal('JOB_LOST');
+        return Job.findById(id);
+      })
+      .then(job => {
+        job.status.should.equal('running');
+        job.locked_by.should.equal('other worker');
+        (job.result === undefined || job.result === null).should.equal(true);
+      });
+  });
+
+  it('retries failures with exponential backoff, up to a limit', () => {
+    queue = worker(failing(503));
+    var id;
+    return queue.enqueue('test', {})
+      .then(job => {
+        id = job.id;
+        return queue.next();
+      })
+      .then(() => Job.findById(id))
+      .then(job => {
+        job.status.should.equal('queued');
+        job.error.message.should.equal('Nope');
+        secondsUntil(job).should.equal(10);
+        return Job.updateAll({id: id}, {run_at: new Date()})
+          .then(() => queue.next());
+      })
+      .then(() => Job.findById(id))
+      .then(job => {
+        job.attempts.should.equal(2);
+        // Doubled, but no more than maxBackoffSeconds
+        secondsUntil(job).should.equal(20);
+        return Job.updateAll({id: id}, {run_at: new Date()})
+          .then(() => queue.next());
+      })
+      .then(() => Job.findById(id))
+      .then(job => {
+        job.status.should.equal('failed');
+        job.attempts.should.equal(3);
+        job.error.statusCode.should.equal(503);
+        job.finished_date.should.be.an.instanceof(Date);
+      });
+  });
+
+  it('caps the backoff', () => {
+    let capped = new JobQueue(Job, Object.assign({}, OPTIONS, {
+      maxAttempts: 5,
+    }));
+    capped.handle('test', failing(500));
+    return capped.enqueue('test', {})
+      .then(job => Job.updateAll({id: job.id}, {attempts: 2})
+        .then(() => capped.next())
+        .then(() => Job.findById(job.id)))
+      .then(job => {
+        job.attempts.should.equal(3);
+        secondsUntil(job).should.equal(25);
+      });
+  });
+
+  it('fails client errors at once', () => {
+    queue = worker(failing(422));
+    return queue.enqueue('test', {})
+      .then(job => queue.next().then(() => Job.findById(job.id)))
+      .then(job => {
+        job.status.should.equal('failed');
+        job.attempts.should.equal(1);
+        job.error.statusCode.should.equal(422);
+        isRetryable({statusCode: 422}).should.equal(false);
+        isRetryable(new Error('ECONNRESET')).should.equal(true);
+      });
+  });
+
+  it('gives up on jobs whose workers died on every attempt', () => {
+    var ran = false;
+    queue = worker(() => {
+      ran = true;
+      return Promise.resolve();
+    });
+    return queue.enqueue('test', {})
+      .then(job => Job.updateAll({id: job.id}, {
+        status: 'running',
+        attempts: 3,
+        locked_by: 'dead worker',
+        locked_until: new Date(Date.now() - 1000),
+      }).then(() => queue.next()).then(() => Job.findById(job.id)))
+      .then(job => {
+        ran.should.equal(false);
+        job.status.should.equal('failed');
+        job.error.message.should.equal('Gave up after 3 attempts');
+      });
+  });
+
+  describe('conversions', () => {
+    it('are queued for uploads, to be followed at the job\'s URL', () => {
+      var analyst, queued;
+      return login(app, ['analyst'])
+        .then(user => {
+          analyst = {Authorization: user.token};
+          return request(app, 'POST', '/api/original_fileobjects', {
+            contents: ORDER,
+          }, analyst);
+        })
+        .then(res => {
+          res.status.should.equal(202);
+          queued = res.body;
+          queued.job_status.should.equal('queued');
+          return app.jobs.next();
+        })
+        .then(() => request(app, 'GET', queued.job_url, undefined, analyst))
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.status.should.equal('succeeded');
+          return app.models.converted_fileobject
+            .findById(res.body.result.converted_fileobject_id);
+        })
+        .then(converted => {
+          String(converted.original_fileobject_id).should
+            .equal(String(queued.original_fileobject_id));
+        });
+    });
+  });
+});
@@ -0,0 +1,243 @@
+'use strict';
+
+const chai = require('chai');
+const {bootApp, request} = require('./helpers/app');
+
+chai.should();
+
+describe('local auth', () => {
+  let app, sent;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+  }));
+
+  // Keep the mail the routes send, to follow its links
+  beforeEach(() => {
+    sent = [];
+    app.mail = {send: message => {
+      sent.push(message);
+      return Promise.resolve();
+    }};
+  });
+
+  // The token in the link of the last email to address
+  function emailedToken(address) {
+    let message = sent.filter(message => message.to === address).pop();
+    return /token=([0-9a-f]+)/.exec(message.text)[1];
+  }
+
+  // Numbers the addresses signUp makes up
+  var accounts = 0;
+
+  // Sign up and confirm the email address
+  function signUp() {
+    let email = 'local' + (++accounts) + '@example.com';
+    return request(app, 'POST', '/auth/signup', {
+      email: email,
+      password: 'password1',
+    }).then(res => {
+      res.status.should.equal(201);
+      return request(app, 'POST', '/auth/verify', {token: emailedToken(email)});
+    }).then(res => {
+      res.status.should.equal(204);
+      return email;
+    });
+  }
+
+  function login(email, password) {
+    return request(app, 'POST', '/auth/login', {
+      email: email,
+      password: password || 'password1',
+    });
+  }
+
+  describe('signup', () => {
+    it('emails a link to confirm the address before login', () => {
+      return request(app, 'POST', '/auth/signup', {
+        email: ' New@Example.com',
+        password: 'password1',
+      }).then(res => {
+        res.status.should.equal(201);
+        res.body.email.should.equal('new@example.com');
+        (res.body.password === undefined).should.equal(true);
+        sent.length.should.equal(1);
+        sent[0].text.should
+          .contain('http://localhost:4000/auth/verify_email?token=');
+        return login('new@example.com');
+      }).then(res => {
+        res.status.should.equal(403);
+        res.body.error.code.should.equal('EMAIL_NOT_VERIFIED');
+        return request(app, 'POST', '/auth/verify', {
+          token: emailedToken('new@example.com'),
+        });
+      }).then(res => {
+        res.status.should.equal(204);
+        return login('NEW@example.com');
+      }).then(res => {
+        res.status.should.equal(200);
+        res.body.token_type.should.equal('Bearer');
+        res.body.should.have.keys('access_token', 'refresh_token',
+                                  'token_type', 'expires_in');
+      });
+    });
+
+    it('checks the email, password and redirect origin', () => {
+      return request(app, 'POST', '/auth/signup', {
+        email: 'nope',
+        password: 'short',
+        redirect_origin: 'https://evil.example.com',
+      }).then(res => {
+        res.status.should.equal(422);
+        res.body.error.details.messages.should.have.keys(
+          'email', 'password', 'redirect_origin');
+        sent.length.should.equal(0);
+      });
+    });
+
+    it('takes verification tokens only once', () => {
+      let email = 'once@example.com';
+      var token;
+      return request(app, 'POST', '/auth/signup', {
+        email: email,
+        password: 'password1',
+      }).then(() => {
+        token = emailedToken(email);
+        return request(app, 'POST', '/auth/verify', {token: token});
+      }).then(() => request(app, 'POST', '/auth/verify', {token: token}))
+        .then(res => {
+          res.status.should.equal(400);
+          res.body.error.code.should.equal('INVALID_TOKEN');
+        });
+    });
+
+    it('leaves the User model\'s own login and signup closed', () => {
+      return Promise.all([
+        request(app, 'POST', '/api/users/login', {
+          email: 'someone@example.com', password: 'password1',
+        }),
+        request(app, 'POST', '/api/users', {
+          email: 'someone@example.com', password: 'password1',
+        }),
+      ]).then(responses => {
+        responses.map(res => res.status).should.eql([404, 401]);
+      });
+    });
+  });
+
+  describe('login', () => {
+    it('turns away wrong passwords and unknown users alike', () => {
+      return signUp()
+        .then(email => Promise.all([
+          login(email, 'wrong password'),
+          login('nobody@example.com'),
+        ]))
+        .then(responses => responses.forEach(res => {
+          res.status.should.equal(401);
+          res.body.error.code.should.equal('LOGIN_FAILED');
+        }));
+    });
+
+    it('locks an account after too many wrong passwords in a row', () => {
+      var email;
+      return signUp()
+        .then(signedUp => {
+          email = signedUp;
+          return [1, 2, 3, 4, 5].reduce(prev => prev.then(() =>
+            login(email, 'wrong password')), Promise.resolve());
+        })
+        .then(res => {
+          res.status.should.equal(423);
+          return login(email);
+        })
+        .then(res => {
+          res.status.should.equal(423);
+          res.body.error.code.should.equal('ACCOUNT_LOCKED');
+          return app.models.user.updateAll({email: email},
+                                           {locked_until: new Date(0)});
+        })
+        .then(() => login(email))
+        .then(res => {
+          res.status.should.equal(200);
+        });
+    });
+
+    it('forgets wrong passwords once the right one is given', () => {
+      var email;
+      return signUp()
+        .then(signedUp => {
+          email = signedUp;
+          return login(email, 'wrong password');
+        })
+        .then(() => login(email))
+        .then(() => app.models.user.findOne({where: {email: email}}))
+        .then(user => {
+          user.failed_logins.should.equal(0);
+        });
+    });
+  });
+
+  describe('logout', () => {
+    it('revokes the refresh token posted', () => {
+      var pair;
+      return signUp()
+        .then(email => login(email))
+        .then(res => {
+          pair = res.body;
+          return request(app, 'POST', '/auth/logout',
+                         {refresh_token: pair.refresh_token});
+        })
+        .then(res => {
+          res.status.should.equal(204);
+          return request(app, 'POST', '/auth/token/refresh',
+                         {refresh_token: pair.refresh_token});
+        })
+        .then(res => {
+          res.status.should.equal(401);
+        });
+    });
+  });
+
+  describe('password reset', () => {
+    it('sets a new password and signs out everywhere', () => {
+      var email, pair;
+      return signUp()
+        .then(signedUp => {
+          email = signedUp;
+          return login(email);
+        })
+        .then(res => {
+          pair = res.body;
+          return request(app, 'POST', '/auth/password/forgot', {email: email});
+        })
+        .then(res => {
+          res.status.should.equal(202);
+          return request(app, 'POST', '/auth/password/reset', {
+            token: emailedToken(email),
+            password: 'new password',
+          });
+        })
+        .then(res => {
+          res.status.should.equal(204);
+          return Promise.all([
+            login(email),
+            login(email, 'new password'),
+            request(app, 'POST', '/auth/token/refresh',
+                    {refresh_token: pair.refresh_token}),
+          ]);
+        })
+        .then(responses => {
+          responses.map(res => res.status).should.eql([401, 200, 401]);
+        });
+    });
+
+    it('answers the same for unknown addresses, sending nothing', () => {
+      return request(app, 'POST', '/auth/password/forgot', {
+        email: 'nobody@example.com',
+      }).then(res => {
+        res.status.should.equal(202);
+        sent.length.should.equal(0);
+      });
+    });
+  });
+});
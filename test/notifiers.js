@@ -0,0 +1,86 @@
+'use strict';
+
+const chai = require('chai');
+const crypto = require('crypto');
+const http = require('http');
+const loopback = require('loopback');
+const {notifier} = require('../server/lib/notifiers');
+
+chai.should();
+
+describe('notifiers', () => {
+  describe('webhook', () => {
+    let server, origin, received;
+
+    before(done => {
+      server = http.createServer((req, res) => {
+        let chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          received = {method: req.method, url: req.url, headers: req.headers,
+            body: Buffer.concat(chunks).toString()};
+          res.statusCode = req.url.indexOf('fail') === -1 ? 204 : 500;
+          res.end();
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        origin = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+
+    after(done => server.close(done));
+
+    afterEach(() => {
+      delete process.env.WEBHOOK_ORIGINS;
+      delete process.env.WEBHOOK_SECRET;
+    });
+
+    const NOTICE = {
+      status: 'failed',
+      schedule: {id: 1, name: 'Weekly', cron: '0 13 * * 1'},
+      run: {id: 2, scheduled_for: new Date('2017-10-02T13:00:00Z')},
+      error: {message: 'Nope'},
+    };
+
+    function app(origins) {
+      let app = loopback();
+      app.set('webhookOrigins', origins);
+      return app;
+    }
+
+    it('posts the signed notice to the url', () => {
+      process.env.WEBHOOK_SECRET = 'shh';
+      let send = notifier(app([origin]), {type: 'webhook',
+        url: origin + '/hooks/report?team=1'});
+      return send(NOTICE).then(() => {
+        received.method.should.equal('POST');
+        received.url.should.equal('/hooks/report?team=1');
+        let body = JSON.parse(received.body);
+        body.event.should.equal('report.failed');
+        body.run.should.eql({id: 2, scheduled_for: '2017-10-02T13:00:00.000Z'});
+        received.headers['x-signature'].should.equal('sha256=' + crypto
+          .createHmac('sha256', 'shh').update(received.body).digest('hex'));
+      });
+    });
+
+    it('fails on an error status', () => {
+      let send = notifier(app([origin]), {type: 'webhook',
+        url: origin + '/fail'});
+      return send(NOTICE).then(() => {
+        throw new Error('should have failed');
+      }, err => {
+        err.message.should.equal('Webhook answered 500');
+      });
+    });
+
+    it('only sends to the webhookOrigins', () => {
+      let settings = {type: 'webhook', url: origin + '/hooks'};
+      (() => notifier(app([]), settings)).should
+        .throw('Webhooks may not be sent to ' + origin);
+      (() => notifier(app(undefined), settings)).should.throw();
+      process.env.WEBHOOK_ORIGINS = 'https://other.example.com, ' + origin;
+      notifier(app([]), settings).should.be.a('function');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const chai = require('chai');
+const {diffConversions, toRows} = require('../server/lib/order-diff');
+
+chai.should();
+
+const BEFORE = require('./fixtures/conversion-before.json');
+const AFTER = require('./fixtures/conversion-after.json');
+
+describe('order-diff', () => {
+  describe('diffConversions', () => {
+    let diffs;
+
+    beforeEach(() => {
+      diffs = diffConversions(BEFORE, AFTER);
+    });
+
+    function byRequest(requestNo) {
+      return diffs.find(diff => diff.request_no === requestNo);
+    }
+
+    it('matches requests by request_no, whatever their order', () => {
+      diffs.map(diff => [diff.request_no, diff.status]).should.eql([
+        ['R-300', 'unchanged'],
+        ['R-100', 'changed'],
+        ['R-400', 'added'],
+        ['R-200', 'removed'],
+      ]);
+    });
+
+    it('reports changed request fields, leaving out bookkeeping', () => {
+      byRequest('R-100').fields.should.eql([
+        {field: 'status', before: 'Open', after: 'Pending'},
+      ]);
+      byRequest('R-300').fields.should.eql([]);
+    });
+
+    it('reports added, removed and changed SRs', () => {
+      let orders = byRequest('R-100').orders;
+      orders.added.map(order => order.sr_no).should.eql(['SR-3']);
+      orders.removed.map(order => order.sr_no).should.eql(['SR-2']);
+      orders.changed.map(order => order.sr_no).should.eql(['SR-1']);
+      orders.changed[0].fields.should.eql([
+        {field: 'due_date', before: '2017-03-01', after: '2017-03-08'},
+      ]);
+    });
+
+    it('matches line items by Action and Description, not position', () => {
+      let items = byRequest('R-100').orders.changed[0].line_items;
+      items.added.should.eql([
+        {Action: 'Add', Description: 'Router', Quantity: '1', MRC: '0.00'},
+      ]);
+      items.removed.should.eql([]);
+      items.changed.should.eql([{
+        Action: 'Add',
+        Description: 'Fiber 100M',
+        fields: [{field: 'MRC', before: '500.00', after: '450.00'}],
+      }]);
+    });
+
+    it('compares only one request when asked', () => {
+      diffConversions(BEFORE, AFTER, 'R-200').should.eql([{
+        request_no: 'R-200',
+        status: 'removed',
+        fields: [],
+        orders: {added: [], removed: [], changed: []},
+      }]);
+    });
+
+    it('finds nothing between a conversion and itself', () => {
+      diffConversions(BEFORE, BEFORE)
+        .every(diff => diff.status === 'unchanged').should.equal(true);
+    });
+
+    it('pairs line items with the same key in order', () => {
+      let item = (mrc) => ({Action: 'Add', Description: 'Port', MRC: mrc});
+      let before = [{request_no: 'R', orders: [
+        {sr_no: 'SR', line_items: [item('1'), item('2')]},
+      ]}];
+      let after = [{request_no: 'R', orders: [
+        {sr_no: 'SR', line_items: [item('1'), item('3'), item('4')]},
+      ]}];
+      let items = diffConversions(before, after)[0].orders.changed[0]
+        .line_items;
+      items.added.should.eql([item('4')]);
+      items.changed.map(row => row.fields).should.eql([
+        [{field: 'MRC', before: '2', after: '3'}],
+      ]);
+    });
+  });
+
+  describe('toRows', () => {
+    it('flattens the changes into a row each', () => {
+      let row = (requestNo, srNo, lineItem, change, field, before, after) => ({
+        request_no: requestNo,
+        sr_no: srNo,
+        line_item: lineItem,
+        change: change,
+        field: field,
+        before: before,
+        after: after,
+      });
+      toRows(diffConversions(BEFORE, AFTER)).should.eql([
+        row('R-100', null, null, 'changed', 'status', 'Open', 'Pending'),
+        row('R-100', 'SR-3', null, 'added', null, null, null),
+        row('R-100', 'SR-2', null, 'removed', null, null, null),
+        row('R-100', 'SR-1', null, 'changed', 'due_date', '2017-03-01',
+            '2017-03-08'),
+        row('R-100', 'SR-1', 'Add Router', 'added', null, null, null),
+        row('R-100', 'SR-1', 'Add Fiber 100M', 'changed', 'MRC', '500.00',
+            '450.00'),
+        row('R-400', null, null, 'added', null, null, null),
+        row('R-200', null, null, 'removed', null, null, null),
+      ]);
+    });
+
+    it('gives no rows when nothing changed', () => {
+      toRows(diffConversions(AFTER, AFTER)).should.eql([]);
+    });
+  });
+});
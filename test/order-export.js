@@ -0,0 +1,225 @@
+'use strict';
+
+const _ = require('lodash');
+const chai = require('chai');
+const {exportOrders, exportPages, normalize} =
+  require('../server/lib/order-export');
+const {buffer, unzip} = require('./helpers/zip');
+
+chai.should();
+
+const OBJECTS = require('./fixtures/conversion-before.json');
+
+const DATE = new Date('2017-10-02T12:00:00Z');
+
+describe('order-export', () => {
+  describe('normalize', () => {
+    let tables;
+
+    beforeEach(() => {
+      tables = normalize(OBJECTS);
+    });
+
+    it('splits owners, orders and line items, without bookkeeping', () => {
+      tables.owners.should.eql([
+        {request_no: 'R-100', customer: 'Acme', status: 'Open'},
+        {request_no: 'R-200', customer: 'Globex', status: 'Open'},
+        {request_no: 'R-300', customer: 'Initech', status: 'Closed'},
+      ]);
+      tables.orders.map(order => order.sr_no)
+        .should.eql(['SR-1', 'SR-2', 'SR-9']);
+      tables.orders[0].should.eql({
+        request_no: 'R-100',
+        sr_no: 'SR-1',
+        vendor: 'Telco',
+        due_date: '2017-03-01',
+      });
+      tables.line_items.length.should.equal(3);
+    });
+
+    it('joins orders to owners and line items to orders', () => {
+      let owners = _.keyBy(tables.owners, 'request_no');
+      let orders = _.keyBy(tables.orders, order =>
+        order.request_no + '/' + order.sr_no);
+      tables.orders.forEach(order => {
+        owners.should.have.property(order.request_no);
+      });
+      tables.line_items.forEach(item => {
+        orders.should.have.property(item.request_no + '/' + item.sr_no);
+      });
+      tables.line_items.map(item =>
+        [item.request_no, item.sr_no, item.line_number, item.Description])
+        .should.eql([
+          ['R-100', 'SR-1', 1, 'Fiber 100M'],
+          ['R-100', 'SR-1', 2, 'T1'],
+          ['R-100', 'SR-2', 1, 'Router'],
+        ]);
+    });
+
+    it('gives line items their own position within their order', () => {
+      let orders = [{sr_no: 'A', line_items: [{}, {}]}, {sr_no: 'B',
+        line_items: [{}]}];
+      normalize([{request_no: 'R', orders: orders}]).line_items
+        .map(item => [item.sr_no, item.line_number])
+        .should.eql([['A', 1], ['A', 2], ['B', 1]]);
+    });
+  });
+
+  describe('exportOrders', () => {
+    it('writes normalized xlsx as a sheet per table', () => {
+      return exportOrders(OBJECTS, {format: 'xlsx', mode: 'normalized',
+        date: DATE})
+        .then(exported => {
+          exported.filename.should
+            .equal('requests-R-100-and-2-more-normalized-2017-10-02.xlsx');
+          return unzip(exported.body);
+        })
+        .then(files => {
+          files['xl/workbook.xml'].should.contain(
+            '<sheet name="owners" sheetId="1" r:id="rId1"/>' +
+            '<sheet name="orders" sheetId="2" r:id="rId2"/>' +
+            '<sheet name="line_items" sheetId="3" r:id="rId3"/>');
+          let header = xml => xml.match(/<row r="1">.*?<\/row>/)[0]
+            .match(/<t xml:space="preserve">[^<]*/g)
+            .map(t => t.replace(/.*>/, ''));
+          header(files['xl/worksheets/sheet2.xml']).slice(0, 2)
+            .should.eql(['request_no', 'sr_no']);
+          header(files['xl/worksheets/sheet3.xml']).slice(0, 3)
+            .should.eql(['request_no', 'sr_no', 'line_number']);
+          files['xl/worksheets/sheet3.xml'].should.contain(
+            '<row r="4"><c r="A4" t="inlineStr"><is><t xml:space="preserve">' +
+            'R-100</t></is></c><c r="B4" t="inlineStr"><is>' +
+            '<t xml:space="preserve">SR-2</t></is></c><c r="C4"><v>1</v></c>');
+        });
+    });
+
+    it('writes normalized csv as a zip of a file per table', () => {
+      return exportOrders(OBJECTS, {format: 'csv', mode: 'normalized',
+        date: DATE})
+        .then(exported => {
+          exported.contentType.should.equal('application/zip');
+          return unzip(exported.body);
+        })
+        .then(files => {
+          Object.keys(files).should.eql(['owners.csv', 'orders.csv',
+            'line_items.csv']);
+          files['orders.csv'].split('\n')[0].should
+            .equal('request_no,sr_no,vendor,due_date');
+          files['line_items.csv'].split('\n').slice(0, 2).should.eql([
+            'request_no,sr_no,line_number,Action,Description,Quantity,MRC',
+            'R-100,SR-1,1,Add,Fiber 100M,1,500.00',
+          ]);
+        });
+    });
+
+    it('rejects unknown formats and modes', () => {
+      return exportOrders(OBJECTS, {format: 'pdf'}).then(() => {
+        throw new Error('should have failed');
+      }, err => {
+        err.statusCode.should.equal(422);
+      });
+    });
+  });
+
+  describe('exportPages', () => {
+    // Pages whose orders bring in new fields as they go
+    const PAGES = [
+      [{request_no: 'R-1', status: 'Open', orders: [
+        {sr_no: 'SR-1', line_items: [{Action: 'Add'}]},
+      ]}],
+      [],
+      [{request_no: 'R-2', priority: 'High', _meta: {line: 3}, orders: [
+        {sr_no: 'SR-2', vendor: 'Telco', line_items: [
+          {Action: 'Add', MRC: '10.00'},
+          {Action: 'Remove', Description: 'T1'},
+        ]},
+      ]}],
+    ];
+
+    let reads;
+
+    beforeEach(() => {
+      reads = 0;
+    });
+
+    function pages() {
+      let i = 0;
+      reads++;
+      return () => Promise.resolve(i < PAGES.length ? PAGES[i++] : null);
+    }
+
+    const COLUMNS = [
+      'request_no', 'status', 'orders.sr_no', 'orders.line_items.Action',
+      'priority', 'orders.vendor', 'orders.line_items.MRC',
+      'orders.line_items.Description',
+    ];
+
+    it('gives every csv row the columns of every page', () => {
+      return exportPages(pages, {format: 'csv', date: DATE})
+        .then(exported => {
+          exported.filename.should.equal('orders-2017-10-02.csv');
+          return buffer(exported.body);
+        })
+        .then(csv => {
+          reads.should.equal(1);
+          let lines = csv.toString().split(/\r?\n/);
+          lines.should.eql([
+            COLUMNS.join(','),
+            'R-1,Open,SR-1,Add,,,,',
+            'R-2,,SR-2,Add,High,Telco,10.00,',
+            'R-2,,SR-2,Remove,High,Telco,,T1',
+          ]);
+        });
+    });
+
+    it('gives every xlsx row the columns of every page', () => {
+      return exportPages(pages, {format: 'xlsx', date: DATE})
+        .then(exported => unzip(exported.body))
+        .then(files => {
+          let sheet = files['xl/worksheets/sheet1.xml'];
+          let rows = sheet.match(/<row r="\d+">.*?<\/row>/g);
+          rows.length.should.equal(4);
+          rows[0].match(/<c /g).length.should.equal(COLUMNS.length);
+          rows[0].should.contain('>orders.line_items.Description</t>');
+          rows[3].should.contain(
+            '<c r="H4" t="inlineStr"><is><t xml:space="preserve">T1</t>');
+          rows[1].should.contain('<c r="D2"').and.not.contain('<c r="E2"');
+        });
+    });
+
+    it('reads the pages once with a template', () => {
+      let template = {columns: [
+        'request_no',
+        {path: 'orders.line_items.Description', label: 'Item'},
+      ]};
+      return exportPages(pages, {format: 'xlsx', template: template})
+        .then(exported => unzip(exported.body))
+        .then(files => {
+          reads.should.equal(1);
+          let rows = files['xl/worksheets/sheet1.xml']
+            .match(/<row r="\d+">.*?<\/row>/g);
+          rows.length.should.equal(4);
+          rows[0].should.contain('>Item</t>');
+          rows[3].should.contain('>T1</t>');
+        });
+    });
+
+    it('writes nothing when no orders match', () => {
+      let none = () => () => Promise.resolve(null);
+      return exportPages(none, {format: 'csv'})
+        .then(exported => buffer(exported.body))
+        .then(csv => {
+          csv.toString().should.equal('');
+        });
+    });
+
+    it('rejects formats it cannot stream', () => {
+      return exportPages(pages, {format: 'json'}).then(() => {
+        throw new Error('should have failed');
+      }, err => {
+        err.statusCode.should.equal(422);
+        reads.should.equal(0);
+      });
+    });
+  });
+});
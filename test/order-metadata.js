@@ -0,0 +1,70 @@
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const {bootApp, login, request} = require('./helpers/app');
+
+chai.should();
+
+const ORDER = fs.readFileSync(
+  path.join(__dirname, '../order-reader/order.txt'), 'utf8');
+
+describe('order_metadata', () => {
+  let app, analyst, upload;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    return login(app, ['analyst']);
+  }).then(loggedIn => {
+    analyst = {Authorization: loggedIn.token};
+    return request(app, 'POST', '/api/original_fileobjects?wait=true', {
+      contents: ORDER,
+    }, analyst);
+  }).then(res => {
+    res.status.should.equal(200);
+    upload = res.body;
+  }));
+
+  describe('createFromParsed', () => {
+    it('normalizes the owner, its orders and their line items', () => {
+      upload.order_metadata_ids.length.should.equal(1);
+      return app.models.order_metadata.findById(upload.order_metadata_ids[0], {
+        include: {order_information: 'order_contents'},
+      }).then(found => {
+        let metadata = found.toJSON();
+        metadata.request_number.should.equal('158737');
+        metadata.analyst.should.equal('LAMASTER, BETSY');
+        String(metadata.converted_fileobject_id).should
+          .equal(String(upload.converted_fileobject_id));
+
+        metadata.order_information.map(information => information.sr_number)
+          .should.eql(['158737-1', '158737-2']);
+        let contents = metadata.order_information[0].order_contents;
+        contents.length.should.equal(5);
+        contents[0].should.include({
+          line_number: 1,
+          action: 'Install',
+          description: 'VISUAL VM FOR IPHONE - 75903',
+          sku_code: '75903',
+          sr_number: '158737-1',
+        });
+        contents.map(item => item.line_number).should.eql([1, 2, 3, 4, 5]);
+      });
+    });
+  });
+
+  it('makes the orders queryable over REST', () => {
+    let filter = JSON.stringify({
+      where: {sr_number: '158737-2'},
+      include: 'order_contents',
+    });
+    return request(app, 'GET', '/api/order_informations?filter=' +
+                   encodeURIComponent(filter), undefined, analyst)
+      .then(res => {
+        res.status.should.equal(200);
+        res.body.length.should.equal(1);
+        res.body[0].order_contents.length.should.equal(5);
+      });
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const chai = require('chai');
+const pdf = require('../server/lib/pdf');
+
+chai.should();
+
+// Check a PDF's structure: every xref entry points at its object, startxref
+// at the xref table and every stream is as long as its /Length says.
+//
+// Returns the objects' source, by number
+function parse(buffer) {
+  let text = buffer.toString('latin1');
+  text.slice(0, 9).should.equal('%PDF-1.4\n');
+  text.slice(-6).should.equal('%%EOF\n');
+  let startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+  text.slice(startxref, startxref + 5).should.equal('xref\n');
+  let table = new RegExp('^xref\\n0 (\\d+)\\n((?:\\d{10} \\d{5} [fn] \\n)+)' +
+                         'trailer\\n<< /Size (\\d+) /Root 1 0 R >>\\n')
+    .exec(text.slice(startxref));
+  chai.expect(table, 'xref table').to.not.equal(null);
+  let size = Number(table[1]);
+  Number(table[3]).should.equal(size);
+  let entries = table[2].match(/[^]{20}/g);
+  entries.length.should.equal(size);
+  entries[0].should.equal('0000000000 65535 f \n');
+  let objects = {};
+  entries.slice(1).forEach((entry, i) => {
+    let number = i + 1;
+    let offset = Number(entry.slice(0, 10));
+    entry.slice(10).should.equal(' 00000 n \n');
+    let header = number + ' 0 obj\n';
+    text.slice(offset, offset + header.length).should.equal(header);
+    let end = text.indexOf('\nendobj\n', offset);
+    objects[number] = text.slice(offset + header.length, end);
+  });
+  Object.keys(objects).forEach(number => {
+    let m = /^<< \/Length (\d+) >>\nstream\n([\s\S]*)endstream$/
+      .exec(objects[number]);
+    if (m) {
+      Buffer.byteLength(m[2], 'latin1').should.equal(Number(m[1]));
+    }
+  });
+  return objects;
+}
+
+function pages(objects) {
+  let tree = /\/Kids \[([^\]]*)\] \/Count (\d+)/.exec(objects[2]);
+  let kids = tree[1].split(' 0 R').map(kid => kid.trim()).filter(Boolean)
+    .map(Number);
+  kids.length.should.equal(Number(tree[2]));
+  return kids.map(kid => {
+    objects[kid].should.contain('/Type /Page /Parent 2 0 R');
+    let contents = Number(/\/Contents (\d+) 0 R/.exec(objects[kid])[1]);
+    return objects[contents];
+  });
+}
+
+describe('pdf', () => {
+  describe('document', () => {
+    it('writes a well formed file for an empty table', () => {
+      let objects = parse(pdf.document({
+        title: 'Nothing',
+        columns: ['A', 'B'],
+        rows: [],
+      }));
+      Object.keys(objects).length.should.equal(6);
+      objects[1].should.equal('<< /Type /Catalog /Pages 2 0 R >>');
+      let contents = pages(objects);
+      contents.length.should.equal(1);
+      contents[0].should.contain('(Nothing) Tj').and
+        .contain('(Page 1 of 1) Tj');
+    });
+
+    it('spreads long tables over pages, repeating the headers', () => {
+      let rows = Array.from({length: 120}, (v, i) => ['row ' + i, i * 1.5]);
+      let objects = parse(pdf.document({
+        title: 'Long',
+        subtitle: ['Requests submitted all time'],
+        columns: ['Name', 'Amount'],
+        rows: rows,
+      }));
+      let contents = pages(objects);
+      contents.length.should.be.above(1);
+      contents.forEach((page, i) => {
+        page.should.contain('(Name) Tj').and.contain('(Amount) Tj')
+          .and.contain('(Page ' + (i + 1) + ' of ' + contents.length +
+                       ') Tj');
+      });
+      let shown = contents.join('').match(/\(row \d+\) Tj/g);
+      shown.length.should.equal(120);
+      contents.join('').should.contain('(178.50) Tj');
+    });
+
+    it('keeps offsets right with escaped and non-ASCII text', () => {
+      let objects = parse(pdf.document({
+        title: 'Café (costs) \\ ☃',
+        columns: ['Ångström'],
+        rows: [['(x)'], [null], [new Date('2017-10-02T12:00:00Z')],
+          [{a: 1}]],
+      }));
+      let contents = pages(objects)[0];
+      contents.should.contain('(Café \\(costs\\) \\\\ ?) Tj')
+        .and.contain('(Ångström) Tj')
+        .and.contain('(\\(x\\)) Tj')
+        .and.contain('(2017-10-02) Tj')
+        .and.contain('({"a":1}) Tj');
+    });
+
+    it('cuts cells short to fit their column', () => {
+      let wide = 'x'.repeat(400);
+      let contents = pages(parse(pdf.document({
+        title: 'Wide',
+        columns: ['One', 'Two'],
+        rows: [[wide, 'short']],
+      })))[0];
+      contents.should.contain('...) Tj').and.not.contain(wide);
+      contents.should.contain('(short) Tj');
+    });
+  });
+});
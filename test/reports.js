@@ -0,0 +1,196 @@
+'use strict';
+
+const chai = require('chai');
+const reports = require('../server/lib/reports');
+const {buffer} = require('./helpers/zip');
+
+chai.should();
+
+const AS_OF = new Date('2017-10-01T00:00:00Z');
+
+// Requests with their orders and line items, linked as loadOrders links
+// them
+function data() {
+  let requests = [
+    {id: 1, request_number: '100', analyst: 'kim', status: 'Open',
+      priority: 'High', cost_center: 'CC-REQ',
+      submitted_date: '2017-08-30T15:00:00Z',
+      requested_due_date: '2017-09-10T00:00:00Z',
+      confirmed_due_date: '2017-09-12T12:00:00Z'},
+    {id: 2, request_number: '200', analyst: 'kim', status: 'Open',
+      submitted_date: '2017-09-02T09:00:00Z',
+      requested_due_date: '2017-09-29T18:00:00Z'},
+    {id: 3, request_number: '300', analyst: 'lee', status: 'Closed',
+      submitted_date: '2017-09-03T09:00:00Z',
+      requested_due_date: '2017-09-20T00:00:00Z',
+      confirmed_due_date: '2017-09-19T00:00:00Z'},
+    {id: 4, request_number: '400', status: 'Open',
+      submitted_date: '2017-09-04T09:00:00Z',
+      requested_due_date: '2017-10-15T00:00:00Z'},
+    {id: 5, request_number: '500', analyst: 'lee', status: 'Open',
+      submitted_date: '2017-09-05T09:00:00Z'},
+  ];
+  let orders = [
+    {id: 11, request: requests[0], vendor: 'Telco', cost_center: 'CC-1',
+      cost_center_description: 'Network'},
+    {id: 12, request: requests[0], vendor: 'Telco'},
+    {id: 21, request: requests[1], vendor: 'Telco', cost_center: 'CC-1'},
+    {id: 31, request: requests[2], vendor: 'Cable Co', cost_center: 'CC-2'},
+    {id: 41, request: requests[3]},
+  ];
+  let item = (order, fields) => Object.assign({order: order}, fields);
+  let lineItems = [
+    item(orders[0], {rc_quantity: 3, rc_amount: 0.1}),
+    item(orders[0], {rc_amount: 0.2, nrc_quantity: 0, nrc_amount: 50}),
+    item(orders[1], {nrc_quantity: 2, nrc_amount: 12.345}),
+    item(orders[2], {rc_quantity: 1, rc_amount: 19.99,
+      nrc_amount: 0.005}),
+    item(orders[3], {rc_quantity: 2, rc_amount: 5}),
+  ];
+  return {requests: requests, orders: orders, line_items: lineItems,
+    as_of: AS_OF};
+}
+
+function rows(type) {
+  return reports.TYPES[type].rows(data());
+}
+
+describe('reports', () => {
+  describe('orders_per_vendor_month', () => {
+    it('counts requests, orders and line items per vendor and month', () => {
+      rows('orders_per_vendor_month').should.eql([
+        {vendor: '', month: '2017-09', requests: 1, orders: 1,
+          line_items: 0},
+        {vendor: 'Cable Co', month: '2017-09', requests: 1, orders: 1,
+          line_items: 1},
+        {vendor: 'Telco', month: '2017-08', requests: 1, orders: 2,
+          line_items: 3},
+        {vendor: 'Telco', month: '2017-09', requests: 1, orders: 1,
+          line_items: 1},
+      ]);
+    });
+  });
+
+  describe('charges_by_cost_center', () => {
+    it('sums quantity times amount, rounded to cents', () => {
+      rows('charges_by_cost_center').should.eql([
+        // The order's cost center, or else the request's. The total is of
+        // the rounded sums: 20.49 + 0.005 would round to 20.49
+        {cost_center: 'CC-1', cost_center_description: 'Network',
+          line_items: 3, recurring: 20.49, non_recurring: 0.01,
+          total: 20.5},
+        {cost_center: 'CC-2', cost_center_description: '', line_items: 1,
+          recurring: 10, non_recurring: 0, total: 10},
+        {cost_center: 'CC-REQ', cost_center_description: '',
+          line_items: 1, recurring: 0, non_recurring: 24.69,
+          total: 24.69},
+      ]);
+    });
+
+    it('takes a missing quantity as 1 and a missing amount as 0', () => {
+      // A quantity of 0 still charges nothing
+      let order = {id: 1, cost_center: 'CC', request: {id: 1}};
+      reports.TYPES.charges_by_cost_center.rows({line_items: [
+        {order: order, rc_amount: 0.1, nrc_quantity: 4},
+        {order: order, rc_quantity: null, rc_amount: 0.2},
+        {order: order, rc_quantity: 0, rc_amount: 9},
+      ]})[0].should.include({recurring: 0.3, non_recurring: 0, total: 0.3});
+    });
+  });
+
+  describe('overdue_orders', () => {
+    it('lists requests confirmed late or unconfirmed past due', () => {
+      rows('overdue_orders').should.eql([
+        {request_number: '100', analyst: 'kim', status: 'Open',
+          priority: 'High', submitted_date: '2017-08-30',
+          requested_due_date: '2017-09-10',
+          confirmed_due_date: '2017-09-12', days_late: 3,
+          reason: 'confirmed late'},
+        {request_number: '200', analyst: 'kim', status: 'Open',
+          priority: '', submitted_date: '2017-09-02',
+          requested_due_date: '2017-09-29', confirmed_due_date: null,
+          days_late: 2, reason: 'not confirmed'},
+      ]);
+    });
+
+    it('counts part days as whole ones', () => {
+      let request = {request_number: '1',
+        requested_due_date: '2017-09-30T23:00:00Z'};
+      reports.TYPES.overdue_orders.rows({requests: [request], as_of: AS_OF})
+        .map(row => row.days_late).should.eql([1]);
+      request.requested_due_date = AS_OF.toISOString();
+      reports.TYPES.overdue_orders.rows({requests: [request], as_of: AS_OF})
+        .should.eql([]);
+    });
+  });
+
+  describe('analyst_workload', () => {
+    it('counts work and overdue requests per analyst', () => {
+      rows('analyst_workload').should.eql([
+        {analyst: 'kim', requests: 2, orders: 3, line_items: 4, overdue: 2},
+        {analyst: 'lee', requests: 2, orders: 1, line_items: 1, overdue: 0},
+        {analyst: '', requests: 1, orders: 1, line_items: 0, overdue: 0},
+      ]);
+    });
+  });
+
+  describe('new_uploads', () => {
+    it('describes each upload and the requests in it', () => {
+      reports.TYPES.new_uploads.rows({uploads: [
+        {created_date: new Date('2017-09-01T08:30:59Z'), filename: 'a.txt',
+          uploaded_by: 'kim@example.com', size: 1200,
+          converted: {status: 'converted'},
+          requests: [{request_number: '100'}, {request_number: '200'}]},
+        {created_date: null, size: 0, converted: null, requests: []},
+      ]}).should.eql([
+        {uploaded_date: '2017-09-01 08:30', filename: 'a.txt',
+          uploaded_by: 'kim@example.com', size: 1200, status: 'converted',
+          requests: 2, request_numbers: '100, 200'},
+        {uploaded_date: '', filename: '', uploaded_by: '', size: 0,
+          status: 'not converted', requests: 0, request_numbers: ''},
+      ]);
+    });
+  });
+
+  describe('check', () => {
+    it('rejects unknown types and formats and empty periods', () => {
+      (reports.check('overdue_orders', 'pdf', {}) === null).should.equal(true);
+      reports.check('nope', 'pdf').statusCode.should.equal(422);
+      reports.check('overdue_orders', 'doc').statusCode.should.equal(422);
+      reports.check('overdue_orders', null, {
+        from: '2017-10-01', to: '2017-10-01',
+      }).message.should.equal('from must be before to');
+    });
+  });
+
+  describe('render', () => {
+    let contents = {
+      type: 'charges_by_cost_center',
+      title: 'Charges',
+      parameters: {from: '2017-09-01', to: '2017-10-01'},
+      columns: [{key: 'cost_center', label: 'Cost center'},
+        {key: 'total', label: 'Total'}],
+      rows: [{cost_center: 'CC-1', total: 70.5}],
+      generated_date: new Date('2017-10-02T12:00:00Z'),
+    };
+
+    it('writes csv with the column labels', () => {
+      return reports.render(contents, 'csv').then(document => {
+        document.filename.should
+          .equal('charges_by_cost_center-2017-09-01-to-2017-10-01.csv');
+        String(document.body).split(/\r?\n/)
+          .should.eql(['Cost center,Total', 'CC-1,70.5']);
+      });
+    });
+
+    it('writes a pdf headed by the period', () => {
+      return reports.render(contents, 'pdf').then(document => {
+        document.contentType.should.equal('application/pdf');
+        return buffer(document.body);
+      }).then(body => {
+        body.toString('latin1').should
+          .contain('(Requests submitted 2017-09-01 to 2017-10-01) Tj');
+      });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+const chai = require('chai');
+const cron = require('../server/lib/cron');
+const {Scheduler} = require('../server/lib/scheduler');
+const {bootApp} = require('./helpers/app');
+
+chai.should();
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Scheduler', () => {
+  let app, Schedule, Run;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    Schedule = app.models.report_schedule;
+    Run = app.models.report_schedule_run;
+  }));
+
+  beforeEach(() => Promise.all([
+    Schedule.destroyAll(),
+    Run.destroyAll(),
+    app.models.job.destroyAll(),
+  ]));
+
+  // A schedule whose next run was due some time ago
+  function due(ago, fields) {
+    return Schedule.create(Object.assign({
+      name: 'Overdue',
+      type: 'overdue_orders',
+      cron: '0 * * * *',
+    }, fields)).then(schedule => Schedule.updateAll({id: schedule.id}, {
+      next_run_at: new Date(Date.now() - ago),
+    }).then(() => Schedule.findById(schedule.id)));
+  }
+
+  describe('tick', () => {
+    it('triggers due schedules and moves them on', () => {
+      var schedule;
+      return due(HOUR / 2).then(created => {
+        schedule = created;
+        return app.scheduler.tick();
+      }).then(runs => {
+        let now = new Date();
+        runs.length.should.equal(1);
+        String(runs[0].schedule_id).should.equal(String(schedule.id));
+        runs[0].triggered_by.should.equal('schedule');
+        runs[0].scheduled_for.getTime().should
+          .equal(cron.previous(schedule.cron, now).getTime());
+        return Promise.all([
+          Schedule.findById(schedule.id),
+          app.models.job.findById(runs[0].job_id),
+        ]);
+      }).then(found => {
+        found[0].next_run_at.getTime().should
+          .equal(cron.next(schedule.cron, new Date()).getTime());
+        found[1].type.should.equal('scheduled_report');
+        return app.scheduler.tick();
+      }).then(runs => {
+        runs.should.eql([]);
+      });
+    });
+
+    it('leaves disabled schedules and those not yet due alone', () => {
+      return due(HOUR, {enabled: false})
+        .then(() => Schedule.create({name: 'Later', type: 'overdue_orders',
+          cron: '0 * * * *'}))
+        .then(() => app.scheduler.tick())
+        .then(runs => {
+          runs.should.eql([]);
+        });
+    });
+
+    it('makes up for missed times once, for the latest', () => {
+      return due(3 * 24 * HOUR)
+        .then(() => app.scheduler.tick())
+        .then(runs => {
+          runs.length.should.equal(1);
+          runs[0].scheduled_for.getTime().should
+            .equal(cron.previous('0 * * * *', new Date()).getTime());
+        });
+    });
+
+    it('triggers each run once between schedulers', () => {
+      let other = new Scheduler(Schedule, {});
+      return Promise.all([due(HOUR / 2), due(HOUR / 2)])
+        .then(() => Promise.all([app.scheduler.tick(), other.tick()]))
+        .then(ticks => {
+          (ticks[0].length + ticks[1].length).should.equal(2);
+          return Run.find();
+        })
+        .then(runs => {
+          runs.length.should.equal(2);
+          runs[0].schedule_id.should.not.equal(runs[1].schedule_id);
+        });
+    });
+  });
+
+  describe('claim', () => {
+    it('lets only the first of two schedulers have a run', () => {
+      let other = new Scheduler(Schedule, {});
+      let now = new Date();
+      return due(HOUR / 2).then(schedule => Promise.all([
+        app.scheduler.claim(schedule, now),
+        other.claim(schedule, now),
+      ])).then(claimed => {
+        claimed.filter(Boolean).length.should.equal(1);
+        claimed.filter(Boolean)[0].getTime().should
+          .equal(cron.previous('0 * * * *', now).getTime());
+      });
+    });
+  });
+});
+
+describe('report_schedule', () => {
+  let app, Schedule;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    Schedule = app.models.report_schedule;
+  }));
+
+  function errors(fields) {
+    let schedule = new Schedule(Object.assign({
+      name: 'Weekly',
+      type: 'overdue_orders',
+      cron: '0 13 * * 1',
+    }, fields));
+    return new Promise(resolve => schedule.isValid(valid =>
+      resolve(valid ? {} : schedule.errors)));
+  }
+
+  it('rejects cron expressions that never match', () => {
+    return Promise.all([
+      errors({}),
+      errors({cron: '0 0 30 2 *'}),
+      errors({cron: 'sometimes'}),
+    ]).then(found => {
+      found[0].should.not.have.property('cron');
+      found[1].should.have.property('cron');
+      found[2].should.have.property('cron');
+    });
+  });
+
+  it('only takes webhooks to the webhookOrigins', () => {
+    let saved = app.get('webhookOrigins');
+    app.set('webhookOrigins', ['https://hooks.example.com']);
+    let webhook = url => errors({notifiers: [{type: 'webhook', url: url}]});
+    return Promise.all([
+      webhook('https://hooks.example.com/report?team=1'),
+      webhook('https://hooks.example.com:8443/report'),
+      webhook('http://169.254.169.254/latest/meta-data'),
+      webhook('ftp://hooks.example.com/report'),
+    ]).then(found => {
+      app.set('webhookOrigins', saved);
+      found[0].should.not.have.property('notifiers');
+      found.slice(1).forEach(errs => errs.should.have.property('notifiers'));
+    });
+  });
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const chai = require('chai');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const {Readable} = require('stream');
+const {DRIVERS, Storage} = require('../server/lib/storage');
+const {tmpDir} = require('./helpers/app');
+
+chai.should();
+
+function streamOf(text) {
+  return new Readable({
+    read() {
+      this.push(text);
+      this.push(null);
+    },
+  });
+}
+
+function read(stream) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  });
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+describe('Storage', () => {
+  let root, spoolDir, storage;
+
+  beforeEach(() => {
+    root = tmpDir();
+    spoolDir = tmpDir();
+    storage = new Storage({root: root, tmpDir: spoolDir, secret: 'test'});
+  });
+
+  describe('#spool', () => {
+    it('works out the size and checksum without storing anything', () => {
+      return storage.spool(streamOf('hello')).then(spooled => {
+        spooled.size.should.equal(5);
+        spooled.checksum.should.equal(sha256('hello'));
+        fs.readFileSync(spooled.path, 'utf8').should.equal('hello');
+        fs.readdirSync(root).should.eql([]);
+        return spooled.discard().then(() => {
+          fs.existsSync(spooled.path).should.equal(false);
+        });
+      });
+    });
+
+    it('stores committed files under their checksum, once', () => {
+      let first;
+      return storage.spool(streamOf('hello'))
+        .then(spooled => spooled.commit())
+        .then(stored => {
+          first = stored;
+          stored.should.eql({key: sha256('hello'), deduplicated: false});
+          return storage.spool(streamOf('hello'));
+        })
+        .then(spooled => spooled.commit())
+        .then(stored => {
+          stored.should.eql({key: first.key, deduplicated: true});
+          fs.readdirSync(root).should.eql([first.key]);
+          fs.readdirSync(spoolDir).should.eql([]);
+          return read(storage.get(first.key));
+        })
+        .then(contents => {
+          contents.should.equal('hello');
+        });
+    });
+
+    it('keeps files with different contents apart', () => {
+      return Promise.all([
+        storage.store(streamOf('one')),
+        storage.store(streamOf('two')),
+      ]).then(([one, two]) => {
+        one.key.should.not.equal(two.key);
+        one.size.should.equal(3);
+        fs.readdirSync(root).sort().should.eql([one.key, two.key].sort());
+      });
+    });
+
+    it('cleans up after a stream that fails', () => {
+      let failing = new Readable({
+        read() {
+          this.push('partial');
+          process.nextTick(() => this.emit('error', new Error('broken')));
+        },
+      });
+      return storage.spool(failing).then(() => {
+        throw new Error('should have failed');
+      }, err => {
+        err.message.should.equal('broken');
+        fs.readdirSync(spoolDir).should.eql([]);
+      });
+    });
+  });
+
+  describe('the local driver', () => {
+    let driver;
+
+    beforeEach(() => {
+      driver = DRIVERS.local({root: root, secret: 'test'});
+    });
+
+    function query(key, filename) {
+      let expires = new Date(Date.now() + 60000);
+      return url.parse(driver.url(key, expires, filename), true).query;
+    }
+
+    it('verifies the URLs it signs', () => {
+      driver.verify('abc', query('abc')).should.equal(true);
+      driver.verify('abc', query('abc', 'report.pdf')).should.equal(true);
+    });
+
+    it('rejects expired URLs', () => {
+      let expired = url.parse(driver.url('abc', new Date(Date.now() - 1000)),
+                              true).query;
+      driver.verify('abc', expired).should.equal(false);
+    });
+
+    it('rejects tampered URLs', () => {
+      let signed = query('abc', 'report.pdf');
+      driver.verify('abd', signed).should.equal(false);
+      driver.verify('abc', Object.assign({}, signed, {
+        filename: 'other.pdf',
+      })).should.equal(false);
+      driver.verify('abc', Object.assign({}, signed, {
+        expires: String(Number(signed.expires) + 3600),
+      })).should.equal(false);
+      driver.verify('abc', Object.assign({}, signed, {
+        signature: signed.signature.replace(/^./, c => c === '0' ? '1' : '0'),
+      })).should.equal(false);
+      driver.verify('abc', {expires: signed.expires}).should.equal(false);
+    });
+
+    it('rejects URLs signed with another secret', () => {
+      let other = DRIVERS.local({root: root, secret: 'other'});
+      let expires = new Date(Date.now() + 60000);
+      driver.verify('abc', url.parse(other.url('abc', expires), true).query)
+        .should.equal(false);
+    });
+
+    it('keeps keys inside the storage root', () => {
+      let outside = path.join(path.dirname(root), 'escaped');
+      ['../escaped', '..', '.hidden', 'a/b', 'a\\b', ''].forEach(key => {
+        (() => driver.get(key)).should.throw('Invalid storage key');
+        (() => driver.url(key, new Date())).should.throw('Invalid storage key');
+        driver.verify(key, query('abc')).should.equal(false);
+      });
+      let from = path.join(tmpDir(), 'upload');
+      fs.writeFileSync(from, 'hello');
+      return Promise.resolve()
+        .then(() => driver.putFile('../escaped', from, {}))
+        .then(() => {
+          throw new Error('should have failed');
+        }, err => {
+          err.message.should.equal('Invalid storage key: ../escaped');
+          fs.existsSync(outside).should.equal(false);
+        });
+    });
+  });
+});
@@ -0,0 +1,368 @@
+'use strict';
+
+const chai = require('chai');
+const {TokenService, parseKeys} = require('../server/lib/tokens');
+const {bootApp, request} = require('./helpers/app');
+
+chai.should();
+
+const OPTIONS = {
+  issuer: 'test',
+  accessTokenTtl: 900,
+  refreshTokenTtl: 3600,
+};
+
+// A token service signing with the given JWT_KEYS
+function service(app, keys, options) {
+  let saved = process.env.JWT_KEYS;
+  process.env.JWT_KEYS = keys;
+  try {
+    return new TokenService(app, Object.assign({}, OPTIONS, options));
+  } finally {
+    process.env.JWT_KEYS = saved;
+  }
+}
+
+function rejected(promise) {
+  return promise.then(() => {
+    throw new Error('should have failed');
+  }, err => err);
+}
+
+function header(token) {
+  return JSON.parse(Buffer.from(token.split('.')[0], 'base64').toString());
+}
+
+describe('TokenService', () => {
+  let app, tokens, user;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+  }));
+
+  beforeEach(() => {
+    tokens = service(app, 'k1:first');
+    return app.models.user.create({
+      email: 'user' + Date.now() + Math.random() + '@example.com',
+      password: 'password1',
+    }).then(created => {
+      user = created;
+    });
+  });
+
+  describe('parseKeys', () => {
+    it('reads kid:secret pairs, numbering bare secrets', () => {
+      parseKeys('new:s1, old:s2,,s3').should.eql([
+        {kid: 'new', secret: 's1'},
+        {kid: 'old', secret: 's2'},
+        {kid: '2', secret: 's3'},
+      ]);
+    });
+  });
+
+  describe('#issue', () => {
+    it('issues access and refresh tokens for the user', () => {
+      return tokens.issue(user.id).then(pair => {
+        pair.token_type.should.equal('Bearer');
+        pair.expires_in.should.equal(900);
+        return Promise.all([
+          tokens.verify(pair.access_token, 'access'),
+          tokens.verify(pair.refresh_token, 'refresh'),
+        ]);
+      }).then(([access, refresh]) => {
+        access.sub.should.equal(String(user.id));
+        access.iss.should.equal('test');
+        (access.exp - access.iat).should.equal(900);
+        (refresh.exp - refresh.iat).should.equal(3600);
+        return app.models.refresh_token.findById(refresh.jti);
+      }).then(stored => {
+        stored.user_id.should.equal(String(user.id));
+      });
+    });
+
+    it('does not take one kind of token for the other', () => {
+      return tokens.issue(user.id)
+        .then(pair => rejected(tokens.verify(pair.refresh_token, 'access')))
+        .then(err => {
+          err.statusCode.should.equal(401);
+          err.message.should.equal('Not a valid access token');
+        });
+    });
+  });
+
+  describe('#verify', () => {
+    it('rejects expired tokens', () => {
+      let expired = service(app, 'k1:first', {accessTokenTtl: -1});
+      return expired.issue(user.id)
+        .then(pair => rejected(tokens.verify(pair.access_token, 'access')))
+        .then(err => {
+          err.statusCode.should.equal(401);
+          err.message.should.equal('Token has expired');
+        });
+    });
+
+    it('rejects tampered tokens', () => {
+      return tokens.issue(user.id).then(pair => {
+        let parts = pair.access_token.split('.');
+        let claims = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+        claims.sub = 'someone else';
+        parts[1] = Buffer.from(JSON.stringify(claims)).toString('base64')
+          .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+        return rejected(tokens.verify(parts.join('.'), 'access'));
+      }).then(err => {
+        err.message.should.equal('Invalid token signature');
+      });
+    });
+
+    it('rejects tokens that are not ours or not HS256', () => {
+      let none = Buffer.from(JSON.stringify({alg: 'none', kid: 'k1'}))
+        .toString('base64');
+      return Promise.all([
+        rejected(tokens.verify('garbage', 'access')),
+        rejected(tokens.verify(none + '.e30.', 'access')),
+      ]).then(errs => errs.forEach(err => {
+        err.message.should.equal('Malformed token');
+      }));
+    });
+  });
+
+  describe('key rotation', () => {
+    it('signs with the first key and accepts the others', () => {
+      let rotated = service(app, 'k2:second,k1:first');
+      return tokens.issue(user.id).then(old => {
+        header(old.access_token).kid.should.equal('k1');
+        return rotated.verify(old.access_token, 'access');
+      }).then(claims => {
+        claims.sub.should.equal(String(user.id));
+        return rotated.issue(user.id);
+      }).then(pair => {
+        header(pair.access_token).kid.should.equal('k2');
+        return rejected(tokens.verify(pair.access_token, 'access'));
+      }).then(err => {
+        err.message.should.equal('Token was signed with an unknown key');
+      });
+    });
+
+    it('stops accepting a key once it is dropped', () => {
+      let dropped = service(app, 'k2:second');
+      return tokens.issue(user.id)
+        .then(pair => rejected(dropped.verify(pair.access_token, 'access')))
+        .then(err => {
+          err.message.should.equal('Token was signed with an unknown key');
+        });
+    });
+
+    it('does not accept a token signed with another secret under a known kid',
+       () => {
+         let forged = service(app, 'k1:guessed');
+         return forged.issue(user.id)
+           .then(pair => rejected(tokens.verify(pair.access_token, 'access')))
+           .then(err => {
+             err.message.should.equal('Invalid token signature');
+           });
+       });
+  });
+
+  describe('#refresh', () => {
+    it('trades a refresh token in for a new pair, once', () => {
+      let first, second;
+      return tokens.issue(user.id).then(pair => {
+        first = pair;
+        return tokens.refresh(first.refresh_token);
+      }).then(pair => {
+        second = pair;
+        return Promise.all([
+          tokens.verify(first.refresh_token, 'refresh'),
+          tokens.verify(second.refresh_token, 'refresh'),
+        ]);
+      }).then(([old, current]) => {
+        return app.models.refresh_token.findById(old.jti).then(stored => {
+          stored.revoked_date.should.be.an.instanceof(Date);
+          stored.replaced_by.should.equal(current.jti);
+        });
+      });
+    });
+
+    it('revokes every refresh token of the user when one is reused', () => {
+      let first, second, other;
+      return Promise.all([tokens.issue(user.id), tokens.issue(user.id)])
+        .then(pairs => {
+          first = pairs[0];
+          other = pairs[1];
+          return tokens.refresh(first.refresh_token);
+        })
+        .then(pair => {
+          second = pair;
+          return rejected(tokens.refresh(first.refresh_token));
+        })
+        .then(err => {
+          err.statusCode.should.equal(401);
+          err.message.should.equal('Refresh token was already used');
+          return Promise.all([
+            rejected(tokens.refresh(second.refresh_token)),
+            rejected(tokens.refresh(other.refresh_token)),
+          ]);
+        })
+        .then(errs => errs.forEach(err => {
+          err.message.should.equal('Refresh token was already used');
+        }));
+    });
+
+    it('redeems a refresh token only once when used concurrently', () => {
+      return tokens.issue(user.id)
+        .then(pair => Promise.all([
+          tokens.refresh(pair.refresh_token).then(() => 'ok', err => err),
+          tokens.refresh(pair.refresh_token).then(() => 'ok', err => err),
+        ]))
+        .then(results => {
+          results.filter(result => result === 'ok').length.should.equal(1);
+        });
+    });
+
+    it('rejects refresh tokens it has no record of', () => {
+      return tokens.sign({
+        sub: String(user.id),
+        typ: 'refresh',
+        jti: '424242',
+        iat: Math.floor(Date.now() / 1000),
+        exp: Math.floor(Date.now() / 1000) + 60,
+      }).then(token => rejected(tokens.refresh(token))).then(err => {
+        err.message.should.equal('Unknown refresh token');
+      });
+    });
+  });
+
+  describe('#revoke and #revokeAll', () => {
+    it('revokes one refresh token', () => {
+      let pair, other;
+      return Promise.all([tokens.issue(user.id), tokens.issue(user.id)])
+        .then(pairs => {
+          [pair, other] = pairs;
+          return tokens.revoke(pair.refresh_token);
+        })
+        .then(() => Promise.all([pair, other].map(issued =>
+          tokens.verify(issued.refresh_token, 'refresh')
+            .then(claims => app.models.refresh_token.findById(claims.jti)))))
+        .then(([revoked, kept]) => {
+          revoked.revoked_date.should.be.an.instanceof(Date);
+          (kept.revoked_date === null ||
+           kept.revoked_date === undefined).should.equal(true);
+          return rejected(tokens.refresh(pair.refresh_token));
+        })
+        .then(err => {
+          err.statusCode.should.equal(401);
+        });
+    });
+
+    it('revokes all of a user\'s refresh tokens, and only theirs', () => {
+      let mine, theirs;
+      return app.models.user.create({
+        email: 'other' + Date.now() + '@example.com',
+        password: 'password1',
+      }).then(otherUser => Promise.all([
+        tokens.issue(user.id),
+        tokens.issue(otherUser.id),
+      ])).then(pairs => {
+        [mine, theirs] = pairs;
+        return tokens.revokeAll(user.id);
+      }).then(() => rejected(tokens.refresh(mine.refresh_token))).then(err => {
+        err.statusCode.should.equal(401);
+        return tokens.refresh(theirs.refresh_token);
+      });
+    });
+  });
+
+  describe('bearer tokens on the REST API', () => {
+    beforeEach(() => app.models.user.setRoles(user.id, ['analyst']));
+
+    function get(authorization) {
+      return request(app, 'GET', '/api/filesobjects', undefined,
+                     authorization ? {Authorization: authorization} : {});
+    }
+
+    it('lets requests with a valid access token in', () => {
+      return app.tokens.issue(user.id)
+        .then(pair => get('Bearer ' + pair.access_token))
+        .then(res => {
+          res.status.should.equal(200);
+        });
+    });
+
+    it('turns away requests without one', () => {
+      return get(null).then(res => {
+        res.status.should.equal(401);
+      });
+    });
+
+    it('turns away expired, refresh and forged tokens', () => {
+      let issuer = app.get('jwt').issuer;
+      let expired = service(app, process.env.JWT_KEYS,
+                            {issuer: issuer, accessTokenTtl: -1});
+      let forged = service(app, 'test:guessed', {issuer: issuer});
+      return Promise.all([
+        expired.issue(user.id).then(pair => pair.access_token),
+        app.tokens.issue(user.id).then(pair => pair.refresh_token),
+        forged.issue(user.id).then(pair => pair.access_token),
+      ])
+        .then(bad => Promise.all(bad.map(token => get('Bearer ' + token))))
+        .then(responses => responses.forEach(res => {
+          res.status.should.equal(401);
+        }));
+    });
+
+    it('turns away tokens of users that no longer exist', () => {
+      return app.tokens.issue(user.id)
+        .then(pair => user.destroy().then(() =>
+          get('Bearer ' + pair.access_token)))
+        .then(res => {
+          res.status.should.equal(401);
+          res.body.error.message.should.equal('Token user no longer exists');
+        });
+    });
+
+    it('trades refresh tokens in at /auth/token/refresh', () => {
+      let pair;
+      return app.tokens.issue(user.id)
+        .then(issued => {
+          pair = issued;
+          return request(app, 'POST', '/auth/token/refresh',
+                         {refresh_token: pair.refresh_token});
+        })
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.refresh_token.should.not.equal(pair.refresh_token);
+          return get('Bearer ' + res.body.access_token);
+        })
+        .then(res => {
+          res.status.should.equal(200);
+          return request(app, 'POST', '/auth/token/refresh', {});
+        })
+        .then(res => {
+          res.status.should.equal(400);
+        });
+    });
+
+    it('revokes refresh tokens posted to /auth/token/revoke', () => {
+      let pair;
+      return app.tokens.issue(user.id)
+        .then(issued => {
+          pair = issued;
+          // Never from the query string, where tokens end up in logs
+          return request(app, 'POST', '/auth/token/revoke?refresh_token=' +
+                         encodeURIComponent(pair.refresh_token), {});
+        })
+        .then(res => {
+          res.status.should.equal(400);
+          return request(app, 'POST', '/auth/token/revoke',
+                         {refresh_token: pair.refresh_token});
+        })
+        .then(res => {
+          res.status.should.equal(204);
+          return rejected(tokens.refresh(pair.refresh_token));
+        })
+        .then(err => {
+          err.statusCode.should.equal(401);
+        });
+    });
+  });
+});
@@ -0,0 +1,282 @@
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const yazl = require('yazl');
+const {bootApp, login, request, tmpDir, upload} = require('./helpers/app');
+const {buffer, unzip} = require('./helpers/zip');
+
+chai.should();
+
+const ORDER = fs.readFileSync(
+  path.join(__dirname, '../order-reader/order.txt'), 'utf8');
+// Another request, so uploads of both aren't duplicates of each other
+const OTHER = ORDER.replace(/158737/g, '158738');
+// Orders without the request they belong to
+const ORPHANED = ORDER.split('\n').slice(20).join('\n');
+
+// A zip archive of {name: contents}
+function zipOf(files) {
+  let archive = new yazl.ZipFile();
+  Object.keys(files).forEach(name => {
+    archive.addBuffer(Buffer.from(files[name]), name);
+  });
+  archive.end();
+  return buffer(archive.outputStream);
+}
+
+describe('upload_batch', () => {
+  let app, models, analyst;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    models = app.models;
+    // Spooled files of its own, to tell whether any are left behind
+    app.storage.tmpDir = tmpDir();
+    return login(app, ['analyst']);
+  }).then(loggedIn => {
+    analyst = {Authorization: loggedIn.token};
+  }));
+
+  beforeEach(() => Promise.all([
+    models.original_fileobject.destroyAll(),
+    models.converted_fileobject.destroyAll(),
+    models.job.destroyAll(),
+  ]));
+
+  function send(files, query) {
+    return upload(app, '/api/original_fileobjects/upload' + (query || ''),
+                  files, analyst);
+  }
+
+  function order(filename, contents) {
+    return {field: 'order', filename: filename, contents: contents};
+  }
+
+  // Run queued jobs until there are none left
+  function work() {
+    return app.jobs.next().then(ran => ran ? work() : null);
+  }
+
+  function get(url) {
+    return request(app, 'GET', url, undefined, analyst);
+  }
+
+  describe('several files', () => {
+    it('are queued each on their own, and summarized as they finish', () => {
+      var batch;
+      return send([order('a.txt', ORDER), order('b.txt', OTHER)])
+        .then(res => {
+          res.status.should.equal(202);
+          batch = res.body;
+          batch.status.should.equal('processing');
+          batch.counts.should.eql({
+            files: 2, succeeded: 0, failed: 0, pending: 2,
+          });
+          batch.files.map(file => file.status).should
+            .eql(['queued', 'queued']);
+          return work();
+        })
+        .then(() => get(batch.batch_url + '/summary'))
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.status.should.equal('completed');
+          res.body.counts.succeeded.should.equal(2);
+          res.body.files.map(file => file.filename).should
+            .eql(['a.txt', 'b.txt']);
+          res.body.files[0].record_counts.should.eql({
+            requests: 1, orders: 2, line_items: 10,
+          });
+          res.body.files[0].diagnostics.should.be.an('array');
+        });
+    });
+
+    it('are counted as they are converted', () => {
+      let Converted = models.converted_fileobject;
+      var batch;
+      return send([order('a.txt', ORDER), order('b.txt', OTHER)],
+                  '?wait=true')
+        .then(res => {
+          batch = res.body;
+          return Converted.findById(batch.files[0].converted_fileobject_id);
+        })
+        .then(converted => {
+          converted.record_counts.should.eql({
+            requests: 1, orders: 2, line_items: 10,
+          });
+          // As if stored before conversions kept their counts
+          return Converted.updateAll({id: converted.id},
+                                     {record_counts: null});
+        })
+        .then(() => get(batch.batch_url + '/summary'))
+        .then(res => {
+          res.body.files.map(file => file.record_counts.line_items).should
+            .eql([10, 10]);
+        });
+    });
+
+    it('report the files that failed, with their diagnostics', () => {
+      return send([order('good.txt', ORDER), order('bad.txt', ORPHANED)],
+                  '?wait=true&parse_mode=strict')
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.status.should.equal('completed_with_errors');
+          res.body.counts.should.eql({
+            files: 2, succeeded: 1, failed: 1, pending: 0,
+          });
+          let bad = res.body.files[1];
+          bad.error.statusCode.should.equal(422);
+          bad.diagnostics.map(d => d.code).should.include('ORPHANED_RECORD');
+          return models.original_fileobject
+            .findById(bad.original_fileobject_id);
+        })
+        .then(original => {
+          original.filename.should.equal('bad.txt');
+        });
+    });
+  });
+
+  describe('zip archives', () => {
+    it('are unpacked, leaving out directories and archiver metadata', () => {
+      return zipOf({
+        'orders/a.txt': ORDER,
+        'orders/b.txt': OTHER,
+        '__MACOSX/orders/._a.txt': 'resource fork',
+        'orders/.DS_Store': 'finder',
+      }).then(archive => send([order('orders.zip', archive)], '?wait=true'))
+        .then(res => {
+          res.status.should.equal(200);
+          res.body.status.should.equal('completed');
+          res.body.files.map(file => [file.filename, file.archive]).should
+            .eql([['a.txt', 'orders.zip'], ['b.txt', 'orders.zip']]);
+          return models.original_fileobject.count();
+        })
+        .then(count => {
+          count.should.equal(2);
+        });
+    });
+
+    describe('over the limits', () => {
+      let uploads;
+
+      beforeEach(() => {
+        uploads = app.get('uploads');
+      });
+
+      afterEach(() => app.set('uploads', uploads));
+
+      // Upload, expecting to be turned away without anything stored
+      function refused(files, limits) {
+        app.set('uploads', Object.assign({}, uploads, limits));
+        return send(files, '?wait=true')
+          .then(res => {
+            res.status.should.equal(413);
+            return Promise.all([
+              models.original_fileobject.count(),
+              fs.readdirSync(app.storage.tmpDir).filter(name =>
+                /^spool-/.test(name)),
+            ]);
+          })
+          .then(([count, spooled]) => {
+            count.should.equal(0);
+            spooled.should.eql([]);
+          });
+      }
+
+      it('turn away archives of too many files', () => {
+        return zipOf({'a.txt': ORDER, 'b.txt': OTHER})
+          .then(archive => refused([order('orders.zip', archive)],
+                                   {maxFiles: 1}));
+      });
+
+      it('turn away archives of files too large', () => {
+        return zipOf({'a.txt': ORDER})
+          .then(archive => refused([order('orders.zip', archive)], {
+            maxFileSize: ORDER.length - 1,
+          }));
+      });
+
+      it('turn away too many files in one upload', () => {
+        return refused([order('a.txt', ORDER), order('b.txt', OTHER)],
+                       {maxFiles: 1});
+      });
+    });
+
+    it('must be zip archives', () => {
+      return send([order('orders.zip', ORDER)]).then(res => {
+        res.status.should.equal(400);
+      });
+    });
+  });
+
+  describe('download', () => {
+    it('zips up the converted orders and the summary', () => {
+      return send([order('order.txt', ORDER), order('order.txt', OTHER)],
+                  '?wait=true')
+        .then(res => get(res.body.results_url))
+        .then(res => {
+          res.status.should.equal(200);
+          res.headers['content-type'].should.equal('application/zip');
+          return unzip(res.buffer);
+        })
+        .then(files => {
+          Object.keys(files).sort().should
+            .eql(['order-2.json', 'order.json', 'summary.json']);
+          JSON.parse(files['order-2.json'])[0].request_no.should
+            .equal('158738');
+          let summary = JSON.parse(files['summary.json']);
+          summary.files.map(file => file.result_file).should
+            .eql(['order.json', 'order-2.json']);
+        });
+    });
+
+    it('loads the converted orders one file at a time', () => {
+      let Converted = models.converted_fileobject;
+      var loaded = 0;
+      var loading = 0;
+      var most = 0;
+      // Records read with their contents, and how many at once
+      function load(ctx, next) {
+        if (ctx.data.contents !== undefined) {
+          loaded += 1;
+        }
+        next();
+      }
+      let findById = Converted.findById;
+      Converted.findById = function() {
+        loading += 1;
+        most = Math.max(most, loading);
+        return findById.apply(this, arguments).then(found => {
+          loading -= 1;
+          return found;
+        });
+      };
+      function restore() {
+        Converted.findById = findById;
+        Converted.removeObserver('loaded', load);
+      }
+      return send([order('a.txt', ORDER), order('b.txt', OTHER)],
+                  '?wait=true')
+        .then(res => {
+          Converted.observe('loaded', load);
+          return get(res.body.results_url);
+        })
+        .then(res => {
+          restore();
+          res.status.should.equal(200);
+          loaded.should.equal(2);
+          most.should.equal(1);
+        }, err => {
+          restore();
+          throw err;
+        });
+    });
+
+    it('answers 404 for unknown batches', () => {
+      return get('/api/upload_batches/nope/download').then(res => {
+        res.status.should.equal(404);
+      });
+    });
+  });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const chai = require('chai');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {bootApp, login, request, upload} = require('./helpers/app');
+
+chai.should();
+
+const ORDER = fs.readFileSync(
+  path.join(__dirname, '../order-reader/order.txt'), 'utf8');
+
+describe('original_fileobject upload', () => {
+  let app, models, analyst;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    models = app.models;
+    return login(app, ['analyst']);
+  }).then(loggedIn => {
+    analyst = {Authorization: loggedIn.token};
+  }));
+
+  // Upload files, waiting for the conversion
+  function send(files, query) {
+    return upload(app, '/api/original_fileobjects/upload?wait=true' +
+                  (query || ''), files, analyst);
+  }
+
+  function order(contents, field) {
+    return {field: field || 'order', filename: 'order.txt', contents: contents};
+  }
+
+  // What storage holds under key
+  function stored(key) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+      app.storage.get(key)
+        .on('data', chunk => chunks.push(chunk))
+        .on('end', () => resolve(Buffer.concat(chunks).toString()))
+        .on('error', reject);
+    });
+  }
+
+  it('stores the file and converts it like create', () => {
+    var result;
+    return send([order(ORDER)]).then(res => {
+      res.status.should.equal(200);
+      result = res.body;
+      result.order_metadata_ids.length.should.equal(1);
+      let original = result.original_fileobject;
+      original.filename.should.equal('order.txt');
+      original.size.should.equal(Buffer.byteLength(ORDER));
+      original.checksum.should.equal(crypto.createHash('sha256')
+        .update(ORDER).digest('hex'));
+      (original.contents === undefined).should.equal(true);
+      return Promise.all([
+        stored(original.storage_key),
+        models.converted_fileobject.findById(result.converted_fileobject_id),
+      ]);
+    }).then(([contents, converted]) => {
+      contents.should.equal(ORDER);
+      String(converted.original_fileobject_id).should
+        .equal(String(result.original_fileobject_id));
+    });
+  });
+
+  it('keeps files that do not parse, answering with the diagnostics', () => {
+    // Orders without the request they belong to
+    let orphaned = ORDER.split('\n').slice(20).join('\n');
+    return send([order(orphaned)], '&parse_mode=strict')
+      .then(res => {
+        res.status.should.equal(422);
+        res.body.error.details.diagnostics.map(d => d.code).should
+          .include('ORPHANED_RECORD');
+        return models.original_fileobject
+          .findById(res.body.error.details.original_fileobject_id);
+      })
+      .then(original => {
+        original.parse_mode.should.equal('strict');
+        return stored(original.storage_key);
+      })
+      .then(contents => {
+        contents.should.equal(orphaned);
+      });
+  });
+
+  describe('over the size limit', () => {
+    let uploads;
+
+    beforeEach(() => {
+      uploads = app.get('uploads');
+      app.set('uploads', {maxFileSize: 100});
+    });
+
+    afterEach(() => app.set('uploads', uploads));
+
+    it('turns files away, storing nothing', () => {
+      var count;
+      return models.original_fileobject.count()
+        .then(before => {
+          count = before;
+          return send([order(ORDER)]);
+        })
+        .then(res => {
+          res.status.should.equal(413);
+          return models.original_fileobject.count();
+        })
+        .then(after => {
+          after.should.equal(count);
+        });
+    });
+  });
+
+  it('needs a multipart request with an "order" file', () => {
+    return Promise.all([
+      send([order(ORDER, 'other')]),
+      request(app, 'POST', '/api/original_fileobjects/upload', {
+        contents: ORDER,
+      }, analyst),
+      send([order(ORDER)], '&parse_mode=sloppy'),
+    ]).then(responses => {
+      responses.map(res => res.status).should.eql([400, 400, 422]);
+    });
+  });
+
+  describe('stored files', () => {
+    // Contents of their own, so no other test's uploads share the file
+    let contents;
+
+    beforeEach(() => {
+      contents = ORDER + '\n' + Date.now();
+    });
+
+    afterEach(() => {
+      app.storage.releaseGrace = 0;
+    });
+
+    function exists(key) {
+      return new Promise(resolve => {
+        app.storage.get(key)
+          .on('error', () => resolve(false))
+          .on('end', () => resolve(true))
+          .resume();
+      });
+    }
+
+    // Give the files being released time to go
+    function released(seconds) {
+      return new Promise(resolve => setTimeout(resolve,
+                                               (seconds || 0) * 1000 + 50));
+    }
+
+    it('are removed with the last record holding them', () => {
+      var originals;
+      return send([order(contents)])
+        .then(first => send([order(contents)]).then(second => {
+          originals = [first, second]
+            .map(res => res.body.original_fileobject);
+          originals[0].storage_key.should.equal(originals[1].storage_key);
+          return models.original_fileobject.destroyById(originals[0].id);
+        }))
+        .then(() => released())
+        .then(() => exists(originals[0].storage_key))
+        .then(found => {
+          found.should.equal(true);
+          return models.original_fileobject.destroyById(originals[1].id);
+        })
+        .then(() => released())
+        .then(() => exists(originals[1].storage_key))
+        .then(found => {
+          found.should.equal(false);
+        });
+    });
+
+    it('are kept for an upload of the same contents made meanwhile', () => {
+      app.storage.releaseGrace = 0.5;
+      var key;
+      return send([order(contents)])
+        .then(res => {
+          let original = res.body.original_fileobject;
+          key = original.storage_key;
+          return models.original_fileobject.destroyById(original.id);
+        })
+        // Finds the file still stored, so only saves a record referring
+        // to it
+        .then(() => send([order(contents)]))
+        .then(res => {
+          res.body.original_fileobject.storage_key.should.equal(key);
+          return released(app.storage.releaseGrace);
+        })
+        .then(() => exists(key))
+        .then(found => {
+          found.should.equal(true);
+        });
+    });
+  });
+});
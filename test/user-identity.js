@@ -0,0 +1,119 @@
+'use strict';
+
+const chai = require('chai');
+const {bootApp} = require('./helpers/app');
+const {rolesOf} = require('../server/lib/roles');
+
+chai.should();
+
+const DOMAINS = ['theitarchitect.support'];
+
+describe('userIdentity', () => {
+  let app, models;
+
+  before(() => bootApp().then(booted => {
+    app = booted;
+    models = app.models;
+  }));
+
+  // Numbers the Google accounts profile makes up
+  var accounts = 0;
+
+  // A Google profile, of a Workspace account if hd is given
+  function profile(email, hd, verified) {
+    return {
+      provider: 'google',
+      id: 'google-' + (++accounts),
+      emails: [{value: email}],
+      _json: {hd: hd, email_verified: verified !== false},
+    };
+  }
+
+  function signIn(profile) {
+    return new Promise((resolve, reject) => {
+      models.userIdentity.login('google', 'oAuth 2.0', profile,
+        {accessToken: 'at'}, {autoLogin: true, domains: DOMAINS},
+        (err, user) => err ? reject(err) : resolve(user));
+    });
+  }
+
+  function rejected(promise) {
+    return promise.then(() => {
+      throw new Error('should have been rejected');
+    }, err => err);
+  }
+
+  describe('login', () => {
+    it('lets in accounts of an allowed domain, with the default role', () => {
+      return signIn(profile('Ann@TheITArchitect.support',
+                            'theitarchitect.support'))
+        .then(user => {
+          user.email.should.equal('ann@theitarchitect.support');
+          return rolesOf(app, user.id);
+        })
+        .then(names => {
+          names.should.eql(['analyst']);
+        });
+    });
+
+    it('turns away other domains and personal accounts', () => {
+      return Promise.all([
+        rejected(signIn(profile('bob@example.com', 'example.com'))),
+        rejected(signIn(profile('carl@theitarchitect.support'))),
+      ]).then(errs => {
+        errs.map(err => err.statusCode).should.eql([403, 403]);
+        return models.user.count({email: {inq: [
+          'bob@example.com', 'carl@theitarchitect.support',
+        ]}});
+      }).then(count => {
+        count.should.equal(0);
+      });
+    });
+
+    it('turns away unverified email addresses', () => {
+      return rejected(signIn(profile('dan@theitarchitect.support',
+                                     'theitarchitect.support', false)))
+        .then(err => {
+          err.statusCode.should.equal(403);
+        });
+    });
+
+    it('lets in invited emails with the invitation\'s roles', () => {
+      return models.invitation.create({
+        email: 'Eve@Example.com',
+        roles: ['customer-viewer'],
+        customer_id: 'acme',
+      }).then(() => signIn(profile('eve@example.com')))
+        .then(user => Promise.all([
+          rolesOf(app, user.id),
+          models.user.findById(user.id),
+          models.invitation.forEmail('eve@example.com'),
+        ]))
+        .then(([names, user, invitation]) => {
+          names.should.eql(['customer-viewer']);
+          user.customer_id.should.equal('acme');
+          invitation.accepted_date.should.be.an.instanceof(Date);
+          invitation.user_id.should.equal(String(user.id));
+        });
+    });
+
+    it('gives the default role on the first sign-in only', () => {
+      let google = profile('fay@theitarchitect.support',
+                           'theitarchitect.support');
+      var user;
+      return signIn(google)
+        .then(signedIn => {
+          user = signedIn;
+          return models.user.setRoles(user.id, ['approver']);
+        })
+        .then(() => signIn(google))
+        .then(again => {
+          String(again.id).should.equal(String(user.id));
+          return rolesOf(app, user.id);
+        })
+        .then(names => {
+          names.should.eql(['approver']);
+        });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const chai = require('chai');
+const {Readable} = require('stream');
+const {columnName, workbook} = require('../server/lib/xlsx');
+const {unzip} = require('./helpers/zip');
+
+chai.should();
+
+// The cells of a worksheet's XML, as {ref: xml}
+function cells(xml) {
+  let found = {};
+  let re = /<c r="([A-Z]+\d+)"[^>]*>.*?<\/c>/g;
+  for (let m = re.exec(xml); m; m = re.exec(xml)) {
+    found[m[1]] = m[0];
+  }
+  return found;
+}
+
+function rowStream(rows) {
+  let i = 0;
+  return new Readable({
+    objectMode: true,
+    read() {
+      this.push(i < rows.length ? rows[i++] : null);
+    },
+  });
+}
+
+describe('xlsx', () => {
+  describe('columnName', () => {
+    it('names columns as Excel does', () => {
+      [
+        [0, 'A'],
+        [25, 'Z'],
+        [26, 'AA'],
+        [27, 'AB'],
+        [51, 'AZ'],
+        [52, 'BA'],
+        [701, 'ZZ'],
+        [702, 'AAA'],
+        [16383, 'XFD'],
+      ].forEach(([index, name]) => {
+        columnName(index).should.equal(name);
+      });
+    });
+  });
+
+  describe('workbook', () => {
+    it('packages the parts Excel needs', () => {
+      return unzip(workbook([{name: 'one', rows: []}, {name: 'two', rows: []}]))
+        .then(files => {
+          Object.keys(files).sort().should.eql([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/workbook.xml',
+            'xl/worksheets/sheet1.xml',
+            'xl/worksheets/sheet2.xml',
+          ]);
+          files['[Content_Types].xml'].should
+            .contain('PartName="/xl/worksheets/sheet2.xml"');
+          files['xl/workbook.xml'].should.contain(
+            '<sheet name="one" sheetId="1" r:id="rId1"/>' +
+            '<sheet name="two" sheetId="2" r:id="rId2"/>');
+          files['xl/_rels/workbook.xml.rels'].should
+            .contain('Id="rId2" Type="http://schemas.openxmlformats.org/' +
+                     'officeDocument/2006/relationships/worksheet" ' +
+                     'Target="worksheets/sheet2.xml"')
+            .and.contain('Id="rId3"');
+        });
+    });
+
+    it('writes each value as its type', () => {
+      let when = new Date('2017-10-02T12:00:00Z');
+      return unzip(workbook([{name: 'values', rows: [
+        ['text', 1.5, true, when, {a: 1}, null, ''],
+        ['<&">', 0, false, undefined, 'x\u0001y'],
+      ]}])).then(files => {
+        let sheet = cells(files['xl/worksheets/sheet1.xml']);
+        sheet.should.eql({
+          A1: '<c r="A1" t="inlineStr"><is><t xml:space="preserve">text</t>' +
+            '</is></c>',
+          B1: '<c r="B1"><v>1.5</v></c>',
+          C1: '<c r="C1" t="b"><v>1</v></c>',
+          D1: '<c r="D1" t="inlineStr"><is><t xml:space="preserve">' +
+            '2017-10-02T12:00:00.000Z</t></is></c>',
+          E1: '<c r="E1" t="inlineStr"><is><t xml:space="preserve">' +
+            '{&quot;a&quot;:1}</t></is></c>',
+          A2: '<c r="A2" t="inlineStr"><is><t xml:space="preserve">' +
+            '&lt;&amp;&quot;&gt;</t></is></c>',
+          B2: '<c r="B2"><v>0</v></c>',
+          C2: '<c r="C2" t="b"><v>0</v></c>',
+          E2: '<c r="E2" t="inlineStr"><is><t xml:space="preserve">xy</t>' +
+            '</is></c>',
+        });
+      });
+    });
+
+    it('numbers cells past Z and AZ', () => {
+      let wide = Array.from({length: 60}, (v, i) => i);
+      return unzip(workbook([{name: 'wide', rows: [wide]}])).then(files => {
+        let sheet = cells(files['xl/worksheets/sheet1.xml']);
+        Object.keys(sheet).length.should.equal(60);
+        sheet.Z1.should.equal('<c r="Z1"><v>25</v></c>');
+        sheet.AA1.should.equal('<c r="AA1"><v>26</v></c>');
+        sheet.AZ1.should.equal('<c r="AZ1"><v>51</v></c>');
+        sheet.BA1.should.equal('<c r="BA1"><v>52</v></c>');
+        sheet.BH1.should.equal('<c r="BH1"><v>59</v></c>');
+      });
+    });
+
+    it('writes sheets from streams of rows', () => {
+      let rows = [['a', 'b'], [1, 2], [3, 4]];
+      return Promise.all([
+        unzip(workbook([{name: 'held', rows: rows}])),
+        unzip(workbook([{name: 'held', rows: rowStream(rows)}])),
+      ]).then(([held, streamed]) => {
+        streamed['xl/worksheets/sheet1.xml'].should
+          .equal(held['xl/worksheets/sheet1.xml']);
+        held['xl/worksheets/sheet1.xml'].should.contain(
+          '<row r="3"><c r="A3"><v>3</v></c><c r="B3"><v>4</v></c></row>' +
+          '</sheetData></worksheet>');
+      });
+    });
+
+    it('makes sheet names Excel accepts', () => {
+      let long = 'a'.repeat(40);
+      return unzip(workbook([
+        {name: 'a/b:c', rows: []},
+        {name: long, rows: []},
+        {name: long.toUpperCase(), rows: []},
+        {rows: []},
+      ])).then(files => {
+        let names = [];
+        let re = /<sheet name="([^"]*)"/g;
+        for (let m = re.exec(files['xl/workbook.xml']); m;
+             m = re.exec(files['xl/workbook.xml'])) {
+          names.push(m[1]);
+        }
+        names.should.eql([
+          'a_b_c',
+          'a'.repeat(31),
+          'A'.repeat(27) + ' (2)',
+          'Sheet4',
+        ]);
+      });
+    });
+  });
+});